@@ -26,7 +26,27 @@ const eventRoutes = require('./src/routes/events');
 const apiRoutes = require('./src/routes/api');
 
 // Import services
-const RFIDService = require('./src/services/RFIDService');
+const ReaderRegistry = require('./src/services/ReaderRegistry');
+const Reader = require('./src/models/Reader');
+const Card = require('./src/models/Card');
+const UnknownCard = require('./src/models/UnknownCard');
+const WorkSession = require('./src/models/WorkSession');
+const ShiftAssignment = require('./src/models/ShiftAssignment');
+const AttendancePolicy = require('./src/models/AttendancePolicy');
+const WorkDayResult = require('./src/models/WorkDayResult');
+const DepartmentManager = require('./src/models/DepartmentManager');
+const LeaveType = require('./src/models/LeaveType');
+const LeaveRequest = require('./src/models/LeaveRequest');
+const LeaveBalance = require('./src/models/LeaveBalance');
+const OvertimeRequest = require('./src/models/OvertimeRequest');
+const Attendance = require('./src/models/Attendance');
+const AttendanceAudit = require('./src/models/AttendanceAudit');
+const AttendanceCorrection = require('./src/models/AttendanceCorrection');
+const PayrollPeriod = require('./src/models/PayrollPeriod');
+const ExportTemplate = require('./src/models/ExportTemplate');
+const Role = require('./src/models/Role');
+const User = require('./src/models/User');
+const ApiToken = require('./src/models/ApiToken');
 
 // Create Express app
 const app = express();
@@ -90,14 +110,17 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Session configuration
-app.use(session({
+// Session configuration, shared with Socket.IO so sockets are identified
+// by the session cookie of their handshake
+const sessionMiddleware = session({
     secret: config.session.secret,
     resave: config.session.resave,
     saveUninitialized: config.session.saveUninitialized,
     rolling: config.session.rolling,
     cookie: config.session.cookie
-}));
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -111,10 +134,12 @@ app.use(generalLimiter);
 app.use(loadUser);
 app.use(optionalNetworkCheck);
 
-// Make io and socketHandlers available in requests
+// Make io, socketHandlers, readerRegistry and attendanceService available in requests
 app.use((req, res, next) => {
     req.io = io;
     req.socketHandlers = socketHandlers;
+    req.readerRegistry = readerRegistry;
+    req.attendanceService = attendanceService;
     next();
 });
 
@@ -134,7 +159,7 @@ app.get('/', (req, res) => {
 app.get('/health', async (req, res) => {
     try {
         const dbConnected = await testConnection();
-        const rfidStatus = rfidService.getStatus();
+        const rfidStatus = readerRegistry.getStatus();
 
         res.json({
             status: 'healthy',
@@ -183,19 +208,33 @@ app.use((error, req, res, next) => {
     }
 });
 
-// Initialize RFID service
-const rfidService = new RFIDService();
+// Initialize RFID readers
+const readerRegistry = new ReaderRegistry();
+
+// Attendance processing shared by routes and socket handlers
+const AttendanceService = require('./src/services/AttendanceService');
+const attendanceService = new AttendanceService(io, readerRegistry);
 
 // Initialize Socket.IO handlers
 const SocketIOHandlers = require('./src/services/SocketIOHandlers');
-const socketHandlers = new SocketIOHandlers(io, rfidService);
+const socketHandlers = new SocketIOHandlers(io, readerRegistry, attendanceService);
+
+// Closing of sessions left open by a forgotten check-out
+const AutoCheckoutService = require('./src/services/AutoCheckoutService');
+const autoCheckout = new AutoCheckoutService(attendanceService, socketHandlers);
+
+// Background storing of work day results read by the reports
+const WorkDayEvaluationService = require('./src/services/WorkDayEvaluationService');
+const dayEvaluation = new WorkDayEvaluationService();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\\nShutting down gracefully...');
 
     try {
-        await rfidService.disconnect();
+        autoCheckout.stop();
+        dayEvaluation.stop();
+        await readerRegistry.disconnect();
         server.close(() => {
             console.log('Server closed');
             process.exit(0);
@@ -216,9 +255,50 @@ async function startServer() {
             process.exit(1);
         }
 
-        // Initialize RFID service
-        await rfidService.connect();
-        rfidService.startCleanupTimer();
+        // Roles and the permissions that guard every route
+        await Role.ensureTable();
+
+        // Service accounts and the API tokens accepted in place of a session
+        await User.ensureColumns();
+        await ApiToken.ensureTable();
+
+        // Card registry
+        await Card.ensureTable();
+        await UnknownCard.ensureTable();
+
+        // Shift templates/assignments, the working-day calendar and the daily
+        // work sessions measured against them
+        await ShiftAssignment.ensureTable();
+        await WorkSession.ensureTable();
+
+        // Attendance policies and the daily results judged by them
+        await AttendancePolicy.ensureTable();
+        await WorkDayResult.ensureTable();
+
+        // Department managers and the leave they approve
+        await DepartmentManager.ensureTable();
+        await LeaveType.ensureTable();
+        await LeaveRequest.ensureTable();
+        await LeaveBalance.ensureTable();
+
+        // Overtime asked for ahead, counted where the policy requires approval
+        await OvertimeRequest.ensureTable();
+
+        // Missed-scan corrections and the audit trail of attendance changes
+        await Attendance.ensureColumns();
+        await AttendanceAudit.ensureTable();
+        await AttendanceCorrection.ensureTable();
+
+        // Payroll periods, locked once paid, and the layouts they are exported in
+        await PayrollPeriod.ensureTable();
+        await ExportTemplate.ensureTable();
+        autoCheckout.start();
+        dayEvaluation.start();
+
+        // Initialize RFID readers
+        await Reader.ensureTable();
+        await readerRegistry.connect();
+        readerRegistry.startCleanupTimer();
 
         // Start HTTP server
         server.listen(config.server.port, config.server.host, () => {
@@ -228,7 +308,9 @@ async function startServer() {
             console.log(`⏰ Timezone: ${config.timezone}`);
             console.log(`\\n📊 Services Status:`);
             console.log(`   ✅ Database: Connected`);
-            console.log(`   ${rfidService.getStatus().connected ? '✅' : '❌'} RFID: ${rfidService.getStatus().connected ? 'Connected' : 'Disconnected'}`);
+            readerRegistry.getStatus().readers.forEach(reader => {
+                console.log(`   ${reader.connected ? '✅' : '❌'} RFID (${reader.name || reader.readerId}): ${reader.connected ? 'Connected' : 'Disconnected'}`);
+            });
             console.log(`   ✅ Socket.IO: Ready`);
             console.log(`\\n🔐 Security Features:`);
             console.log(`   ✅ Rate Limiting: Enabled`);
@@ -245,4 +327,4 @@ async function startServer() {
 // Start the server
 startServer();
 
-module.exports = { app, server, io, rfidService };
\ No newline at end of file
+module.exports = { app, server, io, readerRegistry };
\ No newline at end of file
@@ -274,7 +274,8 @@ function updateRFIDStatus(status) {
     if (indicator) {
         if (status.connected) {
             indicator.className = 'status-indicator status-online';
-            indicator.title = `RFID kết nối: ${status.port || 'N/A'}`;
+            const readers = status.readers || [];
+            indicator.title = `RFID kết nối: ${readers.filter(reader => reader.connected).length}/${readers.length} đầu đọc`;
         } else {
             indicator.className = 'status-indicator status-offline';
             indicator.title = 'RFID không kết nối';
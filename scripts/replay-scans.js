@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Replay a recorded scan log into a simulated RFID reader with the original timing.
+//
+// Usage:
+//   node scripts/replay-scans.js <log-file> [--target 7000 | --target /tmp/rfid.sock | --feed scans.feed]
+//                                [--speed 2] [--max-gap 10] [--reader <readerId>]
+//
+// The log is either JSON lines as written by RFID_RECORD_FILE
+//   {"timestamp":"2024-05-01T08:00:01+07:00","cardId":"0012345678","raw":"00BC614E","readerId":"default"}
+// or plain lines "<timestamp>,<cardId>" / "<timestamp> <cardId>".
+// The raw reader output of JSON lines is replayed, so the reader decodes it
+// with its card format profile exactly once (logs recorded before `raw` was
+// added replay their decoded cardId). Entries are sent one per line to a
+// simulated reader listening on --target
+// (RFID_SIMULATOR_LISTEN) or appended to its --feed file (RFID_SIMULATOR_FEED).
+
+const fs = require('fs');
+const net = require('net');
+const moment = require('moment-timezone');
+
+// Timestamps without an offset are read in the application timezone
+const TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+function parseArgs(argv) {
+    const args = { target: process.env.RFID_SIMULATOR_LISTEN || null, feed: null, speed: 1, maxGap: null, reader: null };
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--target') args.target = argv[++i];
+        else if (arg === '--feed') args.feed = argv[++i];
+        else if (arg === '--speed') args.speed = parseFloat(argv[++i]) || 1;
+        else if (arg === '--max-gap') args.maxGap = parseFloat(argv[++i]);
+        else if (arg === '--reader') args.reader = argv[++i];
+        else rest.push(arg);
+    }
+
+    args.file = rest[0];
+    return args;
+}
+
+function parseLine(line) {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return null;
+
+    if (text.startsWith('{')) {
+        const entry = JSON.parse(text);
+        const cardId = entry.raw !== undefined && entry.raw !== null ? entry.raw : entry.cardId;
+        return { time: moment.tz(entry.timestamp, TIMEZONE), cardId: String(cardId), readerId: entry.readerId };
+    }
+
+    const match = text.match(/^(.+?)[,\s]+(\S+)$/);
+    if (!match) return null;
+    return { time: moment.tz(match[1].trim(), TIMEZONE), cardId: match[2], readerId: null };
+}
+
+function loadScans(file, readerId) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => {
+            try {
+                return parseLine(line);
+            } catch (error) {
+                console.warn(`Skipping line ${index + 1}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(scan => scan && scan.time.isValid())
+        .filter(scan => !readerId || String(scan.readerId) === String(readerId))
+        .sort((a, b) => a.time.valueOf() - b.time.valueOf());
+}
+
+function connect(target) {
+    const options = /^\d+$/.test(target) ? { host: '127.0.0.1', port: parseInt(target) } : { path: target };
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(options, () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file || (!args.target && !args.feed)) {
+        console.error('Usage: node scripts/replay-scans.js <log-file> (--target <port|socket> | --feed <file>) [--speed n] [--max-gap seconds] [--reader id]');
+        process.exit(1);
+    }
+
+    const scans = loadScans(args.file, args.reader);
+    if (scans.length === 0) {
+        console.error('No scans found in log');
+        process.exit(1);
+    }
+
+    const socket = args.feed ? null : await connect(args.target);
+    const send = (cardId) => socket
+        ? socket.write(`${cardId}\n`)
+        : fs.appendFileSync(args.feed, `${cardId}\n`);
+
+    console.log(`▶️  Replaying ${scans.length} scans from ${args.file} (speed x${args.speed})`);
+
+    for (let i = 0; i < scans.length; i++) {
+        if (i > 0) {
+            let gap = (scans[i].time.valueOf() - scans[i - 1].time.valueOf()) / 1000;
+            if (args.maxGap !== null && gap > args.maxGap) gap = args.maxGap;
+            await sleep((gap * 1000) / args.speed);
+        }
+        send(scans[i].cardId);
+        console.log(`   ${scans[i].time.format('YYYY-MM-DD HH:mm:ss')}  ${scans[i].cardId}`);
+    }
+
+    if (socket) {
+        await new Promise(resolve => socket.end(resolve));
+    }
+    console.log('✅ Replay finished');
+}
+
+main().catch((error) => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+});
@@ -33,7 +33,69 @@ const config = {
     rfid: {
         timeout: parseInt(process.env.RFID_TIMEOUT) || 5000,
         minScanInterval: parseInt(process.env.MIN_SCAN_INTERVAL) || 5,
-        baudRate: 9600
+        // Reader driver: auto | serial-line | serial-frame | network | keyboard-wedge | simulated
+        driver: process.env.RFID_DRIVER || 'auto',
+        path: process.env.RFID_PORT || null,
+        baudRate: parseInt(process.env.RFID_BAUDRATE) || 9600,
+        delimiter: process.env.RFID_DELIMITER ?
+            process.env.RFID_DELIMITER.replace(/\\r/g, '\r').replace(/\\n/g, '\n') : '\r\n',
+        host: process.env.RFID_HOST || null,
+        tcpPort: parseInt(process.env.RFID_TCP_PORT) || null,
+        // Simulated reader inputs: local TCP port / socket path and a watched feed file
+        listen: process.env.RFID_SIMULATOR_LISTEN || null,
+        feedFile: process.env.RFID_SIMULATOR_FEED || null,
+        // Append every scan as a JSON line, for scripts/replay-scans.js
+        recordFile: process.env.RFID_RECORD_FILE || null,
+        // Card ID decoding profile, see src/services/readers/cardDecoders.js
+        decoder: {
+            format: process.env.RFID_CARD_FORMAT || 'decimal',
+            output: process.env.RFID_CARD_OUTPUT || undefined,
+            input: process.env.RFID_CARD_INPUT || undefined,
+            reverseBytes: process.env.RFID_REVERSE_BYTES === 'true',
+            facilityCode: process.env.RFID_FACILITY_CODE || null
+        },
+        // Reconnect with exponential backoff; serial ports are polled for re-plug
+        reconnect: {
+            enabled: process.env.RFID_RECONNECT !== 'false',
+            minDelay: parseInt(process.env.RFID_RECONNECT_MIN_DELAY) || 1000,
+            maxDelay: parseInt(process.env.RFID_RECONNECT_MAX_DELAY) || 60000,
+            hotplugInterval: parseInt(process.env.RFID_HOTPLUG_INTERVAL) || 5000
+        },
+        // How long a reader waits for the card in enrollment mode (seconds)
+        enrollmentTimeout: parseInt(process.env.RFID_ENROLLMENT_TIMEOUT) || 30
+    },
+
+    // Work hours
+    attendance: {
+        // Hours per day before overtime for employees without a shift template
+        standardHours: parseFloat(process.env.STANDARD_WORK_HOURS) || 8,
+        // Hours after an overnight shift ends during which scans still belong to its work day
+        overnightCheckoutHours: parseFloat(process.env.OVERNIGHT_CHECKOUT_HOURS) || 4,
+        // Longest check-in to check-out span paired across midnight without an overnight shift
+        maxSessionHours: parseFloat(process.env.MAX_SESSION_HOURS) || 16,
+        // Closing of sessions left open by a forgotten check-out
+        autoCheckout: {
+            enabled: process.env.AUTO_CHECKOUT !== 'false',
+            // Minutes after the end of a shift; a shift template can set its own
+            afterShiftMinutes: process.env.AUTO_CHECKOUT_AFTER_MINUTES !== undefined
+                ? parseInt(process.env.AUTO_CHECKOUT_AFTER_MINUTES) || 0
+                : 120,
+            // Time of the work day for employees without a shift
+            noShiftTime: process.env.AUTO_CHECKOUT_TIME || '23:59',
+            intervalMinutes: parseInt(process.env.AUTO_CHECKOUT_INTERVAL_MINUTES) || 5
+        },
+        // Background storing of work day results read by the reports
+        dayEvaluation: {
+            enabled: process.env.DAY_EVALUATION !== 'false',
+            intervalMinutes: parseInt(process.env.DAY_EVALUATION_INTERVAL_MINUTES) || 60,
+            // Days back from today looked at on each run
+            lookbackDays: parseInt(process.env.DAY_EVALUATION_LOOKBACK_DAYS) || 7
+        },
+        // Overtime worked between these times of day counts as night overtime
+        overtime: {
+            nightStart: process.env.OVERTIME_NIGHT_START || '22:00',
+            nightEnd: process.env.OVERTIME_NIGHT_END || '06:00'
+        }
     },
 
     // Timezone configuration
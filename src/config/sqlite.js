@@ -32,7 +32,8 @@ class SQLiteDatabase {
 
     async executeQuery(query, params = []) {
         return new Promise((resolve, reject) => {
-            if (query.toLowerCase().includes('select')) {
+            // PRAGMA statements return rows too (e.g. table_info)
+            if (query.toLowerCase().includes('select') || /^\s*pragma/i.test(query)) {
                 this.db.all(query, params, (err, rows) => {
                     if (err) {
                         reject(err);
@@ -95,6 +96,7 @@ class SQLiteDatabase {
                 username VARCHAR(100) UNIQUE NOT NULL,
                 password VARCHAR(255) NOT NULL,
                 role VARCHAR(20) DEFAULT 'at_work',
+                department VARCHAR(100) NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 is_active BOOLEAN DEFAULT 1
@@ -222,6 +224,11 @@ class SQLiteDatabase {
         }
 
         // Ensure optional columns exist for legacy databases
+        const userCols = await this.executeQuery(`PRAGMA table_info(users)`);
+        if (!userCols.some(c => c.name === 'department')) {
+            await this.executeQuery(`ALTER TABLE users ADD COLUMN department VARCHAR(100) NULL`);
+        }
+
         const epCols = await this.executeQuery(`PRAGMA table_info(event_participants)`);
         const epColNames = new Set(epCols.map(c => c.name));
         if (!epColNames.has('name')) {
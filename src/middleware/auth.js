@@ -1,7 +1,50 @@
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const DepartmentManager = require('../models/DepartmentManager');
+
+// Authenticate a request sent with `Authorization: Bearer <token>`: the
+// token's user, limited to the token's scopes, replaces any session user.
+// Returns null without a bearer token, otherwise whether it was accepted.
+async function authenticateToken(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+    if (req.apiToken) return true;
+
+    const token = await ApiToken.authenticate(header.slice('Bearer '.length).trim(), req.ip);
+    if (!token) return false;
+
+    const user = await User.findById(token.userId);
+    if (!user) return false;
+
+    user.tokenScopes = token.scopes;
+    req.user = user;
+    req.apiToken = token;
+    return true;
+}
+
+function rejectToken(res) {
+    return res.status(401).json({
+        success: false,
+        error: 'INVALID_TOKEN',
+        message: 'API token không hợp lệ, đã hết hạn hoặc đã bị thu hồi'
+    });
+}
+
+// Check if user is authenticated, by session or API token
+const requireAuth = async (req, res, next) => {
+    try {
+        const tokenAccepted = await authenticateToken(req);
+        if (tokenAccepted === false) return rejectToken(res);
+        if (tokenAccepted) return next();
+    } catch (error) {
+        console.error('Token check error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'AUTH_CHECK_ERROR',
+            message: 'Lỗi kiểm tra quyền truy cập'
+        });
+    }
 
-// Check if user is authenticated
-const requireAuth = (req, res, next) => {
     if (!req.session || !req.session.userId) {
         // Check if this is an API request or AJAX request
         const isApiRequest = req.path.startsWith('/api/') ||
@@ -24,112 +67,19 @@ const requireAuth = (req, res, next) => {
     next();
 };
 
-// Check user role permissions
-const requireRole = (allowedRoles) => {
-    return async (req, res, next) => {
-        try {
-            if (!req.session || !req.session.userId) {
-                // Check if this is an API request or AJAX request
-                const isApiRequest = req.path.startsWith('/api/') ||
-                    req.path.startsWith('/admin/api/') ||
-                    req.xhr ||
-                    req.headers.accept?.indexOf('json') > -1 ||
-                    req.headers['content-type']?.indexOf('json') > -1;
-
-                if (isApiRequest) {
-                    return res.status(401).json({
-                        success: false,
-                        error: 'AUTH_REQUIRED',
-                        message: 'Vui lòng đăng nhập để tiếp tục'
-                    });
-                }
-
-                // For regular page requests, redirect to login
-                return res.redirect('/auth/login');
-            }
-
-            const user = await User.findById(req.session.userId);
-            if (!user) {
-                // Check if this is an API request or AJAX request
-                const isApiRequest = req.path.startsWith('/api/') ||
-                    req.path.startsWith('/admin/api/') ||
-                    req.xhr ||
-                    req.headers.accept?.indexOf('json') > -1 ||
-                    req.headers['content-type']?.indexOf('json') > -1;
-
-                if (isApiRequest) {
-                    return res.status(401).json({
-                        success: false,
-                        error: 'USER_NOT_FOUND',
-                        message: 'Người dùng không tồn tại'
-                    });
-                }
-
-                // For regular page requests, redirect to login
-                return res.redirect('/auth/login');
-            }
-
-            // Check if user role is in allowed roles
-            if (!allowedRoles.includes(user.role)) {
-                // Check if this is an API request or AJAX request
-                const isApiRequest = req.path.startsWith('/api/') ||
-                    req.path.startsWith('/admin/api/') ||
-                    req.xhr ||
-                    req.headers.accept?.indexOf('json') > -1 ||
-                    req.headers['content-type']?.indexOf('json') > -1;
-
-                if (isApiRequest) {
-                    return res.status(403).json({
-                        success: false,
-                        error: 'INSUFFICIENT_PERMISSIONS',
-                        message: 'Bạn không có quyền truy cập chức năng này'
-                    });
-                }
-
-                // For regular page requests, redirect to appropriate dashboard
-                let redirectUrl = '/staff';
-                switch (user.role) {
-                    case 'admin':
-                        redirectUrl = '/admin';
-                        break;
-                    case 'event_manager':
-                        redirectUrl = '/events';
-                        break;
-                    case 'staff':
-                        redirectUrl = '/staff';
-                        break;
-                    default:
-                        redirectUrl = '/staff';
-                }
-                return res.redirect(redirectUrl);
-            }
-
-            // Store user in request for use in controllers
-            req.user = user;
-            next();
-        } catch (error) {
-            console.error('Role check error:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'AUTH_CHECK_ERROR',
-                message: 'Lỗi kiểm tra quyền truy cập'
-            });
-        }
-    };
+// Require a logged-in browser session: API tokens cannot manage tokens or
+// change the password
+const requireSession = (req, res, next) => {
+    if (req.apiToken || !req.session || !req.session.userId) {
+        return res.status(403).json({
+            success: false,
+            error: 'SESSION_REQUIRED',
+            message: 'Chức năng này yêu cầu đăng nhập, không dùng được với API token'
+        });
+    }
+    next();
 };
 
-// Admin only access
-const requireAdmin = requireRole(['admin']);
-
-// Event manager or admin access
-const requireEventManager = requireRole(['admin', 'event_manager']);
-
-// Staff or higher access
-const requireStaff = requireRole(['admin', 'event_manager', 'staff']);
-
-// Any authenticated user
-const requireUser = requireRole(['admin', 'event_manager', 'staff', 'at_work']);
-
 // Load user data into session
 const loadUser = async (req, res, next) => {
     try {
@@ -138,6 +88,7 @@ const loadUser = async (req, res, next) => {
             if (user) {
                 req.user = user;
                 res.locals.user = user.toJSON(); // Make user available in templates
+                res.locals.permissions = await user.getRolePermissions();
             }
         }
         next();
@@ -147,14 +98,18 @@ const loadUser = async (req, res, next) => {
     }
 };
 
-// Check specific permission
+// Check specific permission, granted to the user's role in the roles table
 const requirePermission = (permission) => {
     return async (req, res, next) => {
         try {
+            if ((await authenticateToken(req)) === false) {
+                return rejectToken(res);
+            }
+
             if (!req.user) {
                 // Check if this is an API request or AJAX request
-                const isApiRequest = req.path.startsWith('/api/') ||
-                    req.path.startsWith('/admin/api/') ||
+                const isApiRequest = (req.baseUrl + req.path).startsWith('/api/') ||
+                    (req.baseUrl + req.path).startsWith('/admin/api/') ||
                     req.xhr ||
                     req.headers.accept?.indexOf('json') > -1 ||
                     req.headers['content-type']?.indexOf('json') > -1;
@@ -171,10 +126,10 @@ const requirePermission = (permission) => {
                 return res.redirect('/auth/login');
             }
 
-            if (!req.user.hasPermission(permission)) {
+            if (!(await req.user.hasPermission(permission))) {
                 // Check if this is an API request or AJAX request
-                const isApiRequest = req.path.startsWith('/api/') ||
-                    req.path.startsWith('/admin/api/') ||
+                const isApiRequest = (req.baseUrl + req.path).startsWith('/api/') ||
+                    (req.baseUrl + req.path).startsWith('/admin/api/') ||
                     req.xhr ||
                     req.headers.accept?.indexOf('json') > -1 ||
                     req.headers['content-type']?.indexOf('json') > -1;
@@ -187,20 +142,15 @@ const requirePermission = (permission) => {
                     });
                 }
 
-                // For regular page requests, redirect to appropriate dashboard
-                let redirectUrl = '/staff';
-                switch (req.user.role) {
-                    case 'admin':
-                        redirectUrl = '/admin';
-                        break;
-                    case 'event_manager':
-                        redirectUrl = '/events';
-                        break;
-                    case 'staff':
-                        redirectUrl = '/staff';
-                        break;
-                    default:
-                        redirectUrl = '/staff';
+                // For regular page requests, redirect to appropriate dashboard;
+                // a user without access to their own home page gets the error page
+                const redirectUrl = await req.user.getHomePath();
+                if (req.baseUrl + req.path === redirectUrl || (req.baseUrl === redirectUrl && req.path === '/')) {
+                    return res.status(403).render('error', {
+                        title: 'Không có quyền truy cập',
+                        message: 'Bạn không có quyền truy cập chức năng này',
+                        error: { status: 403 }
+                    });
                 }
                 return res.redirect(redirectUrl);
             }
@@ -217,6 +167,37 @@ const requirePermission = (permission) => {
     };
 };
 
+// Check a permission that department managers (manage_team) hold for the
+// employees of the departments they manage. req.departments is null for
+// holders of the permission, otherwise the departments every query of the
+// route must be limited to.
+const requireTeamPermission = (permission) => {
+    const requireFullPermission = requirePermission(permission);
+
+    return async (req, res, next) => {
+        try {
+            req.departments = null;
+            if ((await authenticateToken(req)) === false) {
+                return rejectToken(res);
+            }
+
+            if (req.user && !(await req.user.hasPermission(permission)) && (await req.user.hasPermission('manage_team'))) {
+                req.departments = await DepartmentManager.getDepartments(req.user.id);
+                return next();
+            }
+        } catch (error) {
+            console.error('Permission check error:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'PERMISSION_CHECK_ERROR',
+                message: 'Lỗi kiểm tra quyền truy cập'
+            });
+        }
+
+        return requireFullPermission(req, res, next);
+    };
+};
+
 // Optional auth (doesn't redirect, just loads user if available)
 const optionalAuth = async (req, res, next) => {
     try {
@@ -236,12 +217,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
     requireAuth,
-    requireRole,
-    requireAdmin,
-    requireEventManager,
-    requireStaff,
-    requireUser,
+    requireSession,
     requirePermission,
+    requireTeamPermission,
     loadUser,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Start of every token, so a leaked token is recognisable in logs and scripts
+const TOKEN_PREFIX = 'rfid_';
+
+function now() {
+    return moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss');
+}
+
+// API token of a user or a service account, sent as `Authorization: Bearer`.
+// Only the SHA-256 hash of a token is stored; the token itself is shown once,
+// when it is created. `scopes` lists the permissions the token is limited to
+// (null: all permissions of the user's role).
+class ApiToken {
+    constructor(tokenData) {
+        this.id = tokenData.id;
+        this.userId = tokenData.user_id;
+        this.userName = tokenData.user_name || null;
+        this.name = tokenData.name;
+        this.tokenHint = tokenData.token_hint;
+        this.scopes = ApiToken.parseScopes(tokenData.scopes);
+        this.expiresAt = tokenData.expires_at;
+        this.lastUsedAt = tokenData.last_used_at || null;
+        this.lastUsedIp = tokenData.last_used_ip || null;
+        this.revokedAt = tokenData.revoked_at || null;
+        this.createdBy = tokenData.created_by || null;
+        this.createdAt = tokenData.created_at;
+    }
+
+    static parseScopes(scopes) {
+        if (!scopes) return null;
+        try {
+            return JSON.parse(scopes);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    token_hash CHAR(64) NOT NULL UNIQUE,
+                    token_hint VARCHAR(20) NOT NULL,
+                    scopes TEXT NULL,
+                    expires_at DATETIME NOT NULL,
+                    last_used_at DATETIME NULL,
+                    last_used_ip VARCHAR(45) NULL,
+                    revoked_at DATETIME NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    KEY idx_api_tokens_user (user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    token_hash CHAR(64) NOT NULL UNIQUE,
+                    token_hint VARCHAR(20) NOT NULL,
+                    scopes TEXT NULL,
+                    expires_at DATETIME NOT NULL,
+                    last_used_at DATETIME NULL,
+                    last_used_ip VARCHAR(45) NULL,
+                    revoked_at DATETIME NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT t.*, u.name as user_name
+            FROM api_tokens t
+            LEFT JOIN users u ON t.user_id = u.id
+        `;
+    }
+
+    // Get tokens, optionally filtered by user; revoked and expired tokens only when asked for
+    static async findAll(filters = {}) {
+        try {
+            let query = `${ApiToken.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND t.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (!filters.includeInactive) {
+                query += ' AND t.revoked_at IS NULL AND t.expires_at > ?';
+                params.push(now());
+            }
+
+            query += ' ORDER BY t.created_at DESC, t.id DESC';
+            const results = await executeQuery(query, params);
+            return results.map(token => new ApiToken(token));
+        } catch (error) {
+            console.error('Error finding API tokens:', error);
+            throw error;
+        }
+    }
+
+    // Find token by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${ApiToken.baseQuery()} WHERE t.id = ?`, [id]);
+            return results.length > 0 ? new ApiToken(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding API token by ID:', error);
+            throw error;
+        }
+    }
+
+    // Create a token; returns the stored token and, this one time, the token itself
+    static async create(tokenData) {
+        try {
+            const plaintext = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+            const result = await executeQuery(`
+                INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes, expires_at, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                tokenData.userId,
+                tokenData.name,
+                ApiToken.hash(plaintext),
+                plaintext.slice(0, TOKEN_PREFIX.length + 6),
+                tokenData.scopes ? JSON.stringify(tokenData.scopes) : null,
+                tokenData.expiresAt,
+                tokenData.createdBy || null
+            ]);
+            return { token: await ApiToken.findById(result.insertId), plaintext };
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            throw error;
+        }
+    }
+
+    // Active token matching a presented token, recording its use; null when
+    // the token is unknown, revoked or expired
+    static async authenticate(plaintext, ip = null) {
+        try {
+            if (typeof plaintext !== 'string' || !plaintext.startsWith(TOKEN_PREFIX)) return null;
+
+            const usedAt = now();
+            const results = await executeQuery(
+                'SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?',
+                [ApiToken.hash(plaintext), usedAt]
+            );
+            if (results.length === 0) return null;
+
+            await executeQuery(
+                'UPDATE api_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+                [usedAt, ip, results[0].id]
+            );
+            return new ApiToken({ ...results[0], last_used_at: usedAt, last_used_ip: ip });
+        } catch (error) {
+            console.error('Error authenticating API token:', error);
+            throw error;
+        }
+    }
+
+    // Revoke a token
+    static async revoke(id) {
+        try {
+            await executeQuery('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [now(), id]);
+            return await ApiToken.findById(id);
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            throw error;
+        }
+    }
+
+    // Revoke every token of a user (deactivated accounts)
+    static async revokeAllForUser(userId) {
+        try {
+            await executeQuery('UPDATE api_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL', [now(), userId]);
+            return true;
+        } catch (error) {
+            console.error('Error revoking API tokens of user:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiToken;
@@ -1,5 +1,7 @@
-const { executeQuery, executeTransaction } = require('../config/database');
+const { executeQuery, executeTransaction, DB_TYPE } = require('../config/database');
 const moment = require('moment-timezone');
+const AttendanceAudit = require('./AttendanceAudit');
+const PayrollPeriod = require('./PayrollPeriod');
 
 // Helper function to sanitize parameters for MySQL
 function sanitizeParams(params) {
@@ -25,17 +27,47 @@ class Attendance {
         this.location = attendanceData.location;
         this.notes = attendanceData.notes;
         this.status = attendanceData.status;
+        this.flag = attendanceData.flag || null;
+        this.correctionId = attendanceData.correction_id || null;
         this.createdAt = attendanceData.created_at;
     }
 
-    // Record new attendance
+    // Marks on rows that did not come from a reader: `corrected` rows were
+    // added by an approved correction request (correction_id), `auto_closed`
+    // check-outs by the end-of-day job for a forgotten check-out
+    static get FLAGS() {
+        return ['corrected', 'auto_closed'];
+    }
+
+    // The attendance table predates flags and correction links
+    static async ensureColumns() {
+        const definitions = {
+            flag: 'VARCHAR(20) NULL',
+            correction_id: DB_TYPE === 'mysql' ? 'INT NULL' : 'INTEGER NULL'
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            const columns = DB_TYPE === 'mysql'
+                ? await executeQuery(`SHOW COLUMNS FROM attendance LIKE '${name}'`)
+                : (await executeQuery('PRAGMA table_info(attendance)')).filter(column => column.name === name);
+            if (columns.length === 0) {
+                await executeQuery(`ALTER TABLE attendance ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    // Record new attendance. Days of a locked payroll period are refused
+    // (error code PERIOD_LOCKED).
     static async recordAttendance(attendanceData) {
         try {
+            await PayrollPeriod.assertOpen(attendanceData.scanDate);
+
             const query = `
                 INSERT INTO attendance (
                     user_id, rfid_card, scan_time, scan_date, action_type, 
-                    event_id, client_ip, gateway_ip, wifi_name, location, notes, status
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    event_id, client_ip, gateway_ip, wifi_name, location, notes, status,
+                    flag, correction_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             const params = sanitizeParams([
@@ -50,7 +82,9 @@ class Attendance {
                 attendanceData.wifiName,
                 attendanceData.location,
                 attendanceData.notes,
-                attendanceData.status || 'valid'
+                attendanceData.status || 'valid',
+                attendanceData.flag,
+                attendanceData.correctionId
             ]);
 
             const result = await executeQuery(query, params);
@@ -124,8 +158,8 @@ class Attendance {
         }
     }
 
-    // Get last scan for user (to determine next action)
-    static async getLastScanForUser(userId, date = null) {
+    // Get last scan for user (to determine next action), optionally before a given time
+    static async getLastScanForUser(userId, date = null, before = null) {
         try {
             let query = `
                 SELECT * FROM attendance 
@@ -138,6 +172,11 @@ class Attendance {
                 params.push(date);
             }
 
+            if (before) {
+                query += ' AND scan_time < ?';
+                params.push(before);
+            }
+
             query += ' ORDER BY scan_time DESC LIMIT 1';
             const results = await executeQuery(query, params);
             return results.length > 0 ? new Attendance(results[0]) : null;
@@ -205,15 +244,29 @@ class Attendance {
         }
     }
 
-    // Update attendance status
-    static async updateStatus(id, status, notes = null) {
+    // Update attendance status; the change is logged with who made it
+    static async updateStatus(id, status, notes = null, changedBy = null) {
         try {
+            const previous = await Attendance.findById(id);
+            if (previous) await PayrollPeriod.assertOpen(previous.scanDate);
+
             const query = `
                 UPDATE attendance 
                 SET status = ?, notes = COALESCE(?, notes) 
                 WHERE id = ?
             `;
             await executeQuery(query, sanitizeParams([status, notes, id]));
+
+            if (previous) {
+                await AttendanceAudit.log({
+                    attendanceId: id,
+                    userId: previous.userId,
+                    action: 'status_changed',
+                    changedBy,
+                    details: { from: previous.status, to: status, notes }
+                });
+            }
+
             return await Attendance.findById(id);
         } catch (error) {
             console.error('Error updating attendance status:', error);
@@ -221,11 +274,34 @@ class Attendance {
         }
     }
 
-    // Delete attendance record
-    static async delete(id) {
+    // Delete attendance record, keeping a copy of it in the audit log
+    static async delete(id, changedBy = null) {
         try {
+            const previous = await Attendance.findById(id);
+            if (previous) await PayrollPeriod.assertOpen(previous.scanDate);
+
             const query = 'DELETE FROM attendance WHERE id = ?';
             await executeQuery(query, [id]);
+
+            if (previous) {
+                await AttendanceAudit.log({
+                    attendanceId: id,
+                    userId: previous.userId,
+                    correctionId: previous.correctionId,
+                    action: 'deleted',
+                    changedBy,
+                    details: {
+                        scanTime: previous.scanTime,
+                        scanDate: previous.scanDate,
+                        actionType: previous.actionType,
+                        rfidCard: previous.rfidCard,
+                        status: previous.status,
+                        flag: previous.flag,
+                        notes: previous.notes
+                    }
+                });
+            }
+
             return true;
         } catch (error) {
             console.error('Error deleting attendance:', error);
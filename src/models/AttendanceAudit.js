@@ -0,0 +1,120 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Who changed which attendance record, when and how. Scans are never edited
+// silently: corrections add rows, status changes and deletions are logged
+// here with the record as it was.
+class AttendanceAudit {
+    constructor(auditData) {
+        this.id = auditData.id;
+        this.attendanceId = auditData.attendance_id;
+        this.userId = auditData.user_id;
+        this.correctionId = auditData.correction_id;
+        this.action = auditData.action;
+        this.changedBy = auditData.changed_by;
+        this.changedByName = auditData.changed_by_name || null;
+        this.details = AttendanceAudit.parseDetails(auditData.details);
+        this.createdAt = auditData.created_at;
+    }
+
+    static get ACTIONS() {
+        return ['corrected', 'auto_closed', 'status_changed', 'deleted'];
+    }
+
+    static parseDetails(details) {
+        if (!details) return null;
+        try {
+            return JSON.parse(details);
+        } catch (error) {
+            return details;
+        }
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_audit (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    attendance_id INT NULL,
+                    user_id VARCHAR(50) NULL,
+                    correction_id INT NULL,
+                    action VARCHAR(30) NOT NULL,
+                    changed_by VARCHAR(50) NULL,
+                    details TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_attendance_audit_record (attendance_id),
+                    INDEX idx_attendance_audit_user (user_id, created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_audit (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    attendance_id INTEGER NULL,
+                    user_id VARCHAR(50) NULL,
+                    correction_id INTEGER NULL,
+                    action VARCHAR(30) NOT NULL,
+                    changed_by VARCHAR(50) NULL,
+                    details TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_attendance_audit_record ON attendance_audit(attendance_id)');
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_attendance_audit_user ON attendance_audit(user_id, created_at)');
+        }
+    }
+
+    // Record a change
+    static async log({ attendanceId = null, userId = null, correctionId = null, action, changedBy = null, details = null }) {
+        try {
+            await executeQuery(`
+                INSERT INTO attendance_audit (attendance_id, user_id, correction_id, action, changed_by, details)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [attendanceId, userId, correctionId, action, changedBy, details ? JSON.stringify(details) : null]);
+            return true;
+        } catch (error) {
+            console.error('Error logging attendance change:', error);
+            throw error;
+        }
+    }
+
+    // Get changes, newest first, optionally for one record, employee or correction
+    static async findAll(filters = {}) {
+        try {
+            let query = `
+                SELECT au.*, c.name as changed_by_name
+                FROM attendance_audit au
+                LEFT JOIN users c ON au.changed_by = c.id
+                WHERE 1=1
+            `;
+            const params = [];
+
+            if (filters.attendanceId) {
+                query += ' AND au.attendance_id = ?';
+                params.push(filters.attendanceId);
+            }
+
+            if (filters.userId) {
+                query += ' AND au.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.correctionId) {
+                query += ' AND au.correction_id = ?';
+                params.push(filters.correctionId);
+            }
+
+            query += ' ORDER BY au.created_at DESC, au.id DESC';
+
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(parseInt(filters.limit));
+            }
+
+            const results = await executeQuery(query, params);
+            return results.map(entry => new AttendanceAudit(entry));
+        } catch (error) {
+            console.error('Error finding attendance changes:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AttendanceAudit;
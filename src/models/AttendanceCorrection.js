@@ -0,0 +1,264 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// A missed scan an employee asks to add to a work day. Once approved the
+// scan is recorded as a new attendance row flagged `corrected` and linked
+// back through attendance_id; the original scans are left untouched.
+// Check-outs closed by the end-of-day job come in as `auto_close`
+// corrections already linked to the system check-out, for the employee to
+// give the real time and a manager to confirm.
+class AttendanceCorrection {
+    constructor(correctionData) {
+        this.id = correctionData.id;
+        this.userId = correctionData.user_id;
+        this.userName = correctionData.user_name || null;
+        this.department = correctionData.department || null;
+        this.workDate = correctionData.work_date ? moment(correctionData.work_date).format('YYYY-MM-DD') : null;
+        this.actionType = correctionData.action_type;
+        this.scanTime = correctionData.scan_time ? moment(correctionData.scan_time).format('YYYY-MM-DD HH:mm:ss') : null;
+        this.reason = correctionData.reason;
+        this.source = correctionData.source || 'staff';
+        this.status = correctionData.status;
+        this.attendanceId = correctionData.attendance_id || null;
+        this.reviewedBy = correctionData.reviewed_by;
+        this.reviewerName = correctionData.reviewer_name || null;
+        this.reviewedAt = correctionData.reviewed_at;
+        this.reviewNote = correctionData.review_note;
+        this.createdAt = correctionData.created_at;
+        this.updatedAt = correctionData.updated_at;
+    }
+
+    static get STATUSES() {
+        return ['pending', 'approved', 'rejected', 'cancelled'];
+    }
+
+    static get SOURCES() {
+        return ['staff', 'auto_close'];
+    }
+
+    static get ACTION_TYPES() {
+        return ['check_in', 'check_out'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_corrections (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    work_date DATE NOT NULL,
+                    action_type VARCHAR(20) NOT NULL,
+                    scan_time DATETIME NOT NULL,
+                    reason TEXT NOT NULL,
+                    source VARCHAR(20) DEFAULT 'staff',
+                    status VARCHAR(20) DEFAULT 'pending',
+                    attendance_id INT NULL,
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_attendance_corrections_user (user_id, work_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_corrections (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    work_date DATE NOT NULL,
+                    action_type VARCHAR(20) NOT NULL,
+                    scan_time DATETIME NOT NULL,
+                    reason TEXT NOT NULL,
+                    source VARCHAR(20) DEFAULT 'staff',
+                    status VARCHAR(20) DEFAULT 'pending',
+                    attendance_id INTEGER NULL,
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_attendance_corrections_user ON attendance_corrections(user_id, work_date)');
+        }
+
+        // Tables created before automatic check-out lack source
+        const columns = DB_TYPE === 'mysql'
+            ? await executeQuery("SHOW COLUMNS FROM attendance_corrections LIKE 'source'")
+            : (await executeQuery('PRAGMA table_info(attendance_corrections)')).filter(column => column.name === 'source');
+        if (columns.length === 0) {
+            await executeQuery("ALTER TABLE attendance_corrections ADD COLUMN source VARCHAR(20) DEFAULT 'staff'");
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT ac.*, u.name as user_name, u.department, r.name as reviewer_name
+            FROM attendance_corrections ac
+            LEFT JOIN users u ON ac.user_id = u.id
+            LEFT JOIN users r ON ac.reviewed_by = r.id
+        `;
+    }
+
+    // Get corrections, optionally filtered by user, status, source, departments or work dates
+    static async findAll(filters = {}) {
+        try {
+            let query = `${AttendanceCorrection.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND ac.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.status) {
+                query += ' AND ac.status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.source) {
+                query += ' AND ac.source = ?';
+                params.push(filters.source);
+            }
+
+            if (filters.departments) {
+                if (filters.departments.length === 0) return [];
+                query += ` AND u.department IN (${filters.departments.map(() => '?').join(', ')})`;
+                params.push(...filters.departments);
+            }
+
+            if (filters.startDate) {
+                query += ' AND ac.work_date >= ?';
+                params.push(filters.startDate);
+            }
+
+            if (filters.endDate) {
+                query += ' AND ac.work_date <= ?';
+                params.push(filters.endDate);
+            }
+
+            query += ' ORDER BY ac.work_date DESC, ac.id DESC';
+            const results = await executeQuery(query, params);
+            return results.map(correction => new AttendanceCorrection(correction));
+        } catch (error) {
+            console.error('Error finding attendance corrections:', error);
+            throw error;
+        }
+    }
+
+    // Find correction by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${AttendanceCorrection.baseQuery()} WHERE ac.id = ?`, [id]);
+            return results.length > 0 ? new AttendanceCorrection(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding attendance correction by ID:', error);
+            throw error;
+        }
+    }
+
+    // Pending request of a user for the same scan of a work day
+    static async findPending(userId, workDate, actionType) {
+        try {
+            const results = await executeQuery(`
+                ${AttendanceCorrection.baseQuery()}
+                WHERE ac.user_id = ? AND ac.work_date = ? AND ac.action_type = ? AND ac.status = 'pending'
+            `, [userId, workDate, actionType]);
+            return results.length > 0 ? new AttendanceCorrection(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding pending attendance correction:', error);
+            throw error;
+        }
+    }
+
+    // Whether the end-of-day job already closed a user's work day, whatever
+    // became of its correction since
+    static async hasAutoClose(userId, workDate) {
+        try {
+            const results = await executeQuery(
+                "SELECT id FROM attendance_corrections WHERE user_id = ? AND work_date = ? AND source = 'auto_close'",
+                [userId, workDate]
+            );
+            return results.length > 0;
+        } catch (error) {
+            console.error('Error finding automatic check-out correction:', error);
+            throw error;
+        }
+    }
+
+    // Create new request
+    static async create(correctionData) {
+        try {
+            const query = `
+                INSERT INTO attendance_corrections (user_id, work_date, action_type, scan_time, reason, source, status)
+                VALUES (?, ?, ?, ?, ?, ?, 'pending')
+            `;
+            const result = await executeQuery(query, [
+                correctionData.userId,
+                correctionData.workDate,
+                correctionData.actionType,
+                correctionData.scanTime,
+                correctionData.reason,
+                correctionData.source || 'staff'
+            ]);
+            return await AttendanceCorrection.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating attendance correction:', error);
+            throw error;
+        }
+    }
+
+    // Link the attendance row a request stands for
+    static async linkAttendance(id, attendanceId) {
+        try {
+            await executeQuery(
+                'UPDATE attendance_corrections SET attendance_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [attendanceId, id]
+            );
+            return await AttendanceCorrection.findById(id);
+        } catch (error) {
+            console.error('Error linking attendance correction:', error);
+            throw error;
+        }
+    }
+
+    // Replace the time and reason of a pending request
+    static async amend(id, scanTime, reason) {
+        try {
+            await executeQuery(`
+                UPDATE attendance_corrections
+                SET scan_time = ?, reason = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `, [scanTime, reason, id]);
+            return await AttendanceCorrection.findById(id);
+        } catch (error) {
+            console.error('Error amending attendance correction:', error);
+            throw error;
+        }
+    }
+
+    // Approve, reject or cancel a request. Approval links the attendance row
+    // it created; cancelling (no reviewer) only changes the status.
+    static async setStatus(id, status, reviewedBy = null, note = null, attendanceId = null) {
+        try {
+            if (reviewedBy) {
+                await executeQuery(`
+                    UPDATE attendance_corrections
+                    SET status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?,
+                        attendance_id = COALESCE(?, attendance_id), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [status, reviewedBy, moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss'), note || null, attendanceId, id]);
+            } else {
+                await executeQuery(
+                    'UPDATE attendance_corrections SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, id]
+                );
+            }
+            return await AttendanceCorrection.findById(id);
+        } catch (error) {
+            console.error('Error updating attendance correction status:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AttendanceCorrection;
@@ -0,0 +1,295 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Rules a work day is judged by. The policy without a department is the
+// company default; a department policy replaces it for that department.
+//   graceMinutes       minutes after shift start before a check-in is late (null = shift's grace)
+//   earlyLeaveMinutes  minutes before shift end a check-out is tolerated
+//   roundingMinutes    worked time is rounded to this step (0 = no rounding)
+//   roundingMode       down | nearest | up
+//   halfDayHours       worked hours below this count as a half day (0 = off)
+//   minHours           worked hours below this count as absent (0 = off)
+//   overtimeWeekdayRate, overtimeWeekendRate, overtimeHolidayRate
+//                      pay multiplier of overtime on a working day, a day off, a holiday
+//   overtimeNightRate  premium added to the multiplier for night overtime
+//   overtimeRequiresApproval  only overtime covered by an approved request counts
+class AttendancePolicy {
+    constructor(policyData) {
+        this.id = policyData.id || null;
+        this.name = policyData.name;
+        this.department = policyData.department || null;
+        this.graceMinutes = policyData.grace_minutes === null || policyData.grace_minutes === undefined
+            ? null
+            : parseInt(policyData.grace_minutes);
+        this.earlyLeaveMinutes = parseInt(policyData.early_leave_minutes) || 0;
+        this.roundingMinutes = parseInt(policyData.rounding_minutes) || 0;
+        this.roundingMode = policyData.rounding_mode || 'down';
+        this.halfDayHours = parseFloat(policyData.half_day_hours) || 0;
+        this.minHours = parseFloat(policyData.min_hours) || 0;
+        this.overtimeWeekdayRate = AttendancePolicy.parseRate(policyData.overtime_weekday_rate, 1.5);
+        this.overtimeWeekendRate = AttendancePolicy.parseRate(policyData.overtime_weekend_rate, 2);
+        this.overtimeHolidayRate = AttendancePolicy.parseRate(policyData.overtime_holiday_rate, 3);
+        this.overtimeNightRate = AttendancePolicy.parseRate(policyData.overtime_night_rate, 0.3);
+        this.overtimeRequiresApproval = !!policyData.overtime_requires_approval;
+        this.isActive = policyData.is_active === undefined ? true : !!policyData.is_active;
+        this.createdAt = policyData.created_at;
+        this.updatedAt = policyData.updated_at;
+    }
+
+    static get ROUNDING_MODES() {
+        return ['down', 'nearest', 'up'];
+    }
+
+    static parseRate(value, fallback) {
+        return value === null || value === undefined || value === '' || isNaN(parseFloat(value))
+            ? fallback
+            : parseFloat(value);
+    }
+
+    // Used when no policy has been configured
+    static get DEFAULT() {
+        return new AttendancePolicy({ name: 'Mặc định' });
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_policies (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    department VARCHAR(100) NULL UNIQUE,
+                    grace_minutes INT NULL,
+                    early_leave_minutes INT DEFAULT 0,
+                    rounding_minutes INT DEFAULT 0,
+                    rounding_mode VARCHAR(10) DEFAULT 'down',
+                    half_day_hours DECIMAL(4,2) DEFAULT 0,
+                    min_hours DECIMAL(4,2) DEFAULT 0,
+                    is_active TINYINT(1) DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS attendance_policies (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL,
+                    department VARCHAR(100) NULL UNIQUE,
+                    grace_minutes INTEGER NULL,
+                    early_leave_minutes INTEGER DEFAULT 0,
+                    rounding_minutes INTEGER DEFAULT 0,
+                    rounding_mode VARCHAR(10) DEFAULT 'down',
+                    half_day_hours DECIMAL(4,2) DEFAULT 0,
+                    min_hours DECIMAL(4,2) DEFAULT 0,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+
+        // Tables created before overtime tracking lack its rules
+        const definitions = {
+            overtime_weekday_rate: 'DECIMAL(4,2) DEFAULT 1.5',
+            overtime_weekend_rate: 'DECIMAL(4,2) DEFAULT 2',
+            overtime_holiday_rate: 'DECIMAL(4,2) DEFAULT 3',
+            overtime_night_rate: 'DECIMAL(4,2) DEFAULT 0.3',
+            overtime_requires_approval: DB_TYPE === 'mysql' ? 'TINYINT(1) DEFAULT 0' : 'BOOLEAN DEFAULT 0'
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            const columns = DB_TYPE === 'mysql'
+                ? await executeQuery(`SHOW COLUMNS FROM attendance_policies LIKE '${name}'`)
+                : (await executeQuery('PRAGMA table_info(attendance_policies)')).filter(column => column.name === name);
+            if (columns.length === 0) {
+                await executeQuery(`ALTER TABLE attendance_policies ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    // Get all policies, company default first
+    static async findAll() {
+        try {
+            const results = await executeQuery(
+                'SELECT * FROM attendance_policies ORDER BY department IS NOT NULL, department ASC'
+            );
+            return results.map(policy => new AttendancePolicy(policy));
+        } catch (error) {
+            console.error('Error finding attendance policies:', error);
+            throw error;
+        }
+    }
+
+    // Find policy by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM attendance_policies WHERE id = ?', [id]);
+            return results.length > 0 ? new AttendancePolicy(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding attendance policy by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find the policy configured for a department (null = company default)
+    static async findByDepartment(department) {
+        try {
+            const results = department
+                ? await executeQuery('SELECT * FROM attendance_policies WHERE department = ?', [department])
+                : await executeQuery('SELECT * FROM attendance_policies WHERE department IS NULL');
+            return results.length > 0 ? new AttendancePolicy(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding attendance policy by department:', error);
+            throw error;
+        }
+    }
+
+    // Policy in effect for a department: its own, the company default, or the built-in one
+    static async resolve(department) {
+        if (department) {
+            const policy = await AttendancePolicy.findByDepartment(department);
+            if (policy && policy.isActive) return policy;
+        }
+        const policy = await AttendancePolicy.findByDepartment(null);
+        return policy && policy.isActive ? policy : AttendancePolicy.DEFAULT;
+    }
+
+    // Create new policy
+    static async create(policyData) {
+        try {
+            const query = `
+                INSERT INTO attendance_policies (
+                    name, department, grace_minutes, early_leave_minutes, rounding_minutes,
+                    rounding_mode, half_day_hours, min_hours, is_active,
+                    overtime_weekday_rate, overtime_weekend_rate, overtime_holiday_rate,
+                    overtime_night_rate, overtime_requires_approval
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                policyData.name,
+                policyData.department || null,
+                policyData.graceMinutes === undefined || policyData.graceMinutes === null || policyData.graceMinutes === ''
+                    ? null
+                    : parseInt(policyData.graceMinutes),
+                parseInt(policyData.earlyLeaveMinutes) || 0,
+                parseInt(policyData.roundingMinutes) || 0,
+                policyData.roundingMode || 'down',
+                parseFloat(policyData.halfDayHours) || 0,
+                parseFloat(policyData.minHours) || 0,
+                policyData.isActive === false ? 0 : 1,
+                AttendancePolicy.parseRate(policyData.overtimeWeekdayRate, 1.5),
+                AttendancePolicy.parseRate(policyData.overtimeWeekendRate, 2),
+                AttendancePolicy.parseRate(policyData.overtimeHolidayRate, 3),
+                AttendancePolicy.parseRate(policyData.overtimeNightRate, 0.3),
+                policyData.overtimeRequiresApproval ? 1 : 0
+            ]);
+            return await AttendancePolicy.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating attendance policy:', error);
+            throw error;
+        }
+    }
+
+    // Update policy
+    static async update(id, policyData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (policyData.name) {
+                updates.push('name = ?');
+                params.push(policyData.name);
+            }
+
+            if (policyData.graceMinutes !== undefined) {
+                updates.push('grace_minutes = ?');
+                params.push(policyData.graceMinutes === null || policyData.graceMinutes === '' ? null : parseInt(policyData.graceMinutes));
+            }
+
+            if (policyData.earlyLeaveMinutes !== undefined) {
+                updates.push('early_leave_minutes = ?');
+                params.push(parseInt(policyData.earlyLeaveMinutes) || 0);
+            }
+
+            if (policyData.roundingMinutes !== undefined) {
+                updates.push('rounding_minutes = ?');
+                params.push(parseInt(policyData.roundingMinutes) || 0);
+            }
+
+            if (policyData.roundingMode) {
+                updates.push('rounding_mode = ?');
+                params.push(policyData.roundingMode);
+            }
+
+            if (policyData.halfDayHours !== undefined) {
+                updates.push('half_day_hours = ?');
+                params.push(parseFloat(policyData.halfDayHours) || 0);
+            }
+
+            if (policyData.minHours !== undefined) {
+                updates.push('min_hours = ?');
+                params.push(parseFloat(policyData.minHours) || 0);
+            }
+
+            if (policyData.isActive !== undefined) {
+                updates.push('is_active = ?');
+                params.push(policyData.isActive ? 1 : 0);
+            }
+
+            const rates = {
+                overtimeWeekdayRate: 'overtime_weekday_rate',
+                overtimeWeekendRate: 'overtime_weekend_rate',
+                overtimeHolidayRate: 'overtime_holiday_rate',
+                overtimeNightRate: 'overtime_night_rate'
+            };
+            for (const [key, column] of Object.entries(rates)) {
+                if (policyData[key] !== undefined && policyData[key] !== null && policyData[key] !== '') {
+                    updates.push(`${column} = ?`);
+                    params.push(parseFloat(policyData[key]));
+                }
+            }
+
+            if (policyData.overtimeRequiresApproval !== undefined) {
+                updates.push('overtime_requires_approval = ?');
+                params.push(policyData.overtimeRequiresApproval ? 1 : 0);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE attendance_policies SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await AttendancePolicy.findById(id);
+        } catch (error) {
+            console.error('Error updating attendance policy:', error);
+            throw error;
+        }
+    }
+
+    // Delete policy
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM attendance_policies WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting attendance policy:', error);
+            throw error;
+        }
+    }
+
+    // Pay multiplier of overtime on a kind of day (see AttendanceRules.overtimeKind)
+    getOvertimeRate(kind) {
+        if (kind === 'holiday') return this.overtimeHolidayRate;
+        if (kind === 'rest_day') return this.overtimeWeekendRate;
+        return this.overtimeWeekdayRate;
+    }
+
+    // Round worked hours with the policy's step and mode
+    roundHours(hours) {
+        if (!this.roundingMinutes) return hours;
+        // Guard against float noise, e.g. 7.999999 steps
+        const steps = Math.round(((hours * 60) / this.roundingMinutes) * 1e6) / 1e6;
+        const rounded = this.roundingMode === 'up' ? Math.ceil(steps)
+            : this.roundingMode === 'nearest' ? Math.round(steps)
+                : Math.floor(steps);
+        return (rounded * this.roundingMinutes) / 60;
+    }
+}
+
+module.exports = AttendancePolicy;
@@ -0,0 +1,210 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Working-day calendar. Entries without a department apply company-wide;
+// a department entry for the same date replaces the company one.
+//   holiday      public holiday, nobody is scheduled
+//   company_off  company day off
+//   working_day  make-up working day (e.g. a Saturday around Tết); staff work
+//                the shift they would have on replaces_date, or the default shift
+class CalendarDay {
+    constructor(dayData) {
+        this.id = dayData.id;
+        this.date = dayData.date ? moment(dayData.date).format('YYYY-MM-DD') : null;
+        this.type = dayData.type;
+        this.name = dayData.name;
+        this.department = dayData.department || null;
+        this.replacesDate = dayData.replaces_date ? moment(dayData.replaces_date).format('YYYY-MM-DD') : null;
+        this.notes = dayData.notes;
+        this.createdBy = dayData.created_by;
+        this.createdAt = dayData.created_at;
+        this.updatedAt = dayData.updated_at;
+    }
+
+    static get TYPES() {
+        return ['holiday', 'company_off', 'working_day'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS calendar_days (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    date DATE NOT NULL,
+                    type VARCHAR(20) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    department VARCHAR(100) NULL,
+                    replaces_date DATE NULL,
+                    notes TEXT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_calendar_days_date (date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS calendar_days (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    date DATE NOT NULL,
+                    type VARCHAR(20) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    department VARCHAR(100) NULL,
+                    replaces_date DATE NULL,
+                    notes TEXT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_calendar_days_date ON calendar_days(date)');
+        }
+    }
+
+    // Get calendar entries, optionally in a date range or for one department
+    static async findAll(filters = {}) {
+        try {
+            let query = 'SELECT * FROM calendar_days WHERE 1=1';
+            const params = [];
+
+            if (filters.startDate) {
+                query += ' AND date >= ?';
+                params.push(filters.startDate);
+            }
+
+            if (filters.endDate) {
+                query += ' AND date <= ?';
+                params.push(filters.endDate);
+            }
+
+            if (filters.department) {
+                query += ' AND (department IS NULL OR department = ?)';
+                params.push(filters.department);
+            }
+
+            query += ' ORDER BY date ASC, department ASC';
+            const results = await executeQuery(query, params);
+            return results.map(day => new CalendarDay(day));
+        } catch (error) {
+            console.error('Error finding calendar days:', error);
+            throw error;
+        }
+    }
+
+    // Find calendar entry by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM calendar_days WHERE id = ?', [id]);
+            return results.length > 0 ? new CalendarDay(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding calendar day by ID:', error);
+            throw error;
+        }
+    }
+
+    // Entry of a date for exactly this scope (null = company-wide)
+    static async findByDateAndDepartment(date, department) {
+        try {
+            const results = department
+                ? await executeQuery('SELECT * FROM calendar_days WHERE date = ? AND department = ?', [date, department])
+                : await executeQuery('SELECT * FROM calendar_days WHERE date = ? AND department IS NULL', [date]);
+            return results.length > 0 ? new CalendarDay(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding calendar day:', error);
+            throw error;
+        }
+    }
+
+    // Entry in effect for a department on a date: its own, else the company one
+    static async findForDate(date, department = null) {
+        try {
+            const day = moment(date).format('YYYY-MM-DD');
+            const results = await executeQuery(
+                'SELECT * FROM calendar_days WHERE date = ? AND (department IS NULL OR department = ?)',
+                [day, department]
+            );
+            const entries = results.map(entry => new CalendarDay(entry));
+            return entries.find(entry => department && entry.department === department) ||
+                entries.find(entry => !entry.department) ||
+                null;
+        } catch (error) {
+            console.error('Error finding calendar day for date:', error);
+            throw error;
+        }
+    }
+
+    // Create new calendar entry
+    static async create(dayData) {
+        try {
+            const query = `
+                INSERT INTO calendar_days (date, type, name, department, replaces_date, notes, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                dayData.date,
+                dayData.type,
+                dayData.name,
+                dayData.department || null,
+                dayData.replacesDate || null,
+                dayData.notes || null,
+                dayData.createdBy || null
+            ]);
+            return await CalendarDay.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating calendar day:', error);
+            throw error;
+        }
+    }
+
+    // Update calendar entry (the date and department stay)
+    static async update(id, dayData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (dayData.type) {
+                updates.push('type = ?');
+                params.push(dayData.type);
+            }
+
+            if (dayData.name) {
+                updates.push('name = ?');
+                params.push(dayData.name);
+            }
+
+            if (dayData.replacesDate !== undefined) {
+                updates.push('replaces_date = ?');
+                params.push(dayData.replacesDate || null);
+            }
+
+            if (dayData.notes !== undefined) {
+                updates.push('notes = ?');
+                params.push(dayData.notes || null);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE calendar_days SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await CalendarDay.findById(id);
+        } catch (error) {
+            console.error('Error updating calendar day:', error);
+            throw error;
+        }
+    }
+
+    // Delete calendar entry
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM calendar_days WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting calendar day:', error);
+            throw error;
+        }
+    }
+
+    isDayOff() {
+        return this.type === 'holiday' || this.type === 'company_off';
+    }
+}
+
+module.exports = CalendarDay;
@@ -0,0 +1,270 @@
+const { executeQuery, executeTransaction, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Notes of the cards registered from printed user IDs, see importPrintedIdCards()
+const PRINTED_ID_NOTE = 'Thẻ in mã nhân viên (chuyển từ hệ thống cũ)';
+
+// RFID card issued to a user. A user can hold several cards; only active
+// and (unexpired) temporary cards are accepted at the readers.
+class Card {
+    constructor(cardData) {
+        this.id = cardData.id;
+        this.cardUid = cardData.card_uid;
+        this.userId = cardData.user_id;
+        this.userName = cardData.user_name || null;
+        this.status = cardData.status;
+        this.issuedAt = cardData.issued_at;
+        this.expiresAt = cardData.expires_at;
+        this.notes = cardData.notes;
+        this.createdAt = cardData.created_at;
+        this.updatedAt = cardData.updated_at;
+    }
+
+    static get STATUSES() {
+        return ['active', 'lost', 'revoked', 'temporary'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS cards (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    card_uid VARCHAR(50) NOT NULL UNIQUE,
+                    user_id VARCHAR(50) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    issued_at DATE NULL,
+                    expires_at DATE NULL,
+                    notes TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_cards_user (user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS cards (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    card_uid VARCHAR(50) NOT NULL UNIQUE,
+                    user_id VARCHAR(50) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    issued_at DATE NULL,
+                    expires_at DATE NULL,
+                    notes TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_cards_user ON cards(user_id)');
+        }
+
+        await Card.importPrintedIdCards();
+    }
+
+    // Before the registry a card carried its owner's user ID. Register those
+    // cards once, for active users holding no card yet, so they keep
+    // scanning; users added later only have the cards issued to them.
+    static async importPrintedIdCards() {
+        try {
+            const imported = await executeQuery('SELECT id FROM cards WHERE notes = ? LIMIT 1', [PRINTED_ID_NOTE]);
+            if (imported.length > 0) return 0;
+
+            // Required here: User depends on Card
+            const User = require('./User');
+            const users = await executeQuery(`
+                SELECT u.id FROM users u
+                WHERE u.is_active = true AND ${User.employeeCondition('u.account_type')}
+                  AND NOT EXISTS (SELECT 1 FROM cards c WHERE c.user_id = u.id OR c.card_uid = u.id)
+            `);
+            if (users.length === 0) return 0;
+
+            const issuedAt = moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+            await executeTransaction(users.map(user => ({
+                query: 'INSERT INTO cards (card_uid, user_id, status, issued_at, notes) VALUES (?, ?, ?, ?, ?)',
+                params: [String(user.id), user.id, 'active', issuedAt, PRINTED_ID_NOTE]
+            })));
+            console.log(`🪪 Registered ${users.length} cards printed with user IDs`);
+            return users.length;
+        } catch (error) {
+            console.error('Error importing printed ID cards:', error);
+            throw error;
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT c.*, u.name as user_name
+            FROM cards c
+            LEFT JOIN users u ON c.user_id = u.id
+        `;
+    }
+
+    // Get cards, optionally filtered by owner and status
+    static async findAll(filters = {}) {
+        try {
+            let query = `${Card.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND c.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.status) {
+                query += ' AND c.status = ?';
+                params.push(filters.status);
+            }
+
+            query += ' ORDER BY c.created_at DESC';
+            const results = await executeQuery(query, params);
+            return results.map(card => new Card(card));
+        } catch (error) {
+            console.error('Error finding cards:', error);
+            throw error;
+        }
+    }
+
+    // Find card by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${Card.baseQuery()} WHERE c.id = ?`, [id]);
+            return results.length > 0 ? new Card(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding card by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find card by the UID read from the tag
+    static async findByUid(cardUid) {
+        try {
+            const results = await executeQuery(`${Card.baseQuery()} WHERE c.card_uid = ?`, [cardUid]);
+            return results.length > 0 ? new Card(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding card by UID:', error);
+            throw error;
+        }
+    }
+
+    // Create new card
+    static async create(cardData) {
+        try {
+            const query = `
+                INSERT INTO cards (card_uid, user_id, status, issued_at, expires_at, notes)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                cardData.cardUid,
+                cardData.userId,
+                cardData.status || 'active',
+                cardData.issuedAt || moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD'),
+                cardData.expiresAt || null,
+                cardData.notes || null
+            ]);
+            return await Card.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating card:', error);
+            throw error;
+        }
+    }
+
+    // Update card
+    static async update(id, cardData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (cardData.userId) {
+                updates.push('user_id = ?');
+                params.push(cardData.userId);
+            }
+
+            if (cardData.status) {
+                updates.push('status = ?');
+                params.push(cardData.status);
+            }
+
+            if (cardData.issuedAt !== undefined) {
+                updates.push('issued_at = ?');
+                params.push(cardData.issuedAt || null);
+            }
+
+            if (cardData.expiresAt !== undefined) {
+                updates.push('expires_at = ?');
+                params.push(cardData.expiresAt || null);
+            }
+
+            if (cardData.notes !== undefined) {
+                updates.push('notes = ?');
+                params.push(cardData.notes || null);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE cards SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await Card.findById(id);
+        } catch (error) {
+            console.error('Error updating card:', error);
+            throw error;
+        }
+    }
+
+    // Delete card
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM cards WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting card:', error);
+            throw error;
+        }
+    }
+
+    // Mark a card lost/revoked and issue a new one to the same owner
+    static async replace(id, newCardData, oldStatus = 'lost') {
+        try {
+            const card = await Card.findById(id);
+            if (!card) return null;
+
+            const issuedAt = moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+            await executeTransaction([
+                {
+                    query: 'UPDATE cards SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    params: [oldStatus, id]
+                },
+                {
+                    query: 'INSERT INTO cards (card_uid, user_id, status, issued_at, expires_at, notes) VALUES (?, ?, ?, ?, ?, ?)',
+                    params: [
+                        newCardData.cardUid,
+                        card.userId,
+                        newCardData.status || 'active',
+                        issuedAt,
+                        newCardData.expiresAt || null,
+                        newCardData.notes || `Thay thế thẻ ${card.cardUid}`
+                    ]
+                }
+            ]);
+            return await Card.findByUid(newCardData.cardUid);
+        } catch (error) {
+            console.error('Error replacing card:', error);
+            throw error;
+        }
+    }
+
+    isExpired(date = moment().tz('Asia/Ho_Chi_Minh')) {
+        if (!this.expiresAt) return false;
+        return moment(this.expiresAt).format('YYYY-MM-DD') < date.format('YYYY-MM-DD');
+    }
+
+    // Whether the card may be used for attendance right now
+    isUsable(date) {
+        return (this.status === 'active' || this.status === 'temporary') && !this.isExpired(date);
+    }
+
+    // Reason a card is refused, for error messages
+    getRejectReason() {
+        if (this.isExpired()) return 'expired';
+        return this.isUsable() ? null : this.status;
+    }
+}
+
+module.exports = Card;
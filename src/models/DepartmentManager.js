@@ -0,0 +1,119 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Users who manage a department: they approve the requests (leave, ...) of
+// the department's employees. A user can manage several departments.
+class DepartmentManager {
+    constructor(managerData) {
+        this.id = managerData.id;
+        this.userId = managerData.user_id;
+        this.userName = managerData.user_name || null;
+        this.department = managerData.department;
+        this.createdAt = managerData.created_at;
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS department_managers (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    department VARCHAR(100) NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_department_manager (user_id, department)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS department_managers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    department VARCHAR(100) NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, department)
+                );`);
+        }
+    }
+
+    // Get all manager assignments
+    static async findAll() {
+        try {
+            const results = await executeQuery(`
+                SELECT dm.*, u.name as user_name
+                FROM department_managers dm
+                LEFT JOIN users u ON dm.user_id = u.id
+                ORDER BY dm.department ASC, u.name ASC
+            `);
+            return results.map(manager => new DepartmentManager(manager));
+        } catch (error) {
+            console.error('Error finding department managers:', error);
+            throw error;
+        }
+    }
+
+    // Find manager assignment by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM department_managers WHERE id = ?', [id]);
+            return results.length > 0 ? new DepartmentManager(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding department manager by ID:', error);
+            throw error;
+        }
+    }
+
+    // Departments a user manages
+    static async getDepartments(userId) {
+        try {
+            const results = await executeQuery('SELECT department FROM department_managers WHERE user_id = ?', [userId]);
+            return results.map(row => row.department);
+        } catch (error) {
+            console.error('Error finding managed departments:', error);
+            throw error;
+        }
+    }
+
+    static async isManagerOf(userId, department) {
+        if (!department) return false;
+        const departments = await DepartmentManager.getDepartments(userId);
+        return departments.includes(department);
+    }
+
+    // Whether an employee's department is within a scope: null (unrestricted)
+    // or the departments of a manager (see requireTeamPermission)
+    static inScope(departments, department) {
+        return !departments || departments.includes(department);
+    }
+
+    // Holders of the permission (manage_leave, edit_attendance, ...) review
+    // every request; managers those of their departments' employees
+    static async canReview(reviewer, department, permission) {
+        if (await reviewer.hasPermission(permission)) return true;
+        return await DepartmentManager.isManagerOf(reviewer.id, department);
+    }
+
+    // Make a user manager of a department
+    static async assign(userId, department) {
+        try {
+            const result = await executeQuery(
+                'INSERT INTO department_managers (user_id, department) VALUES (?, ?)',
+                [userId, department]
+            );
+            return await DepartmentManager.findById(result.insertId);
+        } catch (error) {
+            console.error('Error assigning department manager:', error);
+            throw error;
+        }
+    }
+
+    // Remove manager assignment
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM department_managers WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting department manager:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = DepartmentManager;
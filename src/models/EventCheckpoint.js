@@ -0,0 +1,118 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+class EventCheckpoint {
+    constructor(checkpointData) {
+        this.id = checkpointData.id;
+        this.eventName = checkpointData.event_name;
+        this.checkpointName = checkpointData.checkpoint_name;
+        this.checkpointType = checkpointData.checkpoint_type;
+        this.displayOrder = checkpointData.display_order;
+        this.isActive = checkpointData.is_active;
+        this.eventId = checkpointData.event_id || null;
+    }
+
+    // Ensure event_checkpoints table exists (use proper DDL by DB type to avoid noisy errors)
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS event_checkpoints (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    event_name VARCHAR(255) NOT NULL,
+                    checkpoint_name VARCHAR(100) NOT NULL,
+                    checkpoint_type VARCHAR(10) NOT NULL,
+                    display_order INT DEFAULT 1,
+                    is_active TINYINT(1) DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_event_checkpoint (event_name, checkpoint_name)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS event_checkpoints (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event_name TEXT NOT NULL,
+                    checkpoint_name TEXT NOT NULL,
+                    checkpoint_type TEXT NOT NULL,
+                    display_order INTEGER DEFAULT 1,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(event_name, checkpoint_name)
+                );`);
+        }
+    }
+
+    // Ensure event checkpoint logs table exists to store check actions
+    static async ensureLogsTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS event_checkpoint_logs (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    event_id INT NOT NULL,
+                    user_id VARCHAR(50) NOT NULL,
+                    checkpoint_name VARCHAR(100) NOT NULL,
+                    action_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    method VARCHAR(20) DEFAULT 'manual',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_event_user (event_id, user_id),
+                    INDEX idx_event_checkpoint (event_id, checkpoint_name),
+                    CONSTRAINT fk_ecl_event FOREIGN KEY (event_id) REFERENCES events(id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS event_checkpoint_logs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event_id INTEGER NOT NULL,
+                    user_id TEXT NOT NULL,
+                    checkpoint_name TEXT NOT NULL,
+                    action_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    method TEXT DEFAULT 'manual',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+    }
+
+    // Find checkpoint by ID, including the ID of the event it belongs to
+    static async findById(id) {
+        try {
+            const query = `
+                SELECT c.*, e.id as event_id
+                FROM event_checkpoints c
+                LEFT JOIN events e ON e.name = c.event_name
+                WHERE c.id = ?
+                LIMIT 1
+            `;
+            const results = await executeQuery(query, [id]);
+            return results.length > 0 ? new EventCheckpoint(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding event checkpoint by ID:', error);
+            throw error;
+        }
+    }
+
+    // Check whether an identifier is registered as participant of the event
+    static async isParticipant(eventId, userId) {
+        const rows = await executeQuery(
+            'SELECT id FROM event_participants WHERE event_id = ? AND user_id = ? LIMIT 1',
+            [eventId, userId]
+        );
+        return rows.length > 0;
+    }
+
+    // Record a check action at this checkpoint
+    async logCheck(userId, actionTime, method = 'rfid') {
+        try {
+            await EventCheckpoint.ensureLogsTable();
+            const result = await executeQuery(
+                'INSERT INTO event_checkpoint_logs (event_id, user_id, checkpoint_name, action_time, method) VALUES (?, ?, ?, ?, ?)',
+                [this.eventId, userId, this.checkpointName, actionTime, method]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error logging checkpoint action:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = EventCheckpoint;
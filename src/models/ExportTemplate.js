@@ -0,0 +1,162 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Named payroll export layout defined by the accountants: which summary
+// fields go in which order, under which header and number format, and
+// whether the file is xlsx or CSV. Columns are stored as JSON
+// [{ field, header, numberFormat }].
+class ExportTemplate {
+    constructor(templateData) {
+        this.id = templateData.id;
+        this.name = templateData.name;
+        this.description = templateData.description;
+        this.format = templateData.format;
+        this.columns = ExportTemplate.parseColumns(templateData.columns);
+        this.createdBy = templateData.created_by;
+        this.createdAt = templateData.created_at;
+        this.updatedAt = templateData.updated_at;
+    }
+
+    static get FORMATS() {
+        return ['xlsx', 'csv'];
+    }
+
+    static parseColumns(columns) {
+        if (!columns) return [];
+        try {
+            return JSON.parse(columns);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS export_templates (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    description TEXT NULL,
+                    format VARCHAR(10) DEFAULT 'xlsx',
+                    columns TEXT NOT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS export_templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    description TEXT NULL,
+                    format VARCHAR(10) DEFAULT 'xlsx',
+                    columns TEXT NOT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+    }
+
+    // Get all templates
+    static async findAll() {
+        try {
+            const results = await executeQuery('SELECT * FROM export_templates ORDER BY name ASC');
+            return results.map(template => new ExportTemplate(template));
+        } catch (error) {
+            console.error('Error finding export templates:', error);
+            throw error;
+        }
+    }
+
+    // Find template by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM export_templates WHERE id = ?', [id]);
+            return results.length > 0 ? new ExportTemplate(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding export template by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find template by name
+    static async findByName(name) {
+        try {
+            const results = await executeQuery('SELECT * FROM export_templates WHERE name = ?', [name]);
+            return results.length > 0 ? new ExportTemplate(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding export template by name:', error);
+            throw error;
+        }
+    }
+
+    // Create new template
+    static async create(templateData) {
+        try {
+            const result = await executeQuery(`
+                INSERT INTO export_templates (name, description, format, columns, created_by)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                templateData.name,
+                templateData.description || null,
+                templateData.format || 'xlsx',
+                JSON.stringify(templateData.columns),
+                templateData.createdBy || null
+            ]);
+            return await ExportTemplate.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating export template:', error);
+            throw error;
+        }
+    }
+
+    // Update template
+    static async update(id, templateData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (templateData.name) {
+                updates.push('name = ?');
+                params.push(templateData.name);
+            }
+
+            if (templateData.description !== undefined) {
+                updates.push('description = ?');
+                params.push(templateData.description || null);
+            }
+
+            if (templateData.format) {
+                updates.push('format = ?');
+                params.push(templateData.format);
+            }
+
+            if (templateData.columns) {
+                updates.push('columns = ?');
+                params.push(JSON.stringify(templateData.columns));
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE export_templates SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await ExportTemplate.findById(id);
+        } catch (error) {
+            console.error('Error updating export template:', error);
+            throw error;
+        }
+    }
+
+    // Delete template
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM export_templates WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting export template:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ExportTemplate;
@@ -0,0 +1,98 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const LeaveType = require('./LeaveType');
+const LeaveRequest = require('./LeaveRequest');
+
+// Yearly leave entitlement of a user for a leave type, when it differs from
+// the type's allowance (seniority, carried-over days, ...).
+class LeaveBalance {
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_balances (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    leave_type_id INT NOT NULL,
+                    year INT NOT NULL,
+                    entitled_days DECIMAL(5,1) NOT NULL,
+                    notes TEXT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_leave_balance (user_id, leave_type_id, year)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_balances (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    leave_type_id INTEGER NOT NULL,
+                    year INTEGER NOT NULL,
+                    entitled_days DECIMAL(5,1) NOT NULL,
+                    notes TEXT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, leave_type_id, year)
+                );`);
+        }
+    }
+
+    // Days a user is entitled to: the override for the year, else the type's allowance
+    static async getEntitlement(userId, leaveType, year) {
+        try {
+            const results = await executeQuery(
+                'SELECT entitled_days FROM leave_balances WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+                [userId, leaveType.id, year]
+            );
+            return results.length > 0 ? parseFloat(results[0].entitled_days) : leaveType.annualDays;
+        } catch (error) {
+            console.error('Error finding leave entitlement:', error);
+            throw error;
+        }
+    }
+
+    // Set a user's entitlement for a year
+    static async setEntitlement(userId, leaveTypeId, year, entitledDays, notes = null) {
+        try {
+            await executeQuery(
+                'DELETE FROM leave_balances WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+                [userId, leaveTypeId, year]
+            );
+            await executeQuery(`
+                INSERT INTO leave_balances (user_id, leave_type_id, year, entitled_days, notes)
+                VALUES (?, ?, ?, ?, ?)
+            `, [userId, leaveTypeId, year, entitledDays, notes]);
+            return true;
+        } catch (error) {
+            console.error('Error setting leave entitlement:', error);
+            throw error;
+        }
+    }
+
+    // Balance of a leave type for a user in a year. remaining is null for
+    // leave types without a limit.
+    static async getBalance(userId, leaveType, year) {
+        const entitled = await LeaveBalance.getEntitlement(userId, leaveType, year);
+        const used = await LeaveRequest.sumDays(userId, leaveType.id, year, ['approved']);
+        const pending = await LeaveRequest.sumDays(userId, leaveType.id, year, ['pending']);
+
+        return {
+            leaveTypeId: leaveType.id,
+            code: leaveType.code,
+            name: leaveType.name,
+            isPaid: leaveType.isPaid,
+            entitled,
+            used,
+            pending,
+            remaining: entitled === null ? null : entitled - used - pending
+        };
+    }
+
+    // Balances of every active leave type for a user in a year
+    static async getBalances(userId, year) {
+        const types = await LeaveType.findAll(true);
+        const balances = [];
+        for (const type of types) {
+            balances.push(await LeaveBalance.getBalance(userId, type, year));
+        }
+        return balances;
+    }
+}
+
+module.exports = LeaveBalance;
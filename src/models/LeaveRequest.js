@@ -0,0 +1,270 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+const ShiftAssignment = require('./ShiftAssignment');
+
+// Leave requested by an employee, approved or rejected by an admin or a
+// manager of the employee's department. `days` counts the working days the
+// leave covers (holidays and days off excluded); a half-day leave covers a
+// single day.
+class LeaveRequest {
+    constructor(requestData) {
+        this.id = requestData.id;
+        this.userId = requestData.user_id;
+        this.userName = requestData.user_name || null;
+        this.department = requestData.department || null;
+        this.leaveTypeId = requestData.leave_type_id;
+        this.leaveTypeCode = requestData.leave_type_code || null;
+        this.leaveTypeName = requestData.leave_type_name || null;
+        this.startDate = requestData.start_date ? moment(requestData.start_date).format('YYYY-MM-DD') : null;
+        this.endDate = requestData.end_date ? moment(requestData.end_date).format('YYYY-MM-DD') : null;
+        this.halfDay = requestData.half_day || null;
+        this.days = parseFloat(requestData.days) || 0;
+        this.reason = requestData.reason;
+        this.status = requestData.status;
+        this.reviewedBy = requestData.reviewed_by;
+        this.reviewerName = requestData.reviewer_name || null;
+        this.reviewedAt = requestData.reviewed_at;
+        this.reviewNote = requestData.review_note;
+        this.createdAt = requestData.created_at;
+        this.updatedAt = requestData.updated_at;
+    }
+
+    static get STATUSES() {
+        return ['pending', 'approved', 'rejected', 'cancelled'];
+    }
+
+    static get HALF_DAYS() {
+        return ['morning', 'afternoon'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_requests (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    leave_type_id INT NOT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NOT NULL,
+                    half_day VARCHAR(10) NULL,
+                    days DECIMAL(5,1) DEFAULT 0,
+                    reason TEXT NULL,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_leave_requests_user (user_id, start_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_requests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    leave_type_id INTEGER NOT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NOT NULL,
+                    half_day VARCHAR(10) NULL,
+                    days DECIMAL(5,1) DEFAULT 0,
+                    reason TEXT NULL,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_leave_requests_user ON leave_requests(user_id, start_date)');
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT lr.*, u.name as user_name, u.department, lt.code as leave_type_code,
+                   lt.name as leave_type_name, r.name as reviewer_name
+            FROM leave_requests lr
+            LEFT JOIN users u ON lr.user_id = u.id
+            LEFT JOIN leave_types lt ON lr.leave_type_id = lt.id
+            LEFT JOIN users r ON lr.reviewed_by = r.id
+        `;
+    }
+
+    // Get requests, optionally filtered by user, status, departments or overlapping dates
+    static async findAll(filters = {}) {
+        try {
+            let query = `${LeaveRequest.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND lr.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.status) {
+                query += ' AND lr.status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.departments) {
+                if (filters.departments.length === 0) return [];
+                query += ` AND u.department IN (${filters.departments.map(() => '?').join(', ')})`;
+                params.push(...filters.departments);
+            }
+
+            if (filters.startDate) {
+                query += ' AND lr.end_date >= ?';
+                params.push(filters.startDate);
+            }
+
+            if (filters.endDate) {
+                query += ' AND lr.start_date <= ?';
+                params.push(filters.endDate);
+            }
+
+            query += ' ORDER BY lr.start_date DESC, lr.id DESC';
+            const results = await executeQuery(query, params);
+            return results.map(request => new LeaveRequest(request));
+        } catch (error) {
+            console.error('Error finding leave requests:', error);
+            throw error;
+        }
+    }
+
+    // Find request by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${LeaveRequest.baseQuery()} WHERE lr.id = ?`, [id]);
+            return results.length > 0 ? new LeaveRequest(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding leave request by ID:', error);
+            throw error;
+        }
+    }
+
+    // Pending or approved requests of a user overlapping a date range
+    static async findOverlapping(userId, startDate, endDate) {
+        try {
+            const results = await executeQuery(`
+                ${LeaveRequest.baseQuery()}
+                WHERE lr.user_id = ? AND lr.status IN ('pending', 'approved')
+                  AND lr.start_date <= ? AND lr.end_date >= ?
+            `, [userId, endDate, startDate]);
+            return results.map(request => new LeaveRequest(request));
+        } catch (error) {
+            console.error('Error finding overlapping leave requests:', error);
+            throw error;
+        }
+    }
+
+    // Approved leave of a user covering a date
+    static async findApprovedForDate(userId, date) {
+        const requests = await LeaveRequest.findOverlapping(userId, date, date);
+        return requests.find(request => request.status === 'approved') || null;
+    }
+
+    // Approved leave of everyone covering a date
+    static async findApprovedOn(date) {
+        return await LeaveRequest.findAll({ status: 'approved', startDate: date, endDate: date });
+    }
+
+    // Days of a leave type a user has taken (or asked for) in a year, by
+    // request status. A leave over New Year counts in each year with the
+    // working days it has there.
+    static async sumDays(userId, leaveTypeId, year, statuses = ['approved']) {
+        try {
+            const results = await executeQuery(`
+                SELECT * FROM leave_requests
+                WHERE user_id = ? AND leave_type_id = ? AND start_date <= ? AND end_date >= ?
+                  AND status IN (${statuses.map(() => '?').join(', ')})
+            `, [userId, leaveTypeId, `${year}-12-31`, `${year}-01-01`, ...statuses]);
+
+            let total = 0;
+            for (const request of results.map(row => new LeaveRequest(row))) {
+                total += (await request.getDaysByYear()).get(year) || 0;
+            }
+            return total;
+        } catch (error) {
+            console.error('Error summing leave days:', error);
+            throw error;
+        }
+    }
+
+    // Working days a leave would cover: days the user has a shift, or
+    // Monday to Friday when no shifts are set up
+    static async countWorkingDays(userId, startDate, endDate, halfDay = null) {
+        const days = await LeaveRequest.countWorkingDaysByYear(userId, startDate, endDate, halfDay);
+        return Array.from(days.values()).reduce((sum, count) => sum + count, 0);
+    }
+
+    // Working days a leave would cover in each calendar year: Map of year to days
+    static async countWorkingDaysByYear(userId, startDate, endDate, halfDay = null) {
+        const days = new Map();
+        const end = moment(endDate);
+        for (const day = moment(startDate); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+            const { shift, source } = await ShiftAssignment.findShiftForUser(userId, day.format('YYYY-MM-DD'));
+            if (shift || (!source && day.isoWeekday() <= 5)) {
+                days.set(day.year(), (days.get(day.year()) || 0) + (halfDay ? 0.5 : 1));
+            }
+        }
+        return days;
+    }
+
+    // Create new request
+    static async create(requestData) {
+        try {
+            const query = `
+                INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, half_day, days, reason, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+            `;
+            const result = await executeQuery(query, [
+                requestData.userId,
+                requestData.leaveTypeId,
+                requestData.startDate,
+                requestData.endDate,
+                requestData.halfDay || null,
+                requestData.days,
+                requestData.reason || null
+            ]);
+            return await LeaveRequest.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating leave request:', error);
+            throw error;
+        }
+    }
+
+    // Approve, reject or cancel a request. Cancelling (no reviewer) keeps
+    // the review of an approved request.
+    static async setStatus(id, status, reviewedBy = null, note = null) {
+        try {
+            if (reviewedBy) {
+                await executeQuery(`
+                    UPDATE leave_requests
+                    SET status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [status, reviewedBy, moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss'), note || null, id]);
+            } else {
+                await executeQuery(
+                    'UPDATE leave_requests SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, id]
+                );
+            }
+            return await LeaveRequest.findById(id);
+        } catch (error) {
+            console.error('Error updating leave request status:', error);
+            throw error;
+        }
+    }
+
+    // Days of this leave in each calendar year: the stored days, split
+    // again by working day only when the leave runs over New Year
+    async getDaysByYear() {
+        const startYear = moment(this.startDate).year();
+        if (startYear === moment(this.endDate).year()) {
+            return new Map([[startYear, this.days]]);
+        }
+        return await LeaveRequest.countWorkingDaysByYear(this.userId, this.startDate, this.endDate, this.halfDay);
+    }
+}
+
+module.exports = LeaveRequest;
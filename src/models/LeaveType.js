@@ -0,0 +1,162 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Kinds of leave with their yearly allowance. annual_days NULL means no
+// limit (e.g. unpaid leave); individual balances can override the allowance.
+class LeaveType {
+    constructor(typeData) {
+        this.id = typeData.id;
+        this.code = typeData.code;
+        this.name = typeData.name;
+        this.annualDays = typeData.annual_days === null || typeData.annual_days === undefined
+            ? null
+            : parseFloat(typeData.annual_days);
+        this.isPaid = !!typeData.is_paid;
+        this.isActive = !!typeData.is_active;
+        this.createdAt = typeData.created_at;
+        this.updatedAt = typeData.updated_at;
+    }
+
+    // Created with the table, following the Labour Code defaults
+    static get DEFAULTS() {
+        return [
+            { code: 'annual', name: 'Nghỉ phép năm', annualDays: 12, isPaid: true },
+            { code: 'sick', name: 'Nghỉ ốm', annualDays: 30, isPaid: true },
+            { code: 'unpaid', name: 'Nghỉ không lương', annualDays: null, isPaid: false }
+        ];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_types (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    code VARCHAR(30) NOT NULL UNIQUE,
+                    name VARCHAR(100) NOT NULL,
+                    annual_days DECIMAL(5,1) NULL,
+                    is_paid TINYINT(1) DEFAULT 1,
+                    is_active TINYINT(1) DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS leave_types (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    code VARCHAR(30) NOT NULL UNIQUE,
+                    name VARCHAR(100) NOT NULL,
+                    annual_days DECIMAL(5,1) NULL,
+                    is_paid BOOLEAN DEFAULT 1,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+
+        const [count] = await executeQuery('SELECT COUNT(*) as total FROM leave_types');
+        if (parseInt(count.total) === 0) {
+            for (const type of LeaveType.DEFAULTS) {
+                await LeaveType.create(type);
+            }
+        }
+    }
+
+    // Get all leave types
+    static async findAll(activeOnly = false) {
+        try {
+            let query = 'SELECT * FROM leave_types';
+            if (activeOnly) {
+                query += ' WHERE is_active = 1';
+            }
+            query += ' ORDER BY id ASC';
+            const results = await executeQuery(query);
+            return results.map(type => new LeaveType(type));
+        } catch (error) {
+            console.error('Error finding leave types:', error);
+            throw error;
+        }
+    }
+
+    // Find leave type by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM leave_types WHERE id = ?', [id]);
+            return results.length > 0 ? new LeaveType(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding leave type by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find leave type by code
+    static async findByCode(code) {
+        try {
+            const results = await executeQuery('SELECT * FROM leave_types WHERE code = ?', [code]);
+            return results.length > 0 ? new LeaveType(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding leave type by code:', error);
+            throw error;
+        }
+    }
+
+    // Create new leave type
+    static async create(typeData) {
+        try {
+            const query = `
+                INSERT INTO leave_types (code, name, annual_days, is_paid, is_active)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                typeData.code,
+                typeData.name,
+                typeData.annualDays === undefined || typeData.annualDays === null || typeData.annualDays === ''
+                    ? null
+                    : parseFloat(typeData.annualDays),
+                typeData.isPaid === false ? 0 : 1,
+                typeData.isActive === false ? 0 : 1
+            ]);
+            return await LeaveType.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating leave type:', error);
+            throw error;
+        }
+    }
+
+    // Update leave type (the code stays)
+    static async update(id, typeData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (typeData.name) {
+                updates.push('name = ?');
+                params.push(typeData.name);
+            }
+
+            if (typeData.annualDays !== undefined) {
+                updates.push('annual_days = ?');
+                params.push(typeData.annualDays === null || typeData.annualDays === '' ? null : parseFloat(typeData.annualDays));
+            }
+
+            if (typeData.isPaid !== undefined) {
+                updates.push('is_paid = ?');
+                params.push(typeData.isPaid ? 1 : 0);
+            }
+
+            if (typeData.isActive !== undefined) {
+                updates.push('is_active = ?');
+                params.push(typeData.isActive ? 1 : 0);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE leave_types SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await LeaveType.findById(id);
+        } catch (error) {
+            console.error('Error updating leave type:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = LeaveType;
@@ -0,0 +1,190 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Overtime an employee asks to work on a day, approved or rejected by an
+// admin or a manager of the employee's department. Where the attendance
+// policy requires approval, overtime of the day counts up to the approved
+// hours only.
+class OvertimeRequest {
+    constructor(requestData) {
+        this.id = requestData.id;
+        this.userId = requestData.user_id;
+        this.userName = requestData.user_name || null;
+        this.department = requestData.department || null;
+        this.workDate = requestData.work_date ? moment(requestData.work_date).format('YYYY-MM-DD') : null;
+        this.hours = parseFloat(requestData.hours) || 0;
+        this.reason = requestData.reason;
+        this.status = requestData.status;
+        this.reviewedBy = requestData.reviewed_by;
+        this.reviewerName = requestData.reviewer_name || null;
+        this.reviewedAt = requestData.reviewed_at;
+        this.reviewNote = requestData.review_note;
+        this.createdAt = requestData.created_at;
+        this.updatedAt = requestData.updated_at;
+    }
+
+    static get STATUSES() {
+        return ['pending', 'approved', 'rejected', 'cancelled'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS overtime_requests (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    work_date DATE NOT NULL,
+                    hours DECIMAL(4,2) NOT NULL,
+                    reason TEXT NOT NULL,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_overtime_requests_user (user_id, work_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS overtime_requests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(50) NOT NULL,
+                    work_date DATE NOT NULL,
+                    hours DECIMAL(4,2) NOT NULL,
+                    reason TEXT NOT NULL,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at DATETIME NULL,
+                    review_note TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_overtime_requests_user ON overtime_requests(user_id, work_date)');
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT o.*, u.name as user_name, u.department, r.name as reviewer_name
+            FROM overtime_requests o
+            LEFT JOIN users u ON o.user_id = u.id
+            LEFT JOIN users r ON o.reviewed_by = r.id
+        `;
+    }
+
+    // Get requests, optionally filtered by user, status, departments or work dates
+    static async findAll(filters = {}) {
+        try {
+            let query = `${OvertimeRequest.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND o.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.status) {
+                query += ' AND o.status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.departments) {
+                if (filters.departments.length === 0) return [];
+                query += ` AND u.department IN (${filters.departments.map(() => '?').join(', ')})`;
+                params.push(...filters.departments);
+            }
+
+            if (filters.startDate) {
+                query += ' AND o.work_date >= ?';
+                params.push(filters.startDate);
+            }
+
+            if (filters.endDate) {
+                query += ' AND o.work_date <= ?';
+                params.push(filters.endDate);
+            }
+
+            query += ' ORDER BY o.work_date DESC, o.id DESC';
+            const results = await executeQuery(query, params);
+            return results.map(request => new OvertimeRequest(request));
+        } catch (error) {
+            console.error('Error finding overtime requests:', error);
+            throw error;
+        }
+    }
+
+    // Find request by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${OvertimeRequest.baseQuery()} WHERE o.id = ?`, [id]);
+            return results.length > 0 ? new OvertimeRequest(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding overtime request by ID:', error);
+            throw error;
+        }
+    }
+
+    // Pending or approved request of a user for a work day
+    static async findActive(userId, workDate) {
+        try {
+            const results = await executeQuery(`
+                ${OvertimeRequest.baseQuery()}
+                WHERE o.user_id = ? AND o.work_date = ? AND o.status IN ('pending', 'approved')
+            `, [userId, workDate]);
+            return results.length > 0 ? new OvertimeRequest(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding active overtime request:', error);
+            throw error;
+        }
+    }
+
+    // Approved request of a user for a work day
+    static async findApprovedForDate(userId, workDate) {
+        const request = await OvertimeRequest.findActive(userId, workDate);
+        return request && request.status === 'approved' ? request : null;
+    }
+
+    // Create new request
+    static async create(requestData) {
+        try {
+            const result = await executeQuery(`
+                INSERT INTO overtime_requests (user_id, work_date, hours, reason, status)
+                VALUES (?, ?, ?, ?, 'pending')
+            `, [
+                requestData.userId,
+                requestData.workDate,
+                requestData.hours,
+                requestData.reason
+            ]);
+            return await OvertimeRequest.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating overtime request:', error);
+            throw error;
+        }
+    }
+
+    // Approve, reject or cancel a request. Cancelling (no reviewer) keeps
+    // the review of an approved request.
+    static async setStatus(id, status, reviewedBy = null, note = null) {
+        try {
+            if (reviewedBy) {
+                await executeQuery(`
+                    UPDATE overtime_requests
+                    SET status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [status, reviewedBy, moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss'), note || null, id]);
+            } else {
+                await executeQuery(
+                    'UPDATE overtime_requests SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, id]
+                );
+            }
+            return await OvertimeRequest.findById(id);
+        } catch (error) {
+            console.error('Error updating overtime request status:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = OvertimeRequest;
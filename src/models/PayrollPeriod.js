@@ -0,0 +1,296 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Pay period defined by an admin. Once locked (after payroll is exported)
+// attendance and work sessions of its days can no longer be recorded,
+// changed or deleted until it is reopened; every lock and reopen is logged
+// with who did it and, for reopening, why.
+class PayrollPeriod {
+    constructor(periodData) {
+        this.id = periodData.id;
+        this.name = periodData.name;
+        this.startDate = periodData.start_date ? moment(periodData.start_date).format('YYYY-MM-DD') : null;
+        this.endDate = periodData.end_date ? moment(periodData.end_date).format('YYYY-MM-DD') : null;
+        this.status = periodData.status;
+        this.lockedBy = periodData.locked_by;
+        this.lockedByName = periodData.locked_by_name || null;
+        this.lockedAt = periodData.locked_at;
+        this.notes = periodData.notes;
+        this.createdBy = periodData.created_by;
+        this.createdAt = periodData.created_at;
+        this.updatedAt = periodData.updated_at;
+    }
+
+    static get STATUSES() {
+        return ['open', 'locked'];
+    }
+
+    get isLocked() {
+        return this.status === 'locked';
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS payroll_periods (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NOT NULL,
+                    status VARCHAR(20) DEFAULT 'open',
+                    locked_by VARCHAR(50) NULL,
+                    locked_at DATETIME NULL,
+                    notes TEXT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_payroll_periods_dates (start_date, end_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS payroll_period_log (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    period_id INT NOT NULL,
+                    action VARCHAR(20) NOT NULL,
+                    reason TEXT NULL,
+                    user_id VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_payroll_period_log_period (period_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS payroll_periods (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NOT NULL,
+                    status VARCHAR(20) DEFAULT 'open',
+                    locked_by VARCHAR(50) NULL,
+                    locked_at DATETIME NULL,
+                    notes TEXT NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS payroll_period_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    period_id INTEGER NOT NULL,
+                    action VARCHAR(20) NOT NULL,
+                    reason TEXT NULL,
+                    user_id VARCHAR(50) NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_payroll_periods_dates ON payroll_periods(start_date, end_date)');
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_payroll_period_log_period ON payroll_period_log(period_id)');
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT p.*, u.name as locked_by_name
+            FROM payroll_periods p
+            LEFT JOIN users u ON p.locked_by = u.id
+        `;
+    }
+
+    // Get periods, newest first, optionally those overlapping a date range
+    static async findAll(filters = {}) {
+        try {
+            let query = `${PayrollPeriod.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.status) {
+                query += ' AND p.status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.startDate) {
+                query += ' AND p.end_date >= ?';
+                params.push(filters.startDate);
+            }
+
+            if (filters.endDate) {
+                query += ' AND p.start_date <= ?';
+                params.push(filters.endDate);
+            }
+
+            query += ' ORDER BY p.start_date DESC';
+            const results = await executeQuery(query, params);
+            return results.map(period => new PayrollPeriod(period));
+        } catch (error) {
+            console.error('Error finding payroll periods:', error);
+            throw error;
+        }
+    }
+
+    // Find period by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${PayrollPeriod.baseQuery()} WHERE p.id = ?`, [id]);
+            return results.length > 0 ? new PayrollPeriod(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding payroll period by ID:', error);
+            throw error;
+        }
+    }
+
+    // Periods overlapping a date range, other than the one being edited
+    static async findOverlapping(startDate, endDate, excludeId = null) {
+        const periods = await PayrollPeriod.findAll({ startDate, endDate });
+        return periods.filter(period => String(period.id) !== String(excludeId));
+    }
+
+    // Locked period containing a date
+    static async findLockedForDate(date) {
+        const day = moment(date).format('YYYY-MM-DD');
+        const periods = await PayrollPeriod.findAll({ status: 'locked', startDate: day, endDate: day });
+        return periods.length > 0 ? periods[0] : null;
+    }
+
+    // Refuse a write to a day of a locked period. The error carries
+    // code PERIOD_LOCKED and the period.
+    static async assertOpen(date) {
+        const period = await PayrollPeriod.findLockedForDate(date);
+        if (period) {
+            const error = new Error(`Kỳ lương "${period.name}" (${period.startDate} - ${period.endDate}) đã khóa`);
+            error.code = 'PERIOD_LOCKED';
+            error.period = period;
+            throw error;
+        }
+    }
+
+    // Create new period
+    static async create(periodData) {
+        try {
+            const result = await executeQuery(`
+                INSERT INTO payroll_periods (name, start_date, end_date, status, notes, created_by)
+                VALUES (?, ?, ?, 'open', ?, ?)
+            `, [
+                periodData.name,
+                periodData.startDate,
+                periodData.endDate,
+                periodData.notes || null,
+                periodData.createdBy || null
+            ]);
+            await PayrollPeriod.log(result.insertId, 'created', periodData.createdBy);
+            return await PayrollPeriod.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating payroll period:', error);
+            throw error;
+        }
+    }
+
+    // Update an open period
+    static async update(id, periodData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (periodData.name) {
+                updates.push('name = ?');
+                params.push(periodData.name);
+            }
+
+            if (periodData.startDate) {
+                updates.push('start_date = ?');
+                params.push(periodData.startDate);
+            }
+
+            if (periodData.endDate) {
+                updates.push('end_date = ?');
+                params.push(periodData.endDate);
+            }
+
+            if (periodData.notes !== undefined) {
+                updates.push('notes = ?');
+                params.push(periodData.notes || null);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE payroll_periods SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await PayrollPeriod.findById(id);
+        } catch (error) {
+            console.error('Error updating payroll period:', error);
+            throw error;
+        }
+    }
+
+    // Delete an open period; its log goes with it
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM payroll_period_log WHERE period_id = ?', [id]);
+            await executeQuery('DELETE FROM payroll_periods WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting payroll period:', error);
+            throw error;
+        }
+    }
+
+    // Lock a period
+    static async lock(id, userId) {
+        try {
+            await executeQuery(`
+                UPDATE payroll_periods
+                SET status = 'locked', locked_by = ?, locked_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [userId, moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss'), id]);
+            await PayrollPeriod.log(id, 'locked', userId);
+            return await PayrollPeriod.findById(id);
+        } catch (error) {
+            console.error('Error locking payroll period:', error);
+            throw error;
+        }
+    }
+
+    // Reopen a locked period; the reason is kept in the log
+    static async reopen(id, userId, reason) {
+        try {
+            await executeQuery(`
+                UPDATE payroll_periods
+                SET status = 'open', locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [id]);
+            await PayrollPeriod.log(id, 'reopened', userId, reason);
+            return await PayrollPeriod.findById(id);
+        } catch (error) {
+            console.error('Error reopening payroll period:', error);
+            throw error;
+        }
+    }
+
+    static async log(periodId, action, userId = null, reason = null) {
+        await executeQuery(
+            'INSERT INTO payroll_period_log (period_id, action, reason, user_id) VALUES (?, ?, ?, ?)',
+            [periodId, action, reason, userId || null]
+        );
+    }
+
+    // Lock/reopen history of a period, newest first
+    static async getLog(periodId) {
+        try {
+            const results = await executeQuery(`
+                SELECT l.*, u.name as user_name
+                FROM payroll_period_log l
+                LEFT JOIN users u ON l.user_id = u.id
+                WHERE l.period_id = ?
+                ORDER BY l.created_at DESC, l.id DESC
+            `, [periodId]);
+            return results.map(entry => ({
+                id: entry.id,
+                action: entry.action,
+                reason: entry.reason,
+                userId: entry.user_id,
+                userName: entry.user_name || null,
+                createdAt: entry.created_at
+            }));
+        } catch (error) {
+            console.error('Error finding payroll period log:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PayrollPeriod;
@@ -0,0 +1,212 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const EventCheckpoint = require('./EventCheckpoint');
+
+// Physical RFID reader bound to a location or an event checkpoint
+class Reader {
+    constructor(readerData) {
+        this.id = readerData.id;
+        this.name = readerData.name;
+        this.driver = readerData.driver;
+        this.options = Reader.parseOptions(readerData.options);
+        this.locationId = readerData.location_id;
+        this.locationName = readerData.location_name || null;
+        this.checkpointId = readerData.checkpoint_id;
+        this.eventName = readerData.event_name || null;
+        this.checkpointName = readerData.checkpoint_name || null;
+        this.isActive = !!readerData.is_active;
+        this.createdAt = readerData.created_at;
+        this.updatedAt = readerData.updated_at;
+    }
+
+    static parseOptions(options) {
+        if (!options) return {};
+        if (typeof options === 'object') return options;
+        try {
+            return JSON.parse(options);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static async ensureTable() {
+        await EventCheckpoint.ensureTable();
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS rfid_readers (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    driver VARCHAR(30) NOT NULL DEFAULT 'auto',
+                    options TEXT NULL,
+                    location_id INT NULL,
+                    checkpoint_id INT NULL,
+                    is_active TINYINT(1) DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS rfid_readers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    driver VARCHAR(30) NOT NULL DEFAULT 'auto',
+                    options TEXT NULL,
+                    location_id INTEGER NULL,
+                    checkpoint_id INTEGER NULL,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT r.*, l.name as location_name, c.event_name, c.checkpoint_name
+            FROM rfid_readers r
+            LEFT JOIN locations l ON r.location_id = l.id
+            LEFT JOIN event_checkpoints c ON r.checkpoint_id = c.id
+        `;
+    }
+
+    // Get all readers
+    static async findAll(activeOnly = false) {
+        try {
+            let query = Reader.baseQuery();
+            if (activeOnly) {
+                query += ' WHERE r.is_active = 1';
+            }
+            query += ' ORDER BY r.name ASC';
+            const results = await executeQuery(query);
+            return results.map(reader => new Reader(reader));
+        } catch (error) {
+            console.error('Error finding readers:', error);
+            throw error;
+        }
+    }
+
+    // Find reader by ID
+    static async findById(id) {
+        try {
+            const query = `${Reader.baseQuery()} WHERE r.id = ?`;
+            const results = await executeQuery(query, [id]);
+            return results.length > 0 ? new Reader(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding reader by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find reader by name
+    static async findByName(name) {
+        try {
+            const query = `${Reader.baseQuery()} WHERE r.name = ?`;
+            const results = await executeQuery(query, [name]);
+            return results.length > 0 ? new Reader(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding reader by name:', error);
+            throw error;
+        }
+    }
+
+    // Create new reader
+    static async create(readerData) {
+        try {
+            const query = `
+                INSERT INTO rfid_readers (name, driver, options, location_id, checkpoint_id, is_active)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                readerData.name,
+                readerData.driver || 'auto',
+                JSON.stringify(readerData.options || {}),
+                readerData.locationId || null,
+                readerData.checkpointId || null,
+                readerData.isActive === false ? 0 : 1
+            ]);
+            return await Reader.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating reader:', error);
+            throw error;
+        }
+    }
+
+    // Update reader
+    static async update(id, readerData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (readerData.name) {
+                updates.push('name = ?');
+                params.push(readerData.name);
+            }
+
+            if (readerData.driver) {
+                updates.push('driver = ?');
+                params.push(readerData.driver);
+            }
+
+            if (readerData.options !== undefined) {
+                updates.push('options = ?');
+                params.push(JSON.stringify(readerData.options || {}));
+            }
+
+            // A reader is bound to either a location or a checkpoint
+            if (readerData.locationId !== undefined || readerData.checkpointId !== undefined) {
+                updates.push('location_id = ?', 'checkpoint_id = ?');
+                params.push(readerData.locationId || null, readerData.checkpointId || null);
+            }
+
+            if (readerData.isActive !== undefined) {
+                updates.push('is_active = ?');
+                params.push(readerData.isActive ? 1 : 0);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            const query = `UPDATE rfid_readers SET ${updates.join(', ')} WHERE id = ?`;
+            await executeQuery(query, params);
+            return await Reader.findById(id);
+        } catch (error) {
+            console.error('Error updating reader:', error);
+            throw error;
+        }
+    }
+
+    // Delete reader
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM rfid_readers WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting reader:', error);
+            throw error;
+        }
+    }
+
+    // Driver configuration passed to RFIDService
+    toReaderConfig() {
+        return {
+            ...this.options,
+            id: this.id,
+            name: this.name,
+            driver: this.driver
+        };
+    }
+
+    // Binding summary attached to scans from this reader
+    getBinding() {
+        return {
+            readerId: this.id,
+            readerName: this.name,
+            locationId: this.locationId || null,
+            locationName: this.locationName,
+            checkpointId: this.checkpointId || null,
+            eventName: this.eventName,
+            checkpointName: this.checkpointName
+        };
+    }
+}
+
+module.exports = Reader;
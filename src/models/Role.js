@@ -0,0 +1,269 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+
+// Permissions a role can be granted. Routes are guarded by one of these
+// (requirePermission), never by a role name.
+const PERMISSIONS = {
+    check_in: 'Chấm công vào',
+    check_out: 'Chấm công ra',
+    view_own_attendance: 'Xem dữ liệu công và ca làm của bản thân',
+    submit_requests: 'Gửi đơn nghỉ phép, bổ sung công, tăng ca',
+    review_requests: 'Duyệt đơn của phòng ban mình quản lý',
+    use_api_tokens: 'Tạo và thu hồi API token cá nhân cho script, ứng dụng',
+    manage_team: 'Xem nhân viên, báo cáo, tải dữ liệu công và duyệt bổ sung công của phòng ban mình quản lý',
+    record_attendance: 'Chấm công hộ bằng thẻ (quầy, cổng)',
+    manage_events: 'Quản lý sự kiện, người tham gia và checkpoint',
+    view_dashboard: 'Xem trang quản trị',
+    view_reports: 'Xem báo cáo và dữ liệu chấm công',
+    edit_attendance: 'Sửa dữ liệu chấm công, duyệt bổ sung công',
+    manage_users: 'Quản lý nhân viên, thẻ RFID và quản lý phòng ban',
+    manage_leave: 'Quản lý nghỉ phép và tăng ca',
+    manage_schedules: 'Quản lý ca làm, lịch làm việc và chính sách chấm công',
+    manage_payroll: 'Quản lý kỳ lương và xuất bảng công',
+    manage_devices: 'Quản lý đầu đọc, vị trí và cấu hình mạng',
+    manage_system: 'Cài đặt và khởi động lại hệ thống',
+    manage_roles: 'Quản lý vai trò và phân quyền'
+};
+
+const SELF_SERVICE = ['check_in', 'check_out', 'view_own_attendance', 'submit_requests', 'review_requests', 'use_api_tokens'];
+
+// Permissions of each role code, read once per role and dropped on any change
+const permissionCache = new Map();
+
+// Roles that can be granted permissions; users.role holds the role code.
+// The built-in roles are created with the table with the access they had
+// when access was fixed in code, and cannot be deleted.
+class Role {
+    constructor(roleData) {
+        this.id = roleData.id;
+        this.code = roleData.code;
+        this.name = roleData.name;
+        this.description = roleData.description;
+        this.isSystem = !!roleData.is_system;
+        this.permissions = roleData.permissions || [];
+        this.userCount = roleData.user_count !== undefined ? parseInt(roleData.user_count) : undefined;
+        this.createdAt = roleData.created_at;
+        this.updatedAt = roleData.updated_at;
+    }
+
+    static get PERMISSIONS() {
+        return PERMISSIONS;
+    }
+
+    static get DEFAULTS() {
+        return [
+            { code: 'admin', name: 'Quản trị viên', permissions: Object.keys(PERMISSIONS) },
+            { code: 'event_manager', name: 'Quản lý sự kiện', permissions: [...SELF_SERVICE, 'record_attendance', 'manage_events', 'view_reports'] },
+            { code: 'department_manager', name: 'Quản lý phòng ban', permissions: [...SELF_SERVICE, 'manage_team'] },
+            { code: 'staff', name: 'Nhân viên', permissions: SELF_SERVICE },
+            { code: 'at_work', name: 'Nhân viên chấm công', permissions: ['check_in', 'check_out', 'view_own_attendance'] }
+        ];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    code VARCHAR(50) NOT NULL UNIQUE,
+                    name VARCHAR(100) NOT NULL,
+                    description TEXT NULL,
+                    is_system TINYINT(1) DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS role_permissions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    role_id INT NOT NULL,
+                    permission VARCHAR(50) NOT NULL,
+                    UNIQUE KEY uniq_role_permission (role_id, permission)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    code VARCHAR(50) NOT NULL UNIQUE,
+                    name VARCHAR(100) NOT NULL,
+                    description TEXT NULL,
+                    is_system BOOLEAN DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS role_permissions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    role_id INTEGER NOT NULL,
+                    permission VARCHAR(50) NOT NULL,
+                    UNIQUE(role_id, permission)
+                );`);
+        }
+
+        for (const role of Role.DEFAULTS) {
+            if (!(await Role.findByCode(role.code))) {
+                await Role.create({ ...role, isSystem: true });
+            }
+        }
+    }
+
+    static async loadPermissions(roleIds) {
+        if (roleIds.length === 0) return new Map();
+
+        const rows = await executeQuery(
+            `SELECT role_id, permission FROM role_permissions WHERE role_id IN (${roleIds.map(() => '?').join(', ')})`,
+            roleIds
+        );
+        const permissions = new Map();
+        rows.forEach(row => {
+            const key = String(row.role_id);
+            permissions.set(key, [...(permissions.get(key) || []), row.permission]);
+        });
+        return permissions;
+    }
+
+    // Get all roles with their permissions and number of users
+    static async findAll() {
+        try {
+            const results = await executeQuery(`
+                SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.code) as user_count
+                FROM roles r
+                ORDER BY r.is_system DESC, r.name ASC
+            `);
+            const permissions = await Role.loadPermissions(results.map(role => role.id));
+            return results.map(role => new Role({ ...role, permissions: permissions.get(String(role.id)) || [] }));
+        } catch (error) {
+            console.error('Error finding roles:', error);
+            throw error;
+        }
+    }
+
+    // Find role by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM roles WHERE id = ?', [id]);
+            if (results.length === 0) return null;
+
+            const permissions = await Role.loadPermissions([results[0].id]);
+            return new Role({ ...results[0], permissions: permissions.get(String(results[0].id)) || [] });
+        } catch (error) {
+            console.error('Error finding role by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find role by code
+    static async findByCode(code) {
+        try {
+            const results = await executeQuery('SELECT * FROM roles WHERE code = ?', [code]);
+            if (results.length === 0) return null;
+
+            const permissions = await Role.loadPermissions([results[0].id]);
+            return new Role({ ...results[0], permissions: permissions.get(String(results[0].id)) || [] });
+        } catch (error) {
+            console.error('Error finding role by code:', error);
+            throw error;
+        }
+    }
+
+    // Permissions granted to a role code; unknown roles have none
+    static async getPermissions(code) {
+        if (permissionCache.has(code)) {
+            return permissionCache.get(code);
+        }
+
+        const role = await Role.findByCode(code);
+        const permissions = role ? role.permissions : [];
+        permissionCache.set(code, permissions);
+        return permissions;
+    }
+
+    // Check that a role exists and grants nothing the assigning user lacks
+    // (within the scopes of their API token, if they use one); returns
+    // { error, message } or null
+    static async checkAssignable(code, actor) {
+        const role = await Role.findByCode(code);
+        if (!role) {
+            return { error: 'INVALID_ROLE', message: 'Vai trò không tồn tại' };
+        }
+
+        const own = await actor.getRolePermissions();
+        if (role.permissions.some(permission => !own.includes(permission))) {
+            return { error: 'ROLE_NOT_ALLOWED', message: 'Không thể gán vai trò có quyền mà bạn không có' };
+        }
+
+        return null;
+    }
+
+    static async setPermissions(roleId, permissions) {
+        await executeQuery('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+        for (const permission of new Set(permissions)) {
+            await executeQuery('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [roleId, permission]);
+        }
+    }
+
+    // Create new role
+    static async create(roleData) {
+        try {
+            const result = await executeQuery(`
+                INSERT INTO roles (code, name, description, is_system)
+                VALUES (?, ?, ?, ?)
+            `, [
+                roleData.code,
+                roleData.name,
+                roleData.description || null,
+                roleData.isSystem ? 1 : 0
+            ]);
+            await Role.setPermissions(result.insertId, roleData.permissions || []);
+            permissionCache.clear();
+            return await Role.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating role:', error);
+            throw error;
+        }
+    }
+
+    // Update name, description and permissions; the code stays as users refer to it
+    static async update(id, roleData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (roleData.name) {
+                updates.push('name = ?');
+                params.push(roleData.name);
+            }
+
+            if (roleData.description !== undefined) {
+                updates.push('description = ?');
+                params.push(roleData.description || null);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE roles SET ${updates.join(', ')} WHERE id = ?`, params);
+            if (roleData.permissions) {
+                await Role.setPermissions(id, roleData.permissions);
+            }
+            permissionCache.clear();
+            return await Role.findById(id);
+        } catch (error) {
+            console.error('Error updating role:', error);
+            throw error;
+        }
+    }
+
+    // Delete role
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+            await executeQuery('DELETE FROM roles WHERE id = ?', [id]);
+            permissionCache.clear();
+            return true;
+        } catch (error) {
+            console.error('Error deleting role:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Role;
@@ -0,0 +1,309 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Shift template: working hours, grace period before a check-in counts as
+// late, unpaid break, and how long after the end a forgotten check-out is
+// closed automatically. The default template applies to employees without
+// an assignment, on its working weekdays; the other weekdays are rest days.
+class Shift {
+    constructor(shiftData) {
+        this.id = shiftData.id;
+        this.name = shiftData.name;
+        this.startTime = Shift.normalizeTime(shiftData.start_time);
+        this.endTime = Shift.normalizeTime(shiftData.end_time);
+        this.graceMinutes = parseInt(shiftData.grace_minutes) || 0;
+        this.breakMinutes = parseInt(shiftData.break_minutes) || 0;
+        // null: the configured default
+        this.autoCheckoutMinutes = shiftData.auto_checkout_minutes === null || shiftData.auto_checkout_minutes === undefined
+            ? null
+            : parseInt(shiftData.auto_checkout_minutes);
+        // ISO weekdays (1 = Monday) worked when this is the default template
+        const weekdays = Shift.parseWeekdays(shiftData.weekdays);
+        this.weekdays = weekdays.length > 0 ? weekdays : Shift.DEFAULT_WEEKDAYS;
+        this.isDefault = !!shiftData.is_default;
+        this.isActive = !!shiftData.is_active;
+        this.createdAt = shiftData.created_at;
+        this.updatedAt = shiftData.updated_at;
+    }
+
+    // Monday to Friday
+    static get DEFAULT_WEEKDAYS() {
+        return [1, 2, 3, 4, 5];
+    }
+
+    static parseWeekdays(weekdays) {
+        if (!weekdays) return [];
+        if (Array.isArray(weekdays)) return weekdays.map(day => parseInt(day));
+        return String(weekdays).split(',').map(day => parseInt(day)).filter(day => day >= 1 && day <= 7);
+    }
+
+    static isValidWeekdays(weekdays) {
+        return Array.isArray(weekdays) && weekdays.length > 0 &&
+            weekdays.every(day => [1, 2, 3, 4, 5, 6, 7].includes(parseInt(day)));
+    }
+
+    // 'HH:mm:ss' from the database to 'HH:mm'
+    static normalizeTime(time) {
+        return time ? String(time).slice(0, 5) : null;
+    }
+
+    // Empty means "not set"
+    static parseOptionalMinutes(minutes) {
+        return minutes === undefined || minutes === null || minutes === '' ? null : parseInt(minutes);
+    }
+
+    static isValidTime(time) {
+        return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time);
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS shift_templates (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    start_time TIME NOT NULL,
+                    end_time TIME NOT NULL,
+                    grace_minutes INT DEFAULT 0,
+                    break_minutes INT DEFAULT 0,
+                    auto_checkout_minutes INT NULL,
+                    weekdays VARCHAR(20) NULL,
+                    is_default TINYINT(1) DEFAULT 0,
+                    is_active TINYINT(1) DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS shift_templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL UNIQUE,
+                    start_time TIME NOT NULL,
+                    end_time TIME NOT NULL,
+                    grace_minutes INTEGER DEFAULT 0,
+                    break_minutes INTEGER DEFAULT 0,
+                    auto_checkout_minutes INTEGER NULL,
+                    weekdays VARCHAR(20) NULL,
+                    is_default BOOLEAN DEFAULT 0,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+        }
+
+        // Tables created before automatic check-out and working weekdays lack those columns
+        const added = {
+            auto_checkout_minutes: 'ALTER TABLE shift_templates ADD COLUMN auto_checkout_minutes INT NULL',
+            weekdays: 'ALTER TABLE shift_templates ADD COLUMN weekdays VARCHAR(20) NULL'
+        };
+        for (const [column, alter] of Object.entries(added)) {
+            const columns = DB_TYPE === 'mysql'
+                ? await executeQuery(`SHOW COLUMNS FROM shift_templates LIKE '${column}'`)
+                : (await executeQuery('PRAGMA table_info(shift_templates)')).filter(existing => existing.name === column);
+            if (columns.length === 0) {
+                await executeQuery(alter);
+            }
+        }
+    }
+
+    // Get all shift templates
+    static async findAll(activeOnly = false) {
+        try {
+            let query = 'SELECT * FROM shift_templates';
+            if (activeOnly) {
+                query += ' WHERE is_active = 1';
+            }
+            query += ' ORDER BY start_time ASC, name ASC';
+            const results = await executeQuery(query);
+            return results.map(shift => new Shift(shift));
+        } catch (error) {
+            console.error('Error finding shifts:', error);
+            throw error;
+        }
+    }
+
+    // Find shift template by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery('SELECT * FROM shift_templates WHERE id = ?', [id]);
+            return results.length > 0 ? new Shift(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding shift by ID:', error);
+            throw error;
+        }
+    }
+
+    // Template used for employees without an assignment
+    static async findDefault() {
+        try {
+            const results = await executeQuery(
+                'SELECT * FROM shift_templates WHERE is_default = 1 AND is_active = 1 ORDER BY id ASC LIMIT 1'
+            );
+            return results.length > 0 ? new Shift(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding default shift:', error);
+            throw error;
+        }
+    }
+
+    // Create new shift template
+    static async create(shiftData) {
+        try {
+            if (shiftData.isDefault) {
+                await executeQuery('UPDATE shift_templates SET is_default = 0');
+            }
+
+            const query = `
+                INSERT INTO shift_templates (
+                    name, start_time, end_time, grace_minutes, break_minutes, auto_checkout_minutes, weekdays, is_default, is_active
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                shiftData.name,
+                shiftData.startTime,
+                shiftData.endTime,
+                parseInt(shiftData.graceMinutes) || 0,
+                parseInt(shiftData.breakMinutes) || 0,
+                Shift.parseOptionalMinutes(shiftData.autoCheckoutMinutes),
+                shiftData.weekdays ? Shift.parseWeekdays(shiftData.weekdays).join(',') : null,
+                shiftData.isDefault ? 1 : 0,
+                shiftData.isActive === false ? 0 : 1
+            ]);
+            return await Shift.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating shift:', error);
+            throw error;
+        }
+    }
+
+    // Update shift template
+    static async update(id, shiftData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (shiftData.name) {
+                updates.push('name = ?');
+                params.push(shiftData.name);
+            }
+
+            if (shiftData.startTime) {
+                updates.push('start_time = ?');
+                params.push(shiftData.startTime);
+            }
+
+            if (shiftData.endTime) {
+                updates.push('end_time = ?');
+                params.push(shiftData.endTime);
+            }
+
+            if (shiftData.graceMinutes !== undefined) {
+                updates.push('grace_minutes = ?');
+                params.push(parseInt(shiftData.graceMinutes) || 0);
+            }
+
+            if (shiftData.breakMinutes !== undefined) {
+                updates.push('break_minutes = ?');
+                params.push(parseInt(shiftData.breakMinutes) || 0);
+            }
+
+            if (shiftData.autoCheckoutMinutes !== undefined) {
+                updates.push('auto_checkout_minutes = ?');
+                params.push(Shift.parseOptionalMinutes(shiftData.autoCheckoutMinutes));
+            }
+
+            if (shiftData.weekdays !== undefined) {
+                updates.push('weekdays = ?');
+                params.push(shiftData.weekdays ? Shift.parseWeekdays(shiftData.weekdays).join(',') : null);
+            }
+
+            if (shiftData.isDefault !== undefined) {
+                if (shiftData.isDefault) {
+                    await executeQuery('UPDATE shift_templates SET is_default = 0');
+                }
+                updates.push('is_default = ?');
+                params.push(shiftData.isDefault ? 1 : 0);
+            }
+
+            if (shiftData.isActive !== undefined) {
+                updates.push('is_active = ?');
+                params.push(shiftData.isActive ? 1 : 0);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE shift_templates SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await Shift.findById(id);
+        } catch (error) {
+            console.error('Error updating shift:', error);
+            throw error;
+        }
+    }
+
+    // Delete shift template
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM shift_templates WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting shift:', error);
+            throw error;
+        }
+    }
+
+    // Whether a date falls on one of the template's working weekdays
+    worksOn(date) {
+        return this.weekdays.includes(moment(date).isoWeekday());
+    }
+
+    // Saturday and Sunday are both working weekdays
+    worksWeekends() {
+        return [6, 7].every(day => this.weekdays.includes(day));
+    }
+
+    // Shift ends on the next day
+    isOvernight() {
+        return this.endTime <= this.startTime;
+    }
+
+    // Start and end of the shift worked on a date
+    getWindow(date) {
+        const day = moment(date).format('YYYY-MM-DD');
+        const start = moment.tz(`${day} ${this.startTime}`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh');
+        const end = moment.tz(`${day} ${this.endTime}`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh');
+        if (this.isOvernight()) {
+            end.add(1, 'day');
+        }
+        return { start, end };
+    }
+
+    // When an open session of the shift worked on a date is closed
+    // automatically: the end of the shift plus its (or the default) delay
+    getAutoCheckoutCutoff(date, defaultMinutes = 0) {
+        const { end } = this.getWindow(date);
+        return end.add(this.autoCheckoutMinutes === null ? defaultMinutes : this.autoCheckoutMinutes, 'minutes');
+    }
+
+    // Scheduled working hours, break excluded
+    getPlannedHours() {
+        const { start, end } = this.getWindow(moment());
+        return Math.max(0, end.diff(start, 'minutes') - this.breakMinutes) / 60;
+    }
+
+    // Minutes late for a check-in; 0 within the grace period
+    getLateMinutes(checkInTime, date, graceMinutes = this.graceMinutes) {
+        const { start } = this.getWindow(date);
+        const late = moment.tz(checkInTime, 'Asia/Ho_Chi_Minh').diff(start, 'minutes');
+        return late > graceMinutes ? late : 0;
+    }
+
+    // Minutes a check-out came before the end of the shift; 0 within the tolerance
+    getEarlyLeaveMinutes(checkOutTime, date, toleranceMinutes = 0) {
+        const { end } = this.getWindow(date);
+        const early = end.diff(moment.tz(checkOutTime, 'Asia/Ho_Chi_Minh'), 'minutes');
+        return early > toleranceMinutes ? early : 0;
+    }
+}
+
+module.exports = Shift;
@@ -0,0 +1,351 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+const Shift = require('./Shift');
+const CalendarDay = require('./CalendarDay');
+
+// Assignment of shifts to a user or to a whole department from start_date
+// (until end_date, if set).
+//   weekly    shift_id on the ISO weekdays listed in `weekdays` (1 = Monday)
+//   rotating  `rotation` is a cycle of shift IDs (null = day off) starting at start_date
+// User assignments take precedence over department ones; employees with
+// neither work the default shift template on its working weekdays. Calendar
+// entries (holidays, make-up days) take precedence over all assignments.
+class ShiftAssignment {
+    constructor(assignmentData) {
+        this.id = assignmentData.id;
+        this.shiftId = assignmentData.shift_id;
+        this.shiftName = assignmentData.shift_name || null;
+        this.userId = assignmentData.user_id;
+        this.userName = assignmentData.user_name || null;
+        this.department = assignmentData.department;
+        this.pattern = assignmentData.pattern;
+        this.weekdays = ShiftAssignment.parseWeekdays(assignmentData.weekdays);
+        this.rotation = ShiftAssignment.parseRotation(assignmentData.rotation);
+        this.startDate = assignmentData.start_date;
+        this.endDate = assignmentData.end_date;
+        this.notes = assignmentData.notes;
+        this.createdAt = assignmentData.created_at;
+        this.updatedAt = assignmentData.updated_at;
+    }
+
+    static get PATTERNS() {
+        return ['weekly', 'rotating'];
+    }
+
+    static parseWeekdays(weekdays) {
+        return Shift.parseWeekdays(weekdays);
+    }
+
+    static parseRotation(rotation) {
+        if (!rotation) return [];
+        if (Array.isArray(rotation)) return rotation;
+        try {
+            return JSON.parse(rotation);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static async ensureTable() {
+        await Shift.ensureTable();
+        await CalendarDay.ensureTable();
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS shift_assignments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    shift_id INT NULL,
+                    user_id VARCHAR(50) NULL,
+                    department VARCHAR(100) NULL,
+                    pattern VARCHAR(20) NOT NULL DEFAULT 'weekly',
+                    weekdays VARCHAR(20) NULL,
+                    rotation TEXT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NULL,
+                    notes TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_shift_assignments_user (user_id),
+                    INDEX idx_shift_assignments_department (department)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS shift_assignments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shift_id INTEGER NULL,
+                    user_id VARCHAR(50) NULL,
+                    department VARCHAR(100) NULL,
+                    pattern VARCHAR(20) NOT NULL DEFAULT 'weekly',
+                    weekdays VARCHAR(20) NULL,
+                    rotation TEXT NULL,
+                    start_date DATE NOT NULL,
+                    end_date DATE NULL,
+                    notes TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_shift_assignments_user ON shift_assignments(user_id)');
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_shift_assignments_department ON shift_assignments(department)');
+        }
+    }
+
+    static baseQuery() {
+        return `
+            SELECT a.*, s.name as shift_name, u.name as user_name
+            FROM shift_assignments a
+            LEFT JOIN shift_templates s ON a.shift_id = s.id
+            LEFT JOIN users u ON a.user_id = u.id
+        `;
+    }
+
+    // Get assignments, optionally filtered by user or department
+    static async findAll(filters = {}) {
+        try {
+            let query = `${ShiftAssignment.baseQuery()} WHERE 1=1`;
+            const params = [];
+
+            if (filters.userId) {
+                query += ' AND a.user_id = ?';
+                params.push(filters.userId);
+            }
+
+            if (filters.department) {
+                query += ' AND a.department = ?';
+                params.push(filters.department);
+            }
+
+            query += ' ORDER BY a.start_date DESC, a.id DESC';
+            const results = await executeQuery(query, params);
+            return results.map(assignment => new ShiftAssignment(assignment));
+        } catch (error) {
+            console.error('Error finding shift assignments:', error);
+            throw error;
+        }
+    }
+
+    // Find assignment by ID
+    static async findById(id) {
+        try {
+            const results = await executeQuery(`${ShiftAssignment.baseQuery()} WHERE a.id = ?`, [id]);
+            return results.length > 0 ? new ShiftAssignment(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding shift assignment by ID:', error);
+            throw error;
+        }
+    }
+
+    // Create new assignment
+    static async create(assignmentData) {
+        try {
+            const query = `
+                INSERT INTO shift_assignments (shift_id, user_id, department, pattern, weekdays, rotation, start_date, end_date, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                assignmentData.shiftId || null,
+                assignmentData.userId || null,
+                assignmentData.department || null,
+                assignmentData.pattern || 'weekly',
+                assignmentData.weekdays ? assignmentData.weekdays.join(',') : null,
+                assignmentData.rotation ? JSON.stringify(assignmentData.rotation) : null,
+                assignmentData.startDate,
+                assignmentData.endDate || null,
+                assignmentData.notes || null
+            ]);
+            return await ShiftAssignment.findById(result.insertId);
+        } catch (error) {
+            console.error('Error creating shift assignment:', error);
+            throw error;
+        }
+    }
+
+    // Update assignment
+    static async update(id, assignmentData) {
+        try {
+            const updates = [];
+            const params = [];
+
+            if (assignmentData.shiftId !== undefined) {
+                updates.push('shift_id = ?');
+                params.push(assignmentData.shiftId || null);
+            }
+
+            if (assignmentData.pattern) {
+                updates.push('pattern = ?');
+                params.push(assignmentData.pattern);
+            }
+
+            if (assignmentData.weekdays !== undefined) {
+                updates.push('weekdays = ?');
+                params.push(assignmentData.weekdays ? assignmentData.weekdays.join(',') : null);
+            }
+
+            if (assignmentData.rotation !== undefined) {
+                updates.push('rotation = ?');
+                params.push(assignmentData.rotation ? JSON.stringify(assignmentData.rotation) : null);
+            }
+
+            if (assignmentData.startDate) {
+                updates.push('start_date = ?');
+                params.push(assignmentData.startDate);
+            }
+
+            if (assignmentData.endDate !== undefined) {
+                updates.push('end_date = ?');
+                params.push(assignmentData.endDate || null);
+            }
+
+            if (assignmentData.notes !== undefined) {
+                updates.push('notes = ?');
+                params.push(assignmentData.notes || null);
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await executeQuery(`UPDATE shift_assignments SET ${updates.join(', ')} WHERE id = ?`, params);
+            return await ShiftAssignment.findById(id);
+        } catch (error) {
+            console.error('Error updating shift assignment:', error);
+            throw error;
+        }
+    }
+
+    // Delete assignment
+    static async delete(id) {
+        try {
+            await executeQuery('DELETE FROM shift_assignments WHERE id = ?', [id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting shift assignment:', error);
+            throw error;
+        }
+    }
+
+    // Number of assignments that schedule a shift template
+    static async countByShift(shiftId) {
+        try {
+            const results = await executeQuery('SELECT * FROM shift_assignments');
+            return results
+                .map(row => new ShiftAssignment(row))
+                .filter(assignment => String(assignment.shiftId) === String(shiftId) ||
+                    assignment.rotation.some(id => id !== null && String(id) === String(shiftId)))
+                .length;
+        } catch (error) {
+            console.error('Error counting shift assignments:', error);
+            throw error;
+        }
+    }
+
+    // Shift ID scheduled on a date: null for a day off, undefined if this
+    // assignment says nothing about the date
+    getShiftIdOn(date) {
+        const day = moment(date).format('YYYY-MM-DD');
+        if (day < moment(this.startDate).format('YYYY-MM-DD')) return undefined;
+        if (this.endDate && day > moment(this.endDate).format('YYYY-MM-DD')) return undefined;
+
+        if (this.pattern === 'rotating') {
+            if (this.rotation.length === 0) return undefined;
+            const offset = moment(day).diff(moment(this.startDate).format('YYYY-MM-DD'), 'days');
+            const shiftId = this.rotation[offset % this.rotation.length];
+            return shiftId === undefined ? null : shiftId;
+        }
+
+        return this.weekdays.includes(moment(day).isoWeekday()) ? this.shiftId : undefined;
+    }
+
+    // Shift a user's assignments schedule on a date, calendar aside
+    static async findScheduledShift(userId, department, day) {
+        const results = await executeQuery(`
+            ${ShiftAssignment.baseQuery()}
+            WHERE (a.user_id = ? OR (a.user_id IS NULL AND a.department = ?))
+              AND a.start_date <= ? AND (a.end_date IS NULL OR a.end_date >= ?)
+            ORDER BY a.start_date DESC, a.id DESC
+        `, [userId, department, day, day]);
+        const assignments = results.map(row => new ShiftAssignment(row));
+
+        const userAssignments = assignments.filter(assignment => assignment.userId);
+        const scoped = userAssignments.length > 0 ? userAssignments : assignments;
+        const source = userAssignments.length > 0 ? 'user' : 'department';
+
+        if (scoped.length === 0) {
+            const shift = await Shift.findDefault();
+            // Weekdays the default shift is not worked on are weekly rest days
+            return {
+                shift: shift && shift.worksOn(day) ? shift : null,
+                source: shift ? 'default' : null,
+                assignmentId: null
+            };
+        }
+
+        for (const assignment of scoped) {
+            const shiftId = assignment.getShiftIdOn(day);
+            if (shiftId === undefined) continue;
+
+            const shift = shiftId ? await Shift.findById(shiftId) : null;
+            return {
+                shift: shift && shift.isActive ? shift : null,
+                source,
+                assignmentId: assignment.id
+            };
+        }
+
+        // Assigned, but not scheduled on this weekday
+        return { shift: null, source, assignmentId: null };
+    }
+
+    // Shift a user works on a date: { date, shift, source, assignmentId, dayType, calendar }.
+    // shift is null on days off; source is 'user', 'department', 'default',
+    // 'calendar' or null (no shifts set up). dayType is 'workday', 'rest_day',
+    // 'holiday', 'company_off', 'makeup' or null.
+    static async findShiftForUser(userId, date) {
+        try {
+            const day = moment(date).format('YYYY-MM-DD');
+            const users = await executeQuery('SELECT id, department FROM users WHERE id = ?', [userId]);
+            const department = users.length > 0 ? users[0].department : null;
+
+            const calendar = await CalendarDay.findForDate(day, department);
+            if (calendar && calendar.isDayOff()) {
+                return { date: day, shift: null, source: 'calendar', assignmentId: null, dayType: calendar.type, calendar };
+            }
+
+            const scheduled = await ShiftAssignment.findScheduledShift(userId, department, day);
+            if (calendar && !scheduled.shift) {
+                // Make-up day: the shift of the day it makes up for, else the default one
+                const replaced = calendar.replacesDate
+                    ? await ShiftAssignment.findScheduledShift(userId, department, calendar.replacesDate)
+                    : null;
+                const shift = (replaced && replaced.shift) || await Shift.findDefault();
+                return {
+                    date: day,
+                    shift,
+                    source: 'calendar',
+                    assignmentId: replaced && replaced.shift ? replaced.assignmentId : null,
+                    dayType: 'makeup',
+                    calendar
+                };
+            }
+
+            return {
+                date: day,
+                ...scheduled,
+                dayType: scheduled.shift ? (calendar ? 'makeup' : 'workday') : (scheduled.source ? 'rest_day' : null),
+                calendar
+            };
+        } catch (error) {
+            console.error('Error finding shift for user:', error);
+            throw error;
+        }
+    }
+
+    // Shifts of a user for each day of a date range
+    static async getSchedule(userId, startDate, endDate) {
+        const schedule = [];
+        const end = moment(endDate);
+        for (const day = moment(startDate); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+            schedule.push(await ShiftAssignment.findShiftForUser(userId, day.format('YYYY-MM-DD')));
+        }
+        return schedule;
+    }
+}
+
+module.exports = ShiftAssignment;
@@ -0,0 +1,205 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+const Attendance = require('./Attendance');
+const Card = require('./Card');
+const PayrollPeriod = require('./PayrollPeriod');
+const WorkSession = require('./WorkSession');
+
+// Scans of cards that are not registered to anyone. They wait in the admin
+// inbox until the card is assigned to a user or dismissed.
+class UnknownCard {
+    constructor(scanData) {
+        this.id = scanData.id;
+        this.cardUid = scanData.card_uid;
+        this.readerId = scanData.reader_id;
+        this.readerName = scanData.reader_name;
+        this.location = scanData.location;
+        this.scanTime = scanData.scan_time;
+        this.scanDate = scanData.scan_date;
+        this.status = scanData.status;
+        this.assignedUserId = scanData.assigned_user_id;
+        this.resolvedBy = scanData.resolved_by;
+        this.resolvedAt = scanData.resolved_at;
+        this.createdAt = scanData.created_at;
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS unknown_card_scans (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    card_uid VARCHAR(50) NOT NULL,
+                    reader_id VARCHAR(50) NULL,
+                    reader_name VARCHAR(100) NULL,
+                    location VARCHAR(255) NULL,
+                    scan_time DATETIME NOT NULL,
+                    scan_date DATE NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    assigned_user_id VARCHAR(50) NULL,
+                    resolved_by VARCHAR(50) NULL,
+                    resolved_at DATETIME NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_unknown_card_status (status, card_uid)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS unknown_card_scans (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    card_uid VARCHAR(50) NOT NULL,
+                    reader_id VARCHAR(50) NULL,
+                    reader_name VARCHAR(100) NULL,
+                    location VARCHAR(255) NULL,
+                    scan_time DATETIME NOT NULL,
+                    scan_date DATE NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    assigned_user_id VARCHAR(50) NULL,
+                    resolved_by VARCHAR(50) NULL,
+                    resolved_at DATETIME NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+            await executeQuery('CREATE INDEX IF NOT EXISTS idx_unknown_card_status ON unknown_card_scans(status, card_uid)');
+        }
+    }
+
+    // Record a scan of an unregistered card
+    static async record(scanData) {
+        try {
+            const now = moment().tz('Asia/Ho_Chi_Minh');
+            const query = `
+                INSERT INTO unknown_card_scans (card_uid, reader_id, reader_name, location, scan_time, scan_date)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            const result = await executeQuery(query, [
+                scanData.cardUid,
+                scanData.readerId ? String(scanData.readerId) : null,
+                scanData.readerName || null,
+                scanData.location || null,
+                now.format('YYYY-MM-DD HH:mm:ss'),
+                now.format('YYYY-MM-DD')
+            ]);
+            return result.insertId;
+        } catch (error) {
+            console.error('Error recording unknown card scan:', error);
+            throw error;
+        }
+    }
+
+    // Pending cards grouped by UID, most recently seen first
+    static async getInbox() {
+        try {
+            const results = await executeQuery(
+                "SELECT * FROM unknown_card_scans WHERE status = 'pending' ORDER BY scan_time DESC"
+            );
+
+            const inbox = new Map();
+            for (const row of results) {
+                const scan = new UnknownCard(row);
+                const entry = inbox.get(scan.cardUid);
+                if (!entry) {
+                    inbox.set(scan.cardUid, {
+                        cardUid: scan.cardUid,
+                        scanCount: 1,
+                        firstSeenAt: scan.scanTime,
+                        lastSeenAt: scan.scanTime,
+                        readerId: scan.readerId,
+                        readerName: scan.readerName,
+                        location: scan.location
+                    });
+                } else {
+                    entry.scanCount++;
+                    entry.firstSeenAt = scan.scanTime;
+                }
+            }
+            return Array.from(inbox.values());
+        } catch (error) {
+            console.error('Error loading unknown card inbox:', error);
+            throw error;
+        }
+    }
+
+    // Pending scans of one card, oldest first
+    static async findPendingByCard(cardUid) {
+        try {
+            const results = await executeQuery(
+                "SELECT * FROM unknown_card_scans WHERE card_uid = ? AND status = 'pending' ORDER BY scan_time ASC",
+                [cardUid]
+            );
+            return results.map(row => new UnknownCard(row));
+        } catch (error) {
+            console.error('Error finding unknown card scans:', error);
+            throw error;
+        }
+    }
+
+    // Close all pending scans of a card
+    static async resolve(cardUid, status, resolvedBy, assignedUserId = null) {
+        try {
+            const query = `
+                UPDATE unknown_card_scans
+                SET status = ?, assigned_user_id = ?, resolved_by = ?, resolved_at = ?
+                WHERE card_uid = ? AND status = 'pending'
+            `;
+            const result = await executeQuery(query, [
+                status,
+                assignedUserId,
+                resolvedBy,
+                moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss'),
+                cardUid
+            ]);
+            return result.affectedRows || result.changes || 0;
+        } catch (error) {
+            console.error('Error resolving unknown card:', error);
+            throw error;
+        }
+    }
+
+    // Register the card to a user; optionally record the attendance the
+    // pending scans would have created. Scans falling in a locked payroll
+    // period are skipped. The caller refreshes the work days of the
+    // backfilled records.
+    static async assign(cardUid, userId, { backfill = false, resolvedBy = null } = {}) {
+        try {
+            const scans = await UnknownCard.findPendingByCard(cardUid);
+            const card = await Card.create({
+                cardUid,
+                userId,
+                notes: 'Gán từ danh sách thẻ chưa đăng ký'
+            });
+
+            const backfilled = [];
+            let skipped = 0;
+            if (backfill) {
+                for (const scan of scans) {
+                    const scanTime = moment(scan.scanTime).format('YYYY-MM-DD HH:mm:ss');
+                    const scanDate = await WorkSession.resolveWorkDate(userId, scanTime);
+                    if (await PayrollPeriod.findLockedForDate(scanDate)) {
+                        skipped++;
+                        continue;
+                    }
+
+                    const lastScan = await Attendance.getLastScanForUser(userId, scanDate, scanTime);
+                    const actionType = (!lastScan || lastScan.actionType === 'check_out') ? 'check_in' : 'check_out';
+
+                    backfilled.push(await Attendance.recordAttendance({
+                        userId,
+                        rfidCard: cardUid,
+                        scanTime,
+                        scanDate,
+                        actionType,
+                        location: scan.location,
+                        notes: `backfill:unknown_card${scan.readerId ? ` reader:${scan.readerId}` : ''}`,
+                        status: 'valid'
+                    }));
+                }
+            }
+
+            await UnknownCard.resolve(cardUid, 'assigned', resolvedBy, userId);
+            return { card, scans: scans.length, backfilled, skipped };
+        } catch (error) {
+            console.error('Error assigning unknown card:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = UnknownCard;
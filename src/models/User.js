@@ -1,5 +1,8 @@
-const { executeQuery, executeTransaction } = require('../config/database');
+const { executeQuery, executeTransaction, DB_TYPE } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Card = require('./Card');
+const Role = require('./Role');
 
 class User {
     constructor(userData) {
@@ -8,17 +11,36 @@ class User {
         this.username = userData.username;
         this.password = userData.password;
         this.role = userData.role;
+        this.department = userData.department || null;
         this.isActive = userData.is_active;
+        this.accountType = userData.account_type || 'user';
         this.createdAt = userData.created_at;
         this.updatedAt = userData.updated_at;
     }
 
-    // Find user by RFID card
+    // Service accounts (account_type = 'service') are used by scripts and
+    // kiosks through API tokens and cannot log in
+    static async ensureColumns() {
+        const columns = DB_TYPE === 'mysql'
+            ? await executeQuery("SHOW COLUMNS FROM users LIKE 'account_type'")
+            : (await executeQuery('PRAGMA table_info(users)')).filter(column => column.name === 'account_type');
+        if (columns.length === 0) {
+            await executeQuery("ALTER TABLE users ADD COLUMN account_type VARCHAR(20) DEFAULT 'user'");
+        }
+    }
+
+    // SQL condition leaving out service accounts, for queries listing or
+    // counting employees; rows from before the column existed are people
+    static employeeCondition(column = 'account_type') {
+        return `(${column} IS NULL OR ${column} <> 'service')`;
+    }
+
+    // Find user by RFID card. Only cards in the cards registry are known; an
+    // unregistered UID matches nobody and goes to the unknown-card inbox.
     static async findByRfidCard(rfidCard) {
         try {
-            const query = 'SELECT * FROM users WHERE rfid_card = ? AND is_active = true LIMIT 1';
-            const results = await executeQuery(query, [rfidCard]);
-            return results.length > 0 ? new User(results[0]) : null;
+            const card = await Card.findByUid(rfidCard);
+            return card && card.isUsable() ? await User.findById(card.userId) : null;
         } catch (error) {
             console.error('Error finding user by RFID card:', error);
             throw error;
@@ -49,10 +71,10 @@ class User {
         }
     }
 
-    // Get all users
+    // Get all users (service accounts are listed by findServiceAccounts)
     static async findAll(role = null) {
         try {
-            let query = 'SELECT * FROM users WHERE is_active = true';
+            let query = `SELECT * FROM users WHERE is_active = true AND ${User.employeeCondition()}`;
             const params = [];
 
             if (role) {
@@ -93,6 +115,42 @@ class User {
         }
     }
 
+    // Get active service accounts
+    static async findServiceAccounts() {
+        try {
+            const results = await executeQuery(
+                "SELECT * FROM users WHERE account_type = 'service' AND is_active = true ORDER BY name ASC"
+            );
+            return results.map(user => new User(user));
+        } catch (error) {
+            console.error('Error finding service accounts:', error);
+            throw error;
+        }
+    }
+
+    // Create a service account; its password is random and never shown, as
+    // service accounts only authenticate with API tokens
+    static async createServiceAccount(accountData) {
+        try {
+            const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+            await executeQuery(`
+                INSERT INTO users (id, name, username, password, role, department, account_type, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, 'service', true)
+            `, [
+                accountData.id,
+                accountData.name,
+                accountData.username,
+                hashedPassword,
+                accountData.role,
+                accountData.department || null
+            ]);
+            return await User.findById(accountData.id);
+        } catch (error) {
+            console.error('Error creating service account:', error);
+            throw error;
+        }
+    }
+
     // Update user
     static async update(id, userData) {
         try {
@@ -159,21 +217,28 @@ class User {
         }
     }
 
-    // Get user role permissions
-    getRolePermissions() {
-        const permissions = {
-            admin: ['read', 'write', 'delete', 'manage_users', 'manage_events', 'view_reports'],
-            event_manager: ['read', 'write', 'manage_events', 'view_reports'],
-            staff: ['read', 'check_in', 'check_out'],
-            at_work: ['read', 'check_in', 'check_out']
-        };
+    // Get user role permissions (granted to the role in the roles table);
+    // a request made with an API token only gets those within its scopes
+    async getRolePermissions() {
+        const permissions = await Role.getPermissions(this.role);
+        return this.tokenScopes ? permissions.filter(permission => this.tokenScopes.includes(permission)) : permissions;
+    }
 
-        return permissions[this.role] || permissions.at_work;
+    isServiceAccount() {
+        return this.accountType === 'service';
     }
 
     // Check if user has permission
-    hasPermission(permission) {
-        return this.getRolePermissions().includes(permission);
+    async hasPermission(permission) {
+        return (await this.getRolePermissions()).includes(permission);
+    }
+
+    // Landing page after login: the admin area, the event area or the staff pages
+    async getHomePath() {
+        const permissions = await this.getRolePermissions();
+        if (permissions.includes('view_dashboard')) return '/admin';
+        if (permissions.includes('manage_events')) return '/events';
+        return '/staff';
     }
 
     // Convert to JSON (exclude password)
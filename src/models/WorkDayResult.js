@@ -0,0 +1,173 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Outcome of a work day under the attendance policy, one row per user and
+// day next to work_sessions. Days without a session (absent, day off) have
+// a result but no session.
+class WorkDayResult {
+    constructor(resultData) {
+        this.id = resultData.id;
+        this.userId = resultData.user_id;
+        this.userName = resultData.user_name || null;
+        this.department = resultData.department || null;
+        this.workDate = resultData.work_date ? moment(resultData.work_date).format('YYYY-MM-DD') : null;
+        this.shiftId = resultData.shift_id;
+        this.shiftName = resultData.shift_name || null;
+        this.status = resultData.status;
+        this.dayType = resultData.day_type || null;
+        this.checkInTime = resultData.check_in_time;
+        this.checkOutTime = resultData.check_out_time;
+        this.workedHours = parseFloat(resultData.worked_hours) || 0;
+        this.overtimeHours = parseFloat(resultData.overtime_hours) || 0;
+        this.nightOvertimeHours = parseFloat(resultData.night_overtime_hours) || 0;
+        this.unapprovedOvertimeHours = parseFloat(resultData.unapproved_overtime_hours) || 0;
+        this.overtimePayHours = parseFloat(resultData.overtime_pay_hours) || 0;
+        this.lateMinutes = parseInt(resultData.late_minutes) || 0;
+        this.earlyLeaveMinutes = parseInt(resultData.early_leave_minutes) || 0;
+        this.policyId = resultData.policy_id;
+        this.evaluatedAt = resultData.evaluated_at;
+    }
+
+    // Statuses a day can end with
+    static get STATUSES() {
+        return ['on_time', 'late', 'early_leave', 'half_day', 'absent', 'in_progress', 'unscheduled', 'day_off', 'holiday', 'on_leave'];
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS work_day_results (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(20) NOT NULL,
+                    work_date DATE NOT NULL,
+                    shift_id INT NULL,
+                    status VARCHAR(20) NOT NULL,
+                    day_type VARCHAR(20) NULL,
+                    check_in_time DATETIME NULL,
+                    check_out_time DATETIME NULL,
+                    worked_hours DECIMAL(4,2) DEFAULT 0,
+                    overtime_hours DECIMAL(4,2) DEFAULT 0,
+                    late_minutes INT DEFAULT 0,
+                    early_leave_minutes INT DEFAULT 0,
+                    policy_id INT NULL,
+                    evaluated_at DATETIME NULL,
+                    UNIQUE KEY uniq_work_day_result (user_id, work_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS work_day_results (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(20) NOT NULL,
+                    work_date DATE NOT NULL,
+                    shift_id INTEGER NULL,
+                    status VARCHAR(20) NOT NULL,
+                    day_type VARCHAR(20) NULL,
+                    check_in_time DATETIME NULL,
+                    check_out_time DATETIME NULL,
+                    worked_hours DECIMAL(4,2) DEFAULT 0,
+                    overtime_hours DECIMAL(4,2) DEFAULT 0,
+                    late_minutes INTEGER DEFAULT 0,
+                    early_leave_minutes INTEGER DEFAULT 0,
+                    policy_id INTEGER NULL,
+                    evaluated_at DATETIME NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id),
+                    UNIQUE(user_id, work_date)
+                );`);
+        }
+
+        // Tables created before the working-day calendar lack day_type, those
+        // created before overtime tracking its breakdown
+        const definitions = {
+            day_type: 'VARCHAR(20) NULL',
+            night_overtime_hours: 'DECIMAL(4,2) DEFAULT 0',
+            unapproved_overtime_hours: 'DECIMAL(4,2) DEFAULT 0',
+            overtime_pay_hours: 'DECIMAL(5,2) DEFAULT 0'
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            const columns = DB_TYPE === 'mysql'
+                ? await executeQuery(`SHOW COLUMNS FROM work_day_results LIKE '${name}'`)
+                : (await executeQuery('PRAGMA table_info(work_day_results)')).filter(column => column.name === name);
+            if (columns.length === 0) {
+                await executeQuery(`ALTER TABLE work_day_results ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    // Get results in a date range, optionally for one user
+    static async findByDateRange(startDate, endDate, userId = null) {
+        try {
+            let query = `
+                SELECT r.*, u.name as user_name, u.department, s.name as shift_name
+                FROM work_day_results r
+                LEFT JOIN users u ON r.user_id = u.id
+                LEFT JOIN shift_templates s ON r.shift_id = s.id
+                WHERE r.work_date BETWEEN ? AND ?
+            `;
+            const params = [startDate, endDate];
+
+            if (userId) {
+                query += ' AND r.user_id = ?';
+                params.push(userId);
+            }
+
+            query += ' ORDER BY r.work_date DESC, u.name ASC';
+            const results = await executeQuery(query, params);
+            return results.map(result => new WorkDayResult(result));
+        } catch (error) {
+            console.error('Error finding work day results:', error);
+            throw error;
+        }
+    }
+
+    // Insert or replace the result of a user's day
+    static async save(resultData) {
+        try {
+            await executeQuery('DELETE FROM work_day_results WHERE user_id = ? AND work_date = ?', [
+                resultData.userId,
+                resultData.workDate
+            ]);
+            await executeQuery(`
+                INSERT INTO work_day_results (
+                    user_id, work_date, shift_id, status, day_type, check_in_time, check_out_time,
+                    worked_hours, overtime_hours, night_overtime_hours, unapproved_overtime_hours, overtime_pay_hours,
+                    late_minutes, early_leave_minutes, policy_id, evaluated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                resultData.userId,
+                resultData.workDate,
+                resultData.shiftId || null,
+                resultData.status,
+                resultData.dayType || null,
+                resultData.checkInTime || null,
+                resultData.checkOutTime || null,
+                resultData.workedHours || 0,
+                resultData.overtimeHours || 0,
+                resultData.nightOvertimeHours || 0,
+                resultData.unapprovedOvertimeHours || 0,
+                resultData.overtimePayHours || 0,
+                resultData.lateMinutes || 0,
+                resultData.earlyLeaveMinutes || 0,
+                resultData.policyId || null,
+                moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss')
+            ]);
+            return true;
+        } catch (error) {
+            console.error('Error saving work day result:', error);
+            throw error;
+        }
+    }
+
+    // Remove the result of a day that is no longer evaluated (e.g. future day)
+    static async remove(userId, workDate) {
+        try {
+            await executeQuery('DELETE FROM work_day_results WHERE user_id = ? AND work_date = ?', [userId, workDate]);
+            return true;
+        } catch (error) {
+            console.error('Error removing work day result:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = WorkDayResult;
@@ -0,0 +1,324 @@
+const { executeQuery, DB_TYPE } = require('../config/database');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const Attendance = require('./Attendance');
+const PayrollPeriod = require('./PayrollPeriod');
+const ShiftAssignment = require('./ShiftAssignment');
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+// One row per user and work day, rebuilt from the day's attendance scans.
+// A day can hold several check-in/check-out pairs; the gaps between them
+// count as break time.
+class WorkSession {
+    constructor(sessionData) {
+        this.id = sessionData.id;
+        this.userId = sessionData.user_id;
+        this.userName = sessionData.user_name || null;
+        this.workDate = sessionData.work_date;
+        this.checkInTime = sessionData.check_in_time;
+        this.checkOutTime = sessionData.check_out_time;
+        this.totalHours = parseFloat(sessionData.total_hours) || 0;
+        this.breakTime = parseFloat(sessionData.break_time) || 0;
+        this.overtimeHours = parseFloat(sessionData.overtime_hours) || 0;
+        this.nightOvertimeHours = parseFloat(sessionData.night_overtime_hours) || 0;
+        this.status = sessionData.status;
+        this.notes = sessionData.notes;
+        this.createdAt = sessionData.created_at;
+        this.updatedAt = sessionData.updated_at;
+    }
+
+    static async ensureTable() {
+        if (DB_TYPE === 'mysql') {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS work_sessions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(20) NOT NULL,
+                    work_date DATE NOT NULL,
+                    check_in_time DATETIME NULL,
+                    check_out_time DATETIME NULL,
+                    total_hours DECIMAL(4,2) DEFAULT 0,
+                    break_time DECIMAL(4,2) DEFAULT 0,
+                    overtime_hours DECIMAL(4,2) DEFAULT 0,
+                    status VARCHAR(20) DEFAULT 'in_progress',
+                    notes TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_work_session (user_id, work_date)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+        } else {
+            await executeQuery(`
+                CREATE TABLE IF NOT EXISTS work_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id VARCHAR(20) NOT NULL,
+                    work_date DATE NOT NULL,
+                    check_in_time DATETIME NULL,
+                    check_out_time DATETIME NULL,
+                    total_hours DECIMAL(4,2) DEFAULT 0,
+                    break_time DECIMAL(4,2) DEFAULT 0,
+                    overtime_hours DECIMAL(4,2) DEFAULT 0,
+                    status VARCHAR(20) DEFAULT 'in_progress',
+                    notes TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id),
+                    UNIQUE(user_id, work_date)
+                );`);
+        }
+
+        // Tables created before overtime tracking lack the night part
+        const columns = DB_TYPE === 'mysql'
+            ? await executeQuery("SHOW COLUMNS FROM work_sessions LIKE 'night_overtime_hours'")
+            : (await executeQuery('PRAGMA table_info(work_sessions)')).filter(column => column.name === 'night_overtime_hours');
+        if (columns.length === 0) {
+            await executeQuery('ALTER TABLE work_sessions ADD COLUMN night_overtime_hours DECIMAL(4,2) DEFAULT 0');
+        }
+    }
+
+    // Find the session of a user on a day
+    static async findByUserAndDate(userId, workDate) {
+        try {
+            const results = await executeQuery(
+                'SELECT * FROM work_sessions WHERE user_id = ? AND work_date = ?',
+                [userId, workDate]
+            );
+            return results.length > 0 ? new WorkSession(results[0]) : null;
+        } catch (error) {
+            console.error('Error finding work session:', error);
+            throw error;
+        }
+    }
+
+    // Get sessions in a date range, optionally for one user
+    static async findByDateRange(startDate, endDate, userId = null) {
+        try {
+            let query = `
+                SELECT ws.*, u.name as user_name
+                FROM work_sessions ws
+                LEFT JOIN users u ON ws.user_id = u.id
+                WHERE ws.work_date BETWEEN ? AND ?
+            `;
+            const params = [startDate, endDate];
+
+            if (userId) {
+                query += ' AND ws.user_id = ?';
+                params.push(userId);
+            }
+
+            query += ' ORDER BY ws.work_date ASC, ws.user_id ASC';
+            const results = await executeQuery(query, params);
+            return results.map(session => new WorkSession(session));
+        } catch (error) {
+            console.error('Error finding work sessions by date range:', error);
+            throw error;
+        }
+    }
+
+    // Sessions still waiting for a check-out, oldest first
+    static async findOpen() {
+        try {
+            const results = await executeQuery(`
+                SELECT ws.*, u.name as user_name
+                FROM work_sessions ws
+                LEFT JOIN users u ON ws.user_id = u.id
+                WHERE ws.status = 'in_progress'
+                ORDER BY ws.work_date ASC, ws.user_id ASC
+            `);
+            return results.map(session => new WorkSession(session));
+        } catch (error) {
+            console.error('Error finding open work sessions:', error);
+            throw error;
+        }
+    }
+
+    // Pair work scans (event attendance excluded) into check-in/check-out
+    // intervals. A repeated check-in keeps the first one; a check-out
+    // without an open check-in is ignored.
+    static buildIntervals(scans) {
+        const intervals = [];
+        let openedAt = null;
+
+        scans
+            .filter(scan => scan.status === 'valid' && !scan.eventId)
+            .forEach(scan => {
+                const time = moment(scan.scanTime);
+                if (scan.actionType === 'check_in') {
+                    if (!openedAt) openedAt = time;
+                } else if (scan.actionType === 'check_out' && openedAt) {
+                    intervals.push({ start: openedAt, end: time });
+                    openedAt = null;
+                }
+            });
+
+        return { intervals, openedAt };
+    }
+
+    // Totals of a day from its intervals and the overtime worked in them
+    static summarize(intervals, openedAt, overtime = { hours: 0, nightHours: 0 }) {
+        let totalHours = 0;
+        let breakTime = 0;
+
+        intervals.forEach((interval, index) => {
+            totalHours += interval.end.diff(interval.start, 'hours', true);
+            if (index > 0) {
+                breakTime += interval.start.diff(intervals[index - 1].end, 'hours', true);
+            }
+        });
+
+        // Returning from a break counts the break even while the session is open
+        if (openedAt && intervals.length > 0) {
+            breakTime += openedAt.diff(intervals[intervals.length - 1].end, 'hours', true);
+        }
+
+        const first = intervals.length > 0 ? intervals[0].start : openedAt;
+        return {
+            checkInTime: first ? first.format('YYYY-MM-DD HH:mm:ss') : null,
+            checkOutTime: !openedAt && intervals.length > 0
+                ? intervals[intervals.length - 1].end.format('YYYY-MM-DD HH:mm:ss')
+                : null,
+            totalHours: roundHours(totalHours),
+            breakTime: roundHours(breakTime),
+            overtimeHours: roundHours(overtime.hours),
+            nightOvertimeHours: roundHours(overtime.nightHours),
+            status: openedAt ? 'in_progress' : 'completed',
+            intervals: intervals.length
+        };
+    }
+
+    // Logical work day of a scan. After midnight a scan still belongs to the
+    // previous day while that day's overnight shift lasts (plus a margin for
+    // late check-out), or while a check-in from the previous day is open.
+    static async resolveWorkDate(userId, scanTime) {
+        const time = moment.tz(scanTime, 'Asia/Ho_Chi_Minh');
+        const today = time.format('YYYY-MM-DD');
+        const previousDay = time.clone().subtract(1, 'day').format('YYYY-MM-DD');
+        const before = time.format('YYYY-MM-DD HH:mm:ss');
+
+        const { shift } = await ShiftAssignment.findShiftForUser(userId, previousDay);
+        if (shift && shift.isOvernight()) {
+            const { end } = shift.getWindow(previousDay);
+            if (time.isBefore(end.add(config.attendance.overnightCheckoutHours, 'hours'))) {
+                return previousDay;
+            }
+        }
+
+        const todayScan = await Attendance.getLastScanForUser(userId, today, before);
+        if (!todayScan) {
+            const lastScan = await Attendance.getLastScanForUser(userId, previousDay, before);
+            if (lastScan && lastScan.actionType === 'check_in' &&
+                time.diff(moment.tz(lastScan.scanTime, 'Asia/Ho_Chi_Minh'), 'hours', true) <= config.attendance.maxSessionHours) {
+                return previousDay;
+            }
+        }
+
+        return today;
+    }
+
+    // Overtime worked in a day's intervals: after the end of the shift on a
+    // working day, every hour on a day off or holiday, the hours past the
+    // configured standard day when no shifts are set up. nightHours is the
+    // part of it worked between the configured night start and end.
+    static computeOvertime(intervals, { shift, source }, workDate) {
+        // Scan times are Vietnam local times
+        const local = intervals.map(interval => ({
+            start: moment.tz(interval.start.format('YYYY-MM-DD HH:mm:ss'), 'Asia/Ho_Chi_Minh'),
+            end: moment.tz(interval.end.format('YYYY-MM-DD HH:mm:ss'), 'Asia/Ho_Chi_Minh')
+        }));
+
+        let segments = [];
+        if (shift) {
+            const { end } = shift.getWindow(workDate);
+            segments = local
+                .filter(interval => interval.end.isAfter(end))
+                .map(interval => ({ start: moment.max(interval.start, end), end: interval.end }));
+        } else if (source) {
+            segments = local;
+        } else {
+            // The last hours worked beyond the standard day
+            let excess = local.reduce((sum, interval) => sum + interval.end.diff(interval.start, 'minutes', true), 0)
+                - config.attendance.standardHours * 60;
+            for (let i = local.length - 1; i >= 0 && excess > 0; i--) {
+                const length = local[i].end.diff(local[i].start, 'minutes', true);
+                const taken = Math.min(length, excess);
+                segments.unshift({ start: local[i].end.clone().subtract(taken, 'minutes'), end: local[i].end });
+                excess -= taken;
+            }
+        }
+
+        const { nightStart, nightEnd } = config.attendance.overtime;
+        let minutes = 0;
+        let nightMinutes = 0;
+        segments.forEach(segment => {
+            minutes += segment.end.diff(segment.start, 'minutes', true);
+
+            // Nights starting the day before the work day through the day after
+            for (let offset = -1; offset <= 1; offset++) {
+                const day = moment(workDate).add(offset, 'day').format('YYYY-MM-DD');
+                const start = moment.tz(`${day} ${nightStart}`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh');
+                const end = moment.tz(`${day} ${nightEnd}`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh');
+                if (!end.isAfter(start)) end.add(1, 'day');
+
+                const overlap = moment.min(segment.end, end).diff(moment.max(segment.start, start), 'minutes', true);
+                if (overlap > 0) nightMinutes += overlap;
+            }
+        });
+
+        return { hours: minutes / 60, nightHours: nightMinutes / 60 };
+    }
+
+    // Rebuild the session of a user on a day from the attendance table.
+    // Days without work scans have no session. Sessions of a locked payroll
+    // period are left as they are (error code PERIOD_LOCKED).
+    static async recompute(userId, workDate) {
+        try {
+            await PayrollPeriod.assertOpen(workDate);
+
+            const scans = await Attendance.findByUserAndDate(userId, workDate);
+            const { intervals, openedAt } = WorkSession.buildIntervals(scans);
+
+            if (intervals.length === 0 && !openedAt) {
+                await executeQuery('DELETE FROM work_sessions WHERE user_id = ? AND work_date = ?', [userId, workDate]);
+                return null;
+            }
+
+            const schedule = await ShiftAssignment.findShiftForUser(userId, workDate);
+            const summary = WorkSession.summarize(intervals, openedAt, WorkSession.computeOvertime(intervals, schedule, workDate));
+            const params = [
+                summary.checkInTime,
+                summary.checkOutTime,
+                summary.totalHours,
+                summary.breakTime,
+                summary.overtimeHours,
+                summary.nightOvertimeHours,
+                summary.status,
+                `intervals:${summary.intervals}`
+            ];
+
+            const existing = await WorkSession.findByUserAndDate(userId, workDate);
+            if (existing) {
+                await executeQuery(`
+                    UPDATE work_sessions
+                    SET check_in_time = ?, check_out_time = ?, total_hours = ?, break_time = ?,
+                        overtime_hours = ?, night_overtime_hours = ?, status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...params, existing.id]);
+            } else {
+                await executeQuery(`
+                    INSERT INTO work_sessions (
+                        check_in_time, check_out_time, total_hours, break_time,
+                        overtime_hours, night_overtime_hours, status, notes, user_id, work_date
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [...params, userId, workDate]);
+            }
+
+            return await WorkSession.findByUserAndDate(userId, workDate);
+        } catch (error) {
+            console.error('Error recomputing work session:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = WorkSession;
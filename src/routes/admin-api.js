@@ -2,7 +2,33 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const Reader = require('../models/Reader');
+const Card = require('../models/Card');
+const UnknownCard = require('../models/UnknownCard');
+const EventCheckpoint = require('../models/EventCheckpoint');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const CalendarDay = require('../models/CalendarDay');
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveBalance = require('../models/LeaveBalance');
+const DepartmentManager = require('../models/DepartmentManager');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const PayrollPeriod = require('../models/PayrollPeriod');
+const ExportTemplate = require('../models/ExportTemplate');
+const Role = require('../models/Role');
+const ApiToken = require('../models/ApiToken');
+const LeaveService = require('../services/LeaveService');
+const CorrectionService = require('../services/CorrectionService');
+const OvertimeService = require('../services/OvertimeService');
+const ApiTokenService = require('../services/ApiTokenService');
+const PayrollExportService = require('../services/PayrollExportService');
+const AttendanceRules = require('../services/AttendanceRules');
+const { getDriverTypes, getCardFormats, createCardDecoder } = require('../services/readers');
+const { requireAuth, requireSession, requirePermission, requireTeamPermission } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 const { executeQuery } = require('../config/database');
 const moment = require('moment-timezone');
@@ -30,22 +56,32 @@ if (!fs.existsSync('uploads/temp')) {
     fs.mkdirSync('uploads/temp', { recursive: true });
 }
 
-// Apply API rate limiting and admin role requirement
+// Apply API rate limiting and authentication; each route requires its own permission
 router.use(apiLimiter);
 router.use(requireAuth);
-router.use(requireRole('admin'));
 
 // ==================== USER MANAGEMENT ====================
 
-// Get users with pagination and filtering
-router.get('/users', async (req, res) => {
+// SQL condition limiting rows to the departments a department manager's
+// request is scoped to (req.departments); no condition when unrestricted
+function departmentScope(req, column = 'department') {
+    if (!req.departments) return { condition: null, params: [] };
+    if (req.departments.length === 0) return { condition: '1 = 0', params: [] };
+    return {
+        condition: `${column} IN (${req.departments.map(() => '?').join(', ')})`,
+        params: req.departments
+    };
+}
+
+// Get users with pagination and filtering; department managers get their departments' employees
+router.get('/users', requireTeamPermission('manage_users'), async (req, res) => {
     try {
         const { page = 1, limit = 20, search = '', role = '', status = '' } = req.query;
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
         const offset = (pageNum - 1) * limitNum;
 
-        let whereConditions = [];
+        let whereConditions = [User.employeeCondition()];
         let queryParams = [];
 
         // Search filter
@@ -66,6 +102,12 @@ router.get('/users', async (req, res) => {
             queryParams.push(status);
         }
 
+        const scope = departmentScope(req);
+        if (scope.condition) {
+            whereConditions.push(scope.condition);
+            queryParams.push(...scope.params);
+        }
+
         const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
         // Get total count
@@ -92,8 +134,9 @@ router.get('/users', async (req, res) => {
                 SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) as admin,
                 SUM(CASE WHEN role = 'staff' THEN 1 ELSE 0 END) as staff
             FROM users
+            WHERE ${User.employeeCondition()} ${scope.condition ? `AND ${scope.condition}` : ''}
         `;
-        const [statistics] = await executeQuery(statsQuery);
+        const [statistics] = await executeQuery(statsQuery, scope.params);
 
         res.json({
             success: true,
@@ -122,7 +165,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Search users (must be before /users/:id to avoid conflict)
-router.get('/users/search', async (req, res) => {
+router.get('/users/search', requireTeamPermission('manage_users'), async (req, res) => {
     try {
         const { q } = req.query;
 
@@ -134,12 +177,14 @@ router.get('/users/search', async (req, res) => {
         }
 
         const searchTerm = `%${q.trim()}%`;
+        const scope = departmentScope(req);
         const users = await executeQuery(`
             SELECT id, name, username 
             FROM users 
-            WHERE id LIKE ? OR name LIKE ? OR username LIKE ?
+            WHERE (id LIKE ? OR name LIKE ? OR username LIKE ?) AND ${User.employeeCondition()}
+            ${scope.condition ? `AND ${scope.condition}` : ''}
             LIMIT 10
-        `, [searchTerm, searchTerm, searchTerm]);
+        `, [searchTerm, searchTerm, searchTerm, ...scope.params]);
 
         // Map id to employee_id for frontend compatibility
         const mappedUsers = users.map(user => ({
@@ -164,12 +209,12 @@ router.get('/users/search', async (req, res) => {
 });
 
 // Get single user
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requireTeamPermission('manage_users'), async (req, res) => {
     try {
         const userId = req.params.id;
         const user = await User.findById(userId);
 
-        if (!user) {
+        if (!user || !DepartmentManager.inScope(req.departments, user.department)) {
             return res.status(404).json({
                 success: false,
                 error: 'USER_NOT_FOUND',
@@ -193,7 +238,7 @@ router.get('/users/:id', async (req, res) => {
 });
 
 // Create new user
-router.post('/users', async (req, res) => {
+router.post('/users', requirePermission('manage_users'), async (req, res) => {
     try {
         const { employee_id, name, department, username, password, role = 'staff' } = req.body;
 
@@ -235,6 +280,11 @@ router.post('/users', async (req, res) => {
             });
         }
 
+        const roleError = await Role.checkAssignable(role, req.user);
+        if (roleError) {
+            return res.status(400).json({ success: false, ...roleError });
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -268,7 +318,7 @@ router.post('/users', async (req, res) => {
 });
 
 // Reset user password
-router.post('/users/:id/reset-password', async (req, res) => {
+router.post('/users/:id/reset-password', requirePermission('manage_users'), async (req, res) => {
     try {
         const { id } = req.params;
         const { newPassword } = req.body;
@@ -312,7 +362,7 @@ router.post('/users/:id/reset-password', async (req, res) => {
 });
 
 // Update user
-router.put('/users/:id', async (req, res) => {
+router.put('/users/:id', requirePermission('manage_users'), async (req, res) => {
     try {
         const userId = req.params.id;
         const { name, email, role, status, department, phone, rfidCard, notes, resetPassword } = req.body;
@@ -327,6 +377,13 @@ router.put('/users/:id', async (req, res) => {
             });
         }
 
+        if (role && role !== existingUser.role) {
+            const roleError = await Role.checkAssignable(role, req.user);
+            if (roleError) {
+                return res.status(400).json({ success: false, ...roleError });
+            }
+        }
+
         // Check if email is taken by another user
         if (email && email !== existingUser.email) {
             const emailUser = await User.findByEmail(email);
@@ -395,7 +452,7 @@ router.put('/users/:id', async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', requirePermission('manage_users'), async (req, res) => {
     try {
         const userId = req.params.id;
 
@@ -445,24 +502,60 @@ router.delete('/users/:id', async (req, res) => {
 // ==================== REPORTS ====================
 
 // Get attendance report statistics
-router.get('/reports/stats', async (req, res) => {
+router.get('/reports/stats', requireTeamPermission('view_reports'), async (req, res) => {
     try {
         const today = moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+        const scope = departmentScope(req, 'u.department');
 
-        const statsQuery = `
-            SELECT 
-                (SELECT COUNT(*) FROM users WHERE status = 'active') as totalEmployees,
-                (SELECT COUNT(DISTINCT userId) FROM attendances WHERE scanDate = ?) as presentToday,
-                (SELECT COUNT(DISTINCT userId) FROM attendances 
-                 WHERE scanDate = ? AND actionType = 'check_in' 
-                 AND TIME(scanTime) > '08:30:00') as lateToday
-        `;
+        const [counts] = await executeQuery(`
+            SELECT COUNT(*) as totalEmployees FROM users u
+            WHERE u.is_active = true AND ${User.employeeCondition('u.account_type')} ${scope.condition ? `AND ${scope.condition}` : ''}
+        `, scope.params);
+
+        // First work check-in of each employee today, compared with their shift
+        const firstCheckIns = await executeQuery(`
+            SELECT a.user_id, MIN(a.scan_time) as first_check_in
+            FROM attendance a
+            JOIN users u ON a.user_id = u.id
+            WHERE a.scan_date = ? AND a.action_type = 'check_in' AND a.status = 'valid' AND a.event_id IS NULL
+            ${scope.condition ? `AND ${scope.condition}` : ''}
+            GROUP BY a.user_id
+        `, [today, ...scope.params]);
+
+        let lateToday = 0;
+        for (const row of firstCheckIns) {
+            const { shift } = await ShiftAssignment.findShiftForUser(row.user_id, today);
+            if (shift && shift.getLateMinutes(row.first_check_in, today) > 0) {
+                lateToday++;
+            }
+        }
+
+        // Employees expected at work today; holidays, days off and full-day leave don't count
+        const checkedIn = new Set(firstCheckIns.map(row => String(row.user_id)));
+        const onLeave = new Set((await LeaveRequest.findApprovedOn(today))
+            .filter(leave => !leave.halfDay && DepartmentManager.inScope(req.departments, leave.department))
+            .map(leave => String(leave.userId)));
+        let scheduledToday = 0;
+        let presentScheduled = 0;
+        for (const employee of await AttendanceRules.getEmployees({ departments: req.departments })) {
+            const { shift } = await ShiftAssignment.findShiftForUser(employee.id, today);
+            if (!shift || onLeave.has(String(employee.id))) continue;
+            scheduledToday++;
+            if (checkedIn.has(String(employee.id))) presentScheduled++;
+        }
 
-        const [stats] = await executeQuery(statsQuery, [today, today]);
+        const stats = {
+            totalEmployees: counts.totalEmployees,
+            scheduledToday,
+            onLeaveToday: onLeave.size,
+            presentToday: firstCheckIns.length,
+            lateToday,
+            calendar: await CalendarDay.findForDate(today)
+        };
 
         // Calculate attendance rate
-        const attendanceRate = stats.totalEmployees > 0
-            ? Math.round((stats.presentToday / stats.totalEmployees) * 100)
+        const attendanceRate = scheduledToday > 0
+            ? Math.round((presentScheduled / scheduledToday) * 100)
             : 0;
 
         res.json({
@@ -483,73 +576,65 @@ router.get('/reports/stats', async (req, res) => {
     }
 });
 
-// Generate attendance report
-router.get('/reports/attendance', async (req, res) => {
-    try {
-        const { startDate, endDate, userId, reportType = 'daily' } = req.query;
-
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                success: false,
-                error: 'MISSING_DATE_RANGE',
-                message: 'Vui lòng chọn khoảng thời gian'
-            });
-        }
+// Error response for an invalid report date range, or null when it is valid
+function reportRangeError(startDate, endDate) {
+    if (!startDate || !endDate) {
+        return { success: false, error: 'MISSING_DATE_RANGE', message: 'Vui lòng chọn khoảng thời gian' };
+    }
+    if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+        return { success: false, error: 'INVALID_DATE', message: 'Ngày không hợp lệ (YYYY-MM-DD)' };
+    }
+    if (moment(endDate).diff(moment(startDate), 'days') > 62) {
+        return { success: false, error: 'RANGE_TOO_LARGE', message: 'Khoảng thời gian tối đa là 62 ngày' };
+    }
+    return null;
+}
 
-        let whereConditions = ['a.scanDate BETWEEN ? AND ?'];
-        let queryParams = [startDate, endDate];
+// Generate attendance report: the judged status of each employee's work
+// days (on time, late, early leave, half day, absent, ...). Only reads the
+// stored results; POST /reports/attendance/refresh re-evaluates them.
+router.get('/reports/attendance', requireTeamPermission('view_reports'), async (req, res) => {
+    try {
+        const { startDate, endDate, userId, department } = req.query;
 
-        if (userId) {
-            whereConditions.push('a.userId = ?');
-            queryParams.push(userId);
+        const rangeError = reportRangeError(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json(rangeError);
         }
 
-        const whereClause = whereConditions.join(' AND ');
-
-        // Get attendance records grouped by user and date
-        const reportQuery = `
-            SELECT 
-                a.userId,
-                u.name as userName,
-                u.email as userEmail,
-                u.department,
-                a.scanDate as date,
-                MIN(CASE WHEN a.actionType = 'check_in' THEN a.scanTime END) as firstCheckIn,
-                MAX(CASE WHEN a.actionType = 'check_out' THEN a.scanTime END) as lastCheckOut,
-                COUNT(CASE WHEN a.actionType = 'check_in' THEN 1 END) as checkInCount,
-                COUNT(CASE WHEN a.actionType = 'check_out' THEN 1 END) as checkOutCount
-            FROM attendances a
-            INNER JOIN users u ON a.userId = u.id
-            WHERE ${whereClause}
-            GROUP BY a.userId, u.name, u.email, u.department, a.scanDate
-            ORDER BY a.scanDate DESC, u.name ASC
-        `;
-
-        const records = await executeQuery(reportQuery, queryParams);
-
-        // Calculate total hours for each record
-        const processedRecords = records.map(record => {
-            let totalHours = 0;
-            if (record.firstCheckIn && record.lastCheckOut) {
-                const checkIn = moment(record.firstCheckIn);
-                const checkOut = moment(record.lastCheckOut);
-                totalHours = checkOut.diff(checkIn, 'hours', true);
-            }
-
-            return {
-                ...record,
-                totalHours: Math.max(0, totalHours) // Ensure non-negative hours
-            };
-        });
+        const employees = await AttendanceRules.getEmployees({ userId, department, departments: req.departments });
+        const results = await AttendanceRules.evaluateRange(employees, startDate, endDate);
+
+        const records = results
+            .sort((a, b) => b.workDate.localeCompare(a.workDate) || String(a.userName).localeCompare(String(b.userName)))
+            .map(result => ({
+                userId: result.userId,
+                userName: result.userName,
+                department: result.department,
+                date: result.workDate,
+                shiftId: result.shiftId,
+                status: result.status,
+                dayType: result.dayType,
+                firstCheckIn: result.checkInTime,
+                lastCheckOut: result.checkOutTime,
+                workedHours: result.workedHours,
+                overtimeHours: result.overtimeHours,
+                nightOvertimeHours: result.nightOvertimeHours,
+                unapprovedOvertimeHours: result.unapprovedOvertimeHours,
+                overtimePayHours: result.overtimePayHours,
+                lateMinutes: result.lateMinutes,
+                earlyLeaveMinutes: result.earlyLeaveMinutes
+            }));
 
         res.json({
             success: true,
             data: {
-                records: processedRecords,
+                records,
                 summary: {
-                    totalRecords: processedRecords.length,
-                    dateRange: { startDate, endDate },
-                    reportType
+                    totalRecords: records.length,
+                    employees: employees.length,
+                    ...AttendanceRules.summarize(results),
+                    dateRange: { startDate, endDate }
                 }
             }
         });
@@ -564,8 +649,38 @@ router.get('/reports/attendance', async (req, res) => {
     }
 });
 
+// Re-evaluate and store the work day results of a range, e.g. after
+// shifts, the calendar or a policy changed
+router.post('/reports/attendance/refresh', requireTeamPermission('view_reports'), async (req, res) => {
+    try {
+        const { startDate, endDate, userId, department } = req.body;
+
+        const rangeError = reportRangeError(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json(rangeError);
+        }
+
+        const employees = await AttendanceRules.getEmployees({ userId, department, departments: req.departments });
+        const evaluated = await AttendanceRules.storeRange(employees, startDate, endDate, { refresh: true });
+
+        res.json({
+            success: true,
+            data: { evaluated, employees: employees.length, dateRange: { startDate, endDate } },
+            message: `Đã tính lại ${evaluated} ngày công`
+        });
+
+    } catch (error) {
+        console.error('Refresh attendance report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'REFRESH_REPORT_ERROR',
+            message: 'Không thể tính lại báo cáo chấm công'
+        });
+    }
+});
+
 // Get detailed attendance for specific user and date
-router.get('/reports/detail', async (req, res) => {
+router.get('/reports/detail', requireTeamPermission('view_reports'), async (req, res) => {
     try {
         const { userId, date } = req.query;
 
@@ -579,7 +694,7 @@ router.get('/reports/detail', async (req, res) => {
 
         // Get user info
         const user = await User.findById(userId);
-        if (!user) {
+        if (!user || !DepartmentManager.inScope(req.departments, user.department)) {
             return res.status(404).json({
                 success: false,
                 error: 'USER_NOT_FOUND',
@@ -628,7 +743,7 @@ router.get('/reports/detail', async (req, res) => {
 // ==================== SYSTEM MANAGEMENT ====================
 
 // Get system status
-router.get('/system/status', async (req, res) => {
+router.get('/system/status', requirePermission('manage_system'), async (req, res) => {
     try {
         // Get online users count (this would require tracking connected users)
         const onlineUsers = req.io.engine.clientsCount || 0;
@@ -645,10 +760,7 @@ router.get('/system/status', async (req, res) => {
                     connected: true, // This should be checked dynamically
                     type: process.env.DB_TYPE || 'mysql'
                 },
-                rfid: {
-                    connected: true, // This should be checked from RFIDService
-                    port: process.env.RFID_PORT || 'COM3'
-                },
+                rfid: req.readerRegistry.getStatus(),
                 onlineUsers
             }
         });
@@ -664,7 +776,7 @@ router.get('/system/status', async (req, res) => {
 });
 
 // Get system information
-router.get('/system/info', async (req, res) => {
+router.get('/system/info', requirePermission('manage_system'), async (req, res) => {
     try {
         const packageJson = require('../../package.json');
 
@@ -691,7 +803,7 @@ router.get('/system/info', async (req, res) => {
 });
 
 // System restart
-router.post('/system/restart', async (req, res) => {
+router.post('/system/restart', requirePermission('manage_system'), async (req, res) => {
     try {
         res.json({
             success: true,
@@ -722,8 +834,11 @@ router.post('/system/restart', async (req, res) => {
 // ==================== SETTINGS MANAGEMENT ====================
 
 // Get settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('manage_system'), async (req, res) => {
     try {
+        // Working hours come from the default shift template
+        const defaultShift = await Shift.findDefault();
+
         // In a real implementation, these would come from a settings table or config file
         const settings = {
             general: {
@@ -733,11 +848,12 @@ router.get('/settings', async (req, res) => {
                 maintenanceMode: false
             },
             attendance: {
-                workStartTime: '08:00',
-                workEndTime: '17:00',
-                lateThreshold: 30,
+                workStartTime: defaultShift ? defaultShift.startTime : '08:00',
+                workEndTime: defaultShift ? defaultShift.endTime : '17:00',
+                lateThreshold: defaultShift ? defaultShift.graceMinutes : 30,
                 antiSpamDelay: 5,
-                allowWeekendWork: true
+                // Saturday and Sunday are working days of the default shift
+                allowWeekendWork: defaultShift ? defaultShift.worksWeekends() : false
             },
             security: {
                 networkRestriction: true,
@@ -770,11 +886,24 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update settings
-router.put('/settings/:category', async (req, res) => {
+router.put('/settings/:category', requirePermission('manage_system'), async (req, res) => {
     try {
         const { category } = req.params;
         const settings = req.body;
 
+        // Weekend work is stored as the default shift's working weekdays;
+        // without a default shift there is nobody it applies to
+        const defaultShift = category === 'attendance' && settings.allowWeekendWork !== undefined
+            ? await Shift.findDefault()
+            : null;
+        if (defaultShift) {
+            const weekdays = defaultShift.weekdays.filter(day => day < 6);
+            if (settings.allowWeekendWork === true || settings.allowWeekendWork === 'true') {
+                weekdays.push(6, 7);
+            }
+            await Shift.update(defaultShift.id, { weekdays });
+        }
+
         // In a real implementation, save to database or config file
         console.log(`Updating ${category} settings:`, settings);
 
@@ -796,7 +925,7 @@ router.put('/settings/:category', async (req, res) => {
 // ==================== LOCATION MANAGEMENT ====================
 
 // Get all locations
-router.get('/locations', async (req, res) => {
+router.get('/locations', requirePermission('manage_devices'), async (req, res) => {
     try {
         const locations = await executeQuery('SELECT * FROM locations ORDER BY name ASC');
 
@@ -815,7 +944,7 @@ router.get('/locations', async (req, res) => {
 });
 
 // Add location
-router.post('/locations', async (req, res) => {
+router.post('/locations', requirePermission('manage_devices'), async (req, res) => {
     try {
         const { name } = req.body;
 
@@ -859,7 +988,7 @@ router.post('/locations', async (req, res) => {
 });
 
 // Update location
-router.put('/locations/:id', async (req, res) => {
+router.put('/locations/:id', requirePermission('manage_devices'), async (req, res) => {
     try {
         const { id } = req.params;
         const { name } = req.body;
@@ -914,7 +1043,7 @@ router.put('/locations/:id', async (req, res) => {
 });
 
 // Delete location
-router.delete('/locations/:id', async (req, res) => {
+router.delete('/locations/:id', requirePermission('manage_devices'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -940,6 +1069,16 @@ router.delete('/locations/:id', async (req, res) => {
             });
         }
 
+        // Check if a reader is bound to this location
+        const boundReaders = await executeQuery('SELECT COUNT(*) as count FROM rfid_readers WHERE location_id = ?', [id]);
+        if (boundReaders[0].count > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'LOCATION_IN_USE',
+                message: `Location "${locationName}" đang được gán cho ${boundReaders[0].count} đầu đọc RFID, không thể xóa`
+            });
+        }
+
         // Delete location
         await executeQuery('DELETE FROM locations WHERE id = ?', [id]);
 
@@ -957,158 +1096,2911 @@ router.delete('/locations/:id', async (req, res) => {
     }
 });
 
-// ==================== FILE UPLOAD/DOWNLOAD ====================
+// ==================== CARD MANAGEMENT ====================
 
-// Upload employees from Excel
-router.post('/users/upload', upload.single('file'), async (req, res) => {
-    let uploadedFilePath = null;
+// Validate card status and dates from request body
+function validateCardInput(body, existingCard = null) {
+    const { status, issuedAt, expiresAt } = body;
 
-    try {
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                error: 'NO_FILE',
-                message: 'Vui lòng chọn file Excel'
-            });
+    if (status && !Card.STATUSES.includes(status)) {
+        return { error: 'INVALID_STATUS', message: `Trạng thái thẻ không hợp lệ. Hỗ trợ: ${Card.STATUSES.join(', ')}` };
+    }
+
+    for (const date of [issuedAt, expiresAt]) {
+        if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+            return { error: 'INVALID_DATE', message: 'Ngày không hợp lệ (định dạng YYYY-MM-DD)' };
         }
+    }
 
-        uploadedFilePath = req.file.path;
+    const finalStatus = status || (existingCard && existingCard.status);
+    const finalExpiresAt = expiresAt !== undefined ? expiresAt : (existingCard && existingCard.expiresAt);
+    if (finalStatus === 'temporary' && !finalExpiresAt) {
+        return { error: 'EXPIRY_REQUIRED', message: 'Thẻ tạm thời phải có ngày hết hạn' };
+    }
 
-        // Read Excel file
-        const workbook = xlsx.readFile(uploadedFilePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
+    return null;
+}
 
-        // Convert to JSON (assumes first row is header)
-        const data = xlsx.utils.sheet_to_json(worksheet);
+// Get cards (filter by userId, status)
+router.get('/cards', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { userId, status } = req.query;
+        const cards = await Card.findAll({ userId, status });
 
-        if (!data || data.length === 0) {
+        res.json({
+            success: true,
+            data: cards
+        });
+    } catch (error) {
+        console.error('Get cards error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_CARDS_ERROR',
+            message: 'Không thể tải danh sách thẻ'
+        });
+    }
+});
+
+// Put a reader into enrollment mode: the next card scanned on it is issued to the user.
+// The result is pushed over Socket.IO to socketId (enrollment_success/error/timeout).
+router.post('/cards/enroll', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { userId, readerId, socketId } = req.body;
+        const timeout = parseInt(req.body.timeout) || undefined;
+
+        if (!userId) {
             return res.status(400).json({
                 success: false,
-                error: 'EMPTY_FILE',
-                message: 'File Excel không có dữ liệu'
+                error: 'INVALID_INPUT',
+                message: 'Vui lòng chọn nhân viên'
             });
         }
 
-        let added = 0;
-        let skipped = 0;
-        let errors = [];
+        if (timeout !== undefined && (timeout < 5 || timeout > 300)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_TIMEOUT',
+                message: 'Thời gian chờ phải từ 5 đến 300 giây'
+            });
+        }
 
-        // Process each row
-        for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-            const rowNum = i + 2; // +2 because row 1 is header, and Excel is 1-indexed
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'USER_NOT_FOUND',
+                message: 'Không tìm thấy nhân viên'
+            });
+        }
 
-            try {
-                // Get data from Excel columns (support multiple column name formats)
-                const employeeId = row['ID'] || row['id'] || row['Employee ID'] || row['Mã NV'];
-                const name = row['Name'] || row['name'] || row['Tên'] || row['Họ tên'];
-                const department = row['Department'] || row['department'] || row['Phòng ban'] || row['Phong ban'] || null;
-                const username = row['Username'] || row['username'] || row['Tên đăng nhập'] || null;
-                const password = row['Password'] || row['password'] || row['Mật khẩu'] || null;
-                const role = (row['Role'] || row['role'] || row['Vai trò'] || 'staff').toLowerCase();
+        if (!req.readerRegistry.get(readerId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'READER_NOT_FOUND',
+                message: 'Đầu đọc không tồn tại hoặc chưa kích hoạt'
+            });
+        }
 
-                // Validate required fields
-                if (!employeeId || !name) {
-                    errors.push(`Dòng ${rowNum}: Thiếu ID hoặc Tên`);
-                    skipped++;
-                    continue;
-                }
+        const enrollment = req.socketHandlers.startEnrollment({
+            userId: user.id,
+            userName: user.name,
+            readerId,
+            timeout,
+            socketId,
+            requestedBy: req.user.id
+        });
 
-                // Validate role
-                const validRoles = ['staff', 'event_manager', 'admin'];
-                const finalRole = validRoles.includes(role) ? role : 'staff';
+        res.json({
+            success: true,
+            message: `Đang chờ quẹt thẻ cho ${user.name}`,
+            data: enrollment
+        });
+    } catch (error) {
+        console.error('Start enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ENROLLMENT_ERROR',
+            message: 'Không thể bắt đầu đăng ký thẻ'
+        });
+    }
+});
 
-                // Check if employee_id (id) already exists
-                const existing = await executeQuery('SELECT id FROM users WHERE id = ?', [employeeId]);
-                if (existing.length > 0) {
-                    errors.push(`Dòng ${rowNum}: ID ${employeeId} đã tồn tại`);
-                    skipped++;
-                    continue;
-                }
+// Cancel a pending enrollment on a reader
+router.post('/cards/enroll/cancel', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const enrollment = req.socketHandlers.cancelEnrollment(req.body.readerId);
 
-                // Use username if provided, otherwise use employee_id
-                const finalUsername = username || employeeId;
+        res.json({
+            success: true,
+            message: enrollment ? 'Đã hủy đăng ký thẻ' : 'Không có đăng ký thẻ đang chờ',
+            data: enrollment
+        });
+    } catch (error) {
+        console.error('Cancel enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ENROLLMENT_ERROR',
+            message: 'Không thể hủy đăng ký thẻ'
+        });
+    }
+});
 
-                // Check if username already exists
-                const existingUsername = await executeQuery('SELECT id FROM users WHERE username = ?', [finalUsername]);
-                if (existingUsername.length > 0) {
-                    errors.push(`Dòng ${rowNum}: Username ${finalUsername} đã tồn tại`);
-                    skipped++;
-                    continue;
-                }
+// Issue card to user
+router.post('/cards', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { cardUid, userId, status, issuedAt, expiresAt, notes } = req.body;
 
-                // Hash password if provided, otherwise use default password
-                const finalPassword = password || '123456';
-                const hashedPassword = await bcrypt.hash(finalPassword, 10);
+        if (!cardUid || !cardUid.trim() || !userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Mã thẻ và nhân viên không được để trống'
+            });
+        }
 
-                // Insert user - use employeeId as id (PRIMARY KEY)
-                await executeQuery(
-                    `INSERT INTO users (id, name, department, username, password, role, is_active, created_at, updated_at) 
-                     VALUES (?, ?, ?, ?, ?, ?, 1, NOW(), NOW())`,
-                    [employeeId, name, department || null, finalUsername, hashedPassword, finalRole]
-                );
+        const invalid = validateCardInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
 
-                added++;
-            } catch (error) {
-                console.error(`Error processing row ${rowNum}:`, error);
-                errors.push(`Dòng ${rowNum}: ${error.message}`);
-                skipped++;
-            }
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'USER_NOT_FOUND',
+                message: 'Không tìm thấy nhân viên'
+            });
         }
 
-        // Delete uploaded file
-        if (uploadedFilePath && fs.existsSync(uploadedFilePath)) {
-            fs.unlinkSync(uploadedFilePath);
+        const existing = await Card.findByUid(cardUid.trim().toUpperCase());
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'CARD_EXISTS',
+                message: `Thẻ đã được cấp cho ${existing.userName || existing.userId}`
+            });
         }
 
+        const card = await Card.create({
+            cardUid: cardUid.trim().toUpperCase(),
+            userId,
+            status,
+            issuedAt,
+            expiresAt,
+            notes
+        });
+
         res.json({
             success: true,
-            message: `Upload hoàn tất! Đã thêm ${added} nhân viên, bỏ qua ${skipped} dòng`,
-            data: {
-                added,
-                skipped,
-                total: data.length,
-                errors: errors.length > 0 ? errors : undefined
-            }
+            message: 'Cấp thẻ thành công',
+            data: card
         });
-
     } catch (error) {
-        console.error('Upload employees error:', error);
-
-        // Delete uploaded file in case of error
-        if (uploadedFilePath && fs.existsSync(uploadedFilePath)) {
-            fs.unlinkSync(uploadedFilePath);
-        }
-
+        console.error('Add card error:', error);
         res.status(500).json({
             success: false,
-            error: 'UPLOAD_ERROR',
-            message: 'Không thể upload file: ' + error.message
+            error: 'ADD_CARD_ERROR',
+            message: 'Không thể cấp thẻ'
         });
     }
 });
 
-// Download attendance data
-router.get('/attendance/download', async (req, res) => {
+// Update card (status, dates, owner, notes)
+router.put('/cards/:id', requirePermission('manage_users'), async (req, res) => {
     try {
-        const { dateRange, startDate, endDate } = req.query;
+        const { id } = req.params;
+        const { userId } = req.body;
 
-        let whereClause = '';
-        let params = [];
+        const existing = await Card.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CARD_NOT_FOUND',
+                message: 'Thẻ không tồn tại'
+            });
+        }
 
-        // Build date filter
-        const today = moment().format('YYYY-MM-DD');
+        const invalid = validateCardInput(req.body, existing);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
 
-        if (dateRange === 'today') {
-            whereClause = 'WHERE scan_date = ?';
-            params = [today];
-        } else if (dateRange === 'yesterday') {
-            const yesterday = moment().subtract(1, 'days').format('YYYY-MM-DD');
-            whereClause = 'WHERE scan_date = ?';
-            params = [yesterday];
-        } else if (dateRange === 'thisweek') {
-            const weekStart = moment().startOf('week').format('YYYY-MM-DD');
+        if (userId && userId !== existing.userId) {
+            const user = await User.findById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'USER_NOT_FOUND',
+                    message: 'Không tìm thấy nhân viên'
+                });
+            }
+        }
+
+        const card = await Card.update(id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật thẻ thành công',
+            data: card
+        });
+    } catch (error) {
+        console.error('Update card error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_CARD_ERROR',
+            message: 'Không thể cập nhật thẻ'
+        });
+    }
+});
+
+// Replace a lost/revoked card with a new one for the same user
+router.post('/cards/:id/replace', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { cardUid, reason = 'lost', expiresAt, notes } = req.body;
+
+        if (!cardUid || !cardUid.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Mã thẻ mới không được để trống'
+            });
+        }
+
+        if (!['lost', 'revoked'].includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_STATUS',
+                message: 'Lý do thay thẻ phải là lost hoặc revoked'
+            });
+        }
+
+        const existing = await Card.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CARD_NOT_FOUND',
+                message: 'Thẻ không tồn tại'
+            });
+        }
+
+        const duplicate = await Card.findByUid(cardUid.trim().toUpperCase());
+        if (duplicate) {
+            return res.status(400).json({
+                success: false,
+                error: 'CARD_EXISTS',
+                message: `Thẻ đã được cấp cho ${duplicate.userName || duplicate.userId}`
+            });
+        }
+
+        const card = await Card.replace(id, { cardUid: cardUid.trim().toUpperCase(), expiresAt, notes }, reason);
+
+        res.json({
+            success: true,
+            message: 'Thay thẻ thành công',
+            data: card
+        });
+    } catch (error) {
+        console.error('Replace card error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'REPLACE_CARD_ERROR',
+            message: 'Không thể thay thẻ'
+        });
+    }
+});
+
+// Delete card
+router.delete('/cards/:id', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await Card.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CARD_NOT_FOUND',
+                message: 'Thẻ không tồn tại'
+            });
+        }
+
+        await Card.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa thẻ thành công'
+        });
+    } catch (error) {
+        console.error('Delete card error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_CARD_ERROR',
+            message: 'Không thể xóa thẻ'
+        });
+    }
+});
+
+// ==================== UNKNOWN CARD INBOX ====================
+
+// Get pending unknown cards
+router.get('/unknown-cards', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const inbox = await UnknownCard.getInbox();
+
+        res.json({
+            success: true,
+            data: inbox
+        });
+    } catch (error) {
+        console.error('Get unknown cards error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_UNKNOWN_CARDS_ERROR',
+            message: 'Không thể tải danh sách thẻ chưa đăng ký'
+        });
+    }
+});
+
+// Assign unknown card to a user (optionally back-filling its attendance)
+router.post('/unknown-cards/:cardUid/assign', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { cardUid } = req.params;
+        const { userId, backfill = false } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Vui lòng chọn nhân viên'
+            });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'USER_NOT_FOUND',
+                message: 'Không tìm thấy nhân viên'
+            });
+        }
+
+        const existing = await Card.findByUid(cardUid);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'CARD_EXISTS',
+                message: `Thẻ đã được cấp cho ${existing.userName || existing.userId}`
+            });
+        }
+
+        const result = await UnknownCard.assign(cardUid, user.id, {
+            backfill: backfill === true || backfill === 'true',
+            resolvedBy: req.user.id
+        });
+
+        const dates = new Set(result.backfilled.map(record => moment(record.scanDate).format('YYYY-MM-DD')));
+        for (const date of dates) {
+            await req.attendanceService.updateWorkSession(user.id, date);
+        }
+
+        let message = result.backfilled.length > 0
+            ? `Đã gán thẻ cho ${user.name} và bổ sung ${result.backfilled.length} lượt chấm công`
+            : `Đã gán thẻ cho ${user.name}`;
+        if (result.skipped > 0) {
+            message += ` (bỏ qua ${result.skipped} lượt thuộc kỳ lương đã khóa)`;
+        }
+
+        res.json({
+            success: true,
+            message,
+            data: result
+        });
+    } catch (error) {
+        console.error('Assign unknown card error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ASSIGN_UNKNOWN_CARD_ERROR',
+            message: 'Không thể gán thẻ'
+        });
+    }
+});
+
+// Dismiss unknown card
+router.post('/unknown-cards/:cardUid/dismiss', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { cardUid } = req.params;
+        const dismissed = await UnknownCard.resolve(cardUid, 'dismissed', req.user.id);
+
+        if (dismissed === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'UNKNOWN_CARD_NOT_FOUND',
+                message: 'Không có lượt quét nào đang chờ cho thẻ này'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Đã bỏ qua thẻ'
+        });
+    } catch (error) {
+        console.error('Dismiss unknown card error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DISMISS_UNKNOWN_CARD_ERROR',
+            message: 'Không thể bỏ qua thẻ'
+        });
+    }
+});
+
+// ==================== READER MANAGEMENT ====================
+
+// Validate reader driver and location/checkpoint binding from request body
+async function validateReaderInput(body) {
+    const { driver, locationId, checkpointId, options } = body;
+
+    if (driver && driver !== 'auto' && !getDriverTypes().includes(driver)) {
+        return { error: 'INVALID_DRIVER', message: `Driver không hợp lệ. Hỗ trợ: auto, ${getDriverTypes().join(', ')}` };
+    }
+
+    if (options !== undefined && options !== null && (typeof options !== 'object' || Array.isArray(options))) {
+        return { error: 'INVALID_OPTIONS', message: 'Cấu hình đầu đọc phải là một object' };
+    }
+
+    if (options && options.decoder) {
+        try {
+            createCardDecoder(options.decoder);
+        } catch (error) {
+            return { error: 'INVALID_DECODER', message: `Cấu hình định dạng thẻ không hợp lệ: ${error.message}` };
+        }
+    }
+
+    if (locationId && checkpointId) {
+        return { error: 'INVALID_BINDING', message: 'Đầu đọc chỉ được gán cho một location hoặc một checkpoint' };
+    }
+
+    if (locationId) {
+        const location = await executeQuery('SELECT id FROM locations WHERE id = ?', [locationId]);
+        if (location.length === 0) {
+            return { error: 'LOCATION_NOT_FOUND', message: 'Location không tồn tại' };
+        }
+    }
+
+    if (checkpointId) {
+        const checkpoint = await EventCheckpoint.findById(checkpointId);
+        if (!checkpoint) {
+            return { error: 'CHECKPOINT_NOT_FOUND', message: 'Checkpoint không tồn tại' };
+        }
+    }
+
+    return null;
+}
+
+// Get all readers with live connection status
+router.get('/readers', requirePermission('manage_devices'), async (req, res) => {
+    try {
+        const readers = await Reader.findAll();
+        const status = req.readerRegistry.getStatus().readers;
+
+        res.json({
+            success: true,
+            data: {
+                readers: readers.map(reader => ({
+                    ...reader,
+                    status: status.find(s => String(s.readerId) === String(reader.id)) || null
+                })),
+                drivers: ['auto', ...getDriverTypes()],
+                cardFormats: getCardFormats(),
+                status
+            }
+        });
+    } catch (error) {
+        console.error('Get readers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_READERS_ERROR',
+            message: 'Không thể tải danh sách đầu đọc'
+        });
+    }
+});
+
+// Add reader
+router.post('/readers', requirePermission('manage_devices'), async (req, res) => {
+    try {
+        const { name, driver, options, locationId, checkpointId, isActive } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Tên đầu đọc không được để trống'
+            });
+        }
+
+        const invalid = await validateReaderInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const existing = await Reader.findByName(name.trim());
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'READER_EXISTS',
+                message: 'Tên đầu đọc đã tồn tại'
+            });
+        }
+
+        const reader = await Reader.create({
+            name: name.trim(),
+            driver,
+            options,
+            locationId,
+            checkpointId,
+            isActive
+        });
+
+        await req.readerRegistry.reload();
+
+        res.json({
+            success: true,
+            message: 'Thêm đầu đọc thành công',
+            data: reader
+        });
+    } catch (error) {
+        console.error('Add reader error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_READER_ERROR',
+            message: 'Không thể thêm đầu đọc'
+        });
+    }
+});
+
+// Update reader
+router.put('/readers/:id', requirePermission('manage_devices'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name } = req.body;
+
+        const existing = await Reader.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'READER_NOT_FOUND',
+                message: 'Đầu đọc không tồn tại'
+            });
+        }
+
+        const invalid = await validateReaderInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        if (name && name.trim() !== existing.name) {
+            const duplicate = await Reader.findByName(name.trim());
+            if (duplicate) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'READER_EXISTS',
+                    message: 'Tên đầu đọc đã tồn tại'
+                });
+            }
+        }
+
+        const reader = await Reader.update(id, {
+            ...req.body,
+            name: name ? name.trim() : undefined
+        });
+
+        await req.readerRegistry.reload();
+
+        res.json({
+            success: true,
+            message: 'Cập nhật đầu đọc thành công',
+            data: reader
+        });
+    } catch (error) {
+        console.error('Update reader error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_READER_ERROR',
+            message: 'Không thể cập nhật đầu đọc'
+        });
+    }
+});
+
+// Delete reader
+router.delete('/readers/:id', requirePermission('manage_devices'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await Reader.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'READER_NOT_FOUND',
+                message: 'Đầu đọc không tồn tại'
+            });
+        }
+
+        await Reader.delete(id);
+        await req.readerRegistry.reload();
+
+        res.json({
+            success: true,
+            message: 'Xóa đầu đọc thành công'
+        });
+    } catch (error) {
+        console.error('Delete reader error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_READER_ERROR',
+            message: 'Không thể xóa đầu đọc'
+        });
+    }
+});
+
+// ==================== SHIFT MANAGEMENT ====================
+
+function isValidDate(date) {
+    return typeof date === 'string' && moment(date, 'YYYY-MM-DD', true).isValid();
+}
+
+// Validate shift template fields; on create all times are required
+function validateShiftInput(body, isCreate = false) {
+    const { name, startTime, endTime, graceMinutes, breakMinutes, autoCheckoutMinutes, weekdays } = body;
+
+    if (isCreate && (!name || !name.trim())) {
+        return { error: 'INVALID_INPUT', message: 'Tên ca làm việc không được để trống' };
+    }
+
+    if ((isCreate || startTime !== undefined) && !Shift.isValidTime(startTime)) {
+        return { error: 'INVALID_TIME', message: 'Giờ bắt đầu không hợp lệ (HH:mm)' };
+    }
+
+    if ((isCreate || endTime !== undefined) && !Shift.isValidTime(endTime)) {
+        return { error: 'INVALID_TIME', message: 'Giờ kết thúc không hợp lệ (HH:mm)' };
+    }
+
+    if (startTime && endTime && startTime.slice(0, 5) === endTime.slice(0, 5)) {
+        return { error: 'INVALID_TIME', message: 'Giờ bắt đầu và kết thúc không được trùng nhau' };
+    }
+
+    for (const minutes of [graceMinutes, breakMinutes]) {
+        if (minutes !== undefined && (isNaN(parseInt(minutes)) || parseInt(minutes) < 0)) {
+            return { error: 'INVALID_MINUTES', message: 'Số phút phải là số không âm' };
+        }
+    }
+
+    // Empty or null falls back to the configured delay
+    if (![undefined, null, ''].includes(autoCheckoutMinutes) &&
+        (isNaN(parseInt(autoCheckoutMinutes)) || parseInt(autoCheckoutMinutes) < 0)) {
+        return { error: 'INVALID_MINUTES', message: 'Số phút phải là số không âm' };
+    }
+
+    // Empty or null falls back to Monday to Friday
+    if (![undefined, null].includes(weekdays) && !Shift.isValidWeekdays(weekdays)) {
+        return { error: 'INVALID_WEEKDAYS', message: 'Ngày trong tuần phải là danh sách từ 1 (Thứ 2) đến 7 (Chủ nhật)' };
+    }
+
+    return null;
+}
+
+// Validate a shift assignment against the current values of the one being updated
+async function validateAssignmentInput(body, existing = null) {
+    const input = { ...(existing || {}), ...body };
+    const { userId, department, pattern = 'weekly', shiftId, weekdays, rotation, startDate, endDate } = input;
+
+    if (!existing && !userId === !department) {
+        return { error: 'INVALID_TARGET', message: 'Chọn một nhân viên hoặc một phòng ban' };
+    }
+
+    if (!existing && userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            return { error: 'USER_NOT_FOUND', message: 'Người dùng không tồn tại' };
+        }
+    }
+
+    if (!ShiftAssignment.PATTERNS.includes(pattern)) {
+        return { error: 'INVALID_PATTERN', message: `Kiểu lịch không hợp lệ. Hỗ trợ: ${ShiftAssignment.PATTERNS.join(', ')}` };
+    }
+
+    let shiftIds;
+    if (pattern === 'weekly') {
+        if (!shiftId) {
+            return { error: 'INVALID_INPUT', message: 'Vui lòng chọn ca làm việc' };
+        }
+        if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some(day => ![1, 2, 3, 4, 5, 6, 7].includes(parseInt(day)))) {
+            return { error: 'INVALID_WEEKDAYS', message: 'Ngày trong tuần phải là danh sách từ 1 (Thứ 2) đến 7 (Chủ nhật)' };
+        }
+        shiftIds = [shiftId];
+    } else {
+        if (!Array.isArray(rotation) || rotation.length === 0) {
+            return { error: 'INVALID_ROTATION', message: 'Lịch xoay ca phải là danh sách ca (null là ngày nghỉ)' };
+        }
+        shiftIds = rotation.filter(id => id !== null);
+    }
+
+    for (const id of shiftIds) {
+        const shift = await Shift.findById(id);
+        if (!shift) {
+            return { error: 'SHIFT_NOT_FOUND', message: `Ca làm việc ${id} không tồn tại` };
+        }
+    }
+
+    const start = startDate ? moment(startDate).format('YYYY-MM-DD') : null;
+    const end = endDate ? moment(endDate).format('YYYY-MM-DD') : null;
+    if (!start || (body.startDate !== undefined && !isValidDate(body.startDate))) {
+        return { error: 'INVALID_DATE', message: 'Ngày bắt đầu không hợp lệ (YYYY-MM-DD)' };
+    }
+    if (body.endDate && !isValidDate(body.endDate)) {
+        return { error: 'INVALID_DATE', message: 'Ngày kết thúc không hợp lệ (YYYY-MM-DD)' };
+    }
+    if (end && end < start) {
+        return { error: 'INVALID_DATE', message: 'Ngày kết thúc phải sau ngày bắt đầu' };
+    }
+
+    return null;
+}
+
+// Get all shift templates
+router.get('/shifts', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const shifts = await Shift.findAll();
+
+        res.json({
+            success: true,
+            data: shifts.map(shift => ({
+                ...shift,
+                overnight: shift.isOvernight(),
+                plannedHours: Math.round(shift.getPlannedHours() * 100) / 100
+            }))
+        });
+    } catch (error) {
+        console.error('Get shifts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_SHIFTS_ERROR',
+            message: 'Không thể tải danh sách ca làm việc'
+        });
+    }
+});
+
+// Which shift a user works on a date, or on each day of a range
+router.get('/shifts/lookup', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { userId, date, endDate } = req.query;
+        const day = date || moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_USER',
+                message: 'Vui lòng chọn nhân viên'
+            });
+        }
+
+        if (!isValidDate(day) || (endDate && (!isValidDate(endDate) || endDate < day))) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DATE',
+                message: 'Ngày không hợp lệ (YYYY-MM-DD)'
+            });
+        }
+
+        if (endDate && moment(endDate).diff(moment(day), 'days') > 62) {
+            return res.status(400).json({
+                success: false,
+                error: 'RANGE_TOO_LARGE',
+                message: 'Khoảng thời gian tối đa là 62 ngày'
+            });
+        }
+
+        const data = endDate
+            ? await ShiftAssignment.getSchedule(userId, day, endDate)
+            : await ShiftAssignment.findShiftForUser(userId, day);
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Shift lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SHIFT_LOOKUP_ERROR',
+            message: 'Không thể tra cứu ca làm việc'
+        });
+    }
+});
+
+// Add shift template
+router.post('/shifts', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const invalid = validateShiftInput(req.body, true);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const shift = await Shift.create({ ...req.body, name: req.body.name.trim() });
+
+        res.json({
+            success: true,
+            message: 'Thêm ca làm việc thành công',
+            data: shift
+        });
+    } catch (error) {
+        console.error('Add shift error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_SHIFT_ERROR',
+            message: 'Không thể thêm ca làm việc'
+        });
+    }
+});
+
+// Update shift template
+router.put('/shifts/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await Shift.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'SHIFT_NOT_FOUND',
+                message: 'Ca làm việc không tồn tại'
+            });
+        }
+
+        const invalid = validateShiftInput({
+            startTime: existing.startTime,
+            endTime: existing.endTime,
+            ...req.body
+        });
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const shift = await Shift.update(id, {
+            ...req.body,
+            name: req.body.name ? req.body.name.trim() : undefined
+        });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật ca làm việc thành công',
+            data: shift
+        });
+    } catch (error) {
+        console.error('Update shift error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_SHIFT_ERROR',
+            message: 'Không thể cập nhật ca làm việc'
+        });
+    }
+});
+
+// Delete shift template
+router.delete('/shifts/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await Shift.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'SHIFT_NOT_FOUND',
+                message: 'Ca làm việc không tồn tại'
+            });
+        }
+
+        const inUse = await ShiftAssignment.countByShift(id);
+        if (inUse > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'SHIFT_IN_USE',
+                message: `Ca làm việc đang được dùng trong ${inUse} lịch phân ca`
+            });
+        }
+
+        await Shift.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa ca làm việc thành công'
+        });
+    } catch (error) {
+        console.error('Delete shift error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_SHIFT_ERROR',
+            message: 'Không thể xóa ca làm việc'
+        });
+    }
+});
+
+// Get shift assignments, optionally for one user or department
+router.get('/shift-assignments', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { userId, department } = req.query;
+        const assignments = await ShiftAssignment.findAll({ userId, department });
+
+        res.json({
+            success: true,
+            data: assignments
+        });
+    } catch (error) {
+        console.error('Get shift assignments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_SHIFT_ASSIGNMENTS_ERROR',
+            message: 'Không thể tải lịch phân ca'
+        });
+    }
+});
+
+// Assign shifts to a user or department
+router.post('/shift-assignments', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const invalid = await validateAssignmentInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const assignment = await ShiftAssignment.create(req.body);
+
+        res.json({
+            success: true,
+            message: 'Phân ca thành công',
+            data: assignment
+        });
+    } catch (error) {
+        console.error('Add shift assignment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_SHIFT_ASSIGNMENT_ERROR',
+            message: 'Không thể phân ca'
+        });
+    }
+});
+
+// Update shift assignment (the user or department cannot be changed)
+router.put('/shift-assignments/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await ShiftAssignment.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'ASSIGNMENT_NOT_FOUND',
+                message: 'Lịch phân ca không tồn tại'
+            });
+        }
+
+        const { userId, department, ...changes } = req.body;
+        const invalid = await validateAssignmentInput(changes, existing);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const assignment = await ShiftAssignment.update(id, changes);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật lịch phân ca thành công',
+            data: assignment
+        });
+    } catch (error) {
+        console.error('Update shift assignment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_SHIFT_ASSIGNMENT_ERROR',
+            message: 'Không thể cập nhật lịch phân ca'
+        });
+    }
+});
+
+// Delete shift assignment
+router.delete('/shift-assignments/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await ShiftAssignment.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'ASSIGNMENT_NOT_FOUND',
+                message: 'Lịch phân ca không tồn tại'
+            });
+        }
+
+        await ShiftAssignment.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa lịch phân ca thành công'
+        });
+    } catch (error) {
+        console.error('Delete shift assignment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_SHIFT_ASSIGNMENT_ERROR',
+            message: 'Không thể xóa lịch phân ca'
+        });
+    }
+});
+
+// ==================== WORKING-DAY CALENDAR ====================
+
+// Validate a calendar entry against the current values of the one being updated
+function validateCalendarInput(body, existing = null) {
+    const input = { ...(existing || {}), ...body };
+    const { date, type, name, replacesDate } = input;
+
+    if (!existing && !isValidDate(date)) {
+        return { error: 'INVALID_DATE', message: 'Ngày không hợp lệ (YYYY-MM-DD)' };
+    }
+
+    if (!CalendarDay.TYPES.includes(type)) {
+        return { error: 'INVALID_TYPE', message: `Loại ngày không hợp lệ. Hỗ trợ: ${CalendarDay.TYPES.join(', ')}` };
+    }
+
+    if (!name || !String(name).trim()) {
+        return { error: 'INVALID_INPUT', message: 'Tên ngày không được để trống' };
+    }
+
+    if (replacesDate) {
+        if (type !== 'working_day') {
+            return { error: 'INVALID_INPUT', message: 'Chỉ ngày làm bù mới có ngày được bù' };
+        }
+        if (!isValidDate(replacesDate) || replacesDate === input.date) {
+            return { error: 'INVALID_DATE', message: 'Ngày được bù không hợp lệ (YYYY-MM-DD)' };
+        }
+    }
+
+    return null;
+}
+
+// Judge a calendar date again for the employees it concerns. Future dates
+// are judged once they come.
+async function refreshCalendarDate(req, date, department) {
+    if (date > moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD')) return;
+
+    const employees = await AttendanceRules.getEmployees({ department });
+    for (const employee of employees) {
+        await req.attendanceService.updateWorkSession(employee.id, date);
+    }
+}
+
+// Get calendar entries of a year or date range
+router.get('/calendar', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { year, department } = req.query;
+        let { startDate, endDate } = req.query;
+
+        if (year) {
+            if (!/^\d{4}$/.test(year)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_DATE',
+                    message: 'Năm không hợp lệ'
+                });
+            }
+            startDate = `${year}-01-01`;
+            endDate = `${year}-12-31`;
+        }
+
+        const days = await CalendarDay.findAll({ startDate, endDate, department });
+
+        res.json({
+            success: true,
+            data: days
+        });
+    } catch (error) {
+        console.error('Get calendar error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_CALENDAR_ERROR',
+            message: 'Không thể tải lịch làm việc'
+        });
+    }
+});
+
+// Add holiday, company day off or make-up working day
+router.post('/calendar', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const invalid = validateCalendarInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const department = req.body.department ? req.body.department.trim() : null;
+        const existing = await CalendarDay.findByDateAndDepartment(req.body.date, department);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'CALENDAR_DAY_EXISTS',
+                message: `Ngày ${req.body.date} đã có trong lịch (${existing.name})`
+            });
+        }
+
+        const day = await CalendarDay.create({
+            ...req.body,
+            name: req.body.name.trim(),
+            department,
+            createdBy: req.user.id
+        });
+        await refreshCalendarDate(req, day.date, department);
+
+        res.json({
+            success: true,
+            message: 'Thêm ngày vào lịch thành công',
+            data: day
+        });
+    } catch (error) {
+        console.error('Add calendar day error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_CALENDAR_DAY_ERROR',
+            message: 'Không thể thêm ngày vào lịch'
+        });
+    }
+});
+
+// Update calendar entry (the date and department cannot be changed)
+router.put('/calendar/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await CalendarDay.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CALENDAR_DAY_NOT_FOUND',
+                message: 'Ngày không có trong lịch'
+            });
+        }
+
+        const { date, department, ...changes } = req.body;
+        const invalid = validateCalendarInput(changes, existing);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const day = await CalendarDay.update(id, changes);
+        await refreshCalendarDate(req, day.date, day.department);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật lịch thành công',
+            data: day
+        });
+    } catch (error) {
+        console.error('Update calendar day error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_CALENDAR_DAY_ERROR',
+            message: 'Không thể cập nhật lịch'
+        });
+    }
+});
+
+// Delete calendar entry
+router.delete('/calendar/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await CalendarDay.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CALENDAR_DAY_NOT_FOUND',
+                message: 'Ngày không có trong lịch'
+            });
+        }
+
+        await CalendarDay.delete(id);
+        await refreshCalendarDate(req, existing.date, existing.department);
+
+        res.json({
+            success: true,
+            message: 'Xóa ngày khỏi lịch thành công'
+        });
+    } catch (error) {
+        console.error('Delete calendar day error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_CALENDAR_DAY_ERROR',
+            message: 'Không thể xóa ngày khỏi lịch'
+        });
+    }
+});
+
+// ==================== ATTENDANCE POLICIES ====================
+
+// Validate attendance policy fields; absent fields are left as they are
+function validatePolicyInput(body, isCreate = false) {
+    const { name, graceMinutes, earlyLeaveMinutes, roundingMinutes, roundingMode, halfDayHours, minHours } = body;
+
+    if (isCreate && (!name || !name.trim())) {
+        return { error: 'INVALID_INPUT', message: 'Tên chính sách không được để trống' };
+    }
+
+    for (const minutes of [graceMinutes, earlyLeaveMinutes, roundingMinutes]) {
+        if (minutes !== undefined && minutes !== null && minutes !== '' &&
+            (isNaN(parseInt(minutes)) || parseInt(minutes) < 0)) {
+            return { error: 'INVALID_MINUTES', message: 'Số phút phải là số không âm' };
+        }
+    }
+
+    if (roundingMinutes !== undefined && parseInt(roundingMinutes) > 60) {
+        return { error: 'INVALID_ROUNDING', message: 'Bước làm tròn tối đa 60 phút' };
+    }
+
+    if (roundingMode !== undefined && !AttendancePolicy.ROUNDING_MODES.includes(roundingMode)) {
+        return {
+            error: 'INVALID_ROUNDING',
+            message: `Kiểu làm tròn không hợp lệ. Hỗ trợ: ${AttendancePolicy.ROUNDING_MODES.join(', ')}`
+        };
+    }
+
+    for (const hours of [halfDayHours, minHours]) {
+        if (hours !== undefined && (isNaN(parseFloat(hours)) || parseFloat(hours) < 0 || parseFloat(hours) > 24)) {
+            return { error: 'INVALID_HOURS', message: 'Số giờ phải nằm trong khoảng 0-24' };
+        }
+    }
+
+    if (halfDayHours !== undefined && minHours !== undefined &&
+        parseFloat(minHours) > 0 && parseFloat(halfDayHours) > 0 && parseFloat(minHours) > parseFloat(halfDayHours)) {
+        return { error: 'INVALID_HOURS', message: 'Số giờ tối thiểu không được lớn hơn ngưỡng nửa ngày' };
+    }
+
+    const { overtimeWeekdayRate, overtimeWeekendRate, overtimeHolidayRate, overtimeNightRate, overtimeRequiresApproval } = body;
+    for (const rate of [overtimeWeekdayRate, overtimeWeekendRate, overtimeHolidayRate, overtimeNightRate]) {
+        if (rate !== undefined && rate !== null && rate !== '' &&
+            (isNaN(parseFloat(rate)) || parseFloat(rate) < 0 || parseFloat(rate) > 10)) {
+            return { error: 'INVALID_OVERTIME_RATE', message: 'Hệ số tăng ca phải nằm trong khoảng 0-10' };
+        }
+    }
+
+    if (overtimeRequiresApproval !== undefined && typeof overtimeRequiresApproval !== 'boolean') {
+        return { error: 'INVALID_INPUT', message: 'overtimeRequiresApproval phải là true hoặc false' };
+    }
+
+    return null;
+}
+
+// Get attendance policies
+router.get('/attendance-policies', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const policies = await AttendancePolicy.findAll();
+
+        res.json({
+            success: true,
+            data: policies
+        });
+    } catch (error) {
+        console.error('Get attendance policies error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_POLICIES_ERROR',
+            message: 'Không thể tải chính sách chấm công'
+        });
+    }
+});
+
+// Add attendance policy (without department = company default)
+router.post('/attendance-policies', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const invalid = validatePolicyInput(req.body, true);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const department = req.body.department ? req.body.department.trim() : null;
+        const existing = await AttendancePolicy.findByDepartment(department);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'POLICY_EXISTS',
+                message: department
+                    ? `Phòng ban ${department} đã có chính sách chấm công`
+                    : 'Chính sách mặc định đã tồn tại'
+            });
+        }
+
+        const policy = await AttendancePolicy.create({ ...req.body, name: req.body.name.trim(), department });
+
+        res.json({
+            success: true,
+            message: 'Thêm chính sách chấm công thành công',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Add attendance policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_POLICY_ERROR',
+            message: 'Không thể thêm chính sách chấm công'
+        });
+    }
+});
+
+// Update attendance policy (the department cannot be changed). Days already
+// judged keep their result until the report is refreshed.
+router.put('/attendance-policies/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await AttendancePolicy.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'POLICY_NOT_FOUND',
+                message: 'Chính sách chấm công không tồn tại'
+            });
+        }
+
+        const { department, ...changes } = req.body;
+        const invalid = validatePolicyInput({
+            halfDayHours: existing.halfDayHours,
+            minHours: existing.minHours,
+            ...changes
+        });
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const policy = await AttendancePolicy.update(id, changes);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật chính sách chấm công thành công',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Update attendance policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_POLICY_ERROR',
+            message: 'Không thể cập nhật chính sách chấm công'
+        });
+    }
+});
+
+// Delete attendance policy
+router.delete('/attendance-policies/:id', requirePermission('manage_schedules'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await AttendancePolicy.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'POLICY_NOT_FOUND',
+                message: 'Chính sách chấm công không tồn tại'
+            });
+        }
+
+        await AttendancePolicy.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa chính sách chấm công thành công'
+        });
+    } catch (error) {
+        console.error('Delete attendance policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_POLICY_ERROR',
+            message: 'Không thể xóa chính sách chấm công'
+        });
+    }
+});
+
+// ==================== LEAVE MANAGEMENT ====================
+
+// Validate leave type fields; absent fields are left as they are
+function validateLeaveTypeInput(body, isCreate = false) {
+    const { code, name, annualDays } = body;
+
+    if (isCreate && (!code || !/^[a-z0-9_]{2,30}$/.test(code))) {
+        return { error: 'INVALID_CODE', message: 'Mã loại nghỉ chỉ gồm chữ thường, số và dấu gạch dưới (2-30 ký tự)' };
+    }
+
+    if (isCreate && (!name || !name.trim())) {
+        return { error: 'INVALID_INPUT', message: 'Tên loại nghỉ không được để trống' };
+    }
+
+    if (annualDays !== undefined && annualDays !== null && annualDays !== '' &&
+        (isNaN(parseFloat(annualDays)) || parseFloat(annualDays) < 0 || parseFloat(annualDays) > 365)) {
+        return { error: 'INVALID_DAYS', message: 'Số ngày phép phải nằm trong khoảng 0-365' };
+    }
+
+    return null;
+}
+
+// Get leave types
+router.get('/leave-types', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const types = await LeaveType.findAll();
+
+        res.json({
+            success: true,
+            data: types
+        });
+    } catch (error) {
+        console.error('Get leave types error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_LEAVE_TYPES_ERROR',
+            message: 'Không thể tải loại nghỉ phép'
+        });
+    }
+});
+
+// Add leave type
+router.post('/leave-types', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const invalid = validateLeaveTypeInput(req.body, true);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const existing = await LeaveType.findByCode(req.body.code);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'LEAVE_TYPE_EXISTS',
+                message: `Mã loại nghỉ ${req.body.code} đã tồn tại`
+            });
+        }
+
+        const type = await LeaveType.create({ ...req.body, name: req.body.name.trim() });
+
+        res.json({
+            success: true,
+            message: 'Thêm loại nghỉ phép thành công',
+            data: type
+        });
+    } catch (error) {
+        console.error('Add leave type error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_LEAVE_TYPE_ERROR',
+            message: 'Không thể thêm loại nghỉ phép'
+        });
+    }
+});
+
+// Update leave type (the code cannot be changed)
+router.put('/leave-types/:id', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await LeaveType.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'LEAVE_TYPE_NOT_FOUND',
+                message: 'Loại nghỉ phép không tồn tại'
+            });
+        }
+
+        const { code, ...changes } = req.body;
+        const invalid = validateLeaveTypeInput(changes);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const type = await LeaveType.update(id, changes);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật loại nghỉ phép thành công',
+            data: type
+        });
+    } catch (error) {
+        console.error('Update leave type error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_LEAVE_TYPE_ERROR',
+            message: 'Không thể cập nhật loại nghỉ phép'
+        });
+    }
+});
+
+// Get leave requests, optionally by status, user or overlapping a date range
+router.get('/leave-requests', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { status, userId, startDate, endDate } = req.query;
+        const requests = await LeaveRequest.findAll({ status, userId, startDate, endDate });
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get leave requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_LEAVE_REQUESTS_ERROR',
+            message: 'Không thể tải danh sách đơn nghỉ phép'
+        });
+    }
+});
+
+// Approve or reject a leave request
+router.post('/leave-requests/:id/review', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await LeaveService.review(req.params.id, req.user, action, note);
+
+        const { status, body } = LeaveService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt đơn nghỉ phép' : 'Đã từ chối đơn nghỉ phép'
+        );
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Review leave request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_REVIEW_ERROR',
+            message: 'Không thể xử lý đơn nghỉ phép'
+        });
+    }
+});
+
+// Get leave balances of a user for a year
+router.get('/leave-balances', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { userId } = req.query;
+        const year = parseInt(req.query.year) || moment().tz('Asia/Ho_Chi_Minh').year();
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_USER',
+                message: 'Vui lòng chọn nhân viên'
+            });
+        }
+
+        const balances = await LeaveBalance.getBalances(userId, year);
+
+        res.json({
+            success: true,
+            data: { userId, year, balances }
+        });
+    } catch (error) {
+        console.error('Get leave balances error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_LEAVE_BALANCES_ERROR',
+            message: 'Không thể tải số ngày phép'
+        });
+    }
+});
+
+// Set a user's leave entitlement for a year
+router.put('/leave-balances', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { userId, leaveTypeId, year, entitledDays, notes } = req.body;
+
+        const user = userId ? await User.findById(userId) : null;
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'USER_NOT_FOUND',
+                message: 'Người dùng không tồn tại'
+            });
+        }
+
+        const type = leaveTypeId ? await LeaveType.findById(leaveTypeId) : null;
+        if (!type) {
+            return res.status(404).json({
+                success: false,
+                error: 'LEAVE_TYPE_NOT_FOUND',
+                message: 'Loại nghỉ phép không tồn tại'
+            });
+        }
+
+        if (!/^\d{4}$/.test(String(year))) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DATE',
+                message: 'Năm không hợp lệ'
+            });
+        }
+
+        const invalid = validateLeaveTypeInput({ annualDays: entitledDays });
+        if (invalid || entitledDays === undefined || entitledDays === null || entitledDays === '') {
+            return res.status(400).json({
+                success: false,
+                ...(invalid || { error: 'INVALID_DAYS', message: 'Vui lòng nhập số ngày phép' })
+            });
+        }
+
+        await LeaveBalance.setEntitlement(user.id, type.id, parseInt(year), parseFloat(entitledDays), notes || null);
+
+        res.json({
+            success: true,
+            message: `Đã cập nhật số ngày ${type.name} của ${user.name}`,
+            data: await LeaveBalance.getBalance(user.id, type, parseInt(year))
+        });
+    } catch (error) {
+        console.error('Set leave balance error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SET_LEAVE_BALANCE_ERROR',
+            message: 'Không thể cập nhật số ngày phép'
+        });
+    }
+});
+
+// ==================== OVERTIME REQUESTS ====================
+
+// Get overtime requests of every department
+router.get('/overtime-requests', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { status, userId, startDate, endDate } = req.query;
+        const requests = await OvertimeRequest.findAll({ status, userId, startDate, endDate });
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get overtime requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_OVERTIME_REQUESTS_ERROR',
+            message: 'Không thể tải danh sách đơn tăng ca'
+        });
+    }
+});
+
+// Approve or reject an overtime request
+router.post('/overtime-requests/:id/review', requirePermission('manage_leave'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await OvertimeService.review(req.params.id, req.user, action, note);
+
+        const { status, body } = OvertimeService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt đơn tăng ca' : 'Đã từ chối đơn tăng ca'
+        );
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Review overtime request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'OVERTIME_REVIEW_ERROR',
+            message: 'Không thể xử lý đơn tăng ca'
+        });
+    }
+});
+
+// ==================== ATTENDANCE CORRECTIONS ====================
+
+// Get missed-scan correction requests, including automatic check-outs (source=auto_close)
+router.get('/attendance-corrections', requireTeamPermission('edit_attendance'), async (req, res) => {
+    try {
+        const { status, source, userId, startDate, endDate } = req.query;
+        const corrections = await AttendanceCorrection.findAll({
+            status, source, userId, startDate, endDate,
+            departments: req.departments
+        });
+
+        res.json({
+            success: true,
+            data: corrections
+        });
+    } catch (error) {
+        console.error('Get attendance corrections error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_CORRECTIONS_ERROR',
+            message: 'Không thể tải danh sách yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Approve or reject a correction; approval adds the scan and rebuilds the work day.
+// Department managers are limited to their departments by CorrectionService.review.
+router.post('/attendance-corrections/:id/review', requireTeamPermission('edit_attendance'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await CorrectionService.review(req.params.id, req.user, action, note);
+
+        if (result.success && result.attendance) {
+            await req.attendanceService.updateWorkSession(result.correction.userId, result.correction.workDate);
+        }
+
+        const { status, body } = CorrectionService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt yêu cầu bổ sung chấm công' : 'Đã từ chối yêu cầu bổ sung chấm công'
+        );
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Review attendance correction error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_REVIEW_ERROR',
+            message: 'Không thể xử lý yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Audit trail of attendance changes, by record, employee or correction
+router.get('/attendance-audit', requirePermission('view_reports'), async (req, res) => {
+    try {
+        const { attendanceId, userId, correctionId } = req.query;
+        const entries = await AttendanceAudit.findAll({
+            attendanceId,
+            userId,
+            correctionId,
+            limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+        });
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Get attendance audit error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_AUDIT_ERROR',
+            message: 'Không thể tải lịch sử thay đổi chấm công'
+        });
+    }
+});
+
+// ==================== PAYROLL PERIODS ====================
+
+// Validate a payroll period against the current values of the one being updated
+function validatePayrollPeriodInput(body, existing = null) {
+    const input = { ...(existing || {}), ...body };
+    const { name, startDate, endDate } = input;
+
+    if (!name || !String(name).trim()) {
+        return { error: 'INVALID_INPUT', message: 'Tên kỳ lương không được để trống' };
+    }
+
+    if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+        return { error: 'INVALID_DATE', message: 'Khoảng ngày của kỳ lương không hợp lệ (YYYY-MM-DD)' };
+    }
+
+    return null;
+}
+
+function periodOverlapResponse(res, overlapping) {
+    return res.status(400).json({
+        success: false,
+        error: 'PERIOD_OVERLAP',
+        message: `Kỳ lương trùng với "${overlapping.name}" (${overlapping.startDate} - ${overlapping.endDate})`
+    });
+}
+
+function periodLockedResponse(res) {
+    return res.status(423).json({
+        success: false,
+        error: 'PERIOD_LOCKED',
+        message: 'Kỳ lương đã khóa, hãy mở lại trước khi thay đổi'
+    });
+}
+
+// Get payroll periods
+router.get('/payroll-periods', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { status, startDate, endDate } = req.query;
+        const periods = await PayrollPeriod.findAll({ status, startDate, endDate });
+
+        res.json({
+            success: true,
+            data: periods
+        });
+    } catch (error) {
+        console.error('Get payroll periods error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_PAYROLL_PERIODS_ERROR',
+            message: 'Không thể tải danh sách kỳ lương'
+        });
+    }
+});
+
+// Create payroll period (open until locked)
+router.post('/payroll-periods', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const invalid = validatePayrollPeriodInput(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const { name, startDate, endDate, notes } = req.body;
+        const [overlapping] = await PayrollPeriod.findOverlapping(startDate, endDate);
+        if (overlapping) {
+            return periodOverlapResponse(res, overlapping);
+        }
+
+        const period = await PayrollPeriod.create({
+            name: name.trim(),
+            startDate,
+            endDate,
+            notes,
+            createdBy: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Tạo kỳ lương thành công',
+            data: period
+        });
+    } catch (error) {
+        console.error('Create payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CREATE_PAYROLL_PERIOD_ERROR',
+            message: 'Không thể tạo kỳ lương'
+        });
+    }
+});
+
+// Update an open payroll period
+router.put('/payroll-periods/:id', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await PayrollPeriod.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PERIOD_NOT_FOUND',
+                message: 'Kỳ lương không tồn tại'
+            });
+        }
+
+        if (existing.isLocked) {
+            return periodLockedResponse(res);
+        }
+
+        const { status, ...changes } = req.body;
+        const invalid = validatePayrollPeriodInput(changes, existing);
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        const [overlapping] = await PayrollPeriod.findOverlapping(
+            changes.startDate || existing.startDate,
+            changes.endDate || existing.endDate,
+            id
+        );
+        if (overlapping) {
+            return periodOverlapResponse(res, overlapping);
+        }
+
+        const period = await PayrollPeriod.update(id, {
+            ...changes,
+            name: changes.name ? String(changes.name).trim() : undefined
+        });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật kỳ lương thành công',
+            data: period
+        });
+    } catch (error) {
+        console.error('Update payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_PAYROLL_PERIOD_ERROR',
+            message: 'Không thể cập nhật kỳ lương'
+        });
+    }
+});
+
+// Delete an open payroll period
+router.delete('/payroll-periods/:id', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await PayrollPeriod.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PERIOD_NOT_FOUND',
+                message: 'Kỳ lương không tồn tại'
+            });
+        }
+
+        if (existing.isLocked) {
+            return periodLockedResponse(res);
+        }
+
+        await PayrollPeriod.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa kỳ lương thành công'
+        });
+    } catch (error) {
+        console.error('Delete payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_PAYROLL_PERIOD_ERROR',
+            message: 'Không thể xóa kỳ lương'
+        });
+    }
+});
+
+// Lock a payroll period: attendance and work sessions of its days can no
+// longer be recorded, changed or deleted
+router.post('/payroll-periods/:id/lock', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await PayrollPeriod.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PERIOD_NOT_FOUND',
+                message: 'Kỳ lương không tồn tại'
+            });
+        }
+
+        if (existing.isLocked) {
+            return res.status(400).json({
+                success: false,
+                error: 'PERIOD_ALREADY_LOCKED',
+                message: 'Kỳ lương đã được khóa'
+            });
+        }
+
+        const period = await PayrollPeriod.lock(id, req.user.id);
+        console.log(`🔒 Payroll period #${id} (${period.startDate} - ${period.endDate}) locked by ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: 'Đã khóa kỳ lương',
+            data: period
+        });
+    } catch (error) {
+        console.error('Lock payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LOCK_PAYROLL_PERIOD_ERROR',
+            message: 'Không thể khóa kỳ lương'
+        });
+    }
+});
+
+// Reopen a locked payroll period; the reason is required and logged
+router.post('/payroll-periods/:id/reopen', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+        const existing = await PayrollPeriod.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PERIOD_NOT_FOUND',
+                message: 'Kỳ lương không tồn tại'
+            });
+        }
+
+        if (!existing.isLocked) {
+            return res.status(400).json({
+                success: false,
+                error: 'PERIOD_NOT_LOCKED',
+                message: 'Kỳ lương chưa bị khóa'
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_REASON',
+                message: 'Vui lòng nhập lý do mở lại kỳ lương'
+            });
+        }
+
+        const period = await PayrollPeriod.reopen(id, req.user.id, reason);
+        console.log(`🔓 Payroll period #${id} reopened by ${req.user.id}: ${reason}`);
+
+        res.json({
+            success: true,
+            message: 'Đã mở lại kỳ lương',
+            data: period
+        });
+    } catch (error) {
+        console.error('Reopen payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'REOPEN_PAYROLL_PERIOD_ERROR',
+            message: 'Không thể mở lại kỳ lương'
+        });
+    }
+});
+
+// Creation, lock and reopen history of a payroll period
+router.get('/payroll-periods/:id/log', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const period = await PayrollPeriod.findById(req.params.id);
+        if (!period) {
+            return res.status(404).json({
+                success: false,
+                error: 'PERIOD_NOT_FOUND',
+                message: 'Kỳ lương không tồn tại'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await PayrollPeriod.getLog(period.id)
+        });
+    } catch (error) {
+        console.error('Get payroll period log error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_PAYROLL_PERIOD_LOG_ERROR',
+            message: 'Không thể tải lịch sử kỳ lương'
+        });
+    }
+});
+
+// ==================== PAYROLL EXPORT ====================
+
+// Summary fields templates can use and the layout used without a template
+router.get('/export-templates/fields', requirePermission('manage_payroll'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            fields: Object.entries(PayrollExportService.FIELDS).map(([field, definition]) => ({ field, ...definition })),
+            formats: ExportTemplate.FORMATS,
+            defaultColumns: PayrollExportService.DEFAULT_COLUMNS
+        }
+    });
+});
+
+// Get export templates
+router.get('/export-templates', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const templates = await ExportTemplate.findAll();
+
+        res.json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Get export templates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_EXPORT_TEMPLATES_ERROR',
+            message: 'Không thể tải danh sách mẫu xuất'
+        });
+    }
+});
+
+// Create export template
+router.post('/export-templates', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { name, description, format = 'xlsx', columns } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Tên mẫu xuất không được để trống'
+            });
+        }
+
+        const invalid = PayrollExportService.validateTemplate({ format, columns });
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        if (await ExportTemplate.findByName(String(name).trim())) {
+            return res.status(400).json({
+                success: false,
+                error: 'TEMPLATE_EXISTS',
+                message: 'Tên mẫu xuất đã tồn tại'
+            });
+        }
+
+        const template = await ExportTemplate.create({
+            name: String(name).trim(),
+            description,
+            format,
+            columns: PayrollExportService.normalizeColumns(columns),
+            createdBy: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Tạo mẫu xuất thành công',
+            data: template
+        });
+    } catch (error) {
+        console.error('Create export template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CREATE_EXPORT_TEMPLATE_ERROR',
+            message: 'Không thể tạo mẫu xuất'
+        });
+    }
+});
+
+// Update export template
+router.put('/export-templates/:id', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await ExportTemplate.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'TEMPLATE_NOT_FOUND',
+                message: 'Mẫu xuất không tồn tại'
+            });
+        }
+
+        const name = req.body.name ? String(req.body.name).trim() : undefined;
+        const { description, format } = req.body;
+        const columns = req.body.columns || existing.columns;
+
+        const invalid = PayrollExportService.validateTemplate({ format, columns });
+        if (invalid) {
+            return res.status(400).json({ success: false, ...invalid });
+        }
+
+        if (name && name !== existing.name && await ExportTemplate.findByName(name)) {
+            return res.status(400).json({
+                success: false,
+                error: 'TEMPLATE_EXISTS',
+                message: 'Tên mẫu xuất đã tồn tại'
+            });
+        }
+
+        const template = await ExportTemplate.update(id, {
+            name,
+            description,
+            format,
+            columns: PayrollExportService.normalizeColumns(columns)
+        });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật mẫu xuất thành công',
+            data: template
+        });
+    } catch (error) {
+        console.error('Update export template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_EXPORT_TEMPLATE_ERROR',
+            message: 'Không thể cập nhật mẫu xuất'
+        });
+    }
+});
+
+// Delete export template
+router.delete('/export-templates/:id', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await ExportTemplate.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'TEMPLATE_NOT_FOUND',
+                message: 'Mẫu xuất không tồn tại'
+            });
+        }
+
+        await ExportTemplate.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Xóa mẫu xuất thành công'
+        });
+    } catch (error) {
+        console.error('Delete export template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_EXPORT_TEMPLATE_ERROR',
+            message: 'Không thể xóa mẫu xuất'
+        });
+    }
+});
+
+// Download the per-employee payroll summary of a payroll period (periodId)
+// or date range, in the layout of a template (templateId) or the default one
+router.get('/payroll-export', requirePermission('manage_payroll'), async (req, res) => {
+    try {
+        const { periodId, templateId, userId, department } = req.query;
+        let { startDate, endDate } = req.query;
+
+        if (periodId) {
+            const period = await PayrollPeriod.findById(periodId);
+            if (!period) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'PERIOD_NOT_FOUND',
+                    message: 'Kỳ lương không tồn tại'
+                });
+            }
+            ({ startDate, endDate } = period);
+        }
+
+        if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DATE',
+                message: 'Ngày không hợp lệ (YYYY-MM-DD)'
+            });
+        }
+
+        if (moment(endDate).diff(moment(startDate), 'days') > 62) {
+            return res.status(400).json({
+                success: false,
+                error: 'RANGE_TOO_LARGE',
+                message: 'Khoảng thời gian tối đa là 62 ngày'
+            });
+        }
+
+        let layout = { format: 'xlsx', columns: PayrollExportService.DEFAULT_COLUMNS };
+        if (templateId) {
+            const template = await ExportTemplate.findById(templateId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'TEMPLATE_NOT_FOUND',
+                    message: 'Mẫu xuất không tồn tại'
+                });
+            }
+            layout = { format: template.format, columns: template.columns };
+        }
+
+        if (req.query.format) {
+            if (!ExportTemplate.FORMATS.includes(req.query.format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_FORMAT',
+                    message: 'Định dạng không hợp lệ (xlsx hoặc csv)'
+                });
+            }
+            layout.format = req.query.format;
+        }
+
+        const employees = await AttendanceRules.getEmployees({ userId, department });
+        const rows = await PayrollExportService.buildSummary(employees, startDate, endDate);
+        const file = PayrollExportService.render(rows, layout);
+
+        res.setHeader('Content-Disposition', `attachment; filename="${PayrollExportService.fileName(startDate, endDate, file.extension)}"`);
+        res.setHeader('Content-Type', file.contentType);
+        res.send(file.content);
+    } catch (error) {
+        console.error('Payroll export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'PAYROLL_EXPORT_ERROR',
+            message: 'Không thể xuất bảng công'
+        });
+    }
+});
+
+// ==================== DEPARTMENT MANAGERS ====================
+
+// Get department managers
+router.get('/department-managers', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const managers = await DepartmentManager.findAll();
+
+        res.json({
+            success: true,
+            data: managers
+        });
+    } catch (error) {
+        console.error('Get department managers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_DEPARTMENT_MANAGERS_ERROR',
+            message: 'Không thể tải danh sách quản lý phòng ban'
+        });
+    }
+});
+
+// Make a user manager of a department
+router.post('/department-managers', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { userId } = req.body;
+        const department = req.body.department ? req.body.department.trim() : '';
+
+        if (!userId || !department) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Vui lòng chọn nhân viên và phòng ban'
+            });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'USER_NOT_FOUND',
+                message: 'Người dùng không tồn tại'
+            });
+        }
+
+        if (await DepartmentManager.isManagerOf(user.id, department)) {
+            return res.status(400).json({
+                success: false,
+                error: 'MANAGER_EXISTS',
+                message: `${user.name} đã là quản lý của ${department}`
+            });
+        }
+
+        const manager = await DepartmentManager.assign(user.id, department);
+
+        res.json({
+            success: true,
+            message: `Đã giao quản lý ${department} cho ${user.name}`,
+            data: manager
+        });
+    } catch (error) {
+        console.error('Add department manager error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ADD_DEPARTMENT_MANAGER_ERROR',
+            message: 'Không thể giao quản lý phòng ban'
+        });
+    }
+});
+
+// Remove a department manager
+router.delete('/department-managers/:id', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const existing = await DepartmentManager.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'MANAGER_NOT_FOUND',
+                message: 'Không tìm thấy quản lý phòng ban'
+            });
+        }
+
+        await DepartmentManager.delete(existing.id);
+
+        res.json({
+            success: true,
+            message: 'Đã gỡ quản lý phòng ban'
+        });
+    } catch (error) {
+        console.error('Delete department manager error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_DEPARTMENT_MANAGER_ERROR',
+            message: 'Không thể gỡ quản lý phòng ban'
+        });
+    }
+});
+
+// ==================== ROLES & PERMISSIONS ====================
+
+// Check the permissions of a role; returns { error, message } or null
+function validateRolePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+        return { error: 'INVALID_PERMISSIONS', message: 'Danh sách quyền không hợp lệ' };
+    }
+
+    const unknown = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        return { error: 'INVALID_PERMISSIONS', message: `Quyền không hợp lệ: ${unknown.join(', ')}` };
+    }
+
+    return null;
+}
+
+// Get roles with their permissions, and the permissions that can be granted
+router.get('/roles', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const roles = await Role.findAll();
+
+        res.json({
+            success: true,
+            data: {
+                roles,
+                permissions: Role.PERMISSIONS
+            }
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_ROLES_ERROR',
+            message: 'Không thể tải danh sách vai trò'
+        });
+    }
+});
+
+// Create a role
+router.post('/roles', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const code = req.body.code ? String(req.body.code).trim() : '';
+        const name = req.body.name ? String(req.body.name).trim() : '';
+        const { description, permissions = [] } = req.body;
+
+        if (!/^[a-z][a-z0-9_]{1,49}$/.test(code) || !name) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_INPUT',
+                message: 'Mã vai trò (chữ thường, số, dấu _) và tên là bắt buộc'
+            });
+        }
+
+        const permissionError = validateRolePermissions(permissions);
+        if (permissionError) {
+            return res.status(400).json({ success: false, ...permissionError });
+        }
+
+        if (await Role.findByCode(code)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ROLE_EXISTS',
+                message: `Vai trò ${code} đã tồn tại`
+            });
+        }
+
+        const role = await Role.create({ code, name, description, permissions });
+        console.log(`🔑 Role ${code} created by ${req.user.username}: ${role.permissions.join(', ')}`);
+
+        res.json({
+            success: true,
+            message: 'Tạo vai trò thành công',
+            data: role
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CREATE_ROLE_ERROR',
+            message: 'Không thể tạo vai trò'
+        });
+    }
+});
+
+// Update a role's name, description and permissions
+router.put('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const existing = await Role.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'ROLE_NOT_FOUND',
+                message: 'Không tìm thấy vai trò'
+            });
+        }
+
+        const { name, description, permissions } = req.body;
+
+        if (permissions !== undefined) {
+            const permissionError = validateRolePermissions(permissions);
+            if (permissionError) {
+                return res.status(400).json({ success: false, ...permissionError });
+            }
+
+            // Keep the editor from locking themselves out of role management
+            if (existing.code === req.user.role && !permissions.includes('manage_roles')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'CANNOT_REMOVE_OWN_ACCESS',
+                    message: 'Không thể bỏ quyền quản lý vai trò khỏi vai trò của chính bạn'
+                });
+            }
+        }
+
+        const role = await Role.update(existing.id, {
+            name: name ? String(name).trim() : undefined,
+            description,
+            permissions
+        });
+        console.log(`🔑 Role ${role.code} updated by ${req.user.username}: ${role.permissions.join(', ')}`);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật vai trò thành công',
+            data: role
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_ROLE_ERROR',
+            message: 'Không thể cập nhật vai trò'
+        });
+    }
+});
+
+// Delete a role no user holds; built-in roles stay
+router.delete('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const existing = (await Role.findAll()).find(role => String(role.id) === String(req.params.id));
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'ROLE_NOT_FOUND',
+                message: 'Không tìm thấy vai trò'
+            });
+        }
+
+        if (existing.isSystem) {
+            return res.status(400).json({
+                success: false,
+                error: 'ROLE_PROTECTED',
+                message: 'Không thể xóa vai trò mặc định của hệ thống'
+            });
+        }
+
+        if (existing.userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'ROLE_IN_USE',
+                message: `Vai trò đang được gán cho ${existing.userCount} người dùng`
+            });
+        }
+
+        await Role.delete(existing.id);
+        console.log(`🔑 Role ${existing.code} deleted by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Đã xóa vai trò'
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_ROLE_ERROR',
+            message: 'Không thể xóa vai trò'
+        });
+    }
+});
+
+// ==================== SERVICE ACCOUNTS & API TOKENS ====================
+
+// Service accounts (HR scripts, kiosks) with their active tokens
+router.get('/service-accounts', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const accounts = await User.findServiceAccounts();
+        const data = [];
+        for (const account of accounts) {
+            data.push({ ...account.toJSON(), tokens: await ApiToken.findAll({ userId: account.id }) });
+        }
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Get service accounts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_SERVICE_ACCOUNTS_ERROR',
+            message: 'Không thể tải danh sách tài khoản dịch vụ'
+        });
+    }
+});
+
+// Create a service account; it cannot log in and acts through API tokens
+// with the permissions of its role
+router.post('/service-accounts', [requirePermission('manage_users'), requireSession], async (req, res) => {
+    try {
+        const { id, name, role, department } = req.body;
+
+        if (!id || !name || !role) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_REQUIRED_FIELDS',
+                message: 'Vui lòng điền đầy đủ thông tin bắt buộc (ID, Tên, Vai trò)'
+            });
+        }
+
+        const username = `svc_${id}`;
+        const existing = await executeQuery('SELECT id FROM users WHERE id = ? OR username = ?', [id, username]);
+        if (existing.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'EMPLOYEE_ID_EXISTS',
+                message: 'ID này đã được sử dụng'
+            });
+        }
+
+        const roleError = await Role.checkAssignable(role, req.user);
+        if (roleError) {
+            return res.status(400).json({ success: false, ...roleError });
+        }
+
+        const account = await User.createServiceAccount({ id, name, username, role, department });
+        console.log(`🤖 Service account ${account.id} (${role}) created by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Đã tạo tài khoản dịch vụ',
+            data: account.toJSON()
+        });
+    } catch (error) {
+        console.error('Create service account error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CREATE_SERVICE_ACCOUNT_ERROR',
+            message: 'Không thể tạo tài khoản dịch vụ'
+        });
+    }
+});
+
+// Deactivate a service account and revoke its tokens
+router.delete('/service-accounts/:id', [requirePermission('manage_users'), requireSession], async (req, res) => {
+    try {
+        const account = await User.findById(req.params.id);
+        if (!account || !account.isServiceAccount()) {
+            return res.status(404).json({
+                success: false,
+                error: 'SERVICE_ACCOUNT_NOT_FOUND',
+                message: 'Không tìm thấy tài khoản dịch vụ'
+            });
+        }
+
+        await ApiToken.revokeAllForUser(account.id);
+        await User.delete(account.id);
+        console.log(`🤖 Service account ${account.id} deactivated by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Đã vô hiệu hóa tài khoản dịch vụ và thu hồi các token'
+        });
+    } catch (error) {
+        console.error('Delete service account error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_SERVICE_ACCOUNT_ERROR',
+            message: 'Không thể vô hiệu hóa tài khoản dịch vụ'
+        });
+    }
+});
+
+// Create a token for a service account; the token is only shown in this response
+router.post('/service-accounts/:id/tokens', [requirePermission('manage_users'), requireSession], async (req, res) => {
+    try {
+        const account = await User.findById(req.params.id);
+        if (!account || !account.isServiceAccount()) {
+            return res.status(404).json({
+                success: false,
+                error: 'SERVICE_ACCOUNT_NOT_FOUND',
+                message: 'Không tìm thấy tài khoản dịch vụ'
+            });
+        }
+
+        // The account's role may have gained permissions the issuer lacks since it was created
+        const roleError = await Role.checkAssignable(account.role, req.user);
+        if (roleError) {
+            return res.status(403).json({ success: false, ...roleError });
+        }
+
+        const { name, scopes, expiresInDays } = req.body;
+        const result = await ApiTokenService.issue(account, { name, scopes, expiresInDays }, req.user.id);
+        const { status, body } = ApiTokenService.toResponse(result, 'Đã tạo API token, hãy lưu lại vì token sẽ không hiển thị lại');
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Create service account token error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CREATE_TOKEN_ERROR',
+            message: 'Không thể tạo API token'
+        });
+    }
+});
+
+// API tokens of all users, with last use, optionally of one user
+router.get('/api-tokens', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const { userId, all } = req.query;
+        const tokens = await ApiToken.findAll({ userId, includeInactive: all === 'true' });
+
+        res.json({
+            success: true,
+            data: tokens
+        });
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'GET_TOKENS_ERROR',
+            message: 'Không thể tải danh sách API token'
+        });
+    }
+});
+
+// Revoke any user's token
+router.delete('/api-tokens/:id', [requirePermission('manage_users'), requireSession], async (req, res) => {
+    try {
+        const result = await ApiTokenService.revoke(req.params.id, req.user.id);
+        const { status, body } = ApiTokenService.toResponse(result, 'Đã thu hồi API token');
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'REVOKE_TOKEN_ERROR',
+            message: 'Không thể thu hồi API token'
+        });
+    }
+});
+
+// ==================== FILE UPLOAD/DOWNLOAD ====================
+
+// Upload employees from Excel
+router.post('/users/upload', requirePermission('manage_users'), upload.single('file'), async (req, res) => {
+    let uploadedFilePath = null;
+
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'NO_FILE',
+                message: 'Vui lòng chọn file Excel'
+            });
+        }
+
+        uploadedFilePath = req.file.path;
+
+        // Read Excel file
+        const workbook = xlsx.readFile(uploadedFilePath);
+        const sheetName = workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[sheetName];
+
+        // Convert to JSON (assumes first row is header)
+        const data = xlsx.utils.sheet_to_json(worksheet);
+
+        if (!data || data.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'EMPTY_FILE',
+                message: 'File Excel không có dữ liệu'
+            });
+        }
+
+        let added = 0;
+        let skipped = 0;
+        let errors = [];
+
+        // Roles the uploader may give; anything else falls back to staff
+        const ownPermissions = await req.user.getRolePermissions();
+        const assignableRoles = (await Role.findAll())
+            .filter(role => role.permissions.every(permission => ownPermissions.includes(permission)))
+            .map(role => role.code);
+
+        // Process each row
+        for (let i = 0; i < data.length; i++) {
+            const row = data[i];
+            const rowNum = i + 2; // +2 because row 1 is header, and Excel is 1-indexed
+
+            try {
+                // Get data from Excel columns (support multiple column name formats)
+                const employeeId = row['ID'] || row['id'] || row['Employee ID'] || row['Mã NV'];
+                const name = row['Name'] || row['name'] || row['Tên'] || row['Họ tên'];
+                const department = row['Department'] || row['department'] || row['Phòng ban'] || row['Phong ban'] || null;
+                const username = row['Username'] || row['username'] || row['Tên đăng nhập'] || null;
+                const password = row['Password'] || row['password'] || row['Mật khẩu'] || null;
+                const role = (row['Role'] || row['role'] || row['Vai trò'] || 'staff').toLowerCase();
+
+                // Validate required fields
+                if (!employeeId || !name) {
+                    errors.push(`Dòng ${rowNum}: Thiếu ID hoặc Tên`);
+                    skipped++;
+                    continue;
+                }
+
+                // Validate role
+                const finalRole = assignableRoles.includes(role) ? role : 'staff';
+
+                // Check if employee_id (id) already exists
+                const existing = await executeQuery('SELECT id FROM users WHERE id = ?', [employeeId]);
+                if (existing.length > 0) {
+                    errors.push(`Dòng ${rowNum}: ID ${employeeId} đã tồn tại`);
+                    skipped++;
+                    continue;
+                }
+
+                // Use username if provided, otherwise use employee_id
+                const finalUsername = username || employeeId;
+
+                // Check if username already exists
+                const existingUsername = await executeQuery('SELECT id FROM users WHERE username = ?', [finalUsername]);
+                if (existingUsername.length > 0) {
+                    errors.push(`Dòng ${rowNum}: Username ${finalUsername} đã tồn tại`);
+                    skipped++;
+                    continue;
+                }
+
+                // Hash password if provided, otherwise use default password
+                const finalPassword = password || '123456';
+                const hashedPassword = await bcrypt.hash(finalPassword, 10);
+
+                // Insert user - use employeeId as id (PRIMARY KEY)
+                await executeQuery(
+                    `INSERT INTO users (id, name, department, username, password, role, is_active, created_at, updated_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+                    [employeeId, name, department || null, finalUsername, hashedPassword, finalRole]
+                );
+
+                added++;
+            } catch (error) {
+                console.error(`Error processing row ${rowNum}:`, error);
+                errors.push(`Dòng ${rowNum}: ${error.message}`);
+                skipped++;
+            }
+        }
+
+        // Delete uploaded file
+        if (uploadedFilePath && fs.existsSync(uploadedFilePath)) {
+            fs.unlinkSync(uploadedFilePath);
+        }
+
+        res.json({
+            success: true,
+            message: `Upload hoàn tất! Đã thêm ${added} nhân viên, bỏ qua ${skipped} dòng`,
+            data: {
+                added,
+                skipped,
+                total: data.length,
+                errors: errors.length > 0 ? errors : undefined
+            }
+        });
+
+    } catch (error) {
+        console.error('Upload employees error:', error);
+
+        // Delete uploaded file in case of error
+        if (uploadedFilePath && fs.existsSync(uploadedFilePath)) {
+            fs.unlinkSync(uploadedFilePath);
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'UPLOAD_ERROR',
+            message: 'Không thể upload file: ' + error.message
+        });
+    }
+});
+
+// Download attendance data
+router.get('/attendance/download', requireTeamPermission('view_reports'), async (req, res) => {
+    try {
+        const { dateRange, startDate, endDate } = req.query;
+
+        let whereClause = '';
+        let params = [];
+
+        // Build date filter
+        const today = moment().format('YYYY-MM-DD');
+
+        if (dateRange === 'today') {
+            whereClause = 'WHERE scan_date = ?';
+            params = [today];
+        } else if (dateRange === 'yesterday') {
+            const yesterday = moment().subtract(1, 'days').format('YYYY-MM-DD');
+            whereClause = 'WHERE scan_date = ?';
+            params = [yesterday];
+        } else if (dateRange === 'thisweek') {
+            const weekStart = moment().startOf('week').format('YYYY-MM-DD');
             whereClause = 'WHERE scan_date >= ?';
             params = [weekStart];
         } else if (dateRange === 'lastweek') {
@@ -1130,6 +4022,13 @@ router.get('/attendance/download', async (req, res) => {
             params = [startDate, endDate];
         }
 
+        // Department managers only get their departments' attendance
+        const scope = departmentScope(req, 'u.department');
+        if (scope.condition) {
+            whereClause = whereClause ? `${whereClause} AND ${scope.condition}` : `WHERE ${scope.condition}`;
+            params.push(...scope.params);
+        }
+
         // Get attendance data
         const attendance = await executeQuery(`
             SELECT 
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
-const { requireAdmin } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/rateLimiter');
 const { executeQuery } = require('../config/database');
 const moment = require('moment-timezone');
@@ -11,7 +12,7 @@ const moment = require('moment-timezone');
 router.use('/api', require('./admin-api'));
 
 // Admin dashboard
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', requirePermission('view_dashboard'), async (req, res) => {
     try {
         // Get basic statistics
         const today = moment().format('YYYY-MM-DD');
@@ -19,7 +20,7 @@ router.get('/', requireAdmin, async (req, res) => {
 
         const stats = await Promise.all([
             // Total users
-            executeQuery('SELECT COUNT(*) as count FROM users WHERE is_active = true'),
+            executeQuery(`SELECT COUNT(*) as count FROM users WHERE is_active = true AND ${User.employeeCondition()}`),
             // Today's attendance
             executeQuery('SELECT COUNT(*) as count FROM attendance WHERE scan_date = ? AND status = "valid"', [today]),
             // This month's attendance
@@ -56,7 +57,7 @@ router.get('/', requireAdmin, async (req, res) => {
 });
 
 // User management page
-router.get('/users', requireAdmin, async (req, res) => {
+router.get('/users', requirePermission('manage_users'), async (req, res) => {
     try {
         const users = await User.findAll();
         res.render('admin/users', {
@@ -76,7 +77,7 @@ router.get('/users', requireAdmin, async (req, res) => {
 });
 
 // Get all users API
-router.get('/api/users', requireAdmin, async (req, res) => {
+router.get('/api/users', requirePermission('manage_users'), async (req, res) => {
     try {
         const { role, active = 'true' } = req.query;
 
@@ -109,7 +110,7 @@ router.get('/api/users', requireAdmin, async (req, res) => {
 });
 
 // Create user
-router.post('/api/users', [requireAdmin, adminLimiter], async (req, res) => {
+router.post('/api/users', [requirePermission('manage_users'), adminLimiter], async (req, res) => {
     try {
         const { id, name, username, password, role = 'at_work' } = req.body;
 
@@ -140,6 +141,11 @@ router.post('/api/users', [requireAdmin, adminLimiter], async (req, res) => {
             });
         }
 
+        const roleError = await Role.checkAssignable(role, req.user);
+        if (roleError) {
+            return res.status(400).json({ success: false, ...roleError });
+        }
+
         const user = await User.create({ id, name, username, password, role });
 
         console.log(`Admin ${req.user.username} created user ${username}`);
@@ -161,7 +167,7 @@ router.post('/api/users', [requireAdmin, adminLimiter], async (req, res) => {
 });
 
 // Update user
-router.put('/api/users/:id', [requireAdmin, adminLimiter], async (req, res) => {
+router.put('/api/users/:id', [requirePermission('manage_users'), adminLimiter], async (req, res) => {
     try {
         const { id } = req.params;
         const { name, username, password, role, isActive } = req.body;
@@ -187,6 +193,13 @@ router.put('/api/users/:id', [requireAdmin, adminLimiter], async (req, res) => {
             }
         }
 
+        if (role && role !== existingUser.role) {
+            const roleError = await Role.checkAssignable(role, req.user);
+            if (roleError) {
+                return res.status(400).json({ success: false, ...roleError });
+            }
+        }
+
         const updateData = {};
         if (name) updateData.name = name;
         if (username) updateData.username = username;
@@ -215,7 +228,7 @@ router.put('/api/users/:id', [requireAdmin, adminLimiter], async (req, res) => {
 });
 
 // Delete user (soft delete)
-router.delete('/api/users/:id', [requireAdmin, adminLimiter], async (req, res) => {
+router.delete('/api/users/:id', [requirePermission('manage_users'), adminLimiter], async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -256,7 +269,7 @@ router.delete('/api/users/:id', [requireAdmin, adminLimiter], async (req, res) =
 });
 
 // Attendance management page
-router.get('/attendance', requireAdmin, (req, res) => {
+router.get('/attendance', requirePermission('view_reports'), (req, res) => {
     res.render('admin/attendance', {
         title: 'Quản lý chấm công',
         user: req.user
@@ -264,7 +277,7 @@ router.get('/attendance', requireAdmin, (req, res) => {
 });
 
 // Get attendance records
-router.get('/api/attendance', requireAdmin, async (req, res) => {
+router.get('/api/attendance', requirePermission('view_reports'), async (req, res) => {
     try {
         const { start_date, end_date, user_id, limit = 100, offset = 0 } = req.query;
 
@@ -304,7 +317,7 @@ router.get('/api/attendance', requireAdmin, async (req, res) => {
 });
 
 // Get attendance statistics
-router.get('/api/attendance/stats', requireAdmin, async (req, res) => {
+router.get('/api/attendance/stats', requirePermission('view_reports'), async (req, res) => {
     try {
         const { start_date, end_date } = req.query;
 
@@ -333,7 +346,7 @@ router.get('/api/attendance/stats', requireAdmin, async (req, res) => {
 });
 
 // Network configuration page
-router.get('/network-config', requireAdmin, (req, res) => {
+router.get('/network-config', requirePermission('manage_devices'), (req, res) => {
     res.render('admin/network-config', {
         title: 'Cấu hình mạng',
         user: req.user
@@ -341,7 +354,7 @@ router.get('/network-config', requireAdmin, (req, res) => {
 });
 
 // Get network configurations
-router.get('/api/network-config', requireAdmin, async (req, res) => {
+router.get('/api/network-config', requirePermission('manage_devices'), async (req, res) => {
     try {
         const [networks, wifis] = await Promise.all([
             executeQuery('SELECT * FROM network_configs ORDER BY id DESC'),
@@ -367,7 +380,7 @@ router.get('/api/network-config', requireAdmin, async (req, res) => {
 });
 
 // Update network configurations
-router.post('/api/network-config', [requireAdmin, adminLimiter], async (req, res) => {
+router.post('/api/network-config', [requirePermission('manage_devices'), adminLimiter], async (req, res) => {
     try {
         const { networks, wifis } = req.body;
 
@@ -420,7 +433,7 @@ router.post('/api/network-config', [requireAdmin, adminLimiter], async (req, res
 // ==================== NEW ADMIN PAGES ====================
 
 // Users management page
-router.get('/users', requireAdmin, (req, res) => {
+router.get('/users', requirePermission('manage_users'), (req, res) => {
     res.render('admin/users', {
         title: 'Quản lý Người dùng - RFID Admin',
         user: req.user
@@ -428,7 +441,7 @@ router.get('/users', requireAdmin, (req, res) => {
 });
 
 // Reports page
-router.get('/reports', requireAdmin, (req, res) => {
+router.get('/reports', requirePermission('view_reports'), (req, res) => {
     res.render('admin/reports', {
         title: 'Báo cáo Chấm công - RFID Admin',
         user: req.user
@@ -436,7 +449,7 @@ router.get('/reports', requireAdmin, (req, res) => {
 });
 
 // Settings page
-router.get('/settings', requireAdmin, (req, res) => {
+router.get('/settings', requirePermission('manage_system'), (req, res) => {
     res.render('admin/settings', {
         title: 'Cài đặt Hệ thống - RFID Admin',
         user: req.user
@@ -444,7 +457,7 @@ router.get('/settings', requireAdmin, (req, res) => {
 });
 
 // Manage checkpoints page
-router.get('/manage-checkpoints', requireAdmin, (req, res) => {
+router.get('/manage-checkpoints', requirePermission('manage_events'), (req, res) => {
     res.render('admin/manage-checkpoints', {
         title: 'Quản lý Checkpoints - RFID Admin',
         user: req.user
@@ -452,7 +465,7 @@ router.get('/manage-checkpoints', requireAdmin, (req, res) => {
 });
 
 // System management page
-router.get('/manage', requireAdmin, (req, res) => {
+router.get('/manage', requirePermission('manage_users'), (req, res) => {
     res.render('admin/manage', {
         title: 'Quản lý Hệ thống - RFID Admin',
         user: req.user
@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
-const { requireAuth, requireEventManager } = require('../middleware/auth');
+const EventCheckpoint = require('../models/EventCheckpoint');
+const WorkSession = require('../models/WorkSession');
+const LeaveRequest = require('../models/LeaveRequest');
+const ApiToken = require('../models/ApiToken');
+const AttendanceService = require('../services/AttendanceService');
+const ApiTokenService = require('../services/ApiTokenService');
+const RealtimeBroadcaster = require('../services/RealtimeBroadcaster');
+const { requirePermission, requireSession } = require('../middleware/auth');
 const { apiLimiter, rfidScanLimiter } = require('../middleware/rateLimiter');
 const { requireCompanyNetwork } = require('../middleware/networkSecurity');
 const moment = require('moment-timezone');
@@ -23,121 +30,19 @@ router.get('/auth/status', (req, res) => {
 });
 
 // RFID scan endpoint
-router.post('/rfid/scan', [requireAuth, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/rfid/scan', [requirePermission('check_in'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
         const { rfid_card, event_id = null } = req.body;
 
-        if (!rfid_card) {
-            return res.status(400).json({
-                success: false,
-                error: 'MISSING_RFID',
-                message: 'Vui lòng quét thẻ RFID'
-            });
-        }
-
-        // Resolve target user by RFID card from users table
-        let targetUserId = req.user.id;
-        try {
-            console.log(`🔍 Looking up RFID card: ${rfid_card}`);
-            const rfidOwner = await User.findByRfidCard(rfid_card);
-            console.log(`🔍 RFID owner found:`, rfidOwner ? { id: rfidOwner.id, name: rfidOwner.name } : 'NULL');
-            if (rfidOwner && rfidOwner.id) {
-                targetUserId = rfidOwner.id;
-                console.log(`✅ Target user ID set to: ${targetUserId}`);
-            } else {
-                console.log(`⚠️ No user found for RFID ${rfid_card}, using logged-in user: ${req.user.id}`);
-            }
-        } catch (e) {
-            console.error(`❌ Error looking up RFID card:`, e.message);
-            // Ignore lookup errors and keep fallback to logged-in user
-        }
-        const now = moment.tz('Asia/Ho_Chi_Minh');
-        const today = now.format('YYYY-MM-DD');
-        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
-
-        // Check for duplicate scan (anti-spam)
-        const isDuplicate = await Attendance.checkDuplicateScan(targetUserId, rfid_card, 5);
-        if (isDuplicate) {
-            return res.status(429).json({
-                success: false,
-                error: 'DUPLICATE_SCAN',
-                message: 'Vui lòng chờ 5 giây trước khi quét lại'
-            });
-        }
-
-        // Determine action type based on last scan
-        const lastScan = await Attendance.getLastScanForUser(targetUserId, event_id ? null : today);
-        let actionType = 'check_in';
-
-        if (lastScan) {
-            if (event_id) {
-                // For events, alternate between check_in and check_out
-                actionType = lastScan.actionType === 'check_in' ? 'check_out' : 'check_in';
-            } else {
-                // For regular work, check same day
-                if (lastScan.scanDate === today) {
-                    actionType = lastScan.actionType === 'check_in' ? 'check_out' : 'check_in';
-                }
-            }
-        }
-
-        // Record attendance
-        const attendanceData = {
-            userId: targetUserId,
-            rfidCard: rfid_card,
-            scanTime: currentTime,
-            scanDate: today,
-            actionType,
-            eventId: event_id || null,
-            clientIp: req.networkInfo?.clientIp || req.ip || null,
-            gatewayIp: req.networkInfo?.gatewayIp || null,
-            wifiName: req.networkInfo?.wifiName || null,
-            location: 'Main Office',
-            // Preserve who performed the scan if different from target
-            notes: (req.user?.id && req.user.id !== targetUserId) ? `scanned_by:${req.user.id}` : null,
-            status: 'valid'
-        };
-
-        const attendance = await Attendance.recordAttendance(attendanceData);
-
-        // Get target user info for response (if different from logged-in user)
-        let targetUser = req.user;
-        if (targetUserId !== req.user.id) {
-            try {
-                const foundUser = await User.findById(targetUserId);
-                if (foundUser) {
-                    targetUser = foundUser;
-                }
-            } catch (e) {
-                // Fallback to req.user if lookup fails
-            }
-        }
-
-        // Emit real-time update
-        req.io.emit('attendance_update', {
-            type: event_id ? 'event_attendance' : 'work_attendance',
-            action: actionType,
-            user: targetUser.toJSON(),
-            attendance: attendance,
-            timestamp: currentTime,
-            eventId: event_id
+        const result = await req.attendanceService.processWebScan({
+            cardId: rfid_card,
+            eventId: event_id,
+            actor: req.user,
+            network: AttendanceService.networkInfo(req)
         });
 
-        const actorInfo = `${req.user.name} (${req.user.id})`;
-        const targetInfo = targetUserId !== req.user.id ? ` -> on behalf of user ${targetUserId}` : '';
-        console.log(`API RFID Scan: ${actorInfo} ${actionType} at ${currentTime}${event_id ? ` for event ${event_id}` : ''}${targetInfo}`);
-
-        res.json({
-            success: true,
-            message: actionType === 'check_in' ? 'Chấm công vào thành công' : 'Chấm công ra thành công',
-            data: {
-                action: actionType,
-                time: currentTime,
-                user: targetUser.toJSON(),
-                attendance: attendance,
-                eventId: event_id
-            }
-        });
+        const { status, body } = AttendanceService.toResponse(result);
+        res.status(status).json(body);
 
     } catch (error) {
         console.error('API RFID scan error:', error);
@@ -150,7 +55,7 @@ router.post('/rfid/scan', [requireAuth, requireCompanyNetwork, rfidScanLimiter],
 });
 
 // Get user attendance summary
-router.get('/attendance/summary', requireAuth, async (req, res) => {
+router.get('/attendance/summary', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { start_date, end_date } = req.query;
         const userId = req.user.id;
@@ -159,44 +64,27 @@ router.get('/attendance/summary', requireAuth, async (req, res) => {
         const endDate = end_date || moment().format('YYYY-MM-DD');
         const startDate = start_date || moment().startOf('month').format('YYYY-MM-DD');
 
-        const [todayStatus, monthlyReport] = await Promise.all([
-            // Today's status
-            Attendance.findByUserAndDate(userId, moment().format('YYYY-MM-DD')),
-            // Monthly report
-            Attendance.getUserAttendanceReport(userId, startDate, endDate)
+        const today = await WorkSession.resolveWorkDate(userId, moment().tz('Asia/Ho_Chi_Minh'));
+        const [todayStatus, todaySession, sessions] = await Promise.all([
+            // Today's scans and work session
+            Attendance.findByUserAndDate(userId, today),
+            WorkSession.findByUserAndDate(userId, today),
+            // Work sessions in the range
+            WorkSession.findByDateRange(startDate, endDate, userId)
         ]);
 
         // Calculate today's status
         let currentStatus = 'not_checked_in';
-        let totalHoursToday = 0;
-
         if (todayStatus.length > 0) {
             const lastRecord = todayStatus[todayStatus.length - 1];
             currentStatus = lastRecord.actionType === 'check_in' ? 'checked_in' : 'checked_out';
-
-            // Calculate hours worked today
-            const checkIns = todayStatus.filter(r => r.actionType === 'check_in');
-            const checkOuts = todayStatus.filter(r => r.actionType === 'check_out');
-
-            for (let i = 0; i < Math.min(checkIns.length, checkOuts.length); i++) {
-                const checkInTime = moment(checkIns[i].scanTime);
-                const checkOutTime = moment(checkOuts[i].scanTime);
-                totalHoursToday += checkOutTime.diff(checkInTime, 'hours', true);
-            }
         }
+        const totalHoursToday = todaySession ? todaySession.totalHours : 0;
 
-        // Calculate monthly totals
-        let totalDaysWorked = 0;
-        let totalHoursWorked = 0;
-
-        for (const day of monthlyReport) {
-            if (day.first_check_in && day.last_check_out) {
-                totalDaysWorked++;
-                const dayStart = moment(day.first_check_in);
-                const dayEnd = moment(day.last_check_out);
-                totalHoursWorked += dayEnd.diff(dayStart, 'hours', true);
-            }
-        }
+        // Monthly totals from days with at least one completed check-in/out pair
+        const workedSessions = sessions.filter(session => session.totalHours > 0);
+        const totalDaysWorked = workedSessions.length;
+        const totalHoursWorked = workedSessions.reduce((sum, session) => sum + session.totalHours, 0);
 
         res.json({
             success: true,
@@ -227,7 +115,7 @@ router.get('/attendance/summary', requireAuth, async (req, res) => {
 });
 
 // Get attendance history with pagination
-router.get('/attendance/history', requireAuth, async (req, res) => {
+router.get('/attendance/history', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { start_date, end_date, date, page = 1, limit = 20 } = req.query;
         const { executeQuery } = require('../config/database');
@@ -293,7 +181,7 @@ router.get('/attendance/history', requireAuth, async (req, res) => {
 });
 
 // Get system status
-router.get('/system/status', requireAuth, (req, res) => {
+router.get('/system/status', requirePermission('view_dashboard'), (req, res) => {
     try {
         res.json({
             success: true,
@@ -319,9 +207,9 @@ router.get('/system/status', requireAuth, (req, res) => {
 });
 
 // Manual RFID input (for keyboard mode devices like R65D)
-router.post('/rfid/manual', [requireAuth, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/rfid/manual', [requirePermission('record_attendance'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
-        const { card_id, event_id = null } = req.body;
+        const { card_id, event_id = null, reader_id = null } = req.body;
 
         if (!card_id) {
             return res.status(400).json({
@@ -331,10 +219,10 @@ router.post('/rfid/manual', [requireAuth, requireCompanyNetwork, rfidScanLimiter
             });
         }
 
-        // Normalize card ID (same logic as RFIDService)
-        const normalizedCardId = card_id.toString().replace(/\D/g, '').padStart(10, '0');
+        // Decode card ID with the reader's card format profile (same as hardware scans)
+        const normalizedCardId = req.readerRegistry.decodeCardId(card_id, reader_id);
 
-        if (normalizedCardId.length < 8 || normalizedCardId.length > 12) {
+        if (!normalizedCardId) {
             return res.status(400).json({
                 success: false,
                 error: 'INVALID_CARD_ID',
@@ -342,9 +230,18 @@ router.post('/rfid/manual', [requireAuth, requireCompanyNetwork, rfidScanLimiter
             });
         }
 
-        // Process the same way as automatic RFID scan
-        req.body.rfid_card = normalizedCardId;
-        return await router.stack.find(layer => layer.route && layer.route.path === '/rfid/scan').route.stack[0].handle(req, res);
+        // Process the same way as a scan on that reader
+        const result = await req.attendanceService.processScan({
+            cardId: normalizedCardId,
+            eventId: event_id,
+            readerId: reader_id,
+            actor: req.user,
+            method: 'manual',
+            network: AttendanceService.networkInfo(req)
+        });
+
+        const { status, body } = AttendanceService.toResponse(result);
+        res.status(status).json(body);
 
     } catch (error) {
         console.error('Manual RFID input error:', error);
@@ -356,75 +253,8 @@ router.post('/rfid/manual', [requireAuth, requireCompanyNetwork, rfidScanLimiter
     }
 });
 
-// Ensure event_checkpoints table exists (use proper DDL by DB type to avoid noisy errors)
-async function ensureEventCheckpointsTable(executeQuery) {
-    const { DB_TYPE } = require('../config/database');
-    if (DB_TYPE === 'mysql') {
-        const createMysql = `
-            CREATE TABLE IF NOT EXISTS event_checkpoints (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                event_name VARCHAR(255) NOT NULL,
-                checkpoint_name VARCHAR(100) NOT NULL,
-                checkpoint_type VARCHAR(10) NOT NULL,
-                display_order INT DEFAULT 1,
-                is_active TINYINT(1) DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                UNIQUE KEY uniq_event_checkpoint (event_name, checkpoint_name)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
-        await executeQuery(createMysql);
-    } else {
-        const createSqlite = `
-            CREATE TABLE IF NOT EXISTS event_checkpoints (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_name TEXT NOT NULL,
-                checkpoint_name TEXT NOT NULL,
-                checkpoint_type TEXT NOT NULL,
-                display_order INTEGER DEFAULT 1,
-                is_active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(event_name, checkpoint_name)
-            );`;
-        await executeQuery(createSqlite);
-    }
-}
-
-// Ensure event checkpoint logs table exists to store check actions
-async function ensureEventCheckpointLogsTable(executeQuery) {
-    const { DB_TYPE } = require('../config/database');
-    if (DB_TYPE === 'mysql') {
-        const createMysql = `
-            CREATE TABLE IF NOT EXISTS event_checkpoint_logs (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                event_id INT NOT NULL,
-                user_id VARCHAR(50) NOT NULL,
-                checkpoint_name VARCHAR(100) NOT NULL,
-                action_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-                method VARCHAR(20) DEFAULT 'manual',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_event_user (event_id, user_id),
-                INDEX idx_event_checkpoint (event_id, checkpoint_name),
-                CONSTRAINT fk_ecl_event FOREIGN KEY (event_id) REFERENCES events(id)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
-        await executeQuery(createMysql);
-    } else {
-        const createSqlite = `
-            CREATE TABLE IF NOT EXISTS event_checkpoint_logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_id INTEGER NOT NULL,
-                user_id TEXT NOT NULL,
-                checkpoint_name TEXT NOT NULL,
-                action_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-                method TEXT DEFAULT 'manual',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );`;
-        await executeQuery(createSqlite);
-    }
-}
-
 // List events for event manager (active only)
-router.get('/event-manager/events', requireAuth, async (req, res) => {
+router.get('/event-manager/events', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         // Allow any authenticated user to see active events
@@ -439,7 +269,7 @@ router.get('/event-manager/events', requireAuth, async (req, res) => {
 });
 
 // Availability matrix for an event
-router.get('/event-manager/available', requireAuth, async (req, res) => {
+router.get('/event-manager/available', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery, DB_TYPE } = require('../config/database');
         const { event_name } = req.query;
@@ -521,7 +351,7 @@ router.get('/event-manager/available', requireAuth, async (req, res) => {
 });
 
 // Remove a participant from event (also delete logs)
-router.post('/event-manager/remove-participant', requireAuth, async (req, res) => {
+router.post('/event-manager/remove-participant', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery, executeTransaction } = require('../config/database');
         const { event_name, user_id } = req.body || {};
@@ -529,11 +359,6 @@ router.post('/event-manager/remove-participant', requireAuth, async (req, res) =
         if (!event_name || !user_id) {
             return res.status(400).json({ success: false, error: 'MISSING_FIELDS', message: 'Thiếu event_name hoặc user_id' });
         }
-        // Restrict to admin or event_manager
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền xóa người khỏi sự kiện' });
-        }
-
         const ev = await executeQuery('SELECT id FROM events WHERE name = ? LIMIT 1', [event_name]);
         if (!ev || !ev[0]) {
             return res.status(404).json({ success: false, error: 'EVENT_NOT_FOUND', message: 'Không tìm thấy sự kiện' });
@@ -557,18 +382,13 @@ router.post('/event-manager/remove-participant', requireAuth, async (req, res) =
 });
 
 // Export availability report to Excel
-router.get('/event-manager/export-availability', requireAuth, async (req, res) => {
+router.get('/event-manager/export-availability', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery, DB_TYPE } = require('../config/database');
         const { event_name } = req.query;
         if (!event_name) {
             return res.status(400).json({ success: false, error: 'MISSING_EVENT_NAME', message: 'Thiếu tên sự kiện' });
         }
-        // Restrict to admin or event_manager
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền xuất báo cáo' });
-        }
-
         // Resolve event
         const ev = await executeQuery('SELECT id, name FROM events WHERE name = ? LIMIT 1', [event_name]);
         if (!ev || !ev[0]) {
@@ -815,11 +635,8 @@ async function importParticipantsCore({ event_name, event_id, participants }) {
 }
 
 // Import participants (CSV parsed client-side)
-router.post('/event-manager/import-participants', requireAuth, async (req, res) => {
+router.post('/event-manager/import-participants', requirePermission('manage_events'), async (req, res) => {
     try {
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
         const result = await importParticipantsCore({
             event_name: req.body?.event_name,
             event_id: req.body?.event_id,
@@ -834,11 +651,8 @@ router.post('/event-manager/import-participants', requireAuth, async (req, res)
 
 // Import participants via CSV file upload (server-side parsing)
 // multipart/form-data fields: event_name or event_id, file field named "file"
-router.post('/event-manager/import-participants-file', [requireAuth, upload.single('file')], async (req, res) => {
+router.post('/event-manager/import-participants-file', [requirePermission('manage_events'), upload.single('file')], async (req, res) => {
     try {
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
         const event_name = req.body?.event_name;
         const event_id = req.body?.event_id;
         const file = req.file;
@@ -900,11 +714,8 @@ router.post('/event-manager/import-participants-file', [requireAuth, upload.sing
 
 // Search event customers (participants) for autocomplete in check page
 // GET /api/event-manager/search-event-customers?query=...&event_name=...&event_id=...
-router.get('/event-manager/search-event-customers', requireAuth, async (req, res) => {
+router.get('/event-manager/search-event-customers', requirePermission('manage_events'), async (req, res) => {
     try {
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
 
         const { executeQuery, DB_TYPE } = require('../config/database');
         const query = (req.query.query || '').toString().trim();
@@ -984,12 +795,9 @@ router.get('/event-manager/search-event-customers', requireAuth, async (req, res
 });
 
 // List checkpoints of an event
-router.post('/event-manager/list-checkpoints', requireAuth, async (req, res) => {
+router.post('/event-manager/list-checkpoints', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
         const { event_name, event_id } = req.body || {};
         let resolvedEventName = event_name;
         if (!resolvedEventName && event_id) {
@@ -999,7 +807,7 @@ router.post('/event-manager/list-checkpoints', requireAuth, async (req, res) =>
         if (!resolvedEventName) {
             return res.status(400).json({ success: false, message: 'Thiếu thông tin sự kiện (event_name hoặc event_id)' });
         }
-        await ensureEventCheckpointsTable(executeQuery);
+        await EventCheckpoint.ensureTable();
         const rows = await executeQuery(
             'SELECT checkpoint_name, checkpoint_type, display_order FROM event_checkpoints WHERE event_name = ? AND is_active = 1 ORDER BY display_order ASC, checkpoint_name ASC',
             [resolvedEventName]
@@ -1013,12 +821,9 @@ router.post('/event-manager/list-checkpoints', requireAuth, async (req, res) =>
 });
 
 // Add checkpoint
-router.post('/event-manager/add-checkpoint', requireAuth, async (req, res) => {
+router.post('/event-manager/add-checkpoint', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
         const { event_name, event_id, checkpoint_name, checkpoint_type, display_order } = req.body || {};
         // Resolve event name from id if provided
         let resolvedEventName = event_name;
@@ -1044,7 +849,7 @@ router.post('/event-manager/add-checkpoint', requireAuth, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Tên checkpoint chỉ được chứa A-Z, 0-9 và _' });
         }
         const order = Number.isFinite(display_order) ? display_order : parseInt(display_order || '1', 10);
-        await ensureEventCheckpointsTable(executeQuery);
+        await EventCheckpoint.ensureTable();
 
         // Upsert-like: try insert; if duplicate, return conflict
         try {
@@ -1068,12 +873,9 @@ router.post('/event-manager/add-checkpoint', requireAuth, async (req, res) => {
 });
 
 // Remove checkpoint (soft delete)
-router.post('/event-manager/remove-checkpoint', requireAuth, async (req, res) => {
+router.post('/event-manager/remove-checkpoint', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
-        if (!req.user || !['admin', 'event_manager'].includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Bạn không có quyền truy cập' });
-        }
         const { event_name, event_id, checkpoint_name } = req.body || {};
         let resolvedEventName = event_name;
         if (!resolvedEventName && event_id) {
@@ -1083,7 +885,7 @@ router.post('/event-manager/remove-checkpoint', requireAuth, async (req, res) =>
         if (!resolvedEventName || !checkpoint_name) {
             return res.status(400).json({ success: false, message: 'Thiếu thông tin sự kiện (event_name/event_id) hoặc checkpoint' });
         }
-        await ensureEventCheckpointsTable(executeQuery);
+        await EventCheckpoint.ensureTable();
         const result = await executeQuery(
             'UPDATE event_checkpoints SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE event_name = ? AND checkpoint_name = ?',
             [resolvedEventName, checkpoint_name]
@@ -1096,7 +898,7 @@ router.post('/event-manager/remove-checkpoint', requireAuth, async (req, res) =>
 });
 
 // Get current events for attendance
-router.get('/events/current', requireAuth, async (req, res) => {
+router.get('/events/current', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const today = moment().format('YYYY-MM-DD');
@@ -1133,7 +935,7 @@ router.get('/events/current', requireAuth, async (req, res) => {
 });
 
 // Get all active locations
-router.get('/locations', requireAuth, async (req, res) => {
+router.get('/locations', requirePermission('check_in'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
 
@@ -1159,7 +961,7 @@ router.get('/locations', requireAuth, async (req, res) => {
 });
 
 // Check-in attendance with location
-router.post('/attendance/checkin', [requireAuth, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/attendance/checkin', [requirePermission('check_in'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
         const { rfid_card, location, method, force_action } = req.body;
 
@@ -1179,119 +981,18 @@ router.post('/attendance/checkin', [requireAuth, requireCompanyNetwork, rfidScan
             });
         }
 
-        // Resolve target user by RFID card from users table
-        let userId = req.user.id;
-        try {
-            console.log(`🔍 [CHECKIN] Looking up RFID card: ${rfid_card}`);
-            const rfidOwner = await User.findByRfidCard(rfid_card);
-            console.log(`🔍 [CHECKIN] RFID owner found:`, rfidOwner ? { id: rfidOwner.id, name: rfidOwner.name } : 'NULL');
-            if (rfidOwner && rfidOwner.id) {
-                userId = rfidOwner.id;
-                console.log(`✅ [CHECKIN] Target user ID set to: ${userId}`);
-            } else {
-                console.log(`⚠️ [CHECKIN] No user found for RFID ${rfid_card}, using logged-in user: ${req.user.id}`);
-            }
-        } catch (e) {
-            console.error(`❌ [CHECKIN] Error looking up RFID card:`, e.message);
-            // Ignore lookup errors and keep fallback to logged-in user
-        }
-        const now = moment.tz('Asia/Ho_Chi_Minh');
-        const today = now.format('YYYY-MM-DD');
-        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
-
-        // Check for duplicate scan (anti-spam)
-        const isDuplicate = await Attendance.checkDuplicateScan(userId, rfid_card, 5);
-        if (isDuplicate) {
-            return res.status(429).json({
-                success: false,
-                error: 'DUPLICATE_SCAN',
-                message: 'Vui lòng chờ 5 giây trước khi quét lại'
-            });
-        }
-
-        // Determine action type
-        let actionType = 'check_in'; // Default action
-
-        // If force_action is specified (from frontend), use it directly
-        if (force_action && (force_action === 'check_in' || force_action === 'check_out')) {
-            actionType = force_action;
-        } else {
-            // Otherwise, use the old logic for backward compatibility
-            const lastScan = await Attendance.getLastScanForUser(userId, today);
-
-            if (lastScan) {
-                // If last scan was check_in, next should be check_out
-                actionType = lastScan.actionType === 'check_in' ? 'check_out' : 'check_in';
-            }
-        }
-
-        // Get location name from database
-        let locationName = location;
-        if (location && !isNaN(location)) {
-            const { executeQuery } = require('../config/database');
-            const locationRecords = await executeQuery(
-                'SELECT name FROM locations WHERE id = ? AND is_active = true',
-                [location]
-            );
-            locationName = locationRecords.length > 0 ? locationRecords[0].name : 'Unknown Location';
-        } else {
-            // If location is a string (like from mock data), find it in database
-            const { executeQuery } = require('../config/database');
-            const locationRecords = await executeQuery(
-                'SELECT id, name FROM locations WHERE (id = ? OR name = ?) AND is_active = true',
-                [location, location]
-            );
-            if (locationRecords.length > 0) {
-                locationName = locationRecords[0].name;
-                location = locationRecords[0].id;
-            }
-        }
-
-        // Record attendance
-        const attendanceData = {
-            userId,
-            rfidCard: rfid_card,
-            scanTime: currentTime,
-            scanDate: today,
-            actionType,
-            eventId: null, // For work attendance, event_id is null
-            clientIp: req.networkInfo?.clientIp || req.ip || null,
-            gatewayIp: req.networkInfo?.gatewayIp || null,
-            wifiName: req.networkInfo?.wifiName || null,
-            location: locationName || null,
-            notes: (req.user?.id && req.user.id !== userId) ? `scanned_by:${req.user.id}, method:${method || 'manual'}` : `method:${method || 'manual'}`, // Store both scanner and method
-            status: 'valid'
-        };
-
-        const attendance = await Attendance.recordAttendance(attendanceData);
-
-        // Emit real-time update
-        if (req.io) {
-            req.io.emit('attendance_update', {
-                type: 'work_attendance',
-                action: actionType,
-                user: req.user.toJSON(),
-                attendance: attendance,
-                timestamp: currentTime,
-                location: locationName
-            });
-        }
-
-        console.log(`${req.user.name} (${req.user.id}) ${actionType} for user ${userId} at ${locationName} - ${currentTime}`);
-
-        res.json({
-            success: true,
-            message: actionType === 'check_in' ? 'Chấm công vào thành công' : 'Chấm công ra thành công',
-            data: {
-                action: actionType,
-                time: currentTime,
-                location: locationName,
-                method: method,
-                user: req.user.toJSON(),
-                attendance: attendance
-            }
+        const result = await req.attendanceService.processWebScan({
+            cardId: rfid_card,
+            location,
+            forceAction: ['check_in', 'check_out'].includes(force_action) ? force_action : null,
+            actor: req.user,
+            method: method || 'manual',
+            network: AttendanceService.networkInfo(req)
         });
 
+        const { status, body } = AttendanceService.toResponse(result, { method });
+        res.status(status).json(body);
+
     } catch (error) {
         console.error('Check-in attendance error:', error);
         res.status(500).json({
@@ -1303,7 +1004,7 @@ router.post('/attendance/checkin', [requireAuth, requireCompanyNetwork, rfidScan
 });
 
 // Search employees for manual input
-router.get('/employees/search', requireAuth, async (req, res) => {
+router.get('/employees/search', requirePermission('check_in'), async (req, res) => {
     try {
         const { q } = req.query;
 
@@ -1323,6 +1024,7 @@ router.get('/employees/search', requireAuth, async (req, res) => {
             WHERE (name LIKE ? OR email LIKE ? OR id LIKE ?) 
               AND status = 'active' 
               AND role IN ('staff', 'admin')
+              AND ${User.employeeCondition()}
             ORDER BY name ASC 
             LIMIT 10
         `, [searchQuery, searchQuery, searchQuery]);
@@ -1343,7 +1045,7 @@ router.get('/employees/search', requireAuth, async (req, res) => {
 });
 
 // Check-out attendance with location
-router.post('/attendance/checkout', [requireAuth, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/attendance/checkout', [requirePermission('check_out'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
         const { rfid_card, location, method } = req.body;
 
@@ -1363,106 +1065,18 @@ router.post('/attendance/checkout', [requireAuth, requireCompanyNetwork, rfidSca
             });
         }
 
-        // Resolve target user by RFID card from users table
-        let userId = req.user.id;
-        try {
-            console.log(`🔍 [CHECKOUT] Looking up RFID card: ${rfid_card}`);
-            const rfidOwner = await User.findByRfidCard(rfid_card);
-            console.log(`🔍 [CHECKOUT] RFID owner found:`, rfidOwner ? { id: rfidOwner.id, name: rfidOwner.name } : 'NULL');
-            if (rfidOwner && rfidOwner.id) {
-                userId = rfidOwner.id;
-                console.log(`✅ [CHECKOUT] Target user ID set to: ${userId}`);
-            } else {
-                console.log(`⚠️ [CHECKOUT] No user found for RFID ${rfid_card}, using logged-in user: ${req.user.id}`);
-            }
-        } catch (e) {
-            console.error(`❌ [CHECKOUT] Error looking up RFID card:`, e.message);
-            // Ignore lookup errors and keep fallback to logged-in user
-        }
-        const now = moment.tz('Asia/Ho_Chi_Minh');
-        const today = now.format('YYYY-MM-DD');
-        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
-
-        // Check for duplicate scan (anti-spam)
-        const isDuplicate = await Attendance.checkDuplicateScan(userId, rfid_card, 5);
-        if (isDuplicate) {
-            return res.status(429).json({
-                success: false,
-                error: 'DUPLICATE_SCAN',
-                message: 'Vui lòng chờ 5 giây trước khi quét lại'
-            });
-        }
-
-        // Force check-out action
-        const actionType = 'check_out';
-
-        // Get location name from database
-        let locationName = location;
-        if (location && !isNaN(location)) {
-            const { executeQuery } = require('../config/database');
-            const locationRecords = await executeQuery(
-                'SELECT name FROM locations WHERE id = ? AND is_active = true',
-                [location]
-            );
-            locationName = locationRecords.length > 0 ? locationRecords[0].name : 'Unknown Location';
-        } else {
-            // If location is a string (like from mock data), find it in database
-            const { executeQuery } = require('../config/database');
-            const locationRecords = await executeQuery(
-                'SELECT id, name FROM locations WHERE (id = ? OR name = ?) AND is_active = true',
-                [location, location]
-            );
-            if (locationRecords.length > 0) {
-                locationName = locationRecords[0].name;
-                location = locationRecords[0].id;
-            }
-        }
-
-        // Record attendance
-        const attendanceData = {
-            userId,
-            rfidCard: rfid_card,
-            scanTime: currentTime,
-            scanDate: today,
-            actionType,
-            eventId: null, // For work attendance, event_id is null
-            clientIp: req.networkInfo?.clientIp || req.ip || null,
-            gatewayIp: req.networkInfo?.gatewayIp || null,
-            wifiName: req.networkInfo?.wifiName || null,
-            location: locationName || null,
-            notes: (req.user?.id && req.user.id !== userId) ? `scanned_by:${req.user.id}, method:${method || 'manual'}` : `method:${method || 'manual'}`, // Store both scanner and method
-            status: 'valid'
-        };
-
-        const attendance = await Attendance.recordAttendance(attendanceData);
-
-        // Emit real-time update
-        if (req.io) {
-            req.io.emit('attendance_update', {
-                type: 'work_attendance',
-                action: actionType,
-                user: req.user.toJSON(),
-                attendance: attendance,
-                timestamp: currentTime,
-                location: locationName
-            });
-        }
-
-        console.log(`${req.user.name} (${req.user.id}) ${actionType} for user ${userId} at ${locationName} - ${currentTime}`);
-
-        res.json({
-            success: true,
-            message: actionType === 'check_in' ? 'Chấm công vào thành công' : 'Chấm công ra thành công',
-            data: {
-                action: actionType,
-                time: currentTime,
-                location: locationName,
-                method: method,
-                user: req.user.toJSON(),
-                attendance: attendance
-            }
+        const result = await req.attendanceService.processWebScan({
+            cardId: rfid_card,
+            location,
+            forceAction: 'check_out',
+            actor: req.user,
+            method: method || 'manual',
+            network: AttendanceService.networkInfo(req)
         });
 
+        const { status, body } = AttendanceService.toResponse(result, { method });
+        res.status(status).json(body);
+
     } catch (error) {
         console.error('Check-out attendance error:', error);
         res.status(500).json({
@@ -1474,7 +1088,7 @@ router.post('/attendance/checkout', [requireAuth, requireCompanyNetwork, rfidSca
 });
 
 // Get availability status for all employees
-router.get('/availability-status', requireAuth, async (req, res) => {
+router.get('/availability-status', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const today = moment.tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
@@ -1483,7 +1097,7 @@ router.get('/availability-status', requireAuth, async (req, res) => {
         const usersQuery = `
             SELECT u.id, u.name, u.department, u.is_active, u.created_at
             FROM users u 
-            WHERE u.is_active = 1 AND u.role = 'staff'
+            WHERE u.is_active = 1 AND u.role = 'staff' AND ${User.employeeCondition('u.account_type')}
             ORDER BY u.department ASC, u.name ASC
         `;
 
@@ -1500,8 +1114,20 @@ router.get('/availability-status', requireAuth, async (req, res) => {
             });
         }
 
-        // Build maps from today's attendance:
-        // 1) latest check-in per user today (to decide availability and show location/time)
+        // Build maps from recent attendance:
+        // 1) open work sessions: an employee is available between check-in and
+        //    check-out (yesterday's too, for overnight shifts)
+        const yesterday = moment.tz('Asia/Ho_Chi_Minh').subtract(1, 'day').format('YYYY-MM-DD');
+        const openSessions = await executeQuery(
+            "SELECT user_id, work_date FROM work_sessions WHERE status = 'in_progress' AND work_date >= ?",
+            [yesterday]
+        );
+        const openSessionMap = {};
+        openSessions.forEach(session => {
+            openSessionMap[session.user_id] = session;
+        });
+
+        // 2) latest check-in per user (to show location/time)
         const latestCheckInQuery = `
             SELECT 
                 a.user_id,
@@ -1509,9 +1135,9 @@ router.get('/availability-status', requireAuth, async (req, res) => {
                 a.location,
                 ROW_NUMBER() OVER (PARTITION BY a.user_id ORDER BY a.scan_time DESC) as rn
             FROM attendance a
-            WHERE a.scan_date = ? AND a.status = 'valid' AND a.action_type = 'check_in'
+            WHERE a.scan_date >= ? AND a.status = 'valid' AND a.action_type = 'check_in'
         `;
-        const latestCheckIns = await executeQuery(latestCheckInQuery, [today]);
+        const latestCheckIns = await executeQuery(latestCheckInQuery, [yesterday]);
 
         const latestCheckInMap = {};
         latestCheckIns.forEach(rec => {
@@ -1520,21 +1146,32 @@ router.get('/availability-status', requireAuth, async (req, res) => {
             }
         });
 
-        // 2) Optionally: latest action per user today for richer "last update" if needed later
-        // Kept simple: we'll show last check-in time for available users; otherwise a default message
+        // 3) approved leave covering today, so absences on leave aren't shown as no-shows
+        const leaveMap = {};
+        (await LeaveRequest.findApprovedOn(today)).forEach(leave => {
+            leaveMap[leave.userId] = leave;
+        });
 
-        // Build employee data with availability based on any check-in today
+        // Build employee data with availability based on an open session
         const employees = users.map(user => {
             const latestCheckIn = latestCheckInMap[user.id];
 
-            // Determine if employee has at least one check-in today
-            const hasCheckedIn = !!latestCheckIn;
+            // Checked in and not yet checked out (by hand or automatically)
+            const hasCheckedIn = !!openSessionMap[user.id];
+            const checkedOutToday = !hasCheckedIn && !!latestCheckIn &&
+                moment.tz(latestCheckIn.scan_time, 'Asia/Ho_Chi_Minh').format('YYYY-MM-DD') === today;
+
+            const leave = leaveMap[user.id];
 
             // Format last update time (use last check-in time when available)
             let lastUpdate = 'Chưa check-in hôm nay';
-            if (latestCheckIn && latestCheckIn.scan_time) {
+            if (hasCheckedIn && latestCheckIn && latestCheckIn.scan_time) {
                 const updateTime = moment.tz(latestCheckIn.scan_time, 'Asia/Ho_Chi_Minh');
                 lastUpdate = updateTime.format('HH:mm DD/MM');
+            } else if (leave) {
+                lastUpdate = leave.halfDay ? `${leave.leaveTypeName} (nửa ngày)` : leave.leaveTypeName;
+            } else if (checkedOutToday) {
+                lastUpdate = 'Đã check-out';
             }
 
             return {
@@ -1545,7 +1182,13 @@ router.get('/availability-status', requireAuth, async (req, res) => {
                 isAvailable: hasCheckedIn,
                 currentLocation: hasCheckedIn && latestCheckIn ? (latestCheckIn.location || 'Main Office') : null,
                 lastUpdate: lastUpdate,
-                lastAction: hasCheckedIn ? 'check_in' : null
+                lastAction: hasCheckedIn ? 'check_in' : (checkedOutToday ? 'check_out' : null),
+                onLeave: leave ? {
+                    type: leave.leaveTypeCode,
+                    name: leave.leaveTypeName,
+                    halfDay: leave.halfDay,
+                    until: leave.endDate
+                } : null
             };
         });
 
@@ -1557,6 +1200,7 @@ router.get('/availability-status', requireAuth, async (req, res) => {
             employees: employees,
             total: employees.length,
             availableCount: employees.filter(emp => emp.isAvailable).length,
+            onLeaveCount: employees.filter(emp => emp.onLeave).length,
             date: today
         });
 
@@ -1571,7 +1215,7 @@ router.get('/availability-status', requireAuth, async (req, res) => {
 });
 
 // Get all events
-router.get('/events', requireAuth, async (req, res) => {
+router.get('/events', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const { status } = req.query;
@@ -1617,7 +1261,7 @@ router.get('/events', requireAuth, async (req, res) => {
 });
 
 // Create new event
-router.post('/events', requireAuth, async (req, res) => {
+router.post('/events', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const { name, description, start_date, end_date, start_time, end_time, max_participants } = req.body;
@@ -1680,7 +1324,7 @@ router.post('/events', requireAuth, async (req, res) => {
 });
 
 // Get event participants
-router.get('/events/:id/participants', requireAuth, async (req, res) => {
+router.get('/events/:id/participants', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery, DB_TYPE } = require('../config/database');
         const { id } = req.params;
@@ -1768,7 +1412,7 @@ router.get('/events/:id/participants', requireAuth, async (req, res) => {
 });
 
 // Event attendance check-in/check-out
-router.post('/attendance/event', [requireAuth, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/attendance/event', [requirePermission('check_in'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
         const { event_id, rfid_card, method } = req.body;
 
@@ -1796,10 +1440,10 @@ router.post('/attendance/event', [requireAuth, requireCompanyNetwork, rfidScanLi
         }
 
         // Get last scan for this event
-        const lastScan = await Attendance.getLastScanForUser(userId, today, event_id);
+        const lastScan = await Attendance.getLastScanForUser(userId, today);
         let actionType = 'check_in';
 
-        if (lastScan && lastScan.event_id == event_id) {
+        if (lastScan && lastScan.eventId == event_id) {
             actionType = lastScan.actionType === 'check_in' ? 'check_out' : 'check_in';
         }
 
@@ -1854,14 +1498,18 @@ router.post('/attendance/event', [requireAuth, requireCompanyNetwork, rfidScanLi
 
         // Emit real-time update
         if (req.io) {
-            req.io.emit('attendance_update', {
+            RealtimeBroadcaster.emit(req.io, 'attendance_update', {
                 type: 'event_attendance',
                 action: actionType,
                 event_id: event_id,
                 user: req.user.toJSON(),
                 attendance: attendance,
                 timestamp: currentTime
-            });
+            }, RealtimeBroadcaster.attendanceTargets({
+                userId: req.user.id,
+                department: req.user.department,
+                eventId: event_id
+            }));
         }
 
         console.log(`${req.user.name} (${req.user.id}) ${actionType} for event ${event_id} at ${currentTime}`);
@@ -1892,7 +1540,7 @@ router.post('/attendance/event', [requireAuth, requireCompanyNetwork, rfidScanLi
 // Event Manager API Routes
 // (removed duplicate '/event-manager/events' without auth)
 
-router.post('/event-manager/list-checkpoints', async (req, res) => {
+router.post('/event-manager/list-checkpoints', requirePermission('manage_events'), async (req, res) => {
     console.log('=== List Checkpoints API Called ===');
     console.log('Request body:', req.body);
 
@@ -1946,7 +1594,7 @@ router.post('/event-manager/list-checkpoints', async (req, res) => {
 });
 
 // Add checkpoint to event
-router.post('/event-manager/add-checkpoint', [requireAuth], async (req, res) => {
+router.post('/event-manager/add-checkpoint', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const { event_name, checkpoint_name, checkpoint_type, display_order } = req.body;
@@ -2020,7 +1668,7 @@ router.post('/event-manager/add-checkpoint', [requireAuth], async (req, res) =>
 });
 
 // Remove checkpoint from event
-router.post('/event-manager/remove-checkpoint', [requireAuth], async (req, res) => {
+router.post('/event-manager/remove-checkpoint', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const { event_name, checkpoint_name } = req.body;
@@ -2063,7 +1711,7 @@ router.post('/event-manager/remove-checkpoint', [requireAuth], async (req, res)
 });
 
 // Update checkpoint order
-router.post('/event-manager/update-checkpoint-order', [requireAuth], async (req, res) => {
+router.post('/event-manager/update-checkpoint-order', requirePermission('manage_events'), async (req, res) => {
     try {
         const { executeQuery } = require('../config/database');
         const { event_name, checkpoints } = req.body;
@@ -2099,7 +1747,7 @@ router.post('/event-manager/update-checkpoint-order', [requireAuth], async (req,
     }
 });
 
-router.post('/event-manager/check', [requireAuth, requireCompanyNetwork], async (req, res) => {
+router.post('/event-manager/check', [requirePermission('manage_events'), requireCompanyNetwork], async (req, res) => {
     try {
         const { executeQuery, DB_TYPE } = require('../config/database');
         const { event_name, event_id, column_type, card_id, qr_data, customer_id, customer_name, customer_phone } = req.body;
@@ -2122,7 +1770,7 @@ router.post('/event-manager/check', [requireAuth, requireCompanyNetwork], async
         }
 
         // Ensure checkpoint exists for this event
-        await ensureEventCheckpointsTable(executeQuery);
+        await EventCheckpoint.ensureTable();
         const cpRows = await executeQuery(
             'SELECT 1 FROM event_checkpoints WHERE event_name = ? AND checkpoint_name = ? AND is_active = 1 LIMIT 1',
             [event_name || '', column_type]
@@ -2174,7 +1822,7 @@ router.post('/event-manager/check', [requireAuth, requireCompanyNetwork], async
         }
 
         // Ensure logs table exists and insert log
-        await ensureEventCheckpointLogsTable(executeQuery);
+        await EventCheckpoint.ensureLogsTable();
         const now = moment.tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD HH:mm:ss');
         await executeQuery(
             'INSERT INTO event_checkpoint_logs (event_id, user_id, checkpoint_name, action_time, method) VALUES (?, ?, ?, ?, ?)',
@@ -2195,4 +1843,45 @@ router.post('/event-manager/check', [requireAuth, requireCompanyNetwork], async
 
 // Note: Duplicate older implementation of search-event-customers removed to avoid conflicts.
 
+// Personal API tokens of the logged-in user, for scripts sending
+// `Authorization: Bearer <token>`; managed from a session only
+router.get('/tokens', [requirePermission('use_api_tokens'), requireSession], async (req, res) => {
+    try {
+        const tokens = await ApiToken.findAll({
+            userId: req.user.id,
+            includeInactive: req.query.all === 'true'
+        });
+        res.json({ success: true, data: tokens });
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({ success: false, error: 'GET_TOKENS_ERROR', message: 'Không thể tải danh sách API token' });
+    }
+});
+
+// Create a token, limited to `scopes` (permissions of the user's role) and
+// expiring after `expiresInDays`; the token is only shown in this response
+router.post('/tokens', [requirePermission('use_api_tokens'), requireSession], async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        const result = await ApiTokenService.issue(req.user, { name, scopes, expiresInDays }, req.user.id);
+        const { status, body } = ApiTokenService.toResponse(result, 'Đã tạo API token, hãy lưu lại vì token sẽ không hiển thị lại');
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({ success: false, error: 'CREATE_TOKEN_ERROR', message: 'Không thể tạo API token' });
+    }
+});
+
+// Revoke one of the user's tokens
+router.delete('/tokens/:id', [requirePermission('use_api_tokens'), requireSession], async (req, res) => {
+    try {
+        const result = await ApiTokenService.revoke(req.params.id, req.user.id, req.user.id);
+        const { status, body } = ApiTokenService.toResponse(result, 'Đã thu hồi API token');
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({ success: false, error: 'REVOKE_TOKEN_ERROR', message: 'Không thể thu hồi API token' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
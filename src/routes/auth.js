@@ -2,21 +2,16 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { loginLimiter } = require('../middleware/rateLimiter');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, requireSession, optionalAuth } = require('../middleware/auth');
 
 // Login page
-router.get('/login', optionalAuth, (req, res) => {
+router.get('/login', optionalAuth, async (req, res, next) => {
     if (req.user) {
-        // User already logged in, redirect based on role
-        switch (req.user.role) {
-            case 'admin':
-                return res.redirect('/admin');
-            case 'event_manager':
-                return res.redirect('/events');
-            case 'staff':
-                return res.redirect('/staff');
-            default:
-                return res.redirect('/staff');
+        // User already logged in, redirect to the home page of their role
+        try {
+            return res.redirect(await req.user.getHomePath());
+        } catch (error) {
+            return next(error);
         }
     }
 
@@ -39,9 +34,9 @@ router.post('/login', loginLimiter, async (req, res) => {
             });
         }
 
-        // Find user by username
+        // Find user by username; service accounts only use API tokens
         const user = await User.findByUsername(username.trim());
-        if (!user) {
+        if (!user || user.isServiceAccount()) {
             return res.status(401).json({
                 success: false,
                 error: 'INVALID_CREDENTIALS',
@@ -81,21 +76,8 @@ router.post('/login', loginLimiter, async (req, res) => {
             console.warn('Remember-me handling failed:', e.message);
         }
 
-        // Determine redirect URL based on role
-        let redirectUrl = '/staff';
-        switch (user.role) {
-            case 'admin':
-                redirectUrl = '/admin';
-                break;
-            case 'event_manager':
-                redirectUrl = '/events';
-                break;
-            case 'staff':
-                redirectUrl = '/staff';
-                break;
-            default:
-                redirectUrl = '/staff';
-        }
+        // Determine redirect URL from the permissions of the role
+        const redirectUrl = await user.getHomePath();
 
         console.log(`User ${user.username} (${user.role}) logged in successfully`);
 
@@ -148,25 +130,17 @@ router.get('/me', requireAuth, (req, res) => {
 });
 
 // Simple auth check for auto-login on the login page
-router.get('/check', optionalAuth, (req, res) => {
+router.get('/check', optionalAuth, async (req, res, next) => {
     if (!req.user) {
         return res.json({ success: false, authenticated: false });
     }
 
-    // Determine redirect URL based on role
-    let redirectUrl = '/staff';
-    switch (req.user.role) {
-        case 'admin':
-            redirectUrl = '/admin';
-            break;
-        case 'event_manager':
-            redirectUrl = '/events';
-            break;
-        case 'staff':
-            redirectUrl = '/staff';
-            break;
-        default:
-            redirectUrl = '/staff';
+    // Determine redirect URL from the permissions of the role
+    let redirectUrl;
+    try {
+        redirectUrl = await req.user.getHomePath();
+    } catch (error) {
+        return next(error);
     }
 
     res.json({
@@ -178,7 +152,7 @@ router.get('/check', optionalAuth, (req, res) => {
 });
 
 // Change password
-router.post('/change-password', requireAuth, async (req, res) => {
+router.post('/change-password', requireAuth, requireSession, async (req, res) => {
     try {
         const { currentPassword, newPassword, confirmPassword } = req.body;
 
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../config/database');
-const { requireEventManager } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const RealtimeBroadcaster = require('../services/RealtimeBroadcaster');
 const moment = require('moment-timezone');
 
 // Event Dashboard
-router.get('/', requireEventManager, (req, res) => {
+router.get('/', requirePermission('manage_events'), (req, res) => {
     res.render('events/index', {
         title: 'Event Dashboard - Hệ thống chấm công RFID',
         user: req.user
@@ -13,7 +14,7 @@ router.get('/', requireEventManager, (req, res) => {
 });
 
 // View & Create Events page
-router.get('/viewcreate', requireEventManager, (req, res) => {
+router.get('/viewcreate', requirePermission('manage_events'), (req, res) => {
     res.render('events/viewcreate', {
         title: 'Quản Lý Sự Kiện - Hệ thống chấm công RFID',
         user: req.user
@@ -21,7 +22,7 @@ router.get('/viewcreate', requireEventManager, (req, res) => {
 });
 
 // Event Check page
-router.get('/check', requireEventManager, (req, res) => {
+router.get('/check', requirePermission('manage_events'), (req, res) => {
     res.render('events/check', {
         title: 'Event Check - Hệ thống chấm công RFID',
         user: req.user
@@ -29,7 +30,7 @@ router.get('/check', requireEventManager, (req, res) => {
 });
 
 // Event Results/Available page
-router.get('/available', requireEventManager, (req, res) => {
+router.get('/available', requirePermission('manage_events'), (req, res) => {
     res.render('events/available', {
         title: 'Event Results - Hệ thống chấm công RFID',
         user: req.user
@@ -37,7 +38,7 @@ router.get('/available', requireEventManager, (req, res) => {
 });
 
 // Create event page
-router.get('/create', requireEventManager, (req, res) => {
+router.get('/create', requirePermission('manage_events'), (req, res) => {
     res.render('events/create', {
         title: 'Tạo sự kiện mới',
         user: req.user
@@ -47,7 +48,7 @@ router.get('/create', requireEventManager, (req, res) => {
 // NOTE: API routes must be declared BEFORE parameterized routes like '/:id'
 
 // Get all events API
-router.get('/api/list', requireEventManager, async (req, res) => {
+router.get('/api/list', requirePermission('manage_events'), async (req, res) => {
     try {
         const { status = 'active', upcoming = 'false' } = req.query;
 
@@ -92,7 +93,7 @@ router.get('/api/list', requireEventManager, async (req, res) => {
 });
 
 // Create event API
-router.post('/api/create', requireEventManager, async (req, res) => {
+router.post('/api/create', requirePermission('manage_events'), async (req, res) => {
     try {
         const { name, description, start_date, end_date, start_time, end_time, max_participants } = req.body;
 
@@ -144,8 +145,9 @@ router.post('/api/create', requireEventManager, async (req, res) => {
 
         console.log(`Event manager ${req.user.username} created event: ${name}`);
 
-        // Emit real-time update
-        req.io.emit('event_created', {
+        // Emit real-time update to the admins and event managers
+        const { ROOMS } = RealtimeBroadcaster;
+        req.io.to([ROOMS.admin, ROOMS.eventManagers]).emit('event_created', {
             id: result.insertId,
             name,
             creator: req.user.name,
@@ -170,7 +172,7 @@ router.post('/api/create', requireEventManager, async (req, res) => {
 });
 
 // Update event API
-router.put('/api/events/:id', requireEventManager, async (req, res) => {
+router.put('/api/events/:id', requirePermission('manage_events'), async (req, res) => {
     try {
         const { id } = req.params;
         const { name, description, start_date, end_date, start_time, end_time, max_participants, status } = req.body;
@@ -252,7 +254,7 @@ router.put('/api/events/:id', requireEventManager, async (req, res) => {
 });
 
 // Get event participants API
-router.get('/api/events/:id/participants', requireEventManager, async (req, res) => {
+router.get('/api/events/:id/participants', requirePermission('manage_events'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -281,7 +283,7 @@ router.get('/api/events/:id/participants', requireEventManager, async (req, res)
 });
 
 // Register user for event API
-router.post('/api/events/:id/register', requireEventManager, async (req, res) => {
+router.post('/api/events/:id/register', requirePermission('manage_events'), async (req, res) => {
     try {
         const { id } = req.params;
         const { user_id } = req.body;
@@ -364,7 +366,7 @@ router.post('/api/events/:id/register', requireEventManager, async (req, res) =>
 });
 
 // Delete (soft-delete) event API
-router.delete('/api/events/:id', requireEventManager, async (req, res) => {
+router.delete('/api/events/:id', requirePermission('manage_events'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -402,7 +404,7 @@ router.delete('/api/events/:id', requireEventManager, async (req, res) => {
 });
 
 // Event details page (placed AFTER API routes to avoid route conflicts)
-router.get('/:id', requireEventManager, async (req, res) => {
+router.get('/:id', requirePermission('manage_events'), async (req, res) => {
     try {
         const { id } = req.params;
 
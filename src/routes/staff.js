@@ -1,14 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
 const Attendance = require('../models/Attendance');
-const { requireStaff } = require('../middleware/auth');
+const WorkSession = require('../models/WorkSession');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveBalance = require('../models/LeaveBalance');
+const DepartmentManager = require('../models/DepartmentManager');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const { requirePermission } = require('../middleware/auth');
 const { requireCompanyNetwork } = require('../middleware/networkSecurity');
 const { rfidScanLimiter } = require('../middleware/rateLimiter');
+const AttendanceService = require('../services/AttendanceService');
+const AttendanceRules = require('../services/AttendanceRules');
+const LeaveService = require('../services/LeaveService');
+const CorrectionService = require('../services/CorrectionService');
+const OvertimeService = require('../services/OvertimeService');
 const moment = require('moment-timezone');
 
 // Staff dashboard
-router.get('/', requireStaff, (req, res) => {
+router.get('/', requirePermission('view_own_attendance'), (req, res) => {
     res.render('staff/dashboard', {
         title: 'Nhân viên - Hệ thống chấm công RFID',
         user: req.user
@@ -16,7 +27,7 @@ router.get('/', requireStaff, (req, res) => {
 });
 
 // Check In Work page
-router.get('/checkinwork', requireStaff, (req, res) => {
+router.get('/checkinwork', requirePermission('check_in'), (req, res) => {
     res.render('staff/checkinwork', {
         title: 'Check In Work - Hệ thống chấm công RFID',
         user: req.user
@@ -24,7 +35,7 @@ router.get('/checkinwork', requireStaff, (req, res) => {
 });
 
 // Check Out Work page
-router.get('/checkoutwork', requireStaff, (req, res) => {
+router.get('/checkoutwork', requirePermission('check_out'), (req, res) => {
     res.render('staff/checkoutwork', {
         title: 'Check Out Work - Hệ thống chấm công RFID',
         user: req.user
@@ -32,7 +43,7 @@ router.get('/checkoutwork', requireStaff, (req, res) => {
 });
 
 // Available Status page
-router.get('/available', requireStaff, (req, res) => {
+router.get('/available', requirePermission('view_own_attendance'), (req, res) => {
     res.render('staff/available', {
         title: 'Available Status - Hệ thống chấm công RFID',
         user: req.user
@@ -40,7 +51,7 @@ router.get('/available', requireStaff, (req, res) => {
 });
 
 // Staff attendance page
-router.get('/attendance', requireStaff, (req, res) => {
+router.get('/attendance', requirePermission('view_own_attendance'), (req, res) => {
     res.render('staff/attendance', {
         title: 'Chấm công - Hệ thống RFID',
         user: req.user
@@ -48,9 +59,9 @@ router.get('/attendance', requireStaff, (req, res) => {
 });
 
 // Check-in/Check-out work
-router.post('/checkinwork', [requireStaff, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/checkinwork', [requirePermission('check_in'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
-        const { rfid_card } = req.body;
+        const { rfid_card, event_id = null } = req.body;
 
         if (!rfid_card) {
             return res.status(400).json({
@@ -60,70 +71,18 @@ router.post('/checkinwork', [requireStaff, requireCompanyNetwork, rfidScanLimite
             });
         }
 
-        const userId = req.user.id;
-        const now = moment.tz('Asia/Ho_Chi_Minh');
-        const today = now.format('YYYY-MM-DD');
-        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
-
-        // Check for duplicate scan (anti-spam)
-        const isDuplicate = await Attendance.checkDuplicateScan(userId, rfid_card, 5);
-        if (isDuplicate) {
-            return res.status(429).json({
-                success: false,
-                error: 'DUPLICATE_SCAN',
-                message: 'Vui lòng chờ 5 giây trước khi quét lại'
-            });
-        }
-
-        // Get last scan to determine action
-        const lastScan = await Attendance.getLastScanForUser(userId, today);
-        let actionType = 'check_in';
-
-        if (lastScan) {
-            // If last scan was check_in, next should be check_out
-            actionType = lastScan.actionType === 'check_in' ? 'check_out' : 'check_in';
-        }
-
-        // Record attendance
-        const attendanceData = {
-            userId,
-            rfidCard: rfid_card,
-            scanTime: currentTime,
-            scanDate: today,
-            actionType,
-            eventId: null,
-            clientIp: req.networkInfo?.clientIp || req.ip || null,
-            gatewayIp: req.networkInfo?.gatewayIp || null,
-            wifiName: req.networkInfo?.wifiName || null,
-            location: 'Main Office',
-            notes: null,
-            status: 'valid'
-        };
-
-        const attendance = await Attendance.recordAttendance(attendanceData);
-
-        // Emit real-time update
-        req.io.emit('attendance_update', {
-            type: 'work_attendance',
-            action: actionType,
-            user: req.user.toJSON(),
-            attendance: attendance,
-            timestamp: currentTime
-        });
-
-        console.log(`${req.user.name} (${req.user.id}) ${actionType} at ${currentTime}`);
-
-        res.json({
-            success: true,
-            message: actionType === 'check_in' ? 'Chấm công vào thành công' : 'Chấm công ra thành công',
-            data: {
-                action: actionType,
-                time: currentTime,
-                user: req.user.toJSON(),
-                attendance: attendance
-            }
+        // Staff can only scan their own card here
+        const result = await req.attendanceService.processWebScan({
+            cardId: rfid_card,
+            eventId: event_id,
+            ownerId: req.user.id,
+            actor: req.user,
+            network: AttendanceService.networkInfo(req)
         });
 
+        const { status, body } = AttendanceService.toResponse(result);
+        res.status(status).json(body);
+
     } catch (error) {
         console.error('Check-in/out work error:', error);
         res.status(500).json({
@@ -135,7 +94,7 @@ router.post('/checkinwork', [requireStaff, requireCompanyNetwork, rfidScanLimite
 });
 
 // Get staff attendance history
-router.get('/attendance/history', requireStaff, async (req, res) => {
+router.get('/attendance/history', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { start_date, end_date, limit = 50, action } = req.query;
         const userId = req.user.id;
@@ -174,31 +133,25 @@ router.get('/attendance/history', requireStaff, async (req, res) => {
 });
 
 // Get today's attendance status
-router.get('/attendance/today', requireStaff, async (req, res) => {
+router.get('/attendance/today', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const userId = req.user.id;
-        const today = moment().format('YYYY-MM-DD');
+        // Night shift workers stay on the day their shift started until it ends
+        const today = await WorkSession.resolveWorkDate(userId, moment().tz('Asia/Ho_Chi_Minh'));
 
-        const todayRecords = await Attendance.findByUserAndDate(userId, today);
+        const [todayRecords, session] = await Promise.all([
+            Attendance.findByUserAndDate(userId, today),
+            WorkSession.findByUserAndDate(userId, today)
+        ]);
 
         let status = 'not_checked_in';
         let lastAction = null;
-        let totalHours = 0;
+        const totalHours = session ? session.totalHours : 0;
 
         if (todayRecords.length > 0) {
             const lastRecord = todayRecords[todayRecords.length - 1];
             lastAction = lastRecord.actionType;
             status = lastAction === 'check_in' ? 'checked_in' : 'checked_out';
-
-            // Calculate total hours worked
-            const checkIns = todayRecords.filter(r => r.actionType === 'check_in');
-            const checkOuts = todayRecords.filter(r => r.actionType === 'check_out');
-
-            for (let i = 0; i < Math.min(checkIns.length, checkOuts.length); i++) {
-                const checkInTime = moment(checkIns[i].scanTime);
-                const checkOutTime = moment(checkOuts[i].scanTime);
-                totalHours += checkOutTime.diff(checkInTime, 'hours', true);
-            }
         }
 
         res.json({
@@ -206,7 +159,8 @@ router.get('/attendance/today', requireStaff, async (req, res) => {
             data: {
                 status,
                 lastAction,
-                totalHours: Math.round(totalHours * 100) / 100,
+                totalHours,
+                breakTime: session ? session.breakTime : 0,
                 records: todayRecords,
                 date: today
             }
@@ -222,8 +176,38 @@ router.get('/attendance/today', requireStaff, async (req, res) => {
     }
 });
 
+// Get the logged-in employee's shift for a date (default today)
+router.get('/shift', requirePermission('view_own_attendance'), async (req, res) => {
+    try {
+        const date = req.query.date || moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+
+        if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DATE',
+                message: 'Ngày không hợp lệ (YYYY-MM-DD)'
+            });
+        }
+
+        const data = await ShiftAssignment.findShiftForUser(req.user.id, date);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Get staff shift error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SHIFT_ERROR',
+            message: 'Không thể tải ca làm việc'
+        });
+    }
+});
+
 // Get staff work report
-router.get('/report', requireStaff, async (req, res) => {
+router.get('/report', requirePermission('view_own_attendance'), async (req, res) => {
     try {
         const { start_date, end_date } = req.query;
         const userId = req.user.id;
@@ -232,12 +216,43 @@ router.get('/report', requireStaff, async (req, res) => {
         const endDate = end_date || moment().format('YYYY-MM-DD');
         const startDate = start_date || moment().startOf('month').format('YYYY-MM-DD');
 
-        const report = await Attendance.getUserAttendanceReport(userId, startDate, endDate);
+        const isDate = (date) => typeof date === 'string' && moment(date, 'YYYY-MM-DD', true).isValid();
+        if (!isDate(startDate) || !isDate(endDate) || endDate < startDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DATE',
+                message: 'Ngày không hợp lệ (YYYY-MM-DD)'
+            });
+        }
+
+        // Days without a stored result are evaluated on the way, so keep it bounded
+        if (moment(endDate).diff(moment(startDate), 'days') > 62) {
+            return res.status(400).json({
+                success: false,
+                error: 'RANGE_TOO_LARGE',
+                message: 'Khoảng thời gian tối đa là 62 ngày'
+            });
+        }
+
+        // Each day judged against the shift and attendance policy; service
+        // accounts have no work days to judge
+        const employees = await AttendanceRules.getEmployees({ userId });
+        const employee = employees[0] || { id: userId, name: req.user.name, department: req.user.department || null };
+        const report = req.user.isServiceAccount()
+            ? []
+            : (await AttendanceRules.evaluateRange([employee], startDate, endDate))
+                .sort((a, b) => a.workDate.localeCompare(b.workDate));
 
         res.json({
             success: true,
             data: {
                 report,
+                totals: {
+                    days: report.filter(day => day.workedHours > 0).length,
+                    hours: Math.round(report.reduce((sum, day) => sum + day.workedHours, 0) * 100) / 100,
+                    overtimeHours: Math.round(report.reduce((sum, day) => sum + day.overtimeHours, 0) * 100) / 100,
+                    ...AttendanceRules.summarize(report)
+                },
                 dateRange: { startDate, endDate },
                 user: req.user.toJSON()
             }
@@ -254,7 +269,7 @@ router.get('/report', requireStaff, async (req, res) => {
 });
 
 // Check-out work
-router.post('/checkoutwork', [requireStaff, requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
+router.post('/checkoutwork', [requirePermission('check_out'), requireCompanyNetwork, rfidScanLimiter], async (req, res) => {
     try {
         const { rfid_card, method } = req.body;
 
@@ -266,99 +281,409 @@ router.post('/checkoutwork', [requireStaff, requireCompanyNetwork, rfidScanLimit
             });
         }
 
-        const userId = req.user.id;
-        const now = moment.tz('Asia/Ho_Chi_Minh');
-        const today = now.format('YYYY-MM-DD');
-        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
-
-        // Check for duplicate scan (anti-spam)
-        const isDuplicate = await Attendance.checkDuplicateScan(userId, rfid_card, 5);
-        if (isDuplicate) {
-            return res.status(429).json({
-                success: false,
-                error: 'DUPLICATE_SCAN',
-                message: 'Vui lòng chờ 5 giây trước khi quét lại'
-            });
-        }
+        const result = await req.attendanceService.processWebScan({
+            cardId: rfid_card,
+            forceAction: 'check_out',
+            ownerId: req.user.id,
+            actor: req.user,
+            method,
+            network: AttendanceService.networkInfo(req)
+        });
 
-        // Validate RFID card ownership (skip for manual method)
-        let user = req.user; // Default to current logged-in user
-        if (method !== 'manual') {
-            user = await User.findByRfidCard(rfid_card);
-            if (!user || user.id !== userId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'INVALID_CARD',
-                    message: 'Thẻ RFID không hợp lệ hoặc không thuộc về bạn'
-                });
+        const { status, body } = AttendanceService.toResponse(result);
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Check-out work error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CHECKOUT_ERROR',
+            message: 'Đã xảy ra lỗi khi chấm công ra. Vui lòng thử lại.'
+        });
+    }
+});
+
+// Leave page: request form, own requests and, for managers, the approval queue
+router.get('/leave', requirePermission('submit_requests'), (req, res) => {
+    res.render('staff/leave', {
+        title: 'Nghỉ phép - Hệ thống chấm công RFID',
+        user: req.user
+    });
+});
+
+// Leave balances of the logged-in employee for a year (default this year)
+router.get('/leave/balances', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const year = parseInt(req.query.year) || moment().tz('Asia/Ho_Chi_Minh').year();
+        const balances = await LeaveBalance.getBalances(req.user.id, year);
+
+        res.json({
+            success: true,
+            data: { year, balances }
+        });
+
+    } catch (error) {
+        console.error('Get leave balances error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_BALANCE_ERROR',
+            message: 'Không thể tải số ngày phép'
+        });
+    }
+});
+
+// Leave requests of the logged-in employee
+router.get('/leave/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const requests = await LeaveRequest.findAll({ userId: req.user.id, status: req.query.status });
+
+        res.json({
+            success: true,
+            data: requests
+        });
+
+    } catch (error) {
+        console.error('Get leave requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_REQUESTS_ERROR',
+            message: 'Không thể tải danh sách đơn nghỉ phép'
+        });
+    }
+});
+
+// Submit a leave request
+router.post('/leave/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const { leave_type_id, start_date, end_date, half_day, reason } = req.body;
+
+        const result = await LeaveService.submit(req.user.id, {
+            leaveTypeId: leave_type_id,
+            startDate: start_date,
+            endDate: end_date,
+            halfDay: half_day,
+            reason
+        });
+
+        const { status, body } = LeaveService.toResponse(result, 'Đã gửi đơn nghỉ phép');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Submit leave request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_REQUEST_ERROR',
+            message: 'Không thể gửi đơn nghỉ phép'
+        });
+    }
+});
+
+// Cancel one of the logged-in employee's leave requests
+router.post('/leave/requests/:id/cancel', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const result = await LeaveService.cancel(req.params.id, req.user.id);
+
+        const { status, body } = LeaveService.toResponse(result, 'Đã hủy đơn nghỉ phép');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Cancel leave request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_CANCEL_ERROR',
+            message: 'Không thể hủy đơn nghỉ phép'
+        });
+    }
+});
+
+// Pending leave requests of the departments the logged-in employee manages
+router.get('/leave/approvals', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const departments = await DepartmentManager.getDepartments(req.user.id);
+        const requests = await LeaveRequest.findAll({
+            status: req.query.status || 'pending',
+            departments
+        });
+
+        res.json({
+            success: true,
+            data: {
+                departments,
+                requests: requests.filter(request => String(request.userId) !== String(req.user.id))
             }
-        }
+        });
 
-        // Get today's attendance status
-        const todayAttendance = await Attendance.getTodayStatus(userId, today);
+    } catch (error) {
+        console.error('Get leave approvals error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_APPROVALS_ERROR',
+            message: 'Không thể tải danh sách đơn chờ duyệt'
+        });
+    }
+});
 
-        // Check if user has checked in today
-        if (!todayAttendance || !todayAttendance.check_in_time) {
-            return res.status(400).json({
-                success: false,
-                error: 'NOT_CHECKED_IN',
-                message: 'Bạn chưa chấm công vào hôm nay'
-            });
-        }
+// Approve or reject a leave request of a managed department
+router.post('/leave/requests/:id/review', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await LeaveService.review(req.params.id, req.user, action, note);
 
-        // Check if user has already checked out today
-        if (todayAttendance.check_out_time) {
-            return res.status(400).json({
-                success: false,
-                error: 'ALREADY_CHECKED_OUT',
-                message: 'Bạn đã chấm công ra hôm nay'
-            });
-        }
+        const { status, body } = LeaveService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt đơn nghỉ phép' : 'Đã từ chối đơn nghỉ phép'
+        );
+        res.status(status).json(body);
 
-        // Record check-out
-        const attendanceData = {
-            userId,
-            rfidCard: rfid_card,
-            scanTime: currentTime,
-            scanDate: today,
-            actionType: 'check_out',
-            eventId: null,
-            clientIp: req.networkInfo?.clientIp || req.ip || null,
-            gatewayIp: req.networkInfo?.gatewayIp || null,
-            wifiName: req.networkInfo?.wifiName || null,
-            location: 'Main Office',
-            notes: null,
-            status: 'valid'
-        };
-
-        const attendance = await Attendance.recordAttendance(attendanceData);
-
-        // Emit socket event for real-time updates
-        if (req.app.get('io')) {
-            req.app.get('io').emit('attendance_update', {
-                user: user.toJSON(),
-                action: 'check_out',
-                time: currentTime
-            });
+    } catch (error) {
+        console.error('Review leave request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'LEAVE_REVIEW_ERROR',
+            message: 'Không thể xử lý đơn nghỉ phép'
+        });
+    }
+});
+
+// Corrections page: missed-scan form, own requests and, for managers, the approval queue
+router.get('/corrections', requirePermission('submit_requests'), (req, res) => {
+    res.render('staff/corrections', {
+        title: 'Bổ sung chấm công - Hệ thống chấm công RFID',
+        user: req.user
+    });
+});
+
+// Correction requests of the logged-in employee
+router.get('/corrections/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const corrections = await AttendanceCorrection.findAll({ userId: req.user.id, status: req.query.status });
+
+        res.json({
+            success: true,
+            data: corrections
+        });
+
+    } catch (error) {
+        console.error('Get correction requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_REQUESTS_ERROR',
+            message: 'Không thể tải danh sách yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Ask for a missed check-in/out to be added
+router.post('/corrections/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const { work_date, action_type, scan_time, reason } = req.body;
+
+        const result = await CorrectionService.submit(req.user.id, {
+            workDate: work_date,
+            actionType: action_type,
+            scanTime: scan_time,
+            reason
+        });
+
+        const { status, body } = CorrectionService.toResponse(result, 'Đã gửi yêu cầu bổ sung chấm công');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Submit correction request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_REQUEST_ERROR',
+            message: 'Không thể gửi yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Cancel one of the logged-in employee's pending corrections
+router.post('/corrections/requests/:id/cancel', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const result = await CorrectionService.cancel(req.params.id, req.user.id);
+
+        const { status, body } = CorrectionService.toResponse(result, 'Đã hủy yêu cầu bổ sung chấm công');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Cancel correction request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_CANCEL_ERROR',
+            message: 'Không thể hủy yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Pending corrections of the departments the logged-in employee manages
+router.get('/corrections/approvals', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const departments = await DepartmentManager.getDepartments(req.user.id);
+        const corrections = await AttendanceCorrection.findAll({
+            status: req.query.status || 'pending',
+            departments
+        });
+
+        res.json({
+            success: true,
+            data: {
+                departments,
+                corrections: corrections.filter(correction => String(correction.userId) !== String(req.user.id))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get correction approvals error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_APPROVALS_ERROR',
+            message: 'Không thể tải danh sách yêu cầu chờ duyệt'
+        });
+    }
+});
+
+// Approve or reject a correction of a managed department
+router.post('/corrections/requests/:id/review', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await CorrectionService.review(req.params.id, req.user, action, note);
+
+        if (result.success && result.attendance) {
+            await req.attendanceService.updateWorkSession(result.correction.userId, result.correction.workDate);
         }
 
+        const { status, body } = CorrectionService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt yêu cầu bổ sung chấm công' : 'Đã từ chối yêu cầu bổ sung chấm công'
+        );
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Review correction request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'CORRECTION_REVIEW_ERROR',
+            message: 'Không thể xử lý yêu cầu bổ sung chấm công'
+        });
+    }
+});
+
+// Overtime page: request form, own requests and, for managers, the approval queue
+router.get('/overtime', requirePermission('submit_requests'), (req, res) => {
+    res.render('staff/overtime', {
+        title: 'Đăng ký tăng ca - Hệ thống chấm công RFID',
+        user: req.user
+    });
+});
+
+// Overtime requests of the logged-in employee
+router.get('/overtime/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const requests = await OvertimeRequest.findAll({ userId: req.user.id, status: req.query.status });
+
+        res.json({
+            success: true,
+            data: requests
+        });
+
+    } catch (error) {
+        console.error('Get overtime requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'OVERTIME_REQUESTS_ERROR',
+            message: 'Không thể tải danh sách đơn tăng ca'
+        });
+    }
+});
+
+// Ask for overtime on a work day
+router.post('/overtime/requests', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const { work_date, hours, reason } = req.body;
+
+        const result = await OvertimeService.submit(req.user.id, {
+            workDate: work_date,
+            hours,
+            reason
+        });
+
+        const { status, body } = OvertimeService.toResponse(result, 'Đã gửi đơn tăng ca');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Submit overtime request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'OVERTIME_REQUEST_ERROR',
+            message: 'Không thể gửi đơn tăng ca'
+        });
+    }
+});
+
+// Cancel one of the logged-in employee's overtime requests
+router.post('/overtime/requests/:id/cancel', requirePermission('submit_requests'), async (req, res) => {
+    try {
+        const result = await OvertimeService.cancel(req.params.id, req.user.id);
+
+        const { status, body } = OvertimeService.toResponse(result, 'Đã hủy đơn tăng ca');
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Cancel overtime request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'OVERTIME_CANCEL_ERROR',
+            message: 'Không thể hủy đơn tăng ca'
+        });
+    }
+});
+
+// Pending overtime requests of the departments the logged-in employee manages
+router.get('/overtime/approvals', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const departments = await DepartmentManager.getDepartments(req.user.id);
+        const requests = await OvertimeRequest.findAll({
+            status: req.query.status || 'pending',
+            departments
+        });
+
         res.json({
             success: true,
             data: {
-                action: 'check_out',
-                user: user.toJSON(),
-                attendance: attendance,
-                time: currentTime
-            },
-            message: 'Chấm công ra thành công'
+                departments,
+                requests: requests.filter(request => String(request.userId) !== String(req.user.id))
+            }
         });
 
     } catch (error) {
-        console.error('Check-out work error:', error);
+        console.error('Get overtime approvals error:', error);
         res.status(500).json({
             success: false,
-            error: 'CHECKOUT_ERROR',
-            message: 'Đã xảy ra lỗi khi chấm công ra. Vui lòng thử lại.'
+            error: 'OVERTIME_APPROVALS_ERROR',
+            message: 'Không thể tải danh sách đơn tăng ca chờ duyệt'
+        });
+    }
+});
+
+// Approve or reject an overtime request of a managed department
+router.post('/overtime/requests/:id/review', requirePermission('review_requests'), async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const result = await OvertimeService.review(req.params.id, req.user, action, note);
+
+        const { status, body } = OvertimeService.toResponse(
+            result,
+            action === 'approve' ? 'Đã duyệt đơn tăng ca' : 'Đã từ chối đơn tăng ca'
+        );
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Review overtime request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'OVERTIME_REVIEW_ERROR',
+            message: 'Không thể xử lý đơn tăng ca'
         });
     }
 });
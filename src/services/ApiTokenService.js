@@ -0,0 +1,91 @@
+// API tokens of users and service accounts. A token is limited to scopes
+// (permissions) its owner's role grants and expires after at most a year;
+// its owner or a user manager can revoke it at any time.
+const moment = require('moment-timezone');
+const ApiToken = require('../models/ApiToken');
+const Role = require('../models/Role');
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// HTTP status and message of each token failure
+const TOKEN_ERRORS = {
+    MISSING_NAME: [400, 'Vui lòng nhập tên token'],
+    INVALID_SCOPES: [400, 'Danh sách quyền của token không hợp lệ'],
+    SCOPE_NOT_ALLOWED: [403, 'Token không thể có quyền mà tài khoản không có'],
+    INVALID_EXPIRY: [400, `Thời hạn token phải từ 1 đến ${MAX_EXPIRY_DAYS} ngày`],
+    TOKEN_NOT_FOUND: [404, 'API token không tồn tại'],
+    TOKEN_REVOKED: [400, 'API token đã bị thu hồi']
+};
+
+function failure(error, extra = {}) {
+    const [status, message] = TOKEN_ERRORS[error];
+    return { success: false, status, error, message, ...extra };
+}
+
+class ApiTokenService {
+    // Map a service result to an HTTP status and JSON body; a new token is
+    // returned with the token itself, which is never shown again
+    static toResponse(result, successMessage) {
+        if (!result.success) {
+            const { status, success, ...body } = result;
+            return { status, body: { success: false, ...body } };
+        }
+        const data = result.plaintext ? { ...result.token, token: result.plaintext } : result.token;
+        return { status: result.plaintext ? 201 : 200, body: { success: true, message: successMessage, data } };
+    }
+
+    // Create a token for a user. Without scopes the token carries every
+    // permission of the user's role, as the role has at the time of use.
+    static async issue(owner, { name, scopes = null, expiresInDays = DEFAULT_EXPIRY_DAYS }, createdBy) {
+        if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return failure('MISSING_NAME');
+        }
+
+        if (scopes !== null) {
+            if (!Array.isArray(scopes) || scopes.length === 0
+                || scopes.some(scope => !Object.prototype.hasOwnProperty.call(Role.PERMISSIONS, scope))) {
+                return failure('INVALID_SCOPES');
+            }
+
+            const granted = await Role.getPermissions(owner.role);
+            const notGranted = scopes.filter(scope => !granted.includes(scope));
+            if (notGranted.length > 0) {
+                return failure('SCOPE_NOT_ALLOWED', { scopes: notGranted });
+            }
+        }
+
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            return failure('INVALID_EXPIRY');
+        }
+
+        const { token, plaintext } = await ApiToken.create({
+            userId: owner.id,
+            name: name.trim(),
+            scopes: scopes ? [...new Set(scopes)] : null,
+            expiresAt: moment().tz('Asia/Ho_Chi_Minh').add(days, 'days').format('YYYY-MM-DD HH:mm:ss'),
+            createdBy
+        });
+        console.log(`🔑 API token #${token.id} (${token.name}) created for ${owner.id} by ${createdBy}`);
+        return { success: true, token, plaintext };
+    }
+
+    // Revoke a token; ownerId limits it to the tokens of one user
+    static async revoke(tokenId, revokedBy, ownerId = null) {
+        const token = await ApiToken.findById(tokenId);
+        if (!token || (ownerId !== null && String(token.userId) !== String(ownerId))) {
+            return failure('TOKEN_NOT_FOUND');
+        }
+
+        if (token.revokedAt) {
+            return failure('TOKEN_REVOKED');
+        }
+
+        const revoked = await ApiToken.revoke(token.id);
+        console.log(`🔒 API token #${token.id} of ${token.userId} revoked by ${revokedBy}`);
+        return { success: true, token: revoked };
+    }
+}
+
+module.exports = ApiTokenService;
@@ -0,0 +1,303 @@
+const moment = require('moment-timezone');
+const { executeQuery } = require('../config/database');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const WorkSession = require('../models/WorkSession');
+const WorkDayResult = require('../models/WorkDayResult');
+const LeaveRequest = require('../models/LeaveRequest');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const PayrollPeriod = require('../models/PayrollPeriod');
+const User = require('../models/User');
+
+// Statuses of a day the employee showed up for
+const PRESENT_STATUSES = ['on_time', 'late', 'early_leave', 'half_day', 'in_progress'];
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+// Judges each employee's work day against their shift and the attendance
+// policy of their department, and stores the outcome in work_day_results.
+class AttendanceRules {
+    // Kind of day overtime is paid for: a working day, a day off (weekend,
+    // company day off) or a public holiday
+    static overtimeKind(dayType) {
+        if (dayType === 'holiday') return 'holiday';
+        if (dayType === 'rest_day' || dayType === 'company_off') return 'rest_day';
+        return 'workday';
+    }
+
+    // Status of a day from its shift, session, approved leave and policy.
+    // Returns null while the day cannot be judged yet (shift not over,
+    // nothing scanned). On a half-day leave the half taken off is not
+    // checked for lateness or early leave. Where the policy requires it,
+    // overtime counts up to the approved request's hours; the rest is kept
+    // as unapproved.
+    static evaluate({ date, shift, source, dayType = null, session, leave = null, overtimeRequest = null, policy }, now = moment().tz('Asia/Ho_Chi_Minh')) {
+        const result = {
+            workDate: date,
+            shiftId: shift ? shift.id : null,
+            status: null,
+            dayType,
+            checkInTime: session ? session.checkInTime : null,
+            checkOutTime: session ? session.checkOutTime : null,
+            workedHours: 0,
+            overtimeHours: 0,
+            nightOvertimeHours: 0,
+            unapprovedOvertimeHours: 0,
+            overtimePayHours: 0,
+            lateMinutes: 0,
+            earlyLeaveMinutes: 0,
+            policyId: policy.id
+        };
+
+        if (!session) {
+            // Leave only covers days one would have worked
+            if (leave && (shift || !source)) {
+                return { ...result, status: 'on_leave' };
+            }
+            if (!shift) {
+                // No shift and no work: holiday or day off. Without shifts set
+                // up, a day is only a day off once it is over.
+                if (!source) {
+                    const dayOver = now.isAfter(moment.tz(date, 'Asia/Ho_Chi_Minh').endOf('day'));
+                    return dayOver ? { ...result, status: 'day_off' } : null;
+                }
+                return { ...result, status: source === 'calendar' ? 'holiday' : 'day_off' };
+            }
+            return now.isAfter(shift.getWindow(date).end) ? { ...result, status: 'absent' } : null;
+        }
+
+        const grace = policy.graceMinutes === null ? undefined : policy.graceMinutes;
+        const halfDayLeave = leave && leave.halfDay;
+        if (shift && session.checkInTime && halfDayLeave !== 'morning') {
+            result.lateMinutes = shift.getLateMinutes(session.checkInTime, date, grace);
+        }
+
+        if (session.status === 'in_progress') {
+            return { ...result, status: 'in_progress' };
+        }
+
+        result.workedHours = roundHours(policy.roundHours(session.totalHours));
+        const approvedHours = policy.overtimeRequiresApproval
+            ? (overtimeRequest ? overtimeRequest.hours : 0)
+            : session.overtimeHours;
+        const counted = Math.min(session.overtimeHours, approvedHours);
+        const nightShare = session.overtimeHours > 0 ? session.nightOvertimeHours / session.overtimeHours : 0;
+        result.overtimeHours = roundHours(counted);
+        result.nightOvertimeHours = roundHours(counted * nightShare);
+        result.unapprovedOvertimeHours = roundHours(session.overtimeHours - counted);
+        result.overtimePayHours = roundHours(counted * policy.getOvertimeRate(AttendanceRules.overtimeKind(dayType)) +
+            result.nightOvertimeHours * policy.overtimeNightRate);
+        if (shift && session.checkOutTime && halfDayLeave !== 'afternoon') {
+            result.earlyLeaveMinutes = shift.getEarlyLeaveMinutes(session.checkOutTime, date, policy.earlyLeaveMinutes);
+        }
+
+        if (!shift) {
+            result.status = 'unscheduled';
+        } else if (policy.minHours && result.workedHours < policy.minHours) {
+            result.status = 'absent';
+        } else if (!halfDayLeave && policy.halfDayHours && result.workedHours < policy.halfDayHours) {
+            result.status = 'half_day';
+        } else if (result.lateMinutes > 0) {
+            result.status = 'late';
+        } else if (result.earlyLeaveMinutes > 0) {
+            result.status = 'early_leave';
+        } else {
+            result.status = 'on_time';
+        }
+
+        return result;
+    }
+
+    // Evaluate a user's day from what is recorded, without storing it
+    static async evaluateDay(userId, date, department) {
+        const day = moment(date).format('YYYY-MM-DD');
+        if (department === undefined) {
+            const users = await executeQuery('SELECT id, department FROM users WHERE id = ?', [userId]);
+            department = users.length > 0 ? users[0].department : null;
+        }
+
+        const { shift, source, dayType } = await ShiftAssignment.findShiftForUser(userId, day);
+        const session = await WorkSession.findByUserAndDate(userId, day);
+        const leave = await LeaveRequest.findApprovedForDate(userId, day);
+        const policy = await AttendancePolicy.resolve(department);
+        const overtimeRequest = policy.overtimeRequiresApproval
+            ? await OvertimeRequest.findApprovedForDate(userId, day)
+            : null;
+
+        return AttendanceRules.evaluate({ date: day, shift, source, dayType, session, leave, overtimeRequest, policy });
+    }
+
+    // Evaluate a user's day and store (or clear) its result. Results of a
+    // locked payroll period are kept as they were paid.
+    static async evaluateAndStore(userId, date, department) {
+        try {
+            const day = moment(date).format('YYYY-MM-DD');
+            const result = await AttendanceRules.evaluateDay(userId, day, department);
+            if (await PayrollPeriod.findLockedForDate(day)) {
+                return result;
+            }
+
+            if (!result) {
+                await WorkDayResult.remove(userId, day);
+                return null;
+            }
+
+            await WorkDayResult.save({ ...result, userId });
+            return result;
+        } catch (error) {
+            console.error('Error evaluating work day:', error);
+            throw error;
+        }
+    }
+
+    // Active employees (service accounts are not judged), optionally narrowed
+    // to one user, a department or a manager's departments
+    static async getEmployees(filters = {}) {
+        let query = `SELECT id, name, department FROM users WHERE is_active = true AND ${User.employeeCondition()}`;
+        const params = [];
+
+        if (filters.userId) {
+            query += ' AND id = ?';
+            params.push(filters.userId);
+        }
+
+        if (filters.department) {
+            query += ' AND department = ?';
+            params.push(filters.department);
+        }
+
+        if (filters.departments) {
+            if (filters.departments.length === 0) return [];
+            query += ` AND department IN (${filters.departments.map(() => '?').join(', ')})`;
+            params.push(...filters.departments);
+        }
+
+        return await executeQuery(query + ' ORDER BY name ASC', params);
+    }
+
+    // Days of a range, up to today
+    static listDays(startDate, endDate) {
+        const today = moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+        const end = moment.min(moment(endDate), moment(today));
+        const days = [];
+        for (const day = moment(startDate); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+            days.push(day.format('YYYY-MM-DD'));
+        }
+        return days;
+    }
+
+    // Stored results of a range, keyed by user and day
+    static async loadStored(startDate, endDate) {
+        const stored = new Map();
+        const existing = await WorkDayResult.findByDateRange(startDate, endDate);
+        existing.forEach(result => stored.set(`${result.userId}|${result.workDate}`, result));
+        return stored;
+    }
+
+    // Results of employees over a date range, read from work_day_results.
+    // Days not stored yet (today, or days the evaluation job hasn't reached)
+    // and days still in progress are evaluated without being stored, so
+    // reading a report never writes.
+    static async evaluateRange(employees, startDate, endDate) {
+        const stored = await AttendanceRules.loadStored(startDate, endDate);
+        const days = AttendanceRules.listDays(startDate, endDate);
+        const results = [];
+
+        for (const employee of employees) {
+            for (const date of days) {
+                let result = stored.get(`${employee.id}|${date}`);
+
+                if (!result || result.status === 'in_progress') {
+                    const evaluated = await AttendanceRules.evaluateDay(employee.id, date, employee.department);
+                    result = evaluated ? new WorkDayResult({
+                        user_id: employee.id,
+                        work_date: date,
+                        shift_id: evaluated.shiftId,
+                        status: evaluated.status,
+                        day_type: evaluated.dayType,
+                        check_in_time: evaluated.checkInTime,
+                        check_out_time: evaluated.checkOutTime,
+                        worked_hours: evaluated.workedHours,
+                        overtime_hours: evaluated.overtimeHours,
+                        night_overtime_hours: evaluated.nightOvertimeHours,
+                        unapproved_overtime_hours: evaluated.unapprovedOvertimeHours,
+                        overtime_pay_hours: evaluated.overtimePayHours,
+                        late_minutes: evaluated.lateMinutes,
+                        early_leave_minutes: evaluated.earlyLeaveMinutes,
+                        policy_id: evaluated.policyId
+                    }) : null;
+                }
+
+                if (result) {
+                    result.userName = employee.name;
+                    result.department = employee.department;
+                    results.push(result);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // Evaluate and store the days of a range up to today. Only days without
+    // a result or still in progress are evaluated unless refresh is set.
+    // Returns the number of days evaluated.
+    static async storeRange(employees, startDate, endDate, { refresh = false } = {}) {
+        const stored = refresh ? new Map() : await AttendanceRules.loadStored(startDate, endDate);
+        const days = AttendanceRules.listDays(startDate, endDate);
+        let evaluated = 0;
+
+        for (const employee of employees) {
+            for (const date of days) {
+                const result = stored.get(`${employee.id}|${date}`);
+                if (result && result.status !== 'in_progress') continue;
+
+                await AttendanceRules.evaluateAndStore(employee.id, date, employee.department);
+                evaluated++;
+            }
+        }
+
+        return evaluated;
+    }
+
+    // Number of days per status
+    static countByStatus(results) {
+        const counts = {};
+        WorkDayResult.STATUSES.forEach(status => { counts[status] = 0; });
+        results.forEach(result => { counts[result.status] = (counts[result.status] || 0) + 1; });
+        return counts;
+    }
+
+    // Totals of a set of results. Only scheduled working days not on leave
+    // count towards the attendance rate; overtime is split by the kind of
+    // day it was worked on, with its night part, the hours left out for
+    // lack of approval and the hours it is paid as.
+    static summarize(results) {
+        const scheduled = results.filter(result => (result.dayType === 'workday' || result.dayType === 'makeup') &&
+            result.status !== 'on_leave');
+        const present = scheduled.filter(result => PRESENT_STATUSES.includes(result.status));
+        const overtime = { workday: 0, rest_day: 0, holiday: 0 };
+
+        results.forEach(result => {
+            overtime[AttendanceRules.overtimeKind(result.dayType)] += result.overtimeHours;
+        });
+        Object.keys(overtime).forEach(kind => { overtime[kind] = roundHours(overtime[kind]); });
+        overtime.night = roundHours(results.reduce((sum, result) => sum + result.nightOvertimeHours, 0));
+        overtime.unapproved = roundHours(results.reduce((sum, result) => sum + result.unapprovedOvertimeHours, 0));
+        overtime.payHours = roundHours(results.reduce((sum, result) => sum + result.overtimePayHours, 0));
+
+        return {
+            statuses: AttendanceRules.countByStatus(results),
+            workingDays: scheduled.length,
+            presentDays: present.length,
+            leaveDays: results.filter(result => result.status === 'on_leave').length,
+            attendanceRate: scheduled.length > 0 ? Math.round((present.length / scheduled.length) * 100) : 0,
+            workedHours: roundHours(results.reduce((sum, result) => sum + result.workedHours, 0)),
+            overtime
+        };
+    }
+}
+
+module.exports = AttendanceRules;
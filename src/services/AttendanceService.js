@@ -0,0 +1,399 @@
+// Attendance scan processing shared by the readers, the socket handlers and
+// every check-in/check-out route: card resolution, action inference,
+// duplicate suppression, recording and broadcasting.
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const EventCheckpoint = require('../models/EventCheckpoint');
+const Card = require('../models/Card');
+const UnknownCard = require('../models/UnknownCard');
+const WorkSession = require('../models/WorkSession');
+const PayrollPeriod = require('../models/PayrollPeriod');
+const AttendanceRules = require('./AttendanceRules');
+const RealtimeBroadcaster = require('./RealtimeBroadcaster');
+const { executeQuery } = require('../config/database');
+const moment = require('moment-timezone');
+
+// Seconds during which a repeated scan of the same card is ignored
+const DUPLICATE_INTERVAL = 5;
+
+// Location of scans submitted from the web pages
+const WEB_SCAN_LOCATION = 'Main Office';
+
+const CARD_REJECT_MESSAGES = {
+    lost: 'Thẻ RFID đã được báo mất',
+    revoked: 'Thẻ RFID đã bị thu hồi',
+    expired: 'Thẻ RFID đã hết hạn'
+};
+
+// HTTP status and message of each scan failure
+const SCAN_ERRORS = {
+    MISSING_RFID: [400, 'Vui lòng quét thẻ RFID'],
+    INVALID_CARD_ID: [400, 'ID thẻ RFID không hợp lệ'],
+    CARD_NOT_USABLE: [403, 'Thẻ RFID không còn hiệu lực'],
+    UNKNOWN_CARD: [404, 'Thẻ RFID chưa được đăng ký. Vui lòng liên hệ quản trị viên.'],
+    INVALID_CARD: [403, 'Thẻ RFID không hợp lệ hoặc không thuộc về bạn'],
+    DUPLICATE_SCAN: [429, `Vui lòng chờ ${DUPLICATE_INTERVAL} giây trước khi quét lại`],
+    ALREADY_CHECKED_IN: [400, 'Bạn đã chấm công vào hôm nay'],
+    NOT_CHECKED_IN: [400, 'Bạn chưa chấm công vào hôm nay'],
+    ALREADY_CHECKED_OUT: [400, 'Bạn đã chấm công ra hôm nay'],
+    CHECKPOINT_NOT_FOUND: [404, 'Checkpoint của đầu đọc không tồn tại hoặc đã bị tắt'],
+    PARTICIPANT_NOT_FOUND: [404, 'Không tìm thấy người tham gia trong sự kiện'],
+    PERIOD_LOCKED: [423, 'Kỳ lương của ngày làm việc này đã khóa, không thể chấm công']
+};
+
+function failure(error, extra = {}) {
+    const [status, message] = SCAN_ERRORS[error];
+    return { success: false, status, error, message, ...extra };
+}
+
+class AttendanceService {
+    constructor(io, readerRegistry) {
+        this.io = io;
+        this.readerRegistry = readerRegistry;
+    }
+
+    // Client network details of a request, stored with the attendance record
+    static networkInfo(req) {
+        return {
+            clientIp: req.networkInfo?.clientIp || req.ip || null,
+            gatewayIp: req.networkInfo?.gatewayIp || null,
+            wifiName: req.networkInfo?.wifiName || null
+        };
+    }
+
+    // Scan submitted from a web page: decoded with the default reader's card
+    // format profile, as a scan on that reader would be, and recorded at the
+    // office location unless the request names one
+    async processWebScan(scan) {
+        if (!scan.cardId) {
+            return failure('MISSING_RFID');
+        }
+
+        const cardId = this.readerRegistry.decodeCardId(scan.cardId);
+        if (!cardId) {
+            return failure('INVALID_CARD_ID');
+        }
+
+        return await this.processScan({ location: WEB_SCAN_LOCATION, ...scan, cardId });
+    }
+
+    // HTTP status and JSON body of a processScan result, in the API response shape
+    static toResponse(result, extraData = {}) {
+        if (!result.success) {
+            const { status, success, ...error } = result;
+            return { status, body: { success: false, ...error } };
+        }
+
+        const data = result.checkpoint ? result.checkpoint : {
+            action: result.action,
+            time: result.time,
+            location: result.location,
+            user: result.user.toJSON(),
+            attendance: result.attendance,
+            eventId: result.eventId
+        };
+        return { status: 200, body: { success: true, message: result.message, data: { ...data, ...extraData } } };
+    }
+
+    // Process one card scan. Returns { success: true, action, user, attendance, ... }
+    // or { success: false, status, error, message } for the caller to relay.
+    //   cardId       card UID (already decoded) or employee ID for manual entry
+    //   readerId     reader the scan came from; its binding supplies location/checkpoint
+    //   location     location ID or name chosen by the client (overrides the reader's)
+    //   forceAction  'check_in' | 'check_out' instead of alternating
+    //   ownerId      only accept cards belonging to this user (self-service pages)
+    //   actor        logged-in user who submitted the scan, if any
+    async processScan({
+        cardId,
+        eventId = null,
+        readerId = null,
+        location = null,
+        forceAction = null,
+        ownerId = null,
+        actor = null,
+        method = null,
+        network = {}
+    }) {
+        if (!cardId) {
+            return failure('MISSING_RFID');
+        }
+
+        console.log(`🔍 Processing RFID scan: ${cardId}${readerId ? ` (reader ${readerId})` : ''}`);
+
+        // Readers bound to an event checkpoint log to event_checkpoint_logs instead
+        const binding = readerId ? await this.readerRegistry.getBinding(readerId) : null;
+        if (binding && binding.checkpointId) {
+            return await this.processCheckpointScan(cardId, binding);
+        }
+
+        const resolved = await this.resolveCard(cardId, binding);
+        if (!resolved.success) {
+            return resolved;
+        }
+        const user = resolved.user;
+
+        if (ownerId && user.id !== ownerId) {
+            console.log(`❌ Card ${cardId} does not belong to user ${ownerId}`);
+            return failure('INVALID_CARD');
+        }
+
+        if (await Attendance.checkDuplicateScan(user.id, cardId, DUPLICATE_INTERVAL)) {
+            console.log(`🚫 Duplicate scan detected for ${user.username}`);
+            return failure('DUPLICATE_SCAN');
+        }
+
+        const now = moment().tz('Asia/Ho_Chi_Minh');
+        const currentTime = now.format('YYYY-MM-DD HH:mm:ss');
+
+        // Work scans are filed under the logical work day, which differs from
+        // the calendar day for overnight shifts
+        const workDate = eventId ? now.format('YYYY-MM-DD') : await WorkSession.resolveWorkDate(user.id, now);
+
+        if (await PayrollPeriod.findLockedForDate(workDate)) {
+            console.log(`🔒 Scan of ${user.username} refused: payroll period of ${workDate} is locked`);
+            return failure('PERIOD_LOCKED');
+        }
+
+        const lastScan = await Attendance.getLastScanForUser(user.id, workDate);
+        const inferred = this.inferAction(lastScan, forceAction);
+        if (!inferred.success) {
+            return inferred;
+        }
+        const actionType = inferred.action;
+
+        const place = location
+            ? await this.resolveLocation(location)
+            : { id: binding ? binding.locationId : null, name: binding ? binding.locationName : null };
+        const locationName = place.name;
+
+        const attendance = await Attendance.recordAttendance({
+            userId: user.id,
+            rfidCard: cardId,
+            scanTime: currentTime,
+            scanDate: workDate,
+            actionType,
+            eventId: eventId || null,
+            clientIp: network.clientIp || null,
+            gatewayIp: network.gatewayIp || null,
+            wifiName: network.wifiName || null,
+            location: locationName || null,
+            notes: this.buildNotes({ readerId, method, actor, userId: user.id }),
+            status: 'valid'
+        });
+
+        const actorInfo = actor && actor.id !== user.id ? ` (by ${actor.username || actor.id})` : '';
+        console.log(`✅ Attendance recorded: ${user.username} - ${actionType}${locationName ? ` at ${locationName}` : ''}${actorInfo}`);
+
+        const result = {
+            success: true,
+            message: actionType === 'check_in' ? 'Chấm công vào thành công' : 'Chấm công ra thành công',
+            action: actionType,
+            time: currentTime,
+            workDate,
+            user,
+            attendance,
+            location: locationName || null,
+            locationId: place.id || null,
+            eventId: eventId || null,
+            readerId
+        };
+
+        this.broadcast(result, now);
+        if (!result.eventId) {
+            await this.updateWorkSession(user.id, workDate);
+        }
+
+        return result;
+    }
+
+    // Map a scanned card to its owner; unusable cards are refused and
+    // unregistered cards go to the admin inbox
+    async resolveCard(cardId, binding = null) {
+        const card = await Card.findByUid(cardId);
+        if (card && !card.isUsable()) {
+            const reason = card.getRejectReason();
+            console.log(`❌ Card ${cardId} refused: ${reason}`);
+            return {
+                ...failure('CARD_NOT_USABLE'),
+                message: CARD_REJECT_MESSAGES[reason] || SCAN_ERRORS.CARD_NOT_USABLE[1],
+                reason
+            };
+        }
+
+        const user = await User.findByRfidCard(cardId);
+        if (!user) {
+            console.log(`❌ User not found for RFID card: ${cardId}`);
+            await this.recordUnknownCard(cardId, binding);
+            return failure('UNKNOWN_CARD');
+        }
+
+        return { success: true, user, card };
+    }
+
+    // Scans alternate between check-in and check-out within a day. A forced
+    // action must not repeat the current state.
+    inferAction(lastScan, forceAction = null) {
+        const checkedIn = !!lastScan && lastScan.actionType === 'check_in';
+
+        if (forceAction === 'check_in') {
+            return checkedIn ? failure('ALREADY_CHECKED_IN') : { success: true, action: 'check_in' };
+        }
+        if (forceAction === 'check_out') {
+            if (checkedIn) return { success: true, action: 'check_out' };
+            return failure(lastScan ? 'ALREADY_CHECKED_OUT' : 'NOT_CHECKED_IN');
+        }
+
+        return { success: true, action: checkedIn ? 'check_out' : 'check_in' };
+    }
+
+    // Location ID or name from the client to the stored location; unknown
+    // names are kept as given, without an ID
+    async resolveLocation(location) {
+        const rows = await executeQuery(
+            'SELECT id, name FROM locations WHERE (id = ? OR name = ?) AND is_active = true',
+            [location, location]
+        );
+        return rows.length > 0 ? { id: rows[0].id, name: rows[0].name } : { id: null, name: String(location) };
+    }
+
+    buildNotes({ readerId, method, actor, userId }) {
+        const notes = [];
+        if (readerId) notes.push(`reader:${readerId}`);
+        if (actor && actor.id !== userId) notes.push(`scanned_by:${actor.id}`);
+        if (method) notes.push(`method:${method}`);
+        return notes.length > 0 ? notes.join(', ') : null;
+    }
+
+    // Send a recorded scan to the employee, the admins and the managers of
+    // their department in full, and redacted to kiosks at the location and
+    // screens of the event
+    broadcast(result, now) {
+        const user = result.user.toJSON();
+        const targets = RealtimeBroadcaster.attendanceTargets({
+            userId: user.id,
+            department: user.department,
+            locationId: result.locationId,
+            eventId: result.eventId
+        });
+
+        RealtimeBroadcaster.emit(this.io, 'attendance_processed', {
+            success: true,
+            user,
+            action: result.action,
+            time: now.toISOString(),
+            event: result.eventId ? { id: result.eventId } : null,
+            location: result.location,
+            readerId: result.readerId,
+            attendance: result.attendance
+        }, targets);
+
+        RealtimeBroadcaster.emit(this.io, 'attendance_update', {
+            type: result.eventId ? 'event_attendance' : 'work_attendance',
+            action: result.action,
+            user,
+            attendance: result.attendance,
+            timestamp: result.time,
+            location: result.location,
+            eventId: result.eventId
+        }, targets);
+
+        this.io.to(RealtimeBroadcaster.ROOMS.admin).emit('attendance_notification', {
+            type: 'attendance',
+            message: `${result.user.name} đã ${result.action === 'check_in' ? 'vào làm' : 'ra về'}`,
+            user,
+            action: result.action,
+            timestamp: now.toISOString()
+        });
+    }
+
+    // Keep an unregistered card in the admin inbox
+    async recordUnknownCard(cardId, binding = null) {
+        try {
+            await UnknownCard.record({
+                cardUid: cardId,
+                readerId: binding ? binding.readerId : null,
+                readerName: binding ? binding.readerName : null,
+                location: binding ? binding.locationName : null
+            });
+
+            this.io.to(RealtimeBroadcaster.ROOMS.admin).emit('unknown_card_scanned', {
+                cardId,
+                readerId: binding ? binding.readerId : null,
+                location: binding ? binding.locationName : null,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Failed to record unknown card:', error);
+        }
+    }
+
+    // Scan on a reader bound to an event checkpoint
+    async processCheckpointScan(cardId, binding) {
+        const checkpoint = await EventCheckpoint.findById(binding.checkpointId);
+        if (!checkpoint || !checkpoint.isActive || !checkpoint.eventId) {
+            console.log(`❌ Checkpoint ${binding.checkpointId} of reader ${binding.readerId} is not available`);
+            return failure('CHECKPOINT_NOT_FOUND');
+        }
+
+        // Participants are registered by user ID, or by raw card ID for guests
+        const user = await User.findByRfidCard(cardId);
+        const participantId = user ? user.id : cardId;
+
+        const isParticipant = await EventCheckpoint.isParticipant(checkpoint.eventId, participantId);
+        if (!isParticipant) {
+            console.log(`❌ ${participantId} is not a participant of event ${checkpoint.eventName}`);
+            return failure('PARTICIPANT_NOT_FOUND');
+        }
+
+        const now = moment().tz('Asia/Ho_Chi_Minh');
+        await checkpoint.logCheck(participantId, now.format('YYYY-MM-DD HH:mm:ss'), 'rfid');
+
+        console.log(`✅ Checkpoint logged: ${participantId} at ${checkpoint.eventName}/${checkpoint.checkpointName}`);
+
+        const checkData = {
+            eventId: checkpoint.eventId,
+            eventName: checkpoint.eventName,
+            checkpoint: checkpoint.checkpointName,
+            checkpointType: checkpoint.checkpointType,
+            userId: participantId,
+            user: user ? user.toJSON() : null,
+            readerId: binding.readerId,
+            time: now.toISOString()
+        };
+
+        RealtimeBroadcaster.emit(this.io, 'event_checkpoint_update', checkData, [
+            { rooms: [user && RealtimeBroadcaster.ROOMS.user(user.id), RealtimeBroadcaster.ROOMS.admin], audience: 'full' },
+            { rooms: [RealtimeBroadcaster.ROOMS.eventManagers], audience: 'manager' },
+            { rooms: [RealtimeBroadcaster.ROOMS.event(checkpoint.eventId)], audience: 'public' }
+        ]);
+
+        return {
+            success: true,
+            message: `Check thành công tại ${checkpoint.checkpointName}`,
+            checkpoint: checkData
+        };
+    }
+
+    // Rebuild the day's work session after a check-in/out and judge the day
+    // against the attendance policy. A failure here must not fail the scan
+    // that was already recorded.
+    async updateWorkSession(userId, workDate) {
+        try {
+            const session = await WorkSession.recompute(userId, workDate);
+            if (session) {
+                console.log(`📊 Work session ${workDate} for ${userId}: ${session.totalHours}h (${session.status})`);
+            }
+            await AttendanceRules.evaluateAndStore(userId, workDate);
+            return session;
+        } catch (error) {
+            if (error.code === 'PERIOD_LOCKED') {
+                console.log(`🔒 Work session ${workDate} for ${userId} kept: ${error.message}`);
+                return null;
+            }
+            console.error('Work session update error:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = AttendanceService;
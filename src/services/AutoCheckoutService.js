@@ -0,0 +1,154 @@
+// Closes work sessions left open by a forgotten check-out. Past the cutoff
+// of the shift (its end plus a delay) the job records a system check-out
+// flagged `auto_closed` at the end of the shift, tells the employee, and
+// opens an `auto_close` correction so the real time can be given and
+// reviewed. Each work day is closed at most once, and days of a locked
+// payroll period are left open.
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const PayrollPeriod = require('../models/PayrollPeriod');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const WorkSession = require('../models/WorkSession');
+
+// Card value of check-outs recorded by the job
+const SYSTEM_CARD = 'SYSTEM';
+
+class AutoCheckoutService {
+    constructor(attendanceService, socketHandlers) {
+        this.attendanceService = attendanceService;
+        this.socketHandlers = socketHandlers;
+        this.options = config.attendance.autoCheckout;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.options.enabled || this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.options.intervalMinutes * 60 * 1000);
+        this.run();
+        console.log(`⏱️ Automatic check-out every ${this.options.intervalMinutes} min`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // When the open session of a work day gets closed and at which time.
+    // With a shift: the check-out is the end of the shift, made once the
+    // cutoff has passed. Without one: both are the configured time of day.
+    // A check-in after that point is closed on itself (no hours) once the
+    // longest session has passed.
+    async getCutoff(userId, workDate, openedAt) {
+        const { shift } = await ShiftAssignment.findShiftForUser(userId, workDate);
+
+        let checkoutTime;
+        let cutoff;
+        if (shift) {
+            checkoutTime = shift.getWindow(workDate).end;
+            cutoff = shift.getAutoCheckoutCutoff(workDate, this.options.afterShiftMinutes);
+        } else {
+            checkoutTime = moment.tz(`${workDate} ${this.options.noShiftTime}`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh');
+            cutoff = checkoutTime.clone();
+        }
+
+        if (!openedAt.isBefore(checkoutTime)) {
+            checkoutTime = openedAt.clone();
+            cutoff = moment.max(cutoff, openedAt.clone().add(config.attendance.maxSessionHours, 'hours'));
+        }
+
+        return { checkoutTime, cutoff };
+    }
+
+    // Close every open session past its cutoff
+    async run(now = moment().tz('Asia/Ho_Chi_Minh')) {
+        if (this.running) return [];
+        this.running = true;
+
+        const closed = [];
+        try {
+            const sessions = await WorkSession.findOpen();
+            for (const session of sessions) {
+                try {
+                    const correction = await this.closeSession(session, now);
+                    if (correction) closed.push(correction);
+                } catch (error) {
+                    console.error(`Automatic check-out error (${session.userId} ${session.workDate}):`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Automatic check-out error:', error);
+        } finally {
+            this.running = false;
+        }
+
+        return closed;
+    }
+
+    async closeSession(session, now) {
+        const workDate = moment(session.workDate).format('YYYY-MM-DD');
+        if (await AttendanceCorrection.hasAutoClose(session.userId, workDate)
+            || await PayrollPeriod.findLockedForDate(workDate)) {
+            return null;
+        }
+
+        const scans = await Attendance.findByUserAndDate(session.userId, workDate);
+        const { openedAt } = WorkSession.buildIntervals(scans);
+        if (!openedAt) return null;
+
+        const openedTime = openedAt.format('YYYY-MM-DD HH:mm:ss');
+        const { checkoutTime, cutoff } = await this.getCutoff(session.userId, workDate, moment.tz(openedTime, 'Asia/Ho_Chi_Minh'));
+        if (now.isBefore(cutoff)) return null;
+
+        const scanTime = checkoutTime.format('YYYY-MM-DD HH:mm:ss');
+        let correction = await AttendanceCorrection.create({
+            userId: session.userId,
+            workDate,
+            actionType: 'check_out',
+            scanTime,
+            reason: 'Hệ thống tự động chấm công ra do không có check-out',
+            source: 'auto_close'
+        });
+
+        const record = await Attendance.recordAttendance({
+            userId: session.userId,
+            rfidCard: SYSTEM_CARD,
+            scanTime,
+            scanDate: workDate,
+            actionType: 'check_out',
+            notes: `Tự động chấm công ra do quên check-out (yêu cầu #${correction.id})`,
+            status: 'valid',
+            flag: 'auto_closed',
+            correctionId: correction.id
+        });
+        correction = await AttendanceCorrection.linkAttendance(correction.id, record.id);
+
+        await AttendanceAudit.log({
+            attendanceId: record.id,
+            userId: session.userId,
+            correctionId: correction.id,
+            action: 'auto_closed',
+            details: { scanTime, openedAt: openedTime }
+        });
+
+        await this.attendanceService.updateWorkSession(session.userId, workDate);
+        console.log(`⏱️ Automatic check-out for ${session.userId} on ${workDate} at ${scanTime} (correction #${correction.id})`);
+
+        this.socketHandlers.notifyUser(session.userId, 'auto_checkout', {
+            workDate,
+            checkOutTime: scanTime,
+            correctionId: correction.id,
+            message: `Bạn quên check-out ngày ${moment(workDate).format('DD/MM/YYYY')}. Hệ thống đã tự động chấm công ra lúc ${checkoutTime.format('HH:mm')}, vui lòng cập nhật giờ ra thực tế.`
+        });
+
+        return correction;
+    }
+}
+
+module.exports = AutoCheckoutService;
@@ -0,0 +1,205 @@
+// Missed-punch corrections: an employee asks for a forgotten check-in or
+// check-out to be added, an admin or a manager of the employee's department
+// approves or rejects it. Approval records the scan as a new attendance row
+// flagged `corrected`; existing scans are never changed. A check-out closed
+// by the end-of-day job waits here too: the employee fills in the real time,
+// approval replaces the system check-out with it, rejection keeps it.
+const moment = require('moment-timezone');
+const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const DepartmentManager = require('../models/DepartmentManager');
+const PayrollPeriod = require('../models/PayrollPeriod');
+
+// Card value of rows added by a correction rather than scanned
+const CORRECTION_CARD = 'CORRECTION';
+
+// HTTP status and message of each correction failure
+const CORRECTION_ERRORS = {
+    INVALID_DATE: [400, 'Ngày làm việc không hợp lệ (YYYY-MM-DD) hoặc ở tương lai'],
+    INVALID_ACTION_TYPE: [400, 'Loại chấm công không hợp lệ (check_in hoặc check_out)'],
+    INVALID_SCAN_TIME: [400, 'Giờ chấm công phải thuộc ngày làm việc (hoặc sáng hôm sau) và không ở tương lai'],
+    MISSING_REASON: [400, 'Vui lòng nhập lý do'],
+    CORRECTION_EXISTS: [400, 'Đã có yêu cầu bổ sung đang chờ duyệt cho lượt chấm công này'],
+    CORRECTION_NOT_FOUND: [404, 'Yêu cầu bổ sung chấm công không tồn tại'],
+    CORRECTION_NOT_PENDING: [400, 'Yêu cầu bổ sung chấm công đã được xử lý'],
+    AUTO_CLOSE_NOT_CANCELLABLE: [400, 'Không thể hủy lượt tự động chấm công ra, hãy cập nhật giờ ra thực tế'],
+    INVALID_ACTION: [400, 'Thao tác không hợp lệ (approve hoặc reject)'],
+    CANNOT_REVIEW_OWN: [403, 'Không thể tự duyệt yêu cầu của mình'],
+    NOT_DEPARTMENT_MANAGER: [403, 'Bạn không quản lý phòng ban của nhân viên này'],
+    PERIOD_LOCKED: [423, 'Kỳ lương của ngày làm việc này đã khóa']
+};
+
+function failure(error, extra = {}) {
+    const [status, message] = CORRECTION_ERRORS[error];
+    return { success: false, status, error, message, ...extra };
+}
+
+function now() {
+    return moment().tz('Asia/Ho_Chi_Minh');
+}
+
+// Scan times come from a datetime-local input or as 'YYYY-MM-DD HH:mm[:ss]'
+function parseScanTime(value) {
+    if (typeof value !== 'string') return null;
+    const time = moment.tz(value, ['YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss'], true, 'Asia/Ho_Chi_Minh');
+    return time.isValid() ? time : null;
+}
+
+class CorrectionService {
+    // Map a service result to an HTTP status and JSON body
+    static toResponse(result, successMessage) {
+        if (!result.success) {
+            const { status, success, ...body } = result;
+            return { status, body: { success: false, ...body } };
+        }
+        return { status: 200, body: { success: true, message: successMessage, data: result.correction } };
+    }
+
+    // Submit a missed scan for a work day. The time may fall on the next
+    // morning for shifts that end after midnight.
+    static async submit(userId, { workDate, actionType, scanTime, reason }) {
+        const workDay = typeof workDate === 'string' ? moment(workDate, 'YYYY-MM-DD', true) : null;
+        if (!workDay || !workDay.isValid() || workDate > now().format('YYYY-MM-DD')) {
+            return failure('INVALID_DATE');
+        }
+
+        if (!AttendanceCorrection.ACTION_TYPES.includes(actionType)) {
+            return failure('INVALID_ACTION_TYPE');
+        }
+
+        const time = parseScanTime(scanTime);
+        const day = time ? time.format('YYYY-MM-DD') : null;
+        if (!time || time.isAfter(now())
+            || (day !== workDate && day !== workDay.clone().add(1, 'day').format('YYYY-MM-DD'))) {
+            return failure('INVALID_SCAN_TIME');
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return failure('MISSING_REASON');
+        }
+
+        if (await PayrollPeriod.findLockedForDate(workDate)) {
+            return failure('PERIOD_LOCKED');
+        }
+
+        const existing = await AttendanceCorrection.findPending(userId, workDate, actionType);
+        if (existing && existing.source === 'auto_close') {
+            // The real time of a check-out the system closed
+            const amended = await AttendanceCorrection.amend(existing.id, time.format('YYYY-MM-DD HH:mm:ss'), String(reason).trim());
+            console.log(`📝 Correction request #${amended.id} amended by ${userId}: ${actionType} ${amended.scanTime}`);
+            return { success: true, correction: amended };
+        }
+        if (existing) {
+            return failure('CORRECTION_EXISTS', { correction: existing });
+        }
+
+        const correction = await AttendanceCorrection.create({
+            userId,
+            workDate,
+            actionType,
+            scanTime: time.format('YYYY-MM-DD HH:mm:ss'),
+            reason: String(reason).trim()
+        });
+        console.log(`📝 Correction request #${correction.id} by ${userId}: ${actionType} ${correction.scanTime}`);
+
+        return { success: true, correction };
+    }
+
+    // Approve or reject a pending request. The caller rebuilds the work day
+    // of an approved correction.
+    static async review(correctionId, reviewer, action, note = null) {
+        if (!['approve', 'reject'].includes(action)) {
+            return failure('INVALID_ACTION');
+        }
+
+        const correction = await AttendanceCorrection.findById(correctionId);
+        if (!correction) {
+            return failure('CORRECTION_NOT_FOUND');
+        }
+
+        if (correction.status !== 'pending') {
+            return failure('CORRECTION_NOT_PENDING');
+        }
+
+        if (String(correction.userId) === String(reviewer.id)) {
+            return failure('CANNOT_REVIEW_OWN');
+        }
+
+        if (!(await DepartmentManager.canReview(reviewer, correction.department, 'edit_attendance'))) {
+            return failure('NOT_DEPARTMENT_MANAGER');
+        }
+
+        if (action === 'reject') {
+            const rejected = await AttendanceCorrection.setStatus(correction.id, 'rejected', reviewer.id, note);
+            console.log(`❌ Correction request #${correction.id} rejected by ${reviewer.id}`);
+            return { success: true, correction: rejected };
+        }
+
+        // Approvals change the day's attendance, closed once paid
+        if (await PayrollPeriod.findLockedForDate(correction.workDate)) {
+            return failure('PERIOD_LOCKED');
+        }
+
+        // A system check-out confirmed as is stays the record of the day
+        const autoClosed = correction.source === 'auto_close' && correction.attendanceId
+            ? await Attendance.findById(correction.attendanceId)
+            : null;
+        if (autoClosed && moment(autoClosed.scanTime).format('YYYY-MM-DD HH:mm:ss') === correction.scanTime) {
+            const confirmed = await AttendanceCorrection.setStatus(correction.id, 'approved', reviewer.id, note);
+            console.log(`✅ Automatic check-out #${autoClosed.id} confirmed by ${reviewer.id}`);
+            return { success: true, correction: confirmed, attendance: autoClosed };
+        }
+
+        const record = await Attendance.recordAttendance({
+            userId: correction.userId,
+            rfidCard: CORRECTION_CARD,
+            scanTime: correction.scanTime,
+            scanDate: correction.workDate,
+            actionType: correction.actionType,
+            notes: `Bổ sung theo yêu cầu #${correction.id}: ${correction.reason}`,
+            status: 'valid',
+            flag: 'corrected',
+            correctionId: correction.id
+        });
+
+        await AttendanceAudit.log({
+            attendanceId: record.id,
+            userId: correction.userId,
+            correctionId: correction.id,
+            action: 'corrected',
+            changedBy: reviewer.id,
+            details: { scanTime: correction.scanTime, actionType: correction.actionType, reason: correction.reason, note }
+        });
+
+        if (autoClosed) {
+            await Attendance.updateStatus(autoClosed.id, 'invalid', `Thay bằng giờ ra thực tế theo yêu cầu #${correction.id}`, reviewer.id);
+        }
+
+        const approved = await AttendanceCorrection.setStatus(correction.id, 'approved', reviewer.id, note, record.id);
+        console.log(`✅ Correction request #${correction.id} approved by ${reviewer.id} (attendance #${record.id})`);
+
+        return { success: true, correction: approved, attendance: record };
+    }
+
+    // Cancel one's own pending request
+    static async cancel(correctionId, userId) {
+        const correction = await AttendanceCorrection.findById(correctionId);
+        if (!correction || String(correction.userId) !== String(userId)) {
+            return failure('CORRECTION_NOT_FOUND');
+        }
+
+        if (correction.status !== 'pending') {
+            return failure('CORRECTION_NOT_PENDING');
+        }
+
+        if (correction.source === 'auto_close') {
+            return failure('AUTO_CLOSE_NOT_CANCELLABLE');
+        }
+
+        const cancelled = await AttendanceCorrection.setStatus(correction.id, 'cancelled');
+        return { success: true, correction: cancelled };
+    }
+}
+
+module.exports = CorrectionService;
@@ -0,0 +1,194 @@
+// Leave requests: submission with balance checks, review by an admin or a
+// manager of the employee's department, and cancellation. Approved and
+// cancelled leave re-judges the work days it covers.
+const moment = require('moment-timezone');
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveBalance = require('../models/LeaveBalance');
+const DepartmentManager = require('../models/DepartmentManager');
+const AttendanceRules = require('./AttendanceRules');
+
+// Longest leave a single request may cover, in calendar days
+const MAX_LEAVE_DAYS = 62;
+
+// HTTP status and message of each leave failure
+const LEAVE_ERRORS = {
+    LEAVE_TYPE_NOT_FOUND: [404, 'Loại nghỉ phép không tồn tại'],
+    INVALID_DATE: [400, 'Ngày không hợp lệ (YYYY-MM-DD)'],
+    RANGE_TOO_LARGE: [400, `Một đơn nghỉ tối đa ${MAX_LEAVE_DAYS} ngày`],
+    INVALID_HALF_DAY: [400, 'Nghỉ nửa ngày chỉ áp dụng cho một ngày (morning hoặc afternoon)'],
+    LEAVE_OVERLAP: [400, 'Đã có đơn nghỉ trong khoảng thời gian này'],
+    NO_WORKING_DAYS: [400, 'Khoảng thời gian không có ngày làm việc nào'],
+    INSUFFICIENT_BALANCE: [400, 'Không đủ số ngày phép còn lại'],
+    LEAVE_NOT_FOUND: [404, 'Đơn nghỉ phép không tồn tại'],
+    LEAVE_NOT_PENDING: [400, 'Đơn nghỉ phép đã được xử lý'],
+    INVALID_ACTION: [400, 'Thao tác không hợp lệ (approve hoặc reject)'],
+    CANNOT_REVIEW_OWN: [403, 'Không thể tự duyệt đơn của mình'],
+    NOT_DEPARTMENT_MANAGER: [403, 'Bạn không quản lý phòng ban của nhân viên này'],
+    LEAVE_ALREADY_TAKEN: [400, 'Không thể hủy đơn nghỉ đã bắt đầu']
+};
+
+function failure(error, extra = {}) {
+    const [status, message] = LEAVE_ERRORS[error];
+    return { success: false, status, error, message, ...extra };
+}
+
+function isValidDate(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && moment(date, 'YYYY-MM-DD', true).isValid();
+}
+
+function today() {
+    return moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+}
+
+class LeaveService {
+    // Map a service result to an HTTP status and JSON body
+    static toResponse(result, successMessage) {
+        if (!result.success) {
+            const { status, success, ...body } = result;
+            return { status, body: { success: false, ...body } };
+        }
+        return { status: 200, body: { success: true, message: successMessage, data: result.request } };
+    }
+
+    // Submit a leave request for a user
+    static async submit(userId, { leaveTypeId, startDate, endDate, halfDay, reason }) {
+        const leaveType = leaveTypeId ? await LeaveType.findById(leaveTypeId) : null;
+        if (!leaveType || !leaveType.isActive) {
+            return failure('LEAVE_TYPE_NOT_FOUND');
+        }
+
+        endDate = endDate || startDate;
+        if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+            return failure('INVALID_DATE');
+        }
+
+        if (moment(endDate).diff(moment(startDate), 'days') >= MAX_LEAVE_DAYS) {
+            return failure('RANGE_TOO_LARGE');
+        }
+
+        if (halfDay && (!LeaveRequest.HALF_DAYS.includes(halfDay) || endDate !== startDate)) {
+            return failure('INVALID_HALF_DAY');
+        }
+
+        const overlapping = await LeaveRequest.findOverlapping(userId, startDate, endDate);
+        if (overlapping.length > 0) {
+            return failure('LEAVE_OVERLAP', { conflicts: overlapping });
+        }
+
+        const daysByYear = await LeaveRequest.countWorkingDaysByYear(userId, startDate, endDate, halfDay);
+        const days = Array.from(daysByYear.values()).reduce((sum, count) => sum + count, 0);
+        if (days === 0) {
+            return failure('NO_WORKING_DAYS');
+        }
+
+        // Each year's days come out of that year's balance, pending requests included
+        for (const [year, needed] of daysByYear) {
+            const balance = await LeaveBalance.getBalance(userId, leaveType, year);
+            if (balance.remaining !== null && needed > balance.remaining) {
+                return failure('INSUFFICIENT_BALANCE', {
+                    message: `Không đủ ngày phép năm ${year}: cần ${needed} ngày, còn ${balance.remaining} ngày`,
+                    balance
+                });
+            }
+        }
+
+        const request = await LeaveRequest.create({
+            userId,
+            leaveTypeId: leaveType.id,
+            startDate,
+            endDate,
+            halfDay,
+            days,
+            reason
+        });
+        console.log(`📝 Leave request #${request.id} by ${userId}: ${leaveType.code} ${startDate}..${endDate} (${days}d)`);
+
+        return { success: true, request };
+    }
+
+    // Approve or reject a pending request
+    static async review(requestId, reviewer, action, note = null) {
+        if (!['approve', 'reject'].includes(action)) {
+            return failure('INVALID_ACTION');
+        }
+
+        const request = await LeaveRequest.findById(requestId);
+        if (!request) {
+            return failure('LEAVE_NOT_FOUND');
+        }
+
+        if (request.status !== 'pending') {
+            return failure('LEAVE_NOT_PENDING');
+        }
+
+        if (String(request.userId) === String(reviewer.id)) {
+            return failure('CANNOT_REVIEW_OWN');
+        }
+
+        if (!(await DepartmentManager.canReview(reviewer, request.department, 'manage_leave'))) {
+            return failure('NOT_DEPARTMENT_MANAGER');
+        }
+
+        // Entitlements change and other leave gets approved after submission:
+        // the days must still fit next to the leave already approved
+        const leaveType = action === 'approve' ? await LeaveType.findById(request.leaveTypeId) : null;
+        if (leaveType) {
+            for (const [year, needed] of await request.getDaysByYear()) {
+                const balance = await LeaveBalance.getBalance(request.userId, leaveType, year);
+                const available = balance.entitled === null ? null : balance.entitled - balance.used;
+                if (available !== null && needed > available) {
+                    return failure('INSUFFICIENT_BALANCE', {
+                        message: `Không đủ ngày phép năm ${year}: cần ${needed} ngày, còn ${available} ngày`,
+                        balance
+                    });
+                }
+            }
+        }
+
+        const status = action === 'approve' ? 'approved' : 'rejected';
+        const reviewed = await LeaveRequest.setStatus(request.id, status, reviewer.id, note);
+        console.log(`✅ Leave request #${request.id} ${status} by ${reviewer.id}`);
+
+        if (status === 'approved') {
+            await LeaveService.refreshDays(reviewed);
+        }
+
+        return { success: true, request: reviewed };
+    }
+
+    // Cancel one's own request; approved leave only before it starts
+    static async cancel(requestId, userId) {
+        const request = await LeaveRequest.findById(requestId);
+        if (!request || String(request.userId) !== String(userId)) {
+            return failure('LEAVE_NOT_FOUND');
+        }
+
+        if (!['pending', 'approved'].includes(request.status)) {
+            return failure('LEAVE_NOT_PENDING');
+        }
+
+        if (request.status === 'approved' && request.startDate <= today()) {
+            return failure('LEAVE_ALREADY_TAKEN');
+        }
+
+        const cancelled = await LeaveRequest.setStatus(request.id, 'cancelled');
+        await LeaveService.refreshDays(cancelled);
+
+        return { success: true, request: cancelled };
+    }
+
+    // Judge again the past days a leave covers; future days are judged when they come
+    static async refreshDays(request) {
+        const end = moment.min(moment(request.endDate), moment(today()));
+        for (const day = moment(request.startDate); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+            try {
+                await AttendanceRules.evaluateAndStore(request.userId, day.format('YYYY-MM-DD'), request.department);
+            } catch (error) {
+                console.error('Leave day refresh error:', error);
+            }
+        }
+    }
+}
+
+module.exports = LeaveService;
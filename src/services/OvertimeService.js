@@ -0,0 +1,156 @@
+// Overtime requests: an employee asks ahead for overtime on a work day, an
+// admin or a manager of the employee's department approves or rejects it.
+// Where the attendance policy requires approval only approved hours count;
+// reviewing or cancelling re-judges the day once it has come.
+const moment = require('moment-timezone');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const DepartmentManager = require('../models/DepartmentManager');
+const PayrollPeriod = require('../models/PayrollPeriod');
+const AttendanceRules = require('./AttendanceRules');
+
+// Most overtime a single request may cover
+const MAX_OVERTIME_HOURS = 12;
+
+// HTTP status and message of each overtime failure
+const OVERTIME_ERRORS = {
+    INVALID_DATE: [400, 'Ngày làm việc không hợp lệ (YYYY-MM-DD) hoặc đã qua'],
+    INVALID_HOURS: [400, `Số giờ tăng ca phải lớn hơn 0 và không quá ${MAX_OVERTIME_HOURS} giờ`],
+    MISSING_REASON: [400, 'Vui lòng nhập lý do'],
+    OVERTIME_EXISTS: [400, 'Đã có đơn tăng ca cho ngày này'],
+    OVERTIME_NOT_FOUND: [404, 'Đơn tăng ca không tồn tại'],
+    OVERTIME_NOT_PENDING: [400, 'Đơn tăng ca đã được xử lý'],
+    OVERTIME_ALREADY_WORKED: [400, 'Không thể hủy đơn tăng ca đã đến ngày làm'],
+    INVALID_ACTION: [400, 'Thao tác không hợp lệ (approve hoặc reject)'],
+    CANNOT_REVIEW_OWN: [403, 'Không thể tự duyệt đơn của mình'],
+    NOT_DEPARTMENT_MANAGER: [403, 'Bạn không quản lý phòng ban của nhân viên này'],
+    PERIOD_LOCKED: [423, 'Kỳ lương của ngày làm việc này đã khóa']
+};
+
+function failure(error, extra = {}) {
+    const [status, message] = OVERTIME_ERRORS[error];
+    return { success: false, status, error, message, ...extra };
+}
+
+function isValidDate(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && moment(date, 'YYYY-MM-DD', true).isValid();
+}
+
+function today() {
+    return moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+}
+
+class OvertimeService {
+    // Map a service result to an HTTP status and JSON body
+    static toResponse(result, successMessage) {
+        if (!result.success) {
+            const { status, success, ...body } = result;
+            return { status, body: { success: false, ...body } };
+        }
+        return { status: 200, body: { success: true, message: successMessage, data: result.request } };
+    }
+
+    // Ask for overtime on today or a coming work day
+    static async submit(userId, { workDate, hours, reason }) {
+        if (!isValidDate(workDate) || workDate < today()) {
+            return failure('INVALID_DATE');
+        }
+
+        const requested = parseFloat(hours);
+        if (isNaN(requested) || requested <= 0 || requested > MAX_OVERTIME_HOURS) {
+            return failure('INVALID_HOURS');
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return failure('MISSING_REASON');
+        }
+
+        if (await PayrollPeriod.findLockedForDate(workDate)) {
+            return failure('PERIOD_LOCKED');
+        }
+
+        const existing = await OvertimeRequest.findActive(userId, workDate);
+        if (existing) {
+            return failure('OVERTIME_EXISTS', { request: existing });
+        }
+
+        const request = await OvertimeRequest.create({
+            userId,
+            workDate,
+            hours: Math.round(requested * 100) / 100,
+            reason: String(reason).trim()
+        });
+        console.log(`📝 Overtime request #${request.id} by ${userId}: ${workDate} (${request.hours}h)`);
+
+        return { success: true, request };
+    }
+
+    // Approve or reject a pending request
+    static async review(requestId, reviewer, action, note = null) {
+        if (!['approve', 'reject'].includes(action)) {
+            return failure('INVALID_ACTION');
+        }
+
+        const request = await OvertimeRequest.findById(requestId);
+        if (!request) {
+            return failure('OVERTIME_NOT_FOUND');
+        }
+
+        if (request.status !== 'pending') {
+            return failure('OVERTIME_NOT_PENDING');
+        }
+
+        if (String(request.userId) === String(reviewer.id)) {
+            return failure('CANNOT_REVIEW_OWN');
+        }
+
+        if (!(await DepartmentManager.canReview(reviewer, request.department, 'manage_leave'))) {
+            return failure('NOT_DEPARTMENT_MANAGER');
+        }
+
+        if (action === 'approve' && await PayrollPeriod.findLockedForDate(request.workDate)) {
+            return failure('PERIOD_LOCKED');
+        }
+
+        const status = action === 'approve' ? 'approved' : 'rejected';
+        const reviewed = await OvertimeRequest.setStatus(request.id, status, reviewer.id, note);
+        console.log(`✅ Overtime request #${request.id} ${status} by ${reviewer.id}`);
+
+        if (status === 'approved') {
+            await OvertimeService.refreshDay(reviewed);
+        }
+
+        return { success: true, request: reviewed };
+    }
+
+    // Cancel one's own request; approved overtime only before its day
+    static async cancel(requestId, userId) {
+        const request = await OvertimeRequest.findById(requestId);
+        if (!request || String(request.userId) !== String(userId)) {
+            return failure('OVERTIME_NOT_FOUND');
+        }
+
+        if (!['pending', 'approved'].includes(request.status)) {
+            return failure('OVERTIME_NOT_PENDING');
+        }
+
+        if (request.status === 'approved' && request.workDate <= today()) {
+            return failure('OVERTIME_ALREADY_WORKED');
+        }
+
+        const cancelled = await OvertimeRequest.setStatus(request.id, 'cancelled');
+        return { success: true, request: cancelled };
+    }
+
+    // Judge the day again once it has come; later days are judged when they come
+    static async refreshDay(request) {
+        if (request.workDate > today()) return;
+
+        try {
+            await AttendanceRules.evaluateAndStore(request.userId, request.workDate, request.department);
+        } catch (error) {
+            console.error('Overtime day refresh error:', error);
+        }
+    }
+}
+
+module.exports = OvertimeService;
@@ -0,0 +1,229 @@
+// Payroll export: one summary row per employee over a period (hours,
+// overtime by kind of day, lateness, leave, absences) laid out by an export
+// template — column order, headers, number formats, xlsx or CSV.
+const moment = require('moment-timezone');
+const xlsx = require('xlsx');
+const ExportTemplate = require('../models/ExportTemplate');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveType = require('../models/LeaveType');
+const AttendanceRules = require('./AttendanceRules');
+
+// Summary fields a template can use, with their default header and number format
+const FIELDS = {
+    employeeId: { header: 'Mã NV', type: 'text' },
+    name: { header: 'Tên nhân viên', type: 'text' },
+    department: { header: 'Phòng ban', type: 'text' },
+    startDate: { header: 'Từ ngày', type: 'text' },
+    endDate: { header: 'Đến ngày', type: 'text' },
+    workingDays: { header: 'Ngày công chuẩn', type: 'number', numberFormat: '0' },
+    presentDays: { header: 'Ngày đi làm', type: 'number', numberFormat: '0' },
+    workedHours: { header: 'Tổng giờ làm', type: 'number', numberFormat: '0.00' },
+    regularHours: { header: 'Giờ làm thường', type: 'number', numberFormat: '0.00' },
+    overtimeWorkday: { header: 'Tăng ca ngày thường', type: 'number', numberFormat: '0.00' },
+    overtimeRestDay: { header: 'Tăng ca ngày nghỉ', type: 'number', numberFormat: '0.00' },
+    overtimeHoliday: { header: 'Tăng ca ngày lễ', type: 'number', numberFormat: '0.00' },
+    overtimeTotal: { header: 'Tổng tăng ca', type: 'number', numberFormat: '0.00' },
+    overtimeNight: { header: 'Tăng ca ban đêm', type: 'number', numberFormat: '0.00' },
+    overtimeUnapproved: { header: 'Tăng ca chưa duyệt', type: 'number', numberFormat: '0.00' },
+    overtimePayHours: { header: 'Giờ tăng ca quy đổi', type: 'number', numberFormat: '0.00' },
+    lateDays: { header: 'Số lần đi muộn', type: 'number', numberFormat: '0' },
+    lateMinutes: { header: 'Phút đi muộn', type: 'number', numberFormat: '0' },
+    earlyLeaveMinutes: { header: 'Phút về sớm', type: 'number', numberFormat: '0' },
+    halfDays: { header: 'Ngày làm nửa buổi', type: 'number', numberFormat: '0' },
+    leaveDays: { header: 'Ngày nghỉ phép', type: 'number', numberFormat: '0.0' },
+    paidLeaveDays: { header: 'Nghỉ có lương', type: 'number', numberFormat: '0.0' },
+    unpaidLeaveDays: { header: 'Nghỉ không lương', type: 'number', numberFormat: '0.0' },
+    absentDays: { header: 'Ngày vắng', type: 'number', numberFormat: '0' }
+};
+
+// Layout used when no template is chosen
+const DEFAULT_COLUMNS = [
+    'employeeId', 'name', 'department', 'workingDays', 'presentDays', 'regularHours',
+    'overtimeWorkday', 'overtimeRestDay', 'overtimeHoliday', 'lateMinutes', 'leaveDays', 'absentDays'
+].map(field => ({ field }));
+
+const CONTENT_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8'
+};
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+function sum(results, key) {
+    return results.reduce((total, result) => total + result[key], 0);
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class PayrollExportService {
+    static get FIELDS() {
+        return FIELDS;
+    }
+
+    static get DEFAULT_COLUMNS() {
+        return DEFAULT_COLUMNS;
+    }
+
+    // Check a template's format and columns; returns { error, message } or null
+    static validateTemplate({ format, columns }) {
+        if (format !== undefined && !ExportTemplate.FORMATS.includes(format)) {
+            return { error: 'INVALID_FORMAT', message: 'Định dạng không hợp lệ (xlsx hoặc csv)' };
+        }
+
+        if (!Array.isArray(columns) || columns.length === 0) {
+            return { error: 'INVALID_COLUMNS', message: 'Mẫu xuất phải có ít nhất một cột' };
+        }
+
+        for (const column of columns) {
+            if (!column || !FIELDS[column.field]) {
+                return { error: 'INVALID_COLUMNS', message: `Trường dữ liệu không hợp lệ: ${column && column.field}` };
+            }
+            if (column.header !== undefined && column.header !== null && typeof column.header !== 'string') {
+                return { error: 'INVALID_COLUMNS', message: `Tiêu đề cột ${column.field} không hợp lệ` };
+            }
+            if (column.numberFormat) {
+                if (FIELDS[column.field].type !== 'number' || typeof column.numberFormat !== 'string') {
+                    return { error: 'INVALID_COLUMNS', message: `Định dạng số của cột ${column.field} không hợp lệ` };
+                }
+                try {
+                    xlsx.SSF.format(column.numberFormat, 1234.5);
+                } catch (error) {
+                    return { error: 'INVALID_COLUMNS', message: `Định dạng số của cột ${column.field} không hợp lệ` };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Keep only the known keys of each column
+    static normalizeColumns(columns) {
+        return columns.map(({ field, header, numberFormat }) => ({
+            field,
+            header: header ? header.trim() : null,
+            numberFormat: numberFormat || null
+        }));
+    }
+
+    // Working days of approved leave falling inside the period, split by
+    // whether the leave type is paid
+    static async getLeaveDays(startDate, endDate) {
+        const paidTypes = new Set((await LeaveType.findAll())
+            .filter(type => type.isPaid)
+            .map(type => String(type.id)));
+        const requests = await LeaveRequest.findAll({ status: 'approved', startDate, endDate });
+
+        const leave = new Map();
+        for (const request of requests) {
+            const from = request.startDate < startDate ? startDate : request.startDate;
+            const to = request.endDate > endDate ? endDate : request.endDate;
+            const days = await LeaveRequest.countWorkingDays(request.userId, from, to, request.halfDay);
+
+            const key = String(request.userId);
+            const entry = leave.get(key) || { paid: 0, unpaid: 0 };
+            entry[paidTypes.has(String(request.leaveTypeId)) ? 'paid' : 'unpaid'] += days;
+            leave.set(key, entry);
+        }
+        return leave;
+    }
+
+    // One summary row per employee over the period
+    static async buildSummary(employees, startDate, endDate) {
+        const results = await AttendanceRules.evaluateRange(employees, startDate, endDate);
+        const leave = await PayrollExportService.getLeaveDays(startDate, endDate);
+
+        return employees.map(employee => {
+            const days = results.filter(result => String(result.userId) === String(employee.id));
+            const summary = AttendanceRules.summarize(days);
+            const overtimeTotal = roundHours(summary.overtime.workday + summary.overtime.rest_day + summary.overtime.holiday);
+            const leaveDays = leave.get(String(employee.id)) || { paid: 0, unpaid: 0 };
+
+            return {
+                employeeId: employee.id,
+                name: employee.name,
+                department: employee.department || '',
+                startDate,
+                endDate,
+                workingDays: summary.workingDays,
+                presentDays: summary.presentDays,
+                workedHours: summary.workedHours,
+                regularHours: roundHours(Math.max(summary.workedHours - overtimeTotal, 0)),
+                overtimeWorkday: summary.overtime.workday,
+                overtimeRestDay: summary.overtime.rest_day,
+                overtimeHoliday: summary.overtime.holiday,
+                overtimeTotal,
+                overtimeNight: summary.overtime.night,
+                overtimeUnapproved: summary.overtime.unapproved,
+                overtimePayHours: summary.overtime.payHours,
+                lateDays: summary.statuses.late,
+                lateMinutes: sum(days, 'lateMinutes'),
+                earlyLeaveMinutes: sum(days, 'earlyLeaveMinutes'),
+                halfDays: summary.statuses.half_day,
+                leaveDays: leaveDays.paid + leaveDays.unpaid,
+                paidLeaveDays: leaveDays.paid,
+                unpaidLeaveDays: leaveDays.unpaid,
+                absentDays: summary.statuses.absent
+            };
+        });
+    }
+
+    // Write summary rows in a template's layout. Returns the file content,
+    // its content type and extension.
+    static render(rows, { format = 'xlsx', columns = DEFAULT_COLUMNS } = {}) {
+        const layout = columns.map(column => ({
+            field: column.field,
+            header: column.header || FIELDS[column.field].header,
+            type: FIELDS[column.field].type,
+            numberFormat: column.numberFormat || FIELDS[column.field].numberFormat || null
+        }));
+
+        if (format === 'csv') {
+            const lines = [layout.map(column => escapeCsv(column.header)).join(',')];
+            rows.forEach(row => {
+                lines.push(layout.map(column => {
+                    const value = row[column.field];
+                    return escapeCsv(column.type === 'number' && column.numberFormat
+                        ? xlsx.SSF.format(column.numberFormat, value)
+                        : value);
+                }).join(','));
+            });
+
+            // The BOM lets Excel read the Vietnamese names as UTF-8
+            return { content: Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8'), contentType: CONTENT_TYPES.csv, extension: 'csv' };
+        }
+
+        const worksheet = xlsx.utils.aoa_to_sheet([
+            layout.map(column => column.header),
+            ...rows.map(row => layout.map(column => row[column.field]))
+        ]);
+
+        layout.forEach((column, index) => {
+            if (column.type !== 'number' || !column.numberFormat) return;
+            for (let r = 1; r <= rows.length; r++) {
+                const cell = worksheet[xlsx.utils.encode_cell({ r, c: index })];
+                if (cell) cell.z = column.numberFormat;
+            }
+        });
+        worksheet['!cols'] = layout.map(column => ({ wch: Math.max(column.header.length + 2, 10) }));
+
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, worksheet, 'Bảng công');
+
+        return {
+            content: xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+            contentType: CONTENT_TYPES.xlsx,
+            extension: 'xlsx'
+        };
+    }
+
+    static fileName(startDate, endDate, extension) {
+        return `BangCong_${moment(startDate).format('YYYYMMDD')}_${moment(endDate).format('YYYYMMDD')}.${extension}`;
+    }
+}
+
+module.exports = PayrollExportService;
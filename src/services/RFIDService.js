@@ -1,149 +1,190 @@
-const { SerialPort } = require('serialport');
-const { ReadlineParser } = require('@serialport/parser-readline');
 const EventEmitter = require('events');
+const fs = require('fs');
 const moment = require('moment-timezone');
+const config = require('../config/config');
+const { createDriver, createCardDecoder } = require('./readers');
+const { listPorts } = require('./readers/serialPorts');
+
+// Driver types whose device can be re-plugged into a serial port
+const HOTPLUG_DRIVER_TYPES = ['auto', 'serial-line', 'serial-frame'];
 
 class RFIDService extends EventEmitter {
-    constructor() {
+    constructor(readerConfig = config.rfid) {
         super();
-        this.port = null;
-        this.parser = null;
+        this.readerConfig = readerConfig;
+        this.readerId = readerConfig.id || 'default';
+        this.decoder = createCardDecoder(readerConfig.decoder);
+        this.driver = null;
         this.isConnected = false;
         this.lastScans = new Map(); // For anti-spam
         this.minScanInterval = 5000; // 5 seconds
         this.deviceInfo = null;
+        this.enrollment = null; // Pending card enrollment, see startEnrollment()
+        this.enrollmentTimer = null;
+
+        // Connection supervision, see connect()
+        this.reconnectOptions = { ...config.rfid.reconnect, ...readerConfig.reconnect };
+        this.supervised = false;
+        this.reconnecting = false;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0; // Failed attempts since the last successful connect
+        this.reconnectCount = 0; // Successful reconnects since start
+        this.lastError = null;
+        this.hotplugTimer = null;
+        this.knownPorts = null;
     }
 
-    // Find RFID reader port
-    async findRFIDPort() {
-        try {
-            const { SerialPort } = require('serialport');
-            const ports = await SerialPort.list();
-
-            // Look for R65D RFID reader
-            for (const port of ports) {
-                if (port.vendorId && port.productId) {
-                    // R65D Hardware ID: VID_FFFF&PID_0035
-                    if (port.vendorId.toUpperCase() === 'FFFF' &&
-                        port.productId.toUpperCase() === '0035') {
-
-                        console.log('🎯 R65D RFID Reader detected!');
-                        console.log(`   Port: ${port.path}`);
-                        console.log(`   Vendor ID: ${port.vendorId}`);
-                        console.log(`   Product ID: ${port.productId}`);
-                        console.log(`   Connector: Type-C USB OTG`);
-                        console.log(`   Mode: 125KHz Keyboard Emulator`);
-
-                        this.deviceInfo = {
-                            port: port.path,
-                            type: 'R65D-125KHz-TypeC',
-                            vendorId: port.vendorId,
-                            productId: port.productId,
-                            connector: 'Type-C',
-                            frequency: '125KHz',
-                            mode: 'Keyboard Emulator'
-                        };
-
-                        return port.path;
-                    }
-                }
-
-                // Try other common RFID readers
-                if (port.manufacturer && port.manufacturer.toLowerCase().includes('rfid')) {
-                    return port.path;
-                }
-            }
-
-            // Fallback: try common COM ports
-            const commonPorts = ['COM3', 'COM4', 'COM5', '/dev/ttyUSB0', '/dev/ttyACM0'];
-            for (const portPath of commonPorts) {
-                const portExists = ports.some(p => p.path === portPath);
-                if (portExists) {
-                    return portPath;
-                }
-            }
-
-            return null;
-        } catch (error) {
-            console.error('Error finding RFID port:', error);
-            return null;
+    // Connect to RFID reader and keep it connected: failed or lost
+    // connections are retried with exponential backoff
+    async connect() {
+        this.supervised = this.reconnectOptions.enabled !== false;
+        const connected = await this.openDriver();
+        if (!connected) {
+            this.scheduleReconnect();
         }
+        return connected;
     }
 
-    // Connect to RFID reader
-    async connect() {
+    // Open the configured driver once
+    async openDriver() {
         try {
-            const portPath = await this.findRFIDPort();
-            if (!portPath) {
-                throw new Error('RFID reader not found');
-            }
-
-            // For R65D, we don't need serial communication as it's a keyboard emulator
-            if (this.deviceInfo && this.deviceInfo.type === 'R65D-125KHz-TypeC') {
-                console.log('✅ R65D ready for keyboard input mode');
-                this.isConnected = true;
-                this.emit('connected', this.deviceInfo);
-                return true;
-            }
-
-            // For traditional USB RFID readers
-            this.port = new SerialPort({
-                path: portPath,
-                baudRate: 9600,
-                autoOpen: false
-            });
+            await this.releaseDriver();
+            this.driver = await createDriver(this.readerConfig);
 
-            this.parser = this.port.pipe(new ReadlineParser({ delimiter: '\r\n' }));
-
-            // Setup event handlers
-            this.port.on('open', () => {
-                console.log(`RFID reader connected on ${portPath}`);
+            this.driver.on('connected', (deviceInfo) => {
+                if (this.reconnecting) {
+                    this.reconnectCount++;
+                }
+                this.reconnectAttempts = 0;
+                this.stopHotplugWatch();
                 this.isConnected = true;
-                this.emit('connected', { port: portPath, type: 'USB-RFID' });
-            });
-
-            this.port.on('error', (error) => {
-                console.error('RFID port error:', error);
-                this.isConnected = false;
-                this.emit('error', error);
+                this.deviceInfo = deviceInfo;
+                this.emit('connected', deviceInfo);
             });
 
-            this.port.on('close', () => {
-                console.log('RFID port closed');
+            this.driver.on('disconnected', () => {
                 this.isConnected = false;
                 this.emit('disconnected');
+                this.scheduleReconnect();
             });
 
-            this.parser.on('data', (data) => {
-                this.handleRFIDData(data);
+            this.driver.on('error', (error) => {
+                this.recordError(error);
+                this.emit('error', error);
             });
 
-            // Open the port
-            await new Promise((resolve, reject) => {
-                this.port.open((error) => {
-                    if (error) {
-                        reject(error);
-                    } else {
-                        resolve();
-                    }
-                });
+            this.driver.on('data', (data) => {
+                this.handleRFIDData(data);
             });
 
+            await this.driver.open();
             return true;
         } catch (error) {
-            console.error('Error connecting to RFID reader:', error);
+            console.error(`Error connecting to RFID reader ${this.readerId}:`, error.message);
             this.isConnected = false;
+            this.recordError(error);
             this.emit('error', error);
             return false;
         }
     }
 
-    // Handle RFID data from serial port
+    async releaseDriver() {
+        if (!this.driver) return;
+
+        const driver = this.driver;
+        this.driver = null;
+        driver.removeAllListeners();
+        try {
+            await driver.close();
+        } catch (error) {
+            console.error('Error closing RFID driver:', error);
+        }
+    }
+
+    recordError(error) {
+        this.lastError = {
+            message: error.message,
+            timestamp: moment().tz('Asia/Ho_Chi_Minh').format()
+        };
+    }
+
+    // Retry after minDelay * 2^attempts (capped at maxDelay)
+    scheduleReconnect() {
+        if (!this.supervised || this.reconnectTimer) return;
+
+        const { minDelay, maxDelay } = this.reconnectOptions;
+        const delay = Math.min(maxDelay, minDelay * Math.pow(2, this.reconnectAttempts));
+        this.reconnectAttempts++;
+
+        console.log(`🔄 Reconnecting RFID reader ${this.readerId} in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnect();
+        }, delay);
+
+        this.startHotplugWatch();
+    }
+
+    async reconnect() {
+        if (!this.supervised || this.isConnected || this.reconnecting) return;
+
+        this.reconnecting = true;
+        const connected = await this.openDriver();
+        this.reconnecting = false;
+
+        if (!connected) {
+            this.scheduleReconnect();
+        }
+    }
+
+    // Serial readers can be re-plugged: poll the port list while
+    // disconnected and reconnect as soon as a new port shows up
+    startHotplugWatch() {
+        const type = this.driver ? this.driver.constructor.type : (this.readerConfig.driver || 'auto');
+        if (this.hotplugTimer || !HOTPLUG_DRIVER_TYPES.includes(type)) return;
+
+        this.knownPorts = null;
+        this.checkHotplug();
+        this.hotplugTimer = setInterval(() => this.checkHotplug(), this.reconnectOptions.hotplugInterval);
+    }
+
+    stopHotplugWatch() {
+        if (this.hotplugTimer) {
+            clearInterval(this.hotplugTimer);
+            this.hotplugTimer = null;
+        }
+        this.knownPorts = null;
+    }
+
+    async checkHotplug() {
+        const ports = (await listPorts()).map(port => port.path);
+        const previous = this.knownPorts;
+        this.knownPorts = ports;
+
+        if (!previous || this.isConnected) return;
+
+        const added = ports.filter(path => !previous.includes(path));
+        if (added.length > 0) {
+            console.log(`🔌 Serial port detected (${added.join(', ')}), reconnecting RFID reader ${this.readerId}`);
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            await this.reconnect();
+        }
+    }
+
+    // Handle raw RFID data from the reader driver
     handleRFIDData(data) {
         try {
-            const cardId = this.normalizeCardId(data.toString().trim());
+            const raw = data.toString().trim();
+            const cardId = this.normalizeCardId(raw);
             if (cardId && this.isValidCardId(cardId)) {
-                this.processRFIDScan(cardId);
+                this.processRFIDScan(cardId, raw);
+            } else {
+                console.log(`Ignoring unreadable card data on reader ${this.readerId}: ${JSON.stringify(data.toString())}`);
             }
         } catch (error) {
             console.error('Error handling RFID data:', error);
@@ -155,7 +196,7 @@ class RFIDService extends EventEmitter {
         try {
             const normalizedId = this.normalizeCardId(cardId);
             if (normalizedId && this.isValidCardId(normalizedId)) {
-                this.processRFIDScan(normalizedId);
+                this.processRFIDScan(normalizedId, cardId);
                 return true;
             }
             return false;
@@ -165,9 +206,19 @@ class RFIDService extends EventEmitter {
         }
     }
 
-    // Process RFID scan with anti-spam protection
-    processRFIDScan(cardId) {
+    // Process RFID scan with anti-spam protection; raw is the reader output
+    // the card ID was decoded from
+    processRFIDScan(cardId, raw = cardId) {
         try {
+            // In enrollment mode the next card is bound to a user instead of
+            // being recorded as attendance
+            const enrollment = this.takeEnrollment();
+            if (enrollment) {
+                console.log(`RFID Enrollment scan: ${cardId} for user ${enrollment.userId}`);
+                this.emit('enroll', { cardId, readerId: this.readerId, enrollment });
+                return;
+            }
+
             const now = Date.now();
             const lastScanTime = this.lastScans.get(cardId);
 
@@ -184,12 +235,14 @@ class RFIDService extends EventEmitter {
             // Emit scan event
             const scanData = {
                 cardId,
+                readerId: this.readerId,
                 timestamp: moment().tz('Asia/Ho_Chi_Minh').format(),
                 device: this.deviceInfo || { type: 'Unknown' }
             };
 
             console.log(`RFID Scan: ${cardId} at ${scanData.timestamp}`);
             this.emit('scan', scanData);
+            this.recordScan(scanData, raw);
 
         } catch (error) {
             console.error('Error processing RFID scan:', error);
@@ -197,49 +250,90 @@ class RFIDService extends EventEmitter {
         }
     }
 
-    // Normalize card ID (remove leading zeros, ensure consistent format)
+    // Decode raw reader output with this reader's card format profile
     normalizeCardId(cardId) {
-        if (!cardId) return null;
-
-        // Remove any non-numeric characters and leading zeros
-        const cleaned = cardId.toString().replace(/\D/g, '');
-
-        // Ensure minimum length and pad with zeros if needed
-        return cleaned.padStart(10, '0');
+        const decoded = this.decoder.decode(cardId);
+        return decoded ? decoded.cardId : null;
     }
 
     // Validate card ID format
     isValidCardId(cardId) {
-        if (!cardId) return false;
+        return this.decoder.isValid(cardId);
+    }
 
-        // Check if it's a valid numeric string
-        if (!/^\d+$/.test(cardId)) return false;
+    // Append the scan to the record file (JSON lines) so it can be replayed
+    // later. The raw reader output is what gets replayed, so it goes through
+    // the card format profile once, as it did here; cardId is kept for reading.
+    recordScan(scanData, raw = scanData.cardId) {
+        if (!this.readerConfig.recordFile) return;
+
+        const line = JSON.stringify({
+            timestamp: scanData.timestamp,
+            cardId: scanData.cardId,
+            raw,
+            readerId: scanData.readerId
+        });
+        fs.appendFile(this.readerConfig.recordFile, `${line}\n`, (error) => {
+            if (error) console.error('Error recording RFID scan:', error.message);
+        });
+    }
 
-        // Check length (typically 8-12 digits for RFID cards)
-        if (cardId.length < 8 || cardId.length > 12) return false;
+    // Wait for the next card on this reader and bind it to enrollment.userId
+    startEnrollment(enrollment, timeoutSeconds = config.rfid.enrollmentTimeout) {
+        this.cancelEnrollment();
+
+        const expiresAt = Date.now() + timeoutSeconds * 1000;
+        this.enrollment = { ...enrollment, readerId: this.readerId, expiresAt };
+        this.enrollmentTimer = setTimeout(() => {
+            const expired = this.enrollment;
+            this.enrollment = null;
+            this.enrollmentTimer = null;
+            if (expired) {
+                this.emit('enrollment_timeout', expired);
+            }
+        }, timeoutSeconds * 1000);
 
-        return true;
+        return this.enrollment;
+    }
+
+    cancelEnrollment() {
+        if (this.enrollmentTimer) {
+            clearTimeout(this.enrollmentTimer);
+            this.enrollmentTimer = null;
+        }
+        const cancelled = this.enrollment;
+        this.enrollment = null;
+        return cancelled;
+    }
+
+    // Consume the pending enrollment (if any) for the current scan
+    takeEnrollment() {
+        return this.enrollment ? this.cancelEnrollment() : null;
     }
 
     // Disconnect from RFID reader
     async disconnect() {
         try {
-            if (this.port && this.port.isOpen) {
-                await new Promise((resolve, reject) => {
-                    this.port.close((error) => {
-                        if (error) {
-                            reject(error);
-                        } else {
-                            resolve();
-                        }
-                    });
-                });
+            // Stop supervision first so the driver's own disconnect does not trigger a retry
+            this.supervised = false;
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            this.stopHotplugWatch();
+            this.cancelEnrollment();
+            if (this.driver) {
+                const driver = this.driver;
+                this.driver = null;
+                await driver.close();
+                driver.removeAllListeners();
             }
-            this.isConnected = false;
-            this.port = null;
-            this.parser = null;
             console.log('RFID reader disconnected');
-            this.emit('disconnected');
+            // The driver normally reports its own disconnect; only emit if it did not
+            if (this.isConnected) {
+                this.isConnected = false;
+                this.emit('disconnected');
+            }
         } catch (error) {
             console.error('Error disconnecting RFID reader:', error);
             this.emit('error', error);
@@ -249,9 +343,17 @@ class RFIDService extends EventEmitter {
     // Get connection status
     getStatus() {
         return {
+            readerId: this.readerId,
+            name: this.readerConfig.name || null,
             connected: this.isConnected,
+            driver: this.driver ? this.driver.constructor.type : (this.readerConfig.driver || 'auto'),
             device: this.deviceInfo,
-            port: this.port ? this.port.path : null
+            port: this.driver ? this.driver.getPath() : null,
+            enrolling: this.enrollment ? this.enrollment.userId : null,
+            reconnecting: !!this.reconnectTimer || this.reconnecting,
+            reconnectAttempts: this.reconnectAttempts,
+            reconnectCount: this.reconnectCount,
+            lastError: this.lastError
         };
     }
 
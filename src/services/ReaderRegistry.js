@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const RFIDService = require('./RFIDService');
+const Reader = require('../models/Reader');
+
+// Runs one RFIDService per configured reader and re-emits their events,
+// tagged with the reader ID, so consumers can listen in one place.
+// Readers come from the rfid_readers table; when it is empty the reader
+// from config.rfid is used as a single unbound 'default' reader.
+class ReaderRegistry extends EventEmitter {
+    constructor(defaultReaderConfig = config.rfid) {
+        super();
+        this.defaultReaderConfig = defaultReaderConfig;
+        this.readers = new Map();
+        this.cleanupTimer = null;
+    }
+
+    // Build reader services from the database (or the default config)
+    async load() {
+        let rows = [];
+        try {
+            rows = await Reader.findAll(true);
+        } catch (error) {
+            console.error('Error loading RFID readers, using default reader:', error.message);
+        }
+
+        const readerConfigs = rows.length > 0
+            ? rows.map(reader => reader.toReaderConfig())
+            : [{ ...this.defaultReaderConfig, id: 'default', name: 'Default reader' }];
+
+        for (const readerConfig of readerConfigs) {
+            const service = new RFIDService(readerConfig);
+            this.attach(service);
+            this.readers.set(String(service.readerId), service);
+        }
+
+        return this.readers.size;
+    }
+
+    attach(service) {
+        const readerId = service.readerId;
+
+        service.on('scan', (scanData) => this.emit('scan', scanData));
+        service.on('enroll', (enrollData) => this.emit('enroll', enrollData));
+        service.on('enrollment_timeout', (enrollment) => this.emit('enrollment_timeout', enrollment));
+        service.on('spam', (spamData) => this.emit('spam', { ...spamData, readerId }));
+        service.on('connected', (deviceInfo) => this.emit('connected', { ...deviceInfo, readerId }));
+        service.on('disconnected', () => this.emit('disconnected', { readerId }));
+        service.on('reconnecting', (data) => this.emit('reconnecting', { ...data, readerId }));
+        service.on('error', (error) => {
+            error.readerId = readerId;
+            this.emit('error', error);
+        });
+    }
+
+    // Connect every reader; one failing reader does not block the others
+    async connect() {
+        if (this.readers.size === 0) {
+            await this.load();
+        }
+        const results = await Promise.all(
+            Array.from(this.readers.values()).map(service => service.connect())
+        );
+        return results.some(Boolean);
+    }
+
+    async disconnect() {
+        await Promise.all(Array.from(this.readers.values()).map(service => service.disconnect()));
+    }
+
+    // Re-read reader configuration after admin changes
+    async reload() {
+        await this.disconnect();
+        for (const service of this.readers.values()) {
+            service.removeAllListeners();
+        }
+        this.readers.clear();
+        await this.load();
+        return this.connect();
+    }
+
+    get(readerId) {
+        if (readerId === undefined || readerId === null) {
+            return this.readers.values().next().value || null;
+        }
+        return this.readers.get(String(readerId)) || null;
+    }
+
+    // Location/checkpoint binding of a reader, read fresh so renames apply
+    async getBinding(readerId) {
+        if (readerId === undefined || readerId === null || readerId === 'default') {
+            return null;
+        }
+        const reader = await Reader.findById(readerId);
+        return reader ? reader.getBinding() : null;
+    }
+
+    // Decode a manually entered card ID with the reader's card format profile
+    decodeCardId(rawCardId, readerId = null) {
+        const service = this.get(readerId);
+        return service ? service.normalizeCardId(rawCardId) : null;
+    }
+
+    // Manual scan (keyboard wedge readers) routed to a specific reader
+    processManualScan(cardId, readerId = null) {
+        const service = this.get(readerId);
+        return service ? service.processManualScan(cardId) : false;
+    }
+
+    // Put a reader into enrollment mode; returns null for an unknown reader
+    startEnrollment(readerId, enrollment, timeoutSeconds) {
+        const service = this.get(readerId);
+        return service ? service.startEnrollment(enrollment, timeoutSeconds) : null;
+    }
+
+    cancelEnrollment(readerId) {
+        const service = this.get(readerId);
+        return service ? service.cancelEnrollment() : null;
+    }
+
+    // Consume the enrollment waiting on a reader for a manual scan. Only a
+    // scan naming that reader takes it: without a reader ID the scan would
+    // fall back to the first reader and bind a typed card to someone being
+    // enrolled at another reader.
+    takeEnrollment(readerId) {
+        if (readerId === undefined || readerId === null || readerId === '') {
+            return null;
+        }
+        const service = this.readers.get(String(readerId));
+        if (!service || !service.enrollment || String(service.enrollment.readerId) !== String(readerId)) {
+            return null;
+        }
+        return service.takeEnrollment();
+    }
+
+    getStatus() {
+        const readers = Array.from(this.readers.values()).map(service => service.getStatus());
+        return {
+            connected: readers.some(reader => reader.connected),
+            readers
+        };
+    }
+
+    cleanupOldScans() {
+        for (const service of this.readers.values()) {
+            service.cleanupOldScans();
+        }
+    }
+
+    // Start cleanup timer
+    startCleanupTimer() {
+        if (this.cleanupTimer) return;
+        this.cleanupTimer = setInterval(() => {
+            this.cleanupOldScans();
+        }, 60 * 60 * 1000); // Run every hour
+    }
+}
+
+module.exports = ReaderRegistry;
@@ -0,0 +1,101 @@
+// Room routing and payload redaction of real-time events. Sockets join the
+// rooms their session user may listen to (see SocketIOHandlers.trackUser);
+// an event goes to each audience with only the fields that audience may
+// see, and a socket sitting in several of the rooms gets the most detailed
+// copy once.
+const ROOMS = {
+    admin: 'admin',
+    staff: 'staff',
+    eventManagers: 'event_managers',
+    user: userId => `user:${userId}`,
+    department: department => `department:${department}`,
+    location: locationId => `location:${locationId}`,
+    event: eventId => `event:${eventId}`
+};
+
+// Fields of a user and of an attendance record each audience may see.
+// `full` (the employee themself, admins) sees everything; `manager` loses
+// network details and card numbers; `public` (kiosks, event screens) only
+// who scanned, when and where.
+const AUDIENCE_FIELDS = {
+    full: null,
+    manager: {
+        user: ['id', 'name', 'username', 'role', 'department'],
+        attendance: ['id', 'userId', 'scanTime', 'scanDate', 'actionType', 'eventId', 'location', 'status', 'flag']
+    },
+    public: {
+        user: ['id', 'name'],
+        attendance: ['scanTime', 'actionType', 'location']
+    }
+};
+
+function pick(object, fields) {
+    if (!object || typeof object !== 'object') return object;
+    const source = typeof object.toJSON === 'function' ? object.toJSON() : object;
+    return fields.reduce((picked, field) => {
+        if (source[field] !== undefined) picked[field] = source[field];
+        return picked;
+    }, {});
+}
+
+class RealtimeBroadcaster {
+    static get ROOMS() {
+        return ROOMS;
+    }
+
+    // Copy of a payload with its `user` and `attendance` cut down to the
+    // audience's fields
+    static redact(payload, audience = 'public') {
+        const fields = AUDIENCE_FIELDS[audience];
+        if (fields === undefined) {
+            throw new Error(`Unknown audience: ${audience}`);
+        }
+        if (fields === null) return payload;
+
+        const redacted = { ...payload };
+        if ('user' in redacted) redacted.user = pick(redacted.user, fields.user);
+        if ('attendance' in redacted) redacted.attendance = pick(redacted.attendance, fields.attendance);
+        return redacted;
+    }
+
+    // Send an event to audiences listed from the most to the least detailed:
+    // [{ rooms: [...], audience: 'full' | 'manager' | 'public' }]. Rooms that
+    // are empty (no department, no location, ...) are skipped.
+    static emit(io, event, payload, targets) {
+        const sent = [];
+
+        for (const { rooms, audience } of targets) {
+            const list = rooms.filter(room => room && !sent.includes(room));
+            if (list.length === 0) continue;
+
+            const operator = sent.length > 0 ? io.to(list).except([...sent]) : io.to(list);
+            operator.emit(event, RealtimeBroadcaster.redact(payload, audience));
+            sent.push(...list);
+        }
+    }
+
+    // Audiences of one employee's attendance: the employee and the admins,
+    // the managers of their department (event managers for event scans),
+    // then kiosks at the location and screens of the event
+    static attendanceTargets({ userId, department = null, locationId = null, eventId = null }) {
+        return [
+            { rooms: [ROOMS.user(userId), ROOMS.admin], audience: 'full' },
+            {
+                rooms: [
+                    department && ROOMS.department(department),
+                    eventId && ROOMS.eventManagers
+                ],
+                audience: 'manager'
+            },
+            {
+                rooms: [
+                    locationId && ROOMS.location(locationId),
+                    eventId && ROOMS.event(eventId)
+                ],
+                audience: 'public'
+            }
+        ];
+    }
+}
+
+module.exports = RealtimeBroadcaster;
@@ -2,12 +2,17 @@
 const { RFIDService } = require('./RFIDService');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
+const Card = require('../models/Card');
+const DepartmentManager = require('../models/DepartmentManager');
+const { ROOMS } = require('./RealtimeBroadcaster');
 const moment = require('moment-timezone');
 
+
 class SocketIOHandlers {
-    constructor(io, rfidService) {
+    constructor(io, readerRegistry, attendanceService) {
         this.io = io;
-        this.rfidService = rfidService;
+        this.readerRegistry = readerRegistry;
+        this.attendanceService = attendanceService;
         this.connectedClients = new Map();
         this.adminClients = new Set();
         this.staffClients = new Set();
@@ -16,6 +21,9 @@ class SocketIOHandlers {
     }
 
     setupEventHandlers() {
+        // Identify every socket from the session cookie of its handshake
+        this.io.use((socket, next) => this.authenticateHandshake(socket, next));
+
         this.io.on('connection', (socket) => {
             console.log('🔌 Client connected:', socket.id);
 
@@ -27,6 +35,118 @@ class SocketIOHandlers {
         this.setupRFIDEventListeners();
     }
 
+    // Sockets without a logged-in session still connect (public status
+    // broadcasts) but are refused every privileged event
+    async authenticateHandshake(socket, next) {
+        try {
+            const userId = socket.request.session?.userId;
+            socket.data.user = userId ? await User.findById(userId) : null;
+        } catch (error) {
+            console.error('Socket handshake authentication error:', error);
+            socket.data.user = null;
+        }
+        next();
+    }
+
+    // User of the socket's session, re-read from the store so a logout or a
+    // role change applies to sockets that are already connected
+    async loadSessionUser(socket) {
+        const session = socket.request.session;
+        if (!session) return null;
+
+        const loaded = await new Promise(resolve => session.reload(error => resolve(!error)));
+        if (!loaded || !session.userId) return null;
+
+        return await User.findById(session.userId);
+    }
+
+    // Record the socket's current user and keep its client sets and rooms in
+    // step: its personal room (confirmations, automatic check-out, ...), the
+    // admin room (view_dashboard) or event manager room (manage_events) of
+    // its permissions and the rooms of the departments it manages.
+    // Signed-out sockets leave every room.
+    async trackUser(socket, user) {
+        const clientInfo = this.connectedClients.get(socket.id);
+        if (clientInfo) {
+            clientInfo.user = user || null;
+        }
+
+        this.adminClients.delete(socket.id);
+        this.staffClients.delete(socket.id);
+        socket.data.user = user || null;
+
+        const rooms = new Set();
+        const permissions = user ? await user.getRolePermissions() : [];
+        if (user) {
+            rooms.add(ROOMS.user(user.id));
+
+            if (permissions.includes('view_dashboard')) {
+                rooms.add(ROOMS.admin);
+                this.adminClients.add(socket.id);
+            } else {
+                this.staffClients.add(socket.id);
+            }
+
+            if (permissions.includes('manage_events')) {
+                rooms.add(ROOMS.eventManagers);
+            }
+
+            const departments = await DepartmentManager.getDepartments(user.id);
+            departments.forEach(department => rooms.add(ROOMS.department(department)));
+        }
+
+        // Rooms given by identity are left once they no longer apply; kiosk
+        // rooms (location, event) stay while the socket is signed in
+        for (const room of [...socket.rooms]) {
+            if (room === socket.id) continue;
+
+            const byIdentity = room === ROOMS.admin || room === ROOMS.eventManagers ||
+                room.startsWith('user:') || room.startsWith('department:');
+            const keep = byIdentity
+                ? rooms.has(room)
+                : !!user && (room !== ROOMS.staff || permissions.includes('check_in'));
+            if (!keep) socket.leave(room);
+        }
+
+        if (rooms.size > 0) {
+            socket.join([...rooms]);
+        }
+    }
+
+    // Re-check the session user and, if given, its permission before a
+    // privileged event. Emits `unauthorized` and returns null when the
+    // socket may not use it.
+    async authorize(socket, event, permission = null) {
+        let user = null;
+        try {
+            user = await this.loadSessionUser(socket);
+        } catch (error) {
+            console.error('Socket authorization error:', error);
+        }
+        await this.trackUser(socket, user);
+
+        if (!user) {
+            socket.emit('unauthorized', {
+                event,
+                error: 'AUTH_REQUIRED',
+                message: 'Vui lòng đăng nhập để tiếp tục'
+            });
+            return null;
+        }
+
+        if (permission && !(await user.hasPermission(permission))) {
+            console.log(`🚫 Socket event ${event} refused for ${user.username} (${user.role})`);
+            socket.emit('unauthorized', {
+                event,
+                error: 'INSUFFICIENT_PERMISSIONS',
+                message: 'Bạn không có quyền truy cập chức năng này'
+            });
+            return null;
+        }
+
+        return user;
+    }
+
     handleConnection(socket) {
         // Store client connection info
         this.connectedClients.set(socket.id, {
@@ -34,6 +154,9 @@ class SocketIOHandlers {
             userAgent: socket.handshake.headers['user-agent'],
             ip: socket.handshake.address
         });
+        this.trackUser(socket, socket.data.user).catch(error => {
+            console.error('Socket room tracking error:', error);
+        });
 
         // Send initial status to client
         socket.emit('system_status', {
@@ -41,7 +164,7 @@ class SocketIOHandlers {
                 uptime: process.uptime(),
                 timestamp: new Date().toISOString()
             },
-            rfid: this.rfidService.getStatus(),
+            rfid: this.getPublicRFIDStatus(),
             database: { connected: true },
             connectedClients: this.connectedClients.size
         });
@@ -56,44 +179,60 @@ class SocketIOHandlers {
     }
 
     setupSocketEventListeners(socket) {
-        // User authentication/identification
-        socket.on('authenticate', async (data) => {
+        // Identity of the socket; always the session user, whatever the
+        // client sends
+        socket.on('authenticate', async () => {
             try {
-                if (data.userId) {
-                    const user = await User.findById(data.userId);
-                    if (user) {
-                        const clientInfo = this.connectedClients.get(socket.id);
-                        if (clientInfo) {
-                            clientInfo.user = user;
-
-                            // Add to role-based client sets
-                            if (user.role === 'admin') {
-                                this.adminClients.add(socket.id);
-                            } else if (user.role === 'staff' || user.role === 'at_work') {
-                                this.staffClients.add(socket.id);
-                            }
-                        }
-
-                        socket.emit('authenticated', {
-                            success: true,
-                            user: user.toJSON()
-                        });
-
-                        console.log(`👤 User authenticated: ${user.username} (${socket.id})`);
-                    }
+                const user = await this.loadSessionUser(socket);
+                await this.trackUser(socket, user);
+
+                if (!user) {
+                    socket.emit('authenticated', {
+                        success: false,
+                        error: 'AUTH_REQUIRED',
+                        message: 'Vui lòng đăng nhập để tiếp tục'
+                    });
+                    return;
                 }
+
+                socket.emit('authenticated', {
+                    success: true,
+                    user: user.toJSON()
+                });
+
+                console.log(`👤 User authenticated: ${user.username} (${socket.id})`);
             } catch (error) {
                 console.error('Authentication error:', error);
                 socket.emit('authenticated', { success: false, error: 'Authentication failed' });
             }
         });
 
-        // Manual RFID scan (for R65D keyboard mode or manual input)
+        // Manual RFID scan (for R65D keyboard mode or manual input); kiosks
+        // run under any account that may check in
         socket.on('manual_rfid_scan', async (data) => {
             try {
                 if (data && data.cardId) {
+                    if (!(await this.authorize(socket, 'manual_rfid_scan', 'check_in'))) return;
+
                     console.log(`📱 Manual RFID scan: ${data.cardId} from ${socket.id}`);
-                    await this.processRFIDScan(data.cardId, data.eventId, socket);
+
+                    const cardId = this.readerRegistry.decodeCardId(data.cardId, data.readerId);
+                    if (!cardId) {
+                        socket.emit('attendance_error', {
+                            error: 'INVALID_CARD_ID',
+                            message: 'ID thẻ RFID không hợp lệ',
+                            cardId: data.cardId
+                        });
+                        return;
+                    }
+
+                    const enrollment = this.readerRegistry.takeEnrollment(data.readerId);
+                    if (enrollment) {
+                        await this.processEnrollment(cardId, enrollment);
+                        return;
+                    }
+
+                    await this.processRFIDScan(cardId, data.eventId, socket, data.readerId);
                 }
             } catch (error) {
                 console.error('Manual RFID scan error:', error);
@@ -116,6 +255,8 @@ class SocketIOHandlers {
         // Request real-time stats (for admin dashboard)
         socket.on('request_stats', async () => {
             try {
+                if (!(await this.authorize(socket, 'request_stats', 'view_dashboard'))) return;
+
                 const stats = await this.generateDashboardStats();
                 socket.emit('stats_update', stats);
             } catch (error) {
@@ -127,7 +268,12 @@ class SocketIOHandlers {
         // Request attendance history
         socket.on('request_attendance_history', async (data) => {
             try {
-                const { userId, limit = 10 } = data;
+                const user = await this.authorize(socket, 'request_attendance_history');
+                if (!user) return;
+
+                // Only report viewers may look at other employees' attendance
+                const { limit = 10 } = data || {};
+                const userId = await user.hasPermission('view_reports') ? data?.userId : user.id;
                 const today = moment().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
 
                 let attendance;
@@ -154,161 +300,149 @@ class SocketIOHandlers {
         });
 
         // Join admin room for admin-specific broadcasts
-        socket.on('join_admin_room', () => {
-            const clientInfo = this.connectedClients.get(socket.id);
-            if (clientInfo?.user?.role === 'admin') {
-                socket.join('admin');
-                console.log(`👑 Admin joined room: ${clientInfo.user.username}`);
+        socket.on('join_admin_room', async () => {
+            const user = await this.authorize(socket, 'join_admin_room', 'view_dashboard');
+            if (user) {
+                socket.join(ROOMS.admin);
+                console.log(`👑 Admin joined room: ${user.username}`);
             }
         });
 
         // Join staff room for staff-specific broadcasts
-        socket.on('join_staff_room', () => {
-            const clientInfo = this.connectedClients.get(socket.id);
-            if (clientInfo?.user && ['staff', 'at_work'].includes(clientInfo.user.role)) {
-                socket.join('staff');
-                console.log(`👷 Staff joined room: ${clientInfo.user.username}`);
+        socket.on('join_staff_room', async () => {
+            const user = await this.authorize(socket, 'join_staff_room', 'check_in');
+            if (user) {
+                socket.join(ROOMS.staff);
+                console.log(`👷 Staff joined room: ${user.username}`);
+            }
+        });
+
+        // Kiosk of a location: redacted scans made there
+        socket.on('join_location_room', async (data) => {
+            if (!data || !data.locationId) return;
+
+            const user = await this.authorize(socket, 'join_location_room');
+            if (user) {
+                socket.join(ROOMS.location(data.locationId));
+                console.log(`📍 ${user.username} follows location ${data.locationId} (${socket.id})`);
+            }
+        });
+
+        // Event screen: redacted scans and checkpoint checks of an event
+        socket.on('join_event_room', async (data) => {
+            if (!data || !data.eventId) return;
+
+            const user = await this.authorize(socket, 'join_event_room');
+            if (user) {
+                socket.join(ROOMS.event(data.eventId));
+                console.log(`🎫 ${user.username} follows event ${data.eventId} (${socket.id})`);
             }
         });
     }
 
     setupRFIDEventListeners() {
         // RFID device connection status
-        this.rfidService.on('connected', (deviceInfo) => {
+        this.readerRegistry.on('connected', (deviceInfo) => {
             console.log('📡 RFID Reader connected:', deviceInfo);
-            this.io.emit('rfid_status', {
+            this.emitRFIDStatus({
+                ...this.getReconnectStatus(deviceInfo.readerId),
                 connected: true,
+                readerId: deviceInfo.readerId,
                 device: deviceInfo,
                 timestamp: new Date().toISOString()
             });
         });
 
-        this.rfidService.on('disconnected', () => {
-            console.log('📡 RFID Reader disconnected');
-            this.io.emit('rfid_status', {
+        this.readerRegistry.on('disconnected', ({ readerId }) => {
+            console.log(`📡 RFID Reader disconnected: ${readerId}`);
+            this.emitRFIDStatus({
+                ...this.getReconnectStatus(readerId),
+                connected: false,
+                readerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        this.readerRegistry.on('reconnecting', ({ readerId, attempt, delay }) => {
+            this.emitRFIDStatus({
+                ...this.getReconnectStatus(readerId),
                 connected: false,
+                readerId,
+                attempt,
+                retryIn: delay,
                 timestamp: new Date().toISOString()
             });
         });
 
-        this.rfidService.on('error', (error) => {
+        this.readerRegistry.on('error', (error) => {
             console.error('📡 RFID Reader error:', error);
-            this.io.emit('rfid_error', {
+            this.io.to(ROOMS.admin).emit('rfid_error', {
                 error: error.message,
+                readerId: error.readerId,
                 timestamp: new Date().toISOString()
             });
         });
 
         // RFID scan detected from hardware
-        this.rfidService.on('scan', async (scanData) => {
+        this.readerRegistry.on('scan', async (scanData) => {
             console.log('📱 RFID scan detected:', scanData);
 
-            // Process the scan
-            await this.processRFIDScan(scanData.cardId, null, null);
+            // Process the scan with the binding of the reader it came from
+            await this.processRFIDScan(scanData.cardId, null, null, scanData.readerId);
+        });
+
+        // Card scanned on a reader in enrollment mode
+        this.readerRegistry.on('enroll', async ({ cardId, enrollment }) => {
+            await this.processEnrollment(cardId, enrollment);
+        });
+
+        this.readerRegistry.on('enrollment_timeout', (enrollment) => {
+            console.log(`⌛ Enrollment timed out for user ${enrollment.userId} on reader ${enrollment.readerId}`);
+            this.notifyEnrollment(enrollment, 'enrollment_timeout', {
+                message: 'Hết thời gian chờ quẹt thẻ'
+            });
         });
 
         // RFID anti-spam detection
-        this.rfidService.on('spam', (spamData) => {
+        this.readerRegistry.on('spam', (spamData) => {
             console.log('🚫 RFID spam detected:', spamData);
-            this.io.emit('rfid_spam', {
+            this.io.to(ROOMS.admin).emit('rfid_spam', {
                 cardId: spamData.cardId,
+                readerId: spamData.readerId,
                 message: 'Duplicate scan detected within spam interval',
                 timestamp: new Date().toISOString()
             });
         });
     }
 
-    async processRFIDScan(cardId, eventId = null, originSocket = null) {
+    async processRFIDScan(cardId, eventId = null, originSocket = null, readerId = null) {
         try {
-            console.log(`🔍 Processing RFID scan: ${cardId}`);
-
-            // Find user by RFID card (assuming card ID maps to user ID)
-            const user = await User.findById(cardId);
-            if (!user) {
-                const errorMsg = `User not found for RFID card: ${cardId}`;
-                console.log(`❌ ${errorMsg}`);
-
-                if (originSocket) {
-                    originSocket.emit('attendance_error', {
-                        error: 'USER_NOT_FOUND',
-                        message: 'Không tìm thấy người dùng với thẻ RFID này',
-                        cardId
-                    });
-                }
-                return;
-            }
-
-            const now = moment().tz('Asia/Ho_Chi_Minh');
-            const today = now.format('YYYY-MM-DD');
+            const result = await this.attendanceService.processScan({ cardId, eventId, readerId });
 
-            // Check for recent duplicate scans
-            const isDuplicate = await Attendance.checkDuplicateScan(user.id, cardId, 5);
-            if (isDuplicate) {
-                const errorMsg = `Duplicate scan detected for ${user.username}`;
-                console.log(`🚫 ${errorMsg}`);
+            // Send the outcome to the socket that submitted the scan, if any
+            if (!originSocket) return result;
 
-                if (originSocket) {
-                    originSocket.emit('attendance_error', {
-                        error: 'DUPLICATE_SCAN',
-                        message: 'Thao tác quá nhanh. Vui lòng đợi 5 giây.',
-                        cardId
-                    });
-                }
-                return;
-            }
-
-            // Get last scan to determine action (check in/out)
-            const lastScan = await Attendance.getLastScanForUser(user.id, today);
-            const actionType = (!lastScan || lastScan.actionType === 'check_out') ? 'check_in' : 'check_out';
-
-            // Record attendance
-            const attendanceData = {
-                userId: user.id,
-                rfidCard: cardId,
-                scanTime: now.toISOString(),
-                scanDate: today,
-                actionType,
-                eventId,
-                status: 'valid'
-            };
-
-            const attendance = await Attendance.recordAttendance(attendanceData);
-
-            console.log(`✅ Attendance recorded: ${user.username} - ${actionType}`);
-
-            // Broadcast to all clients
-            const broadcastData = {
-                success: true,
-                user: user.toJSON(),
-                action: actionType,
-                time: now.toISOString(),
-                event: eventId ? { id: eventId } : null,
-                attendance: attendance
-            };
-
-            this.io.emit('attendance_processed', broadcastData);
-
-            // Send specific notification to admin clients
-            this.io.to('admin').emit('attendance_notification', {
-                type: 'attendance',
-                message: `${user.name} đã ${actionType === 'check_in' ? 'vào làm' : 'ra về'}`,
-                user: user.toJSON(),
-                action: actionType,
-                timestamp: now.toISOString()
-            });
-
-            // Send confirmation to origin socket if specified
-            if (originSocket) {
+            if (!result.success) {
+                originSocket.emit('attendance_error', {
+                    error: result.error,
+                    message: result.message,
+                    reason: result.reason,
+                    cardId
+                });
+            } else if (result.checkpoint) {
+                originSocket.emit('attendance_success', {
+                    message: result.message,
+                    ...result.checkpoint
+                });
+            } else {
                 originSocket.emit('attendance_success', {
-                    message: `Chấm công thành công: ${actionType === 'check_in' ? 'Vào làm' : 'Ra về'}`,
-                    user: user.toJSON(),
-                    action: actionType,
-                    time: now.toISOString()
+                    message: `Chấm công thành công: ${result.action === 'check_in' ? 'Vào làm' : 'Ra về'}`,
+                    user: result.user.toJSON(),
+                    action: result.action,
+                    time: result.time
                 });
             }
-
-            // Update work session
-            await this.updateWorkSession(user.id, actionType, now);
+            return result;
 
         } catch (error) {
             console.error('❌ RFID scan processing error:', error);
@@ -323,16 +457,108 @@ class SocketIOHandlers {
         }
     }
 
-    async updateWorkSession(userId, actionType, timestamp) {
+    // Reader status changes: admins get the device details (port paths,
+    // driver config) and the last error, every other socket only whether
+    // the reader is connected
+    emitRFIDStatus(status) {
+        this.io.to(ROOMS.admin).emit('rfid_status', status);
+        this.io.except(ROOMS.admin).emit('rfid_status', { readerId: status.readerId, connected: status.connected });
+    }
+
+    // Connection state of every reader, without device details
+    getPublicRFIDStatus() {
+        const { connected, readers } = this.readerRegistry.getStatus();
+        return { connected, readers: readers.map(({ readerId, connected }) => ({ readerId, connected })) };
+    }
+
+    // Reconnect counters of a reader for rfid_status events
+    getReconnectStatus(readerId) {
+        const service = this.readerRegistry.get(readerId);
+        if (!service) return {};
+
+        const { reconnecting, reconnectAttempts, reconnectCount, lastError } = service.getStatus();
+        return { reconnecting, reconnectAttempts, reconnectCount, lastError };
+    }
+
+    // Start card enrollment for a user on a reader (called from the admin API)
+    startEnrollment({ userId, userName, readerId, timeout, socketId, requestedBy }) {
+        const enrollment = this.readerRegistry.startEnrollment(readerId, {
+            userId,
+            userName,
+            socketId,
+            requestedBy
+        }, timeout);
+
+        if (enrollment) {
+            console.log(`🪪 Enrollment started for user ${userId} on reader ${enrollment.readerId}`);
+            this.notifyEnrollment(enrollment, 'enrollment_started', {
+                message: 'Đang chờ quẹt thẻ trên đầu đọc'
+            });
+        }
+        return enrollment;
+    }
+
+    cancelEnrollment(readerId) {
+        const enrollment = this.readerRegistry.cancelEnrollment(readerId);
+        if (enrollment) {
+            this.notifyEnrollment(enrollment, 'enrollment_cancelled', {
+                message: 'Đã hủy đăng ký thẻ'
+            });
+        }
+        return enrollment;
+    }
+
+    // Send an enrollment event to the requesting admin socket and the admin room
+    notifyEnrollment(enrollment, event, data = {}) {
+        const payload = {
+            userId: enrollment.userId,
+            userName: enrollment.userName,
+            readerId: enrollment.readerId,
+            expiresAt: enrollment.expiresAt,
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+
+        const rooms = enrollment.socketId ? [enrollment.socketId, ROOMS.admin] : ROOMS.admin;
+        this.io.to(rooms).emit(event, payload);
+    }
+
+    // Bind a scanned card to the user waiting for enrollment
+    async processEnrollment(cardId, enrollment) {
         try {
-            const today = timestamp.format('YYYY-MM-DD');
+            const existing = await Card.findByUid(cardId);
+            if (existing) {
+                const ownedByOther = existing.userId !== enrollment.userId;
+                console.log(`❌ Enrollment rejected: card ${cardId} already belongs to ${existing.userId}`);
+                this.notifyEnrollment(enrollment, 'enrollment_error', {
+                    error: ownedByOther ? 'CARD_OWNED_BY_OTHER' : 'CARD_ALREADY_ENROLLED',
+                    message: ownedByOther
+                        ? `Thẻ đã được cấp cho ${existing.userName || existing.userId}`
+                        : 'Thẻ đã được cấp cho nhân viên này',
+                    cardId
+                });
+                return;
+            }
 
-            // This would integrate with work_sessions table
-            // Implementation depends on business logic requirements
-            console.log(`📊 Work session update: ${userId} - ${actionType} at ${timestamp.format()}`);
+            const card = await Card.create({
+                cardUid: cardId,
+                userId: enrollment.userId,
+                notes: `Đăng ký qua đầu đọc ${enrollment.readerId}`
+            });
 
+            console.log(`✅ Card ${cardId} enrolled for user ${enrollment.userId}`);
+            this.notifyEnrollment(enrollment, 'enrollment_success', {
+                message: 'Đăng ký thẻ thành công',
+                cardId,
+                card
+            });
         } catch (error) {
-            console.error('Work session update error:', error);
+            console.error('❌ Card enrollment error:', error);
+            this.notifyEnrollment(enrollment, 'enrollment_error', {
+                error: 'ENROLLMENT_ERROR',
+                message: 'Đã xảy ra lỗi khi đăng ký thẻ',
+                cardId
+            });
         }
     }
 
@@ -353,7 +579,7 @@ class SocketIOHandlers {
                 activeUsers: totalUsers.filter(u => u.isActive).length,
                 systemUptime: Math.floor(process.uptime()),
                 connectedClients: this.connectedClients.size,
-                rfidStatus: this.rfidService.getStatus(),
+                rfidStatus: this.readerRegistry.getStatus(),
                 timestamp: new Date().toISOString()
             };
 
@@ -364,6 +590,14 @@ class SocketIOHandlers {
         }
     }
 
+    // Send an event to the sockets of one user
+    notifyUser(userId, event, data = {}) {
+        this.io.to(ROOMS.user(userId)).emit(event, {
+            timestamp: new Date().toISOString(),
+            ...data
+        });
+    }
+
     // Broadcast system notification to all clients
     broadcastSystemNotification(message, type = 'info', targetRole = null) {
         const notification = {
@@ -373,9 +607,9 @@ class SocketIOHandlers {
         };
 
         if (targetRole === 'admin') {
-            this.io.to('admin').emit('system_notification', notification);
+            this.io.to(ROOMS.admin).emit('system_notification', notification);
         } else if (targetRole === 'staff') {
-            this.io.to('staff').emit('system_notification', notification);
+            this.io.to(ROOMS.staff).emit('system_notification', notification);
         } else {
             this.io.emit('system_notification', notification);
         }
@@ -0,0 +1,51 @@
+// Stores the results of work days in the background, so reports read them
+// from work_day_results instead of judging every day on each request. Each
+// run evaluates the recent days of active employees that have no result
+// yet or were still in progress; later changes to a day (scans, approved
+// leave or overtime, corrections) store their own result.
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const AttendanceRules = require('./AttendanceRules');
+
+class WorkDayEvaluationService {
+    constructor() {
+        this.options = config.attendance.dayEvaluation;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.options.enabled || this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.options.intervalMinutes * 60 * 1000);
+        this.run();
+        console.log(`📋 Work day evaluation every ${this.options.intervalMinutes} min`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Evaluate and store the days from the look-back window up to today
+    async run(now = moment().tz('Asia/Ho_Chi_Minh')) {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const startDate = now.clone().subtract(this.options.lookbackDays, 'days').format('YYYY-MM-DD');
+            const endDate = now.format('YYYY-MM-DD');
+            const employees = await AttendanceRules.getEmployees();
+            return await AttendanceRules.storeRange(employees, startDate, endDate);
+        } catch (error) {
+            console.error('Work day evaluation error:', error);
+            return 0;
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = WorkDayEvaluationService;
@@ -0,0 +1,45 @@
+const ReaderDriver = require('./ReaderDriver');
+const { R65D_VENDOR_ID, R65D_PRODUCT_ID, listPorts } = require('./serialPorts');
+
+// Keyboard emulator readers (e.g. R65D) type the card ID into the focused
+// browser input, so there is no serial stream to read. Scans reach the
+// server through processManualScan() / the manual_rfid_scan socket event.
+class KeyboardWedgeDriver extends ReaderDriver {
+    static get type() {
+        return 'keyboard-wedge';
+    }
+
+    async open() {
+        const vendorId = (this.options.vendorId || R65D_VENDOR_ID).toUpperCase();
+        const productId = (this.options.productId || R65D_PRODUCT_ID).toUpperCase();
+
+        // Presence check is informational only: the device may be plugged
+        // into the kiosk browser machine rather than the server
+        const ports = await listPorts();
+        const port = ports.find(p => p.vendorId && p.productId &&
+            p.vendorId.toUpperCase() === vendorId &&
+            p.productId.toUpperCase() === productId);
+
+        if (port) {
+            console.log('🎯 R65D RFID Reader detected!');
+            console.log(`   Port: ${port.path}`);
+            console.log(`   Vendor ID: ${port.vendorId}`);
+            console.log(`   Product ID: ${port.productId}`);
+            console.log(`   Connector: Type-C USB OTG`);
+            console.log(`   Mode: 125KHz Keyboard Emulator`);
+        }
+
+        console.log('✅ R65D ready for keyboard input mode');
+        return this.markOpen({
+            port: port ? port.path : null,
+            type: 'R65D-125KHz-TypeC',
+            vendorId,
+            productId,
+            connector: 'Type-C',
+            frequency: '125KHz',
+            mode: 'Keyboard Emulator'
+        });
+    }
+}
+
+module.exports = KeyboardWedgeDriver;
@@ -0,0 +1,87 @@
+const net = require('net');
+const ReaderDriver = require('./ReaderDriver');
+
+// TCP/IP reader: connects to the reader's socket and reads one card per line
+class NetworkDriver extends ReaderDriver {
+    constructor(options = {}) {
+        super(options);
+        this.socket = null;
+        this.buffer = '';
+    }
+
+    static get type() {
+        return 'network';
+    }
+
+    async open() {
+        const { host, tcpPort } = this.options;
+        if (!host || !tcpPort) {
+            throw new Error('Network reader requires host and tcpPort');
+        }
+
+        const delimiter = this.options.delimiter || '\r\n';
+
+        this.socket = await new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port: tcpPort });
+            socket.setTimeout(this.options.connectTimeout || 5000);
+
+            socket.once('connect', () => {
+                socket.setTimeout(0);
+                resolve(socket);
+            });
+            socket.once('timeout', () => {
+                socket.destroy();
+                reject(new Error(`Connection to ${host}:${tcpPort} timed out`));
+            });
+            socket.once('error', reject);
+        });
+
+        this.socket.setEncoding('utf8');
+        this.socket.setKeepAlive(true);
+
+        this.socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            let index;
+            while ((index = this.buffer.indexOf(delimiter)) !== -1) {
+                const line = this.buffer.slice(0, index);
+                this.buffer = this.buffer.slice(index + delimiter.length);
+                if (line.trim()) {
+                    this.pushData(line);
+                }
+            }
+        });
+
+        this.socket.on('error', (error) => {
+            console.error('RFID network reader error:', error);
+            this.emit('error', error);
+        });
+
+        this.socket.on('close', () => {
+            console.log(`RFID network reader ${host}:${tcpPort} closed`);
+            this.socket = null;
+            this.buffer = '';
+            this.markClosed();
+        });
+
+        console.log(`RFID network reader connected on ${host}:${tcpPort}`);
+        return this.markOpen({
+            port: `tcp://${host}:${tcpPort}`,
+            type: 'TCP-RFID',
+            host,
+            tcpPort
+        });
+    }
+
+    async close() {
+        if (this.socket) {
+            await new Promise((resolve) => {
+                this.socket.once('close', resolve);
+                this.socket.end();
+                this.socket.destroy();
+            });
+        }
+        this.markClosed();
+    }
+}
+
+module.exports = NetworkDriver;
@@ -0,0 +1,56 @@
+const EventEmitter = require('events');
+
+// Base class for RFID reader drivers.
+// A driver only deals with the transport: it opens the device, emits raw
+// card data as 'data' and reports 'connected' / 'disconnected' / 'error'.
+// Card ID normalization and anti-spam stay in RFIDService so every driver
+// produces the same 'scan' event.
+class ReaderDriver extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.isOpen = false;
+        this.deviceInfo = null;
+    }
+
+    // Driver type name, used in status output
+    static get type() {
+        return 'base';
+    }
+
+    // Open the underlying device, resolve with device info
+    async open() {
+        throw new Error(`${this.constructor.name}.open() is not implemented`);
+    }
+
+    // Close the underlying device
+    async close() {
+        this.markClosed();
+    }
+
+    // Helpers for subclasses
+    markOpen(deviceInfo) {
+        this.isOpen = true;
+        this.deviceInfo = { driver: this.constructor.type, ...deviceInfo };
+        this.emit('connected', this.deviceInfo);
+        return this.deviceInfo;
+    }
+
+    markClosed() {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        if (wasOpen) {
+            this.emit('disconnected', this.deviceInfo);
+        }
+    }
+
+    pushData(data) {
+        this.emit('data', data);
+    }
+
+    getPath() {
+        return this.deviceInfo ? this.deviceInfo.port || null : null;
+    }
+}
+
+module.exports = ReaderDriver;
@@ -0,0 +1,87 @@
+const { Transform } = require('stream');
+const SerialLineDriver = require('./SerialLineDriver');
+
+// Splits a raw byte stream into frames delimited by a start byte and either
+// an end byte or a fixed payload length (e.g. RDM6300: 0x02 ... 0x03).
+class FrameParser extends Transform {
+    constructor({ startByte = 0x02, endByte = 0x03, frameLength = null, maxFrameLength = 64 } = {}) {
+        super({ readableObjectMode: true });
+        this.startByte = startByte;
+        this.endByte = frameLength ? null : endByte;
+        this.frameLength = frameLength;
+        this.maxFrameLength = maxFrameLength;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length > 0) {
+            const start = this.buffer.indexOf(this.startByte);
+            if (start === -1) {
+                this.buffer = Buffer.alloc(0);
+                break;
+            }
+            this.buffer = this.buffer.subarray(start);
+
+            let end;
+            if (this.frameLength) {
+                if (this.buffer.length < this.frameLength + 1) break;
+                end = this.frameLength + 1;
+                this.push(this.buffer.subarray(1, end));
+                this.buffer = this.buffer.subarray(end);
+                continue;
+            }
+
+            end = this.buffer.indexOf(this.endByte, 1);
+            if (end === -1) {
+                // Drop garbage that can never become a valid frame
+                if (this.buffer.length > this.maxFrameLength) {
+                    this.buffer = this.buffer.subarray(1);
+                    continue;
+                }
+                break;
+            }
+
+            this.push(this.buffer.subarray(1, end));
+            this.buffer = this.buffer.subarray(end + 1);
+        }
+
+        callback();
+    }
+}
+
+// Serial reader that sends binary frames instead of text lines
+class SerialFrameDriver extends SerialLineDriver {
+    static get type() {
+        return 'serial-frame';
+    }
+
+    createParser() {
+        return this.port.pipe(new FrameParser({
+            startByte: this.options.startByte,
+            endByte: this.options.endByte,
+            frameLength: this.options.frameLength
+        }));
+    }
+
+    deviceDetails(portPath) {
+        return {
+            ...super.deviceDetails(portPath),
+            type: 'USB-RFID-Frame'
+        };
+    }
+
+    // Frames are either ASCII payloads or raw UID bytes
+    pushData(frame) {
+        const encoding = this.options.encoding || 'ascii';
+        const data = encoding === 'hex'
+            ? frame.toString('hex').toUpperCase()
+            : frame.toString('ascii');
+        super.pushData(data);
+    }
+}
+
+SerialFrameDriver.FrameParser = FrameParser;
+
+module.exports = SerialFrameDriver;
@@ -0,0 +1,100 @@
+const { SerialPort } = require('serialport');
+const { ReadlineParser } = require('@serialport/parser-readline');
+const ReaderDriver = require('./ReaderDriver');
+const { findReaderPort } = require('./serialPorts');
+
+// Serial reader that sends one card ID per text line (most USB/RS232 readers)
+class SerialLineDriver extends ReaderDriver {
+    constructor(options = {}) {
+        super(options);
+        this.port = null;
+        this.parser = null;
+    }
+
+    static get type() {
+        return 'serial-line';
+    }
+
+    async resolvePath() {
+        const found = await findReaderPort(this.options);
+        if (!found) {
+            throw new Error('RFID reader not found');
+        }
+        return found.path;
+    }
+
+    // Attach the stream parser; overridden by drivers with another framing
+    createParser() {
+        return this.port.pipe(new ReadlineParser({ delimiter: this.options.delimiter || '\r\n' }));
+    }
+
+    deviceDetails(portPath) {
+        return {
+            port: portPath,
+            type: 'USB-RFID',
+            baudRate: this.options.baudRate || 9600
+        };
+    }
+
+    async open() {
+        const portPath = await this.resolvePath();
+
+        this.port = new SerialPort({
+            path: portPath,
+            baudRate: this.options.baudRate || 9600,
+            autoOpen: false
+        });
+
+        this.parser = this.createParser();
+
+        this.port.on('error', (error) => {
+            console.error('RFID port error:', error);
+            this.emit('error', error);
+        });
+
+        this.port.on('close', () => {
+            console.log('RFID port closed');
+            this.markClosed();
+        });
+
+        this.parser.on('data', (data) => {
+            this.pushData(data);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.port.open((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        console.log(`RFID reader connected on ${portPath}`);
+        return this.markOpen(this.deviceDetails(portPath));
+    }
+
+    async close() {
+        if (this.port && this.port.isOpen) {
+            await new Promise((resolve, reject) => {
+                this.port.close((error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }
+        this.port = null;
+        this.parser = null;
+        this.markClosed();
+    }
+
+    getPath() {
+        return this.port ? this.port.path : null;
+    }
+}
+
+module.exports = SerialLineDriver;
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const net = require('net');
+const ReaderDriver = require('./ReaderDriver');
+
+// In-process reader for development and tests. Card IDs come from:
+//   inject(cardId)                  programmatic
+//   options.cards + scanInterval    emitted periodically
+//   options.listen                  local TCP port (127.0.0.1) or socket path, one card ID per line
+//   options.feedFile                file watched for appended lines, one card ID per line
+class SimulatedDriver extends ReaderDriver {
+    constructor(options = {}) {
+        super(options);
+        this.timer = null;
+        this.cursor = 0;
+        this.server = null;
+        this.clients = new Set();
+        this.feedOffset = 0;
+        this.feedWatcher = null;
+    }
+
+    static get type() {
+        return 'simulated';
+    }
+
+    async open() {
+        const cards = this.options.cards || [];
+        if (this.options.scanInterval && cards.length > 0) {
+            this.timer = setInterval(() => {
+                this.inject(cards[this.cursor % cards.length]);
+                this.cursor++;
+            }, this.options.scanInterval);
+        }
+
+        const sources = [];
+        if (this.options.listen) {
+            sources.push(await this.listen(this.options.listen));
+        }
+        if (this.options.feedFile) {
+            sources.push(this.watchFeedFile(this.options.feedFile));
+        }
+
+        console.log(`🧪 Simulated RFID reader ready${sources.length ? ` (${sources.join(', ')})` : ''}`);
+        return this.markOpen({
+            port: sources[0] || null,
+            type: 'Simulated'
+        });
+    }
+
+    // Accept card IDs from local socket clients (e.g. scripts/replay-scans.js)
+    listen(target) {
+        const isPort = /^\d+$/.test(String(target));
+        if (!isPort && process.platform !== 'win32' && fs.existsSync(target)) {
+            // Stale socket file from a previous run
+            fs.unlinkSync(target);
+        }
+
+        this.server = net.createServer((socket) => {
+            this.clients.add(socket);
+            let buffer = '';
+
+            socket.on('data', (chunk) => {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(line => this.inject(line.trim()));
+            });
+
+            socket.on('close', () => {
+                if (buffer.trim()) this.inject(buffer.trim());
+                this.clients.delete(socket);
+            });
+
+            socket.on('error', (error) => {
+                console.error('Simulated reader client error:', error.message);
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            const onListening = () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', (error) => this.emit('error', error));
+                resolve(isPort ? `tcp://127.0.0.1:${this.server.address().port}` : String(target));
+            };
+
+            if (isPort) {
+                this.server.listen(parseInt(target), '127.0.0.1', onListening);
+            } else {
+                this.server.listen(target, onListening);
+            }
+        });
+    }
+
+    // Follow a feed file like `tail -f`; only lines appended after open are read
+    watchFeedFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            fs.writeFileSync(filePath, '');
+        }
+        this.feedOffset = fs.statSync(filePath).size;
+
+        this.feedWatcher = (current) => {
+            if (current.size < this.feedOffset) {
+                // File was truncated or replaced
+                this.feedOffset = 0;
+            }
+            if (current.size === this.feedOffset) return;
+
+            const stream = fs.createReadStream(filePath, { start: this.feedOffset, end: current.size - 1 });
+            let content = '';
+            stream.on('data', (chunk) => { content += chunk.toString(); });
+            stream.on('end', () => {
+                content.split('\n').forEach(line => this.inject(line.trim()));
+            });
+            this.feedOffset = current.size;
+        };
+
+        fs.watchFile(filePath, { interval: this.options.feedInterval || 500 }, this.feedWatcher);
+        return filePath;
+    }
+
+    async close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this.feedWatcher) {
+            fs.unwatchFile(this.options.feedFile, this.feedWatcher);
+            this.feedWatcher = null;
+        }
+
+        if (this.server) {
+            this.clients.forEach(socket => socket.destroy());
+            this.clients.clear();
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+
+        this.markClosed();
+    }
+
+    inject(cardId) {
+        if (!this.isOpen || cardId === undefined || cardId === null || cardId === '') {
+            return false;
+        }
+        this.pushData(String(cardId));
+        return true;
+    }
+}
+
+module.exports = SimulatedDriver;
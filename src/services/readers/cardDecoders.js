@@ -0,0 +1,197 @@
+// Card ID decoding profiles. A reader's raw output is turned into the card ID
+// stored in the cards table, so the same card reads the same on every reader.
+//
+// Profile options ({ format, output, reverseBytes, padLength, input, facilityCode, checksum }):
+//   decimal    digits only, padded to padLength (legacy behaviour, default)
+//   hex        hex UID (separators allowed); output 'hex' or 'decimal'
+//   wiegand26  26-bit frame (input 'hex' | 'decimal' | 'binary'), even/odd parity checked
+//   wiegand34  34-bit frame, same as wiegand26 with 16-bit facility code
+//   em4100     10 hex chars (version + 4-byte ID) + 2 hex XOR checksum
+
+const WIEGAND_LAYOUTS = {
+    wiegand26: { bits: 26, facilityBits: 8, cardBits: 16 },
+    wiegand34: { bits: 34, facilityBits: 16, cardBits: 16 }
+};
+
+function countOnes(bits) {
+    return bits.split('').filter(bit => bit === '1').length;
+}
+
+function reverseHexBytes(hex) {
+    return hex.match(/../g).reverse().join('');
+}
+
+function hexToDecimal(hex) {
+    return BigInt(`0x${hex}`).toString();
+}
+
+// Raw reader output as a bit string of the expected length
+function toBits(raw, input, length) {
+    let value;
+    if (input === 'binary') {
+        if (!/^[01]+$/.test(raw)) return null;
+        value = BigInt(`0b${raw}`);
+    } else if (input === 'decimal') {
+        if (!/^\d+$/.test(raw)) return null;
+        value = BigInt(raw);
+    } else {
+        if (!/^[0-9A-F]+$/.test(raw)) return null;
+        value = BigInt(`0x${raw}`);
+    }
+
+    const bits = value.toString(2).padStart(length, '0');
+    return bits.length === length ? bits : null;
+}
+
+class CardDecoder {
+    constructor(profile = {}) {
+        this.format = profile.format || 'decimal';
+        if (!CardDecoder.FORMATS.includes(this.format)) {
+            throw new Error(`Unknown card format: ${this.format}`);
+        }
+
+        this.output = profile.output || (this.format === 'hex' ? 'hex' : 'decimal');
+        if (!['decimal', 'hex', 'facility'].includes(this.output)) {
+            throw new Error(`Unknown card output: ${this.output}`);
+        }
+        if (this.output === 'facility' && !WIEGAND_LAYOUTS[this.format]) {
+            throw new Error('Facility output is only available for Wiegand formats');
+        }
+
+        this.reverseBytes = !!profile.reverseBytes;
+        this.padLength = parseInt(profile.padLength) || 10;
+        this.input = profile.input || 'hex';
+        this.facilityCode = profile.facilityCode !== undefined && profile.facilityCode !== null && profile.facilityCode !== ''
+            ? parseInt(profile.facilityCode)
+            : null;
+        this.checksum = profile.checksum !== false;
+    }
+
+    static get FORMATS() {
+        return ['decimal', 'hex', 'wiegand26', 'wiegand34', 'em4100'];
+    }
+
+    // Decode raw reader output; returns { cardId, facilityCode } or null if invalid
+    decode(raw) {
+        if (raw === undefined || raw === null) return null;
+        const text = raw.toString().trim();
+        if (!text) return null;
+
+        let result;
+        if (this.format === 'decimal') {
+            // Strip everything but digits (prefixes, framing characters)
+            const digits = text.replace(/\D/g, '');
+            result = digits ? { cardId: digits.padStart(this.padLength, '0') } : null;
+        } else if (this.format === 'hex') {
+            result = this.decodeHex(text);
+        } else if (this.format === 'em4100') {
+            result = this.decodeEM4100(text);
+        } else {
+            result = this.decodeWiegand(text, WIEGAND_LAYOUTS[this.format]);
+        }
+
+        return result && this.isValid(result.cardId) ? result : null;
+    }
+
+    decodeHex(text) {
+        let hex = text.replace(/[\s:-]/g, '').replace(/^0x/i, '').toUpperCase();
+        if (!/^[0-9A-F]+$/.test(hex) || hex.length % 2 !== 0) return null;
+        if (this.reverseBytes) hex = reverseHexBytes(hex);
+
+        return { cardId: this.formatHexId(hex) };
+    }
+
+    decodeEM4100(text) {
+        const hex = text.replace(/[^0-9A-Fa-f]/g, '').toUpperCase();
+        if (hex.length === 12) {
+            // XOR of the 5 data bytes must equal the checksum byte
+            const bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+            const xor = bytes.slice(0, 5).reduce((acc, byte) => acc ^ byte, 0);
+            if (xor !== bytes[5]) return null;
+        } else if (hex.length !== 10 || this.checksum) {
+            return null;
+        }
+
+        // First byte is the version/customer code, the next 4 bytes the card number
+        let id = hex.slice(2, 10);
+        if (this.reverseBytes) id = reverseHexBytes(id);
+
+        return {
+            cardId: this.output === 'hex' ? hex.slice(0, 2) + id : hexToDecimal(id).padStart(this.padLength, '0'),
+            facilityCode: parseInt(hex.slice(0, 2), 16)
+        };
+    }
+
+    decodeWiegand(text, layout) {
+        const raw = this.input === 'hex' ? text.replace(/^0x/i, '').toUpperCase() : text;
+        const bits = toBits(raw, this.input, layout.bits);
+        if (!bits) return null;
+
+        // Leading bit: even parity over the first half; trailing bit: odd parity over the second half
+        const half = layout.bits / 2;
+        if (countOnes(bits.slice(0, half)) % 2 !== 0) return null;
+        if (countOnes(bits.slice(half)) % 2 !== 1) return null;
+
+        const dataBits = bits.slice(1, layout.bits - 1);
+        const facilityCode = parseInt(dataBits.slice(0, layout.facilityBits), 2);
+        const cardNumber = parseInt(dataBits.slice(layout.facilityBits), 2);
+
+        if (this.facilityCode !== null && facilityCode !== this.facilityCode) return null;
+
+        let cardId;
+        if (this.output === 'facility') {
+            cardId = `${facilityCode}-${String(cardNumber).padStart(5, '0')}`;
+        } else if (this.output === 'hex') {
+            cardId = BigInt(`0b${dataBits}`).toString(16).toUpperCase().padStart(dataBits.length / 4, '0');
+        } else {
+            cardId = BigInt(`0b${dataBits}`).toString().padStart(this.padLength, '0');
+        }
+
+        return { cardId, facilityCode };
+    }
+
+    formatHexId(hex) {
+        return this.output === 'decimal' ? hexToDecimal(hex).padStart(this.padLength, '0') : hex;
+    }
+
+    // Whether a card ID matches the output format of this profile
+    isValid(cardId) {
+        if (!cardId) return false;
+        const id = cardId.toString();
+
+        if (this.format === 'decimal') {
+            // Typically 8-12 digits for RFID cards
+            return /^\d{8,12}$/.test(id);
+        }
+        if (this.output === 'facility') {
+            return /^\d+-\d{5}$/.test(id);
+        }
+        if (this.format === 'hex') {
+            // 4 to 10 byte UIDs
+            return this.output === 'hex' ? /^([0-9A-F]{2}){4,10}$/.test(id) : /^\d{8,25}$/.test(id);
+        }
+        if (this.format === 'em4100') {
+            // 4-byte card number: up to 10 digits, padded to padLength
+            return this.output === 'hex'
+                ? /^[0-9A-F]{10}$/.test(id)
+                : new RegExp(`^\\d{${this.padLength},${Math.max(this.padLength, 10)}}$`).test(id);
+        }
+
+        const layout = WIEGAND_LAYOUTS[this.format];
+        const dataBits = layout.facilityBits + layout.cardBits;
+        if (this.output === 'hex') {
+            return new RegExp(`^[0-9A-F]{${dataBits / 4}}$`).test(id);
+        }
+        const maxDigits = Math.max(this.padLength, (2 ** dataBits - 1).toString().length);
+        return new RegExp(`^\\d{${this.padLength},${maxDigits}}$`).test(id);
+    }
+}
+
+function createCardDecoder(profile = {}) {
+    return new CardDecoder(profile);
+}
+
+module.exports = {
+    CardDecoder,
+    createCardDecoder
+};
@@ -0,0 +1,60 @@
+const ReaderDriver = require('./ReaderDriver');
+const SerialLineDriver = require('./SerialLineDriver');
+const SerialFrameDriver = require('./SerialFrameDriver');
+const NetworkDriver = require('./NetworkDriver');
+const KeyboardWedgeDriver = require('./KeyboardWedgeDriver');
+const SimulatedDriver = require('./SimulatedDriver');
+const { listPorts, isR65D } = require('./serialPorts');
+const { CardDecoder, createCardDecoder } = require('./cardDecoders');
+
+// Driver registry: reader type name -> driver class
+const drivers = new Map();
+
+function registerDriver(DriverClass) {
+    if (!(DriverClass.prototype instanceof ReaderDriver)) {
+        throw new Error('Reader drivers must extend ReaderDriver');
+    }
+    drivers.set(DriverClass.type, DriverClass);
+}
+
+[SerialLineDriver, SerialFrameDriver, NetworkDriver, KeyboardWedgeDriver, SimulatedDriver]
+    .forEach(registerDriver);
+
+// Pick a driver for 'auto' mode: R65D keyboard emulator when present,
+// otherwise a line-based serial reader
+async function detectDriverType() {
+    const ports = await listPorts();
+    return ports.some(isR65D) ? KeyboardWedgeDriver.type : SerialLineDriver.type;
+}
+
+// Create a driver instance from a reader configuration ({ driver, ...options })
+async function createDriver(readerConfig = {}) {
+    let type = readerConfig.driver || 'auto';
+    if (type === 'auto') {
+        type = await detectDriverType();
+    }
+
+    const DriverClass = drivers.get(type);
+    if (!DriverClass) {
+        throw new Error(`Unknown RFID reader driver: ${type}`);
+    }
+
+    return new DriverClass(readerConfig);
+}
+
+function getDriverTypes() {
+    return Array.from(drivers.keys());
+}
+
+function getCardFormats() {
+    return CardDecoder.FORMATS;
+}
+
+module.exports = {
+    ReaderDriver,
+    registerDriver,
+    createDriver,
+    getDriverTypes,
+    createCardDecoder,
+    getCardFormats
+};
@@ -0,0 +1,58 @@
+const { SerialPort } = require('serialport');
+
+// R65D Hardware ID: VID_FFFF&PID_0035
+const R65D_VENDOR_ID = 'FFFF';
+const R65D_PRODUCT_ID = '0035';
+
+// Fallback ports tried when no reader can be identified by USB IDs
+const COMMON_PORTS = ['COM3', 'COM4', 'COM5', '/dev/ttyUSB0', '/dev/ttyACM0'];
+
+function matchesIds(port, vendorId, productId) {
+    return !!(port.vendorId && port.productId &&
+        port.vendorId.toUpperCase() === vendorId.toUpperCase() &&
+        port.productId.toUpperCase() === productId.toUpperCase());
+}
+
+function isR65D(port) {
+    return matchesIds(port, R65D_VENDOR_ID, R65D_PRODUCT_ID);
+}
+
+async function listPorts() {
+    try {
+        return await SerialPort.list();
+    } catch (error) {
+        console.error('Error listing serial ports:', error);
+        return [];
+    }
+}
+
+// Find the serial port of an RFID reader.
+// Options: path (explicit port), vendorId/productId (USB IDs to match).
+async function findReaderPort(options = {}) {
+    const ports = await listPorts();
+
+    if (options.path) {
+        return ports.find(p => p.path === options.path) || { path: options.path };
+    }
+
+    if (options.vendorId && options.productId) {
+        return ports.find(p => matchesIds(p, options.vendorId, options.productId)) || null;
+    }
+
+    // Try common RFID readers by manufacturer
+    const byManufacturer = ports.find(p => p.manufacturer && p.manufacturer.toLowerCase().includes('rfid'));
+    if (byManufacturer) {
+        return byManufacturer;
+    }
+
+    // Fallback: try common COM ports
+    return ports.find(p => COMMON_PORTS.includes(p.path)) || null;
+}
+
+module.exports = {
+    R65D_VENDOR_ID,
+    R65D_PRODUCT_ID,
+    isR65D,
+    listPorts,
+    findReaderPort
+};
@@ -0,0 +1,203 @@
+// Judging of work days against shifts and attendance policies, storing of
+// the results reports read, and the work day overnight scans belong to.
+const moment = require('moment-timezone');
+
+const { executeQuery, setupDatabase, teardownDatabase } = require('./helpers/database');
+const AttendancePolicy = require('../src/models/AttendancePolicy');
+const AttendanceRules = require('../src/services/AttendanceRules');
+const Attendance = require('../src/models/Attendance');
+const Shift = require('../src/models/Shift');
+const WorkDayEvaluationService = require('../src/services/WorkDayEvaluationService');
+const WorkSession = require('../src/models/WorkSession');
+
+const DATE = '2026-03-02';
+const SHIFT = new Shift({ id: 1, name: 'Hành chính', start_time: '08:00:00', end_time: '17:00:00', grace_minutes: 5, break_minutes: 60 });
+const POLICY = AttendancePolicy.DEFAULT;
+const NEXT_DAY = moment.tz('2026-03-03 12:00', 'Asia/Ho_Chi_Minh');
+
+function session(checkIn, checkOut, extra = {}) {
+    return {
+        checkInTime: `${DATE} ${checkIn}:00`,
+        checkOutTime: checkOut ? `${DATE} ${checkOut}:00` : null,
+        totalHours: 8,
+        overtimeHours: 0,
+        nightOvertimeHours: 0,
+        status: checkOut ? 'completed' : 'in_progress',
+        ...extra
+    };
+}
+
+function evaluate(day, now = NEXT_DAY) {
+    return AttendanceRules.evaluate({ date: DATE, shift: SHIFT, source: 'default', dayType: 'workday', policy: POLICY, ...day }, now);
+}
+
+async function countStored(userId) {
+    const [row] = await executeQuery('SELECT COUNT(*) AS count FROM work_day_results WHERE user_id = ?', [userId]);
+    return row.count;
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+});
+
+afterAll(async () => {
+    await teardownDatabase();
+    jest.restoreAllMocks();
+});
+
+describe('evaluate', () => {
+    test('judges a day worked within the shift as on time', () => {
+        expect(evaluate({ session: session('07:58', '17:02') })).toMatchObject({ status: 'on_time', workedHours: 8, lateMinutes: 0 });
+    });
+
+    test('counts lateness past the grace period of the shift or policy', () => {
+        expect(evaluate({ session: session('08:20', '17:00') })).toMatchObject({ status: 'late', lateMinutes: 20 });
+
+        const lenient = new AttendancePolicy({ name: 'Linh hoạt', grace_minutes: 30 });
+        expect(evaluate({ session: session('08:20', '17:00'), policy: lenient })).toMatchObject({ status: 'on_time', lateMinutes: 0 });
+    });
+
+    test('counts early leave past the tolerance of the policy', () => {
+        const policy = new AttendancePolicy({ name: 'Chuẩn', early_leave_minutes: 10 });
+        expect(evaluate({ session: session('08:00', '16:30'), policy })).toMatchObject({ status: 'early_leave', earlyLeaveMinutes: 30 });
+        expect(evaluate({ session: session('08:00', '16:55'), policy })).toMatchObject({ status: 'on_time', earlyLeaveMinutes: 0 });
+    });
+
+    test('judges short days by the half-day and minimum hours of the policy', () => {
+        const policy = new AttendancePolicy({ name: 'Chuẩn', half_day_hours: 6, min_hours: 2 });
+        expect(evaluate({ session: session('08:00', '12:00', { totalHours: 4 }), policy }).status).toBe('half_day');
+        expect(evaluate({ session: session('08:00', '09:00', { totalHours: 1 }), policy }).status).toBe('absent');
+    });
+
+    test('does not check the half of the day taken off', () => {
+        const leave = { halfDay: 'morning' };
+        expect(evaluate({ session: session('13:00', '17:00', { totalHours: 4 }), leave })).toMatchObject({ status: 'on_time', lateMinutes: 0 });
+    });
+
+    test('keeps a day in progress open, with its lateness', () => {
+        expect(evaluate({ session: session('08:30', null) })).toMatchObject({ status: 'in_progress', lateMinutes: 30 });
+    });
+
+    test('judges days without work', () => {
+        expect(evaluate({ session: null })).toMatchObject({ status: 'absent' });
+        expect(evaluate({ session: null }, moment.tz(`${DATE} 12:00`, 'Asia/Ho_Chi_Minh'))).toBeNull();
+        expect(evaluate({ session: null, leave: { halfDay: null } })).toMatchObject({ status: 'on_leave' });
+        expect(evaluate({ session: null, shift: null, source: 'calendar', dayType: 'holiday' })).toMatchObject({ status: 'holiday' });
+        expect(evaluate({ session: null, shift: null, dayType: 'rest_day' })).toMatchObject({ status: 'day_off' });
+    });
+
+    test('stores days without shifts set up as days off once they are over', () => {
+        const unscheduled = { session: null, shift: null, source: null, dayType: null };
+        expect(evaluate(unscheduled)).toMatchObject({ status: 'day_off' });
+        expect(evaluate(unscheduled, moment.tz(`${DATE} 23:00`, 'Asia/Ho_Chi_Minh'))).toBeNull();
+        expect(evaluate({ ...unscheduled, session: session('09:00', '17:00') }).status).toBe('unscheduled');
+    });
+
+    test('counts overtime up to the approved hours where the policy requires approval', () => {
+        const policy = new AttendancePolicy({ name: 'Duyệt tăng ca', overtime_requires_approval: 1 });
+        const worked = session('08:00', '20:00', { overtimeHours: 3, nightOvertimeHours: 1.5 });
+
+        expect(evaluate({ session: worked, policy, overtimeRequest: { hours: 2 } })).toMatchObject({
+            overtimeHours: 2,
+            nightOvertimeHours: 1,
+            unapprovedOvertimeHours: 1,
+            overtimePayHours: 3.3
+        });
+        expect(evaluate({ session: worked, policy }).overtimeHours).toBe(0);
+    });
+
+    test('pays overtime at the rate of the kind of day', () => {
+        const worked = session('08:00', '12:00', { totalHours: 4, overtimeHours: 4 });
+        expect(evaluate({ session: worked, shift: null, dayType: 'rest_day' }).overtimePayHours).toBe(8);
+        expect(evaluate({ session: worked, shift: null, source: 'calendar', dayType: 'holiday' }).overtimePayHours).toBe(12);
+    });
+});
+
+describe('summarize', () => {
+    test('rates attendance over scheduled working days not on leave', () => {
+        const results = [
+            evaluate({ session: session('08:00', '17:00') }),
+            evaluate({ session: session('08:30', '17:00') }),
+            evaluate({ session: null }),
+            evaluate({ session: null, leave: { halfDay: null } }),
+            evaluate({ session: null, shift: null, dayType: 'rest_day' })
+        ];
+
+        expect(AttendanceRules.summarize(results)).toMatchObject({
+            workingDays: 3,
+            presentDays: 2,
+            leaveDays: 1,
+            attendanceRate: 67,
+            statuses: expect.objectContaining({ on_time: 1, late: 1, absent: 1, on_leave: 1, day_off: 1 })
+        });
+    });
+});
+
+describe('stored results', () => {
+    let employees;
+
+    beforeAll(async () => {
+        employees = await AttendanceRules.getEmployees({ userId: 'STAFF001' });
+    });
+
+    test('reading a range evaluates days without storing them', async () => {
+        const results = await AttendanceRules.evaluateRange(employees, '2026-03-02', '2026-03-08');
+        expect(results).toHaveLength(7);
+        expect(results.every(result => result.status === 'day_off')).toBe(true);
+        expect(await countStored('STAFF001')).toBe(0);
+    });
+
+    test('storing a range only evaluates the days without a result', async () => {
+        expect(await AttendanceRules.storeRange(employees, '2026-03-02', '2026-03-08')).toBe(7);
+        expect(await countStored('STAFF001')).toBe(7);
+        expect(await AttendanceRules.storeRange(employees, '2026-03-02', '2026-03-08')).toBe(0);
+        expect(await AttendanceRules.storeRange(employees, '2026-03-02', '2026-03-08', { refresh: true })).toBe(7);
+    });
+
+    test('the evaluation job stores the recent days of every employee', async () => {
+        const stored = await new WorkDayEvaluationService().run(moment.tz('2026-03-20 12:00', 'Asia/Ho_Chi_Minh'));
+        const everyone = await AttendanceRules.getEmployees();
+        expect(stored).toBe(everyone.length * 8);
+
+        const [row] = await executeQuery(
+            "SELECT COUNT(*) AS count FROM work_day_results WHERE user_id = 'STAFF001' AND work_date BETWEEN '2026-03-13' AND '2026-03-20'"
+        );
+        expect(row.count).toBe(8);
+    });
+});
+
+describe('overnight attribution', () => {
+    test('a scan after midnight closes the check-in of the day before', async () => {
+        await Attendance.recordAttendance({
+            userId: 'STAFF001',
+            rfidCard: 'TEST',
+            scanTime: '2026-02-02 22:00:00',
+            scanDate: '2026-02-02',
+            actionType: 'check_in'
+        });
+
+        expect(await WorkSession.resolveWorkDate('STAFF001', '2026-02-03 03:00:00')).toBe('2026-02-02');
+        // Past the longest session the scan starts a new day
+        expect(await WorkSession.resolveWorkDate('STAFF001', '2026-02-03 15:00:00')).toBe('2026-02-03');
+    });
+
+    test('scans until shortly after an overnight shift ends belong to its day', async () => {
+        await Shift.create({ name: 'Ca đêm', startTime: '22:00', endTime: '06:00', weekdays: [1, 2, 3, 4, 5, 6, 7], isDefault: true });
+
+        expect(await WorkSession.resolveWorkDate('STAFF001', '2026-04-07 05:30:00')).toBe('2026-04-06');
+        expect(await WorkSession.resolveWorkDate('STAFF001', '2026-04-07 09:30:00')).toBe('2026-04-06');
+        expect(await WorkSession.resolveWorkDate('STAFF001', '2026-04-07 10:30:00')).toBe('2026-04-07');
+    });
+
+    test('the overtime of an overnight shift counts from its end, at night before 06:00', () => {
+        const intervals = [{
+            start: moment('2026-04-06 22:00:00'),
+            end: moment('2026-04-07 08:00:00')
+        }];
+        const shift = new Shift({ id: 2, name: 'Ca đêm', start_time: '22:00', end_time: '06:00' });
+
+        expect(WorkSession.computeOvertime(intervals, { shift, source: 'default' }, '2026-04-06')).toEqual({ hours: 2, nightHours: 0 });
+        expect(WorkSession.computeOvertime(intervals, { shift: null, source: 'default' }, '2026-04-06')).toEqual({ hours: 10, nightHours: 8 });
+    });
+});
@@ -0,0 +1,177 @@
+// Access control: API tokens sent as Bearer credentials, the permissions
+// of the built-in roles and the departments a manager's access is limited to.
+const express = require('express');
+const request = require('supertest');
+const moment = require('moment-timezone');
+
+const { executeQuery, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { requireAuth, requirePermission, requireTeamPermission } = require('../src/middleware/auth');
+const ApiToken = require('../src/models/ApiToken');
+const ApiTokenService = require('../src/services/ApiTokenService');
+const AttendanceRules = require('../src/services/AttendanceRules');
+const DepartmentManager = require('../src/models/DepartmentManager');
+const Role = require('../src/models/Role');
+const SocketIOHandlers = require('../src/services/SocketIOHandlers');
+const User = require('../src/models/User');
+
+// Routes guarded the way the API routers guard theirs
+function createApp() {
+    const app = express();
+    app.get('/api/me', requireAuth, (req, res) => res.json({ success: true, userId: req.user.id }));
+    app.get('/api/reports', requirePermission('view_reports'), (req, res) => res.json({ success: true }));
+    app.get('/api/users', requirePermission('manage_users'), (req, res) => res.json({ success: true }));
+    app.get('/api/team/reports', requireTeamPermission('view_reports'), (req, res) => {
+        res.json({ success: true, departments: req.departments });
+    });
+    return app;
+}
+
+async function issueToken(userId, options = {}) {
+    const owner = await User.findById(userId);
+    const result = await ApiTokenService.issue(owner, { name: 'test', ...options }, userId);
+    expect(result.success).toBe(true);
+    return result.plaintext;
+}
+
+let app;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+
+    await User.create({ id: 'MGR001', name: 'Trưởng phòng', username: 'manager', password: '123456', role: 'department_manager' });
+    await User.create({ id: 'SALES01', name: 'Nhân viên bán hàng', username: 'sales', password: '123456', role: 'staff' });
+    await User.create({ id: 'KIOSK01', name: 'Quầy chấm công', username: 'kiosk', password: '123456', role: 'at_work' });
+    await executeQuery("UPDATE users SET department = 'Sales' WHERE id = 'SALES01'");
+    await executeQuery("UPDATE users SET department = 'Support' WHERE id = 'STAFF001'");
+    await DepartmentManager.assign('MGR001', 'Sales');
+
+    app = createApp();
+});
+
+afterAll(async () => {
+    await teardownDatabase();
+    jest.restoreAllMocks();
+});
+
+describe('API tokens', () => {
+    test('authenticate as their owner', async () => {
+        const token = await issueToken('STAFF001');
+
+        const response = await request(app).get('/api/me').set('Authorization', `Bearer ${token}`);
+        expect(response.status).toBe(200);
+        expect(response.body.userId).toBe('STAFF001');
+    });
+
+    test('are limited to their scopes', async () => {
+        const token = await issueToken('ADMIN001', { scopes: ['view_reports'] });
+
+        expect((await request(app).get('/api/reports').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+        const refused = await request(app).get('/api/users').set('Authorization', `Bearer ${token}`);
+        expect(refused.status).toBe(403);
+        expect(refused.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('cannot be given scopes the owner lacks', async () => {
+        const owner = await User.findById('STAFF001');
+        const result = await ApiTokenService.issue(owner, { name: 'test', scopes: ['manage_users'] }, 'STAFF001');
+        expect(result).toMatchObject({ success: false, error: 'SCOPE_NOT_ALLOWED', scopes: ['manage_users'] });
+    });
+
+    test('are refused once revoked or expired, or when unknown', async () => {
+        const revoked = await issueToken('ADMIN001');
+        const [active] = await ApiToken.findAll({ userId: 'ADMIN001' });
+        await ApiTokenService.revoke(active.id, 'ADMIN001');
+
+        const { plaintext: expired } = await ApiToken.create({
+            userId: 'ADMIN001',
+            name: 'expired',
+            expiresAt: moment().tz('Asia/Ho_Chi_Minh').subtract(1, 'minute').format('YYYY-MM-DD HH:mm:ss')
+        });
+
+        for (const token of [revoked, expired, 'not-a-token']) {
+            const response = await request(app).get('/api/me').set('Authorization', `Bearer ${token}`);
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('INVALID_TOKEN');
+        }
+    });
+
+    test('are required without a session', async () => {
+        const response = await request(app).get('/api/reports');
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('AUTH_REQUIRED');
+    });
+});
+
+describe('role permissions', () => {
+    test('built-in roles keep the access they were created with', async () => {
+        expect(await Role.getPermissions('event_manager')).toEqual(expect.arrayContaining(['record_attendance', 'manage_events', 'view_reports']));
+        expect(await Role.getPermissions('staff')).toEqual(expect.arrayContaining(['check_in', 'submit_requests']));
+        expect(await Role.getPermissions('staff')).not.toContain('view_reports');
+        expect(await Role.getPermissions('at_work')).toEqual(['check_in', 'check_out', 'view_own_attendance']);
+        expect(await Role.getPermissions('unknown')).toEqual([]);
+    });
+
+    test('a role granting more than the assigning user has cannot be assigned', async () => {
+        const staff = await User.findById('STAFF001');
+        expect(await Role.checkAssignable('admin', staff)).toMatchObject({ error: 'ROLE_NOT_ALLOWED' });
+        expect(await Role.checkAssignable('at_work', staff)).toBeNull();
+        expect(await Role.checkAssignable('missing', staff)).toMatchObject({ error: 'INVALID_ROLE' });
+    });
+
+    test('manual socket scans need check_in only', async () => {
+        const handlers = new SocketIOHandlers({ use() {}, on() {} }, { on() {} }, null);
+        const socket = {
+            id: 'kiosk-socket',
+            data: {},
+            rooms: new Set(),
+            request: { session: { userId: 'KIOSK01', reload: done => done() } },
+            emit: jest.fn(),
+            join() {},
+            leave() {}
+        };
+
+        expect(await handlers.authorize(socket, 'manual_rfid_scan', 'check_in')).toMatchObject({ id: 'KIOSK01' });
+        expect(await handlers.authorize(socket, 'request_stats', 'view_dashboard')).toBeNull();
+        expect(socket.emit).toHaveBeenCalledWith('unauthorized', expect.objectContaining({ error: 'INSUFFICIENT_PERMISSIONS' }));
+    });
+});
+
+describe('team scoping', () => {
+    test('limits managers to the departments they manage', async () => {
+        const manager = await issueToken('MGR001');
+        const response = await request(app).get('/api/team/reports').set('Authorization', `Bearer ${manager}`);
+        expect(response.status).toBe(200);
+        expect(response.body.departments).toEqual(['Sales']);
+
+        const employees = await AttendanceRules.getEmployees({ departments: response.body.departments });
+        expect(employees.map(employee => employee.id)).toEqual(['SALES01']);
+        expect(await AttendanceRules.getEmployees({ departments: [] })).toEqual([]);
+    });
+
+    test('leaves holders of the permission unrestricted', async () => {
+        const admin = await issueToken('ADMIN001');
+        const response = await request(app).get('/api/team/reports').set('Authorization', `Bearer ${admin}`);
+        expect(response.status).toBe(200);
+        expect(response.body.departments).toBeNull();
+    });
+
+    test('refuses users who neither hold the permission nor manage a team', async () => {
+        const staff = await issueToken('STAFF001');
+        expect((await request(app).get('/api/team/reports').set('Authorization', `Bearer ${staff}`)).status).toBe(403);
+    });
+
+    test('lets managers review their own departments only', async () => {
+        const manager = await User.findById('MGR001');
+        expect(await DepartmentManager.canReview(manager, 'Sales', 'manage_leave')).toBe(true);
+        expect(await DepartmentManager.canReview(manager, 'Support', 'manage_leave')).toBe(false);
+        expect(DepartmentManager.inScope(['Sales'], 'Support')).toBe(false);
+        expect(DepartmentManager.inScope(null, 'Support')).toBe(true);
+    });
+
+    test('leaves service accounts out of the employees', async () => {
+        await User.createServiceAccount({ id: 'SVC001', name: 'Cổng Sales', username: 'svc-sales', role: 'at_work', department: 'Sales' });
+        const employees = await AttendanceRules.getEmployees({ department: 'Sales' });
+        expect(employees.map(employee => employee.id)).toEqual(['SALES01']);
+    });
+});
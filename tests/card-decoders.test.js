@@ -0,0 +1,93 @@
+// Card ID decoding profiles: the same card must read the same on every
+// reader, and malformed or tampered frames must not decode at all.
+const { createCardDecoder } = require('../src/services/readers/cardDecoders');
+
+// Wiegand 26 frame of facility 1, card 1 with both parity bits set right
+const WIEGAND26_BITS = '1' + '00000001' + '0000000000000001' + '0';
+
+describe('decimal profile', () => {
+    test('keeps the digits and pads them', () => {
+        const decoder = createCardDecoder();
+        expect(decoder.decode('  ;12345678? ')).toEqual({ cardId: '0012345678' });
+        expect(createCardDecoder({ padLength: 12 }).decode('12345678').cardId).toBe('000012345678');
+    });
+
+    test('rejects output without a card number', () => {
+        const decoder = createCardDecoder();
+        expect(decoder.decode('')).toBeNull();
+        expect(decoder.decode('abc')).toBeNull();
+        expect(decoder.decode(null)).toBeNull();
+    });
+});
+
+describe('hex profile', () => {
+    test('normalizes separators and case', () => {
+        expect(createCardDecoder({ format: 'hex' }).decode('04:a2-3b 1c').cardId).toBe('04A23B1C');
+    });
+
+    test('reverses the byte order and converts to decimal', () => {
+        const decoder = createCardDecoder({ format: 'hex', reverseBytes: true, output: 'decimal' });
+        expect(decoder.decode('4E61BC00').cardId).toBe('0012345678');
+    });
+
+    test('rejects odd lengths and UIDs shorter than 4 bytes', () => {
+        const decoder = createCardDecoder({ format: 'hex' });
+        expect(decoder.decode('ABC')).toBeNull();
+        expect(decoder.decode('A1B2')).toBeNull();
+    });
+});
+
+describe('em4100 profile', () => {
+    test('checks the XOR checksum', () => {
+        const decoder = createCardDecoder({ format: 'em4100' });
+        expect(decoder.decode('0100BC614E92')).toEqual({ cardId: '0012345678', facilityCode: 1 });
+        expect(decoder.decode('0100BC614E93')).toBeNull();
+    });
+
+    test('takes frames without a checksum only when it is turned off', () => {
+        expect(createCardDecoder({ format: 'em4100' }).decode('0100BC614E')).toBeNull();
+        expect(createCardDecoder({ format: 'em4100', checksum: false }).decode('0100BC614E').cardId).toBe('0012345678');
+    });
+
+    test('outputs the version byte and card number in hex', () => {
+        expect(createCardDecoder({ format: 'em4100', output: 'hex' }).decode('0100BC614E92').cardId).toBe('0100BC614E');
+    });
+
+    test('accepts the largest card number whatever the padding', () => {
+        // FFFFFFFF is 4294967295: 10 digits, longer than a padLength of 8
+        const decoder = createCardDecoder({ format: 'em4100', padLength: 8 });
+        expect(decoder.decode('01FFFFFFFF01').cardId).toBe('4294967295');
+        expect(decoder.decode('010000000100').cardId).toBe('00000001');
+    });
+});
+
+describe('wiegand profiles', () => {
+    test('decodes facility and card number from a binary frame', () => {
+        const decoder = createCardDecoder({ format: 'wiegand26', input: 'binary', output: 'facility' });
+        expect(decoder.decode(WIEGAND26_BITS)).toEqual({ cardId: '1-00001', facilityCode: 1 });
+    });
+
+    test('reads the same frame given in hex', () => {
+        const hex = BigInt(`0b${WIEGAND26_BITS}`).toString(16).toUpperCase();
+        const decoder = createCardDecoder({ format: 'wiegand26', output: 'facility' });
+        expect(decoder.decode(hex).cardId).toBe('1-00001');
+    });
+
+    test('rejects a frame with a wrong parity bit', () => {
+        const decoder = createCardDecoder({ format: 'wiegand26', input: 'binary' });
+        expect(decoder.decode(`0${WIEGAND26_BITS.slice(1)}`)).toBeNull();
+        expect(decoder.decode(`${WIEGAND26_BITS.slice(0, -1)}1`)).toBeNull();
+    });
+
+    test('rejects cards of another facility', () => {
+        const decoder = createCardDecoder({ format: 'wiegand26', input: 'binary', facilityCode: 2 });
+        expect(decoder.decode(WIEGAND26_BITS)).toBeNull();
+    });
+});
+
+describe('profile validation', () => {
+    test('refuses unknown formats and facility output outside Wiegand', () => {
+        expect(() => createCardDecoder({ format: 'barcode' })).toThrow('Unknown card format');
+        expect(() => createCardDecoder({ format: 'hex', output: 'facility' })).toThrow('Wiegand');
+    });
+});
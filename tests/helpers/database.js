@@ -0,0 +1,44 @@
+// Scratch SQLite database for a test file. Require this before anything
+// that loads the database config, so the file is used instead of the
+// configured database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DB_TYPE = 'sqlite';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfid-test-'));
+require('../../src/config/sqlite').database.dbPath = path.join(tmpDir, 'test.db');
+
+const { testConnection, executeQuery, closeConnections } = require('../../src/config/database');
+
+// Tables created on server start, in the same order
+const MODELS = [
+    ['Role', 'ensureTable'], ['User', 'ensureColumns'], ['ApiToken', 'ensureTable'], ['Card', 'ensureTable'],
+    ['UnknownCard', 'ensureTable'], ['ShiftAssignment', 'ensureTable'], ['WorkSession', 'ensureTable'],
+    ['AttendancePolicy', 'ensureTable'], ['WorkDayResult', 'ensureTable'], ['DepartmentManager', 'ensureTable'],
+    ['LeaveType', 'ensureTable'], ['LeaveRequest', 'ensureTable'], ['LeaveBalance', 'ensureTable'],
+    ['OvertimeRequest', 'ensureTable'], ['Attendance', 'ensureColumns'], ['AttendanceAudit', 'ensureTable'],
+    ['AttendanceCorrection', 'ensureTable'], ['PayrollPeriod', 'ensureTable'], ['Reader', 'ensureTable']
+];
+
+async function setupDatabase() {
+    if (!(await testConnection())) {
+        throw new Error('Could not open the test database');
+    }
+    for (const [model, method] of MODELS) {
+        await require(`../../src/models/${model}`)[method]();
+    }
+}
+
+async function teardownDatabase() {
+    await closeConnections();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    tmpDir,
+    executeQuery,
+    setupDatabase,
+    teardownDatabase
+};
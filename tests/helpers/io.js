@@ -0,0 +1,18 @@
+// Socket.IO server stand-in keeping every emitted event with its rooms
+function createIo() {
+    const emitted = [];
+    const to = (rooms, except = []) => ({
+        except: (excluded) => to(rooms, excluded),
+        emit: (event, payload) => emitted.push({ rooms: rooms === null ? null : [].concat(rooms), except, event, payload })
+    });
+    return {
+        emitted,
+        use() {},
+        on() {},
+        to: (rooms) => to(rooms),
+        except: (excluded) => to(null, excluded),
+        emit: (event, payload) => emitted.push({ rooms: null, event, payload })
+    };
+}
+
+module.exports = { createIo };
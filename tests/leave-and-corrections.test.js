@@ -0,0 +1,158 @@
+// Leave requests against the yearly balance and missed-punch corrections,
+// each reviewed by an admin or a manager of the employee's department.
+const { executeQuery, setupDatabase, teardownDatabase } = require('./helpers/database');
+const Attendance = require('../src/models/Attendance');
+const AttendanceAudit = require('../src/models/AttendanceAudit');
+const CorrectionService = require('../src/services/CorrectionService');
+const DepartmentManager = require('../src/models/DepartmentManager');
+const LeaveBalance = require('../src/models/LeaveBalance');
+const LeaveService = require('../src/services/LeaveService');
+const LeaveType = require('../src/models/LeaveType');
+const User = require('../src/models/User');
+
+let annual;
+let manager;
+let outsider;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+
+    await User.create({ id: 'MGR001', name: 'Trưởng phòng', username: 'manager', password: '123456', role: 'department_manager' });
+    await User.create({ id: 'SALES01', name: 'Nhân viên bán hàng', username: 'sales', password: '123456', role: 'staff' });
+    await executeQuery("UPDATE users SET department = 'Sales' WHERE id = 'SALES01'");
+    await DepartmentManager.assign('MGR001', 'Sales');
+
+    annual = await LeaveType.findByCode('annual');
+    manager = await User.findById('MGR001');
+    outsider = await User.findById('STAFF001');
+});
+
+afterAll(async () => {
+    await teardownDatabase();
+    jest.restoreAllMocks();
+});
+
+// Without shifts set up, Monday to Friday are working days
+describe('leave requests', () => {
+    // Thursday 30 December 2094 to Tuesday 4 January 2095: two working days in
+    // each year, far enough ahead to stay cancellable
+    const NEW_YEAR = { startDate: '2094-12-30', endDate: '2095-01-04', reason: 'Về quê' };
+    let newYearLeave;
+    let januaryLeave;
+
+    beforeAll(async () => {
+        await LeaveBalance.setEntitlement('SALES01', annual.id, 2095, 3);
+    });
+
+    test('take the days of each year out of that year', async () => {
+        const result = await LeaveService.submit('SALES01', { leaveTypeId: annual.id, ...NEW_YEAR });
+        expect(result.success).toBe(true);
+        newYearLeave = result.request;
+
+        expect(newYearLeave.days).toBe(4);
+        expect(await newYearLeave.getDaysByYear()).toEqual(new Map([[2094, 2], [2095, 2]]));
+        expect(await LeaveBalance.getBalance('SALES01', annual, 2094)).toMatchObject({ entitled: 12, pending: 2, remaining: 10 });
+        expect(await LeaveBalance.getBalance('SALES01', annual, 2095)).toMatchObject({ entitled: 3, pending: 2, remaining: 1 });
+    });
+
+    test('are refused past the balance of a year, pending leave included', async () => {
+        const refused = await LeaveService.submit('SALES01', { leaveTypeId: annual.id, startDate: '2095-01-05', endDate: '2095-01-06' });
+        expect(refused).toMatchObject({ success: false, error: 'INSUFFICIENT_BALANCE' });
+        expect(refused.message).toContain('2095');
+
+        const result = await LeaveService.submit('SALES01', { leaveTypeId: annual.id, startDate: '2095-01-05' });
+        expect(result.success).toBe(true);
+        januaryLeave = result.request;
+    });
+
+    test('cannot overlap or cover no working day', async () => {
+        expect(await LeaveService.submit('SALES01', { leaveTypeId: annual.id, startDate: '2094-12-31' }))
+            .toMatchObject({ success: false, error: 'LEAVE_OVERLAP' });
+        expect(await LeaveService.submit('SALES01', { leaveTypeId: annual.id, startDate: '2095-01-08', endDate: '2095-01-09' }))
+            .toMatchObject({ success: false, error: 'NO_WORKING_DAYS' });
+    });
+
+    test('are reviewed by managers of the department only, never by their author', async () => {
+        expect(await LeaveService.review(januaryLeave.id, outsider, 'approve')).toMatchObject({ error: 'NOT_DEPARTMENT_MANAGER' });
+        expect(await LeaveService.review(januaryLeave.id, await User.findById('SALES01'), 'approve')).toMatchObject({ error: 'CANNOT_REVIEW_OWN' });
+
+        const approved = await LeaveService.review(januaryLeave.id, manager, 'approve');
+        expect(approved.request.status).toBe('approved');
+        expect(await LeaveService.review(januaryLeave.id, manager, 'approve')).toMatchObject({ error: 'LEAVE_NOT_PENDING' });
+    });
+
+    test('are checked against the balance again on approval', async () => {
+        // The entitlement was lowered after the request was submitted
+        await LeaveBalance.setEntitlement('SALES01', annual.id, 2095, 2);
+
+        const refused = await LeaveService.review(newYearLeave.id, manager, 'approve');
+        expect(refused).toMatchObject({ success: false, error: 'INSUFFICIENT_BALANCE' });
+        expect(refused.message).toContain('2095');
+
+        expect((await LeaveService.review(newYearLeave.id, manager, 'reject')).request.status).toBe('rejected');
+    });
+
+    test('give the days back when cancelled before they start', async () => {
+        expect((await LeaveService.cancel(januaryLeave.id, 'SALES01')).request.status).toBe('cancelled');
+        expect(await LeaveBalance.getBalance('SALES01', annual, 2095)).toMatchObject({ used: 0, pending: 0, remaining: 2 });
+    });
+});
+
+describe('missed-punch corrections', () => {
+    let correction;
+
+    test('are submitted for a past work day', async () => {
+        const result = await CorrectionService.submit('SALES01', {
+            workDate: '2026-03-02',
+            actionType: 'check_in',
+            scanTime: '2026-03-02 08:00',
+            reason: 'Quên quét thẻ'
+        });
+        expect(result.success).toBe(true);
+        correction = result.correction;
+
+        expect(await CorrectionService.submit('SALES01', {
+            workDate: '2026-03-02',
+            actionType: 'check_in',
+            scanTime: '2026-03-02 08:05',
+            reason: 'Quên quét thẻ'
+        })).toMatchObject({ success: false, error: 'CORRECTION_EXISTS' });
+    });
+
+    test('take a check-out up to the morning after the work day only', async () => {
+        const overnight = await CorrectionService.submit('SALES01', {
+            workDate: '2026-03-02',
+            actionType: 'check_out',
+            scanTime: '2026-03-03 01:30',
+            reason: 'Quên quét thẻ'
+        });
+        expect(overnight.success).toBe(true);
+
+        expect(await CorrectionService.submit('SALES01', {
+            workDate: '2026-03-04',
+            actionType: 'check_out',
+            scanTime: '2026-03-06 01:30',
+            reason: 'Quên quét thẻ'
+        })).toMatchObject({ success: false, error: 'INVALID_SCAN_TIME' });
+    });
+
+    test('are reviewed by managers of the department only', async () => {
+        expect(await CorrectionService.review(correction.id, outsider, 'approve')).toMatchObject({ error: 'NOT_DEPARTMENT_MANAGER' });
+        expect(await CorrectionService.review(correction.id, await User.findById('SALES01'), 'approve')).toMatchObject({ error: 'CANNOT_REVIEW_OWN' });
+    });
+
+    test('add the scan as a corrected attendance row when approved', async () => {
+        const result = await CorrectionService.review(correction.id, manager, 'approve', 'Đã xác nhận');
+        expect(result.correction).toMatchObject({ status: 'approved', attendanceId: result.attendance.id });
+        expect(result.attendance).toMatchObject({ actionType: 'check_in', flag: 'corrected', rfidCard: 'CORRECTION' });
+
+        const [record] = await Attendance.findByUserAndDate('SALES01', '2026-03-02');
+        expect(record.id).toBe(result.attendance.id);
+
+        const [audit] = await AttendanceAudit.findAll({ correctionId: correction.id });
+        expect(audit).toMatchObject({ action: 'corrected', changedBy: 'MGR001' });
+
+        expect(await CorrectionService.review(correction.id, manager, 'approve')).toMatchObject({ error: 'CORRECTION_NOT_PENDING' });
+    });
+});
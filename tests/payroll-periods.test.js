@@ -0,0 +1,90 @@
+// Locked payroll periods: the attendance of their days is kept as it was
+// paid until the period is reopened.
+const moment = require('moment-timezone');
+
+const { executeQuery, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createIo } = require('./helpers/io');
+const Attendance = require('../src/models/Attendance');
+const AttendanceRules = require('../src/services/AttendanceRules');
+const AttendanceService = require('../src/services/AttendanceService');
+const Card = require('../src/models/Card');
+const CorrectionService = require('../src/services/CorrectionService');
+const PayrollPeriod = require('../src/models/PayrollPeriod');
+const WorkSession = require('../src/models/WorkSession');
+
+const CARD_ID = '0000000042';
+
+const now = moment().tz('Asia/Ho_Chi_Minh');
+const today = now.format('YYYY-MM-DD');
+const yesterday = now.clone().subtract(1, 'day').format('YYYY-MM-DD');
+
+let attendanceService;
+let period;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+    await Card.create({ cardUid: CARD_ID, userId: 'STAFF001' });
+
+    // Web scans are decoded with the default profile; no reader is bound
+    const readerRegistry = { decodeCardId: raw => raw, getBinding: async () => null };
+    attendanceService = new AttendanceService(createIo(), readerRegistry);
+
+    period = await PayrollPeriod.create({
+        name: 'Kỳ hiện tại',
+        startDate: yesterday,
+        endDate: now.clone().add(1, 'day').format('YYYY-MM-DD'),
+        createdBy: 'ADMIN001'
+    });
+    await PayrollPeriod.lock(period.id, 'ADMIN001');
+});
+
+afterAll(async () => {
+    await teardownDatabase();
+    jest.restoreAllMocks();
+});
+
+describe('a locked payroll period', () => {
+    test('refuses card scans', async () => {
+        const result = await attendanceService.processWebScan({ cardId: CARD_ID });
+        expect(result).toMatchObject({ success: false, status: 423, error: 'PERIOD_LOCKED' });
+        expect(await Attendance.findByUserAndDate('STAFF001', today)).toHaveLength(0);
+    });
+
+    test('refuses attendance and work session writes', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(Attendance.recordAttendance({
+            userId: 'STAFF001',
+            rfidCard: CARD_ID,
+            scanTime: `${yesterday} 08:00:00`,
+            scanDate: yesterday,
+            actionType: 'check_in'
+        })).rejects.toMatchObject({ code: 'PERIOD_LOCKED' });
+        await expect(WorkSession.recompute('STAFF001', yesterday)).rejects.toMatchObject({ code: 'PERIOD_LOCKED' });
+        console.error.mockRestore();
+    });
+
+    test('refuses correction requests', async () => {
+        const result = await CorrectionService.submit('STAFF001', {
+            workDate: yesterday,
+            actionType: 'check_in',
+            scanTime: `${yesterday} 08:00`,
+            reason: 'Quên quét thẻ'
+        });
+        expect(result).toMatchObject({ success: false, error: 'PERIOD_LOCKED' });
+    });
+
+    test('keeps the stored results of its days', async () => {
+        await AttendanceRules.evaluateAndStore('STAFF001', yesterday);
+        const [row] = await executeQuery('SELECT COUNT(*) AS count FROM work_day_results WHERE work_date = ?', [yesterday]);
+        expect(row.count).toBe(0);
+    });
+
+    test('accepts scans again once reopened', async () => {
+        await PayrollPeriod.reopen(period.id, 'ADMIN001', 'Bổ sung công');
+
+        const result = await attendanceService.processWebScan({ cardId: CARD_ID });
+        expect(result).toMatchObject({ success: true, action: 'check_in', workDate: today, location: 'Main Office' });
+        expect((await PayrollPeriod.getLog(period.id)).map(entry => entry.action)).toEqual(['reopened', 'locked', 'created']);
+    });
+});
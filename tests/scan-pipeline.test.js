@@ -0,0 +1,98 @@
+// End-to-end scan pipeline: a card presented to the simulated reader is
+// decoded, recorded as attendance in a scratch SQLite database and
+// broadcast, and lands in the scan record file with its raw reader output.
+const fs = require('fs');
+const path = require('path');
+
+const { tmpDir, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createIo } = require('./helpers/io');
+const { createCardDecoder } = require('../src/services/readers');
+const ReaderRegistry = require('../src/services/ReaderRegistry');
+const AttendanceService = require('../src/services/AttendanceService');
+const SocketIOHandlers = require('../src/services/SocketIOHandlers');
+const Attendance = require('../src/models/Attendance');
+const Card = require('../src/models/Card');
+
+// EM4100 frame: version 01, ID 00BC614E, XOR checksum 92
+const RAW_FRAME = '0100BC614E92';
+const DECODER = { format: 'em4100' };
+const recordFile = path.join(tmpDir, 'scans.jsonl');
+
+function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = async () => {
+            const value = await check();
+            if (value) return resolve(value);
+            if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for the scan'));
+            setTimeout(poll, 50);
+        };
+        poll();
+    });
+}
+
+describe('scan pipeline with the simulated reader', () => {
+    let registry;
+    let io;
+    let cardId;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await setupDatabase();
+
+        cardId = createCardDecoder(DECODER).decode(RAW_FRAME).cardId;
+        await Card.create({ cardUid: cardId, userId: 'STAFF001' });
+
+        registry = new ReaderRegistry({
+            driver: 'simulated',
+            decoder: DECODER,
+            recordFile,
+            reconnect: { enabled: false }
+        });
+        await registry.load();
+        await registry.connect();
+
+        io = createIo();
+        const attendanceService = new AttendanceService(io, registry);
+        new SocketIOHandlers(io, registry, attendanceService);
+    });
+
+    afterAll(async () => {
+        if (registry) await registry.disconnect();
+        await teardownDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('records, broadcasts and logs a scanned card', async () => {
+        expect(registry.get('default').driver.inject(RAW_FRAME)).toBe(true);
+
+        const today = require('moment-timezone')().tz('Asia/Ho_Chi_Minh').format('YYYY-MM-DD');
+        const [record] = await waitFor(async () => {
+            const records = await Attendance.findByUserAndDate('STAFF001', today);
+            return records.length > 0 ? records : null;
+        });
+
+        expect(record.rfidCard).toBe(cardId);
+        expect(record.actionType).toBe('check_in');
+
+        const processed = await waitFor(() => io.emitted.find(entry => entry.event === 'attendance_processed'));
+        expect(processed.rooms).toEqual(expect.arrayContaining(['user:STAFF001', 'admin']));
+        expect(processed.payload.user.id).toBe('STAFF001');
+
+        // The raw frame is what gets replayed, so it is decoded once on replay too
+        const [line] = fs.readFileSync(recordFile, 'utf8').trim().split('\n').map(entry => JSON.parse(entry));
+        expect(line).toMatchObject({ cardId, raw: RAW_FRAME, readerId: 'default' });
+    });
+
+    test('sends reader details only to admins', async () => {
+        await registry.disconnect();
+
+        const statuses = io.emitted.filter(entry => entry.event === 'rfid_status');
+        const admin = statuses.find(entry => entry.rooms && entry.rooms.includes('admin'));
+        const others = statuses.find(entry => entry.rooms === null);
+        expect(admin.payload).toMatchObject({ readerId: 'default', connected: false, reconnecting: false });
+        expect(others.except).toEqual('admin');
+        expect(others.payload).toEqual({ readerId: 'default', connected: false });
+    });
+});